@@ -1,5 +1,7 @@
 // animationInteractions.js - Handles interactions between animations
 
+import { nextRandom } from './animations.js';
+
 /**
  * Process all interactions for a given canvas
  * @param {Object} canvas - The Fabric.js canvas object
@@ -64,8 +66,8 @@ export function predictAndProcessAvoidance(canvas, animatedObj, velocity) {
     const avoidObjects = getObjectsFromAnimation(canvas, avoidAnim);
     
     // Check animation type and process accordingly
-    if (animatedObj.animationType === 'bird') {
-      // For birds, use the existing avoidance function
+    if (animatedObj.animationType === 'bird' || animatedObj.animationType === 'drawnBird') {
+      // For birds, built-in or drawn, use the existing avoidance function
       processAvoidanceForBird(animatedObj, velocity, avoidObjects, boundaryDistance, hopFactor);
     } 
     else if (animatedObj.animationType === 'hop') {
@@ -205,7 +207,7 @@ function getBirdsFromAnimation(canvas, animation) {
   
   // Find matching objects on the canvas
   return canvas.getObjects().filter(obj => 
-    animObjectIds.has(obj.id) && obj.animationType === 'bird' && obj.tween
+    animObjectIds.has(obj.id) && (obj.animationType === 'bird' || obj.animationType === 'drawnBird') && obj.tween
   );
 }
 
@@ -317,7 +319,7 @@ function processAvoidanceForBird(bird, velocity, avoidObjects, boundaryDistance,
         
         // Add small random variation to avoid perfect reflection loops
         const jitter = 0.1;
-        const randomAngle = Math.random() * Math.PI * 2;
+        const randomAngle = (bird._randomState !== undefined ? nextRandom(bird) : Math.random()) * Math.PI * 2;
         const jitterX = Math.cos(randomAngle) * jitter;
         const jitterY = Math.sin(randomAngle) * jitter;
         
@@ -353,8 +355,8 @@ function processAvoidanceForHop(hopObj, avoidObjects, boundaryDistance) {
   // For hop objects, we only care about horizontal movement and changing direction
   // Predict next position based on current direction
   const hopConfig = {
-    speed: 4, // Should match the speed in the animation function
-    boundaryPadding: 5
+    speed: hopObj.animationParameters?.speed ?? 4, // Speed used by this hop animation
+    boundaryPadding: hopObj.animationParameters?.boundaryPadding ?? 5
   };
   
   // Predict where the hop object will be in the next few frames
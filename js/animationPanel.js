@@ -1,6 +1,76 @@
 import { deleteSel } from './toolbar.js';
-import { animate } from './animations.js';
+import { animate, animationDefaults, easeFamilies, updateAnimationParameters } from './animations.js';
 import { renderInteractionPanel } from './interactionPanel.js';
+import { describeSchedule, resolveSchedule, scheduleDefaults, setAnimationSchedule } from './animationSchedule.js';
+
+// Inspector controls for the adjustable parameters of each animation type
+const parameterControls = {
+  birds: [
+    { key: 'maxSpeed', label: 'Speed', min: 0.5, max: 8, step: 0.1 },
+    { key: 'cohesionWeight', label: 'Flock cohesion', min: 0, max: 0.1, step: 0.005 },
+    { key: 'alignWeight', label: 'Alignment', min: 0, max: 0.2, step: 0.01 },
+    { key: 'separationWeight', label: 'Separation', min: 0, max: 0.5, step: 0.01 },
+    { key: 'neighborRadius', label: 'Neighbor radius', min: 10, max: 200, step: 5 },
+    { key: 'flap', label: 'Drawn wings flap by', options: ['skew', 'scale', 'none'] },
+    { key: 'flapStrength', label: 'Flap strength', min: 0, max: 1, step: 0.05 },
+    { key: 'facing', label: 'Drawn facing', options: ['right', 'left'] }
+  ],
+  swim: [
+    { key: 'maxSpeed', label: 'Speed', min: 0.2, max: 6, step: 0.1 },
+    { key: 'cohesionWeight', label: 'School cohesion', min: 0, max: 0.1, step: 0.005 },
+    { key: 'alignWeight', label: 'Alignment', min: 0, max: 0.2, step: 0.01 },
+    { key: 'separationWeight', label: 'Separation', min: 0, max: 0.5, step: 0.01 },
+    { key: 'neighborRadius', label: 'Neighbor radius', min: 10, max: 200, step: 5 },
+    { key: 'wiggle', label: 'Tail wiggle (°)', min: 0, max: 30, step: 1 },
+    { key: 'facing', label: 'Drawn facing', options: ['right', 'left'] }
+  ],
+  sway: [
+    { key: 'drift', label: 'Amplitude', min: 0, max: 60, step: 1 },
+    { key: 'rock', label: 'Rock angle', min: 0, max: 45, step: 1 },
+    { key: 'duration', label: 'Sway duration (s)', min: 0.2, max: 5, step: 0.1 },
+    { key: 'ease', label: 'Easing', options: easeFamilies }
+  ],
+  float: [
+    { key: 'radius', label: 'Wander radius', min: 0, max: 150, step: 1 },
+    { key: 'speed', label: 'Speed', min: 0.05, max: 2, step: 0.05 },
+    { key: 'seed', label: 'Seed', min: 0, max: 999999, step: 1 }
+  ],
+  spin: [
+    { key: 'speed', label: 'Speed (°/s)', min: 5, max: 720, step: 5 },
+    { key: 'direction', label: 'Direction', options: ['clockwise', 'counterclockwise'] },
+    { key: 'pivot', label: 'Pivot', options: ['center', 'top', 'bottom', 'left', 'right'] }
+  ],
+  pulse: [
+    { key: 'grow', label: 'Grow', min: 0, max: 1, step: 0.01 },
+    { key: 'fade', label: 'Fade', min: 0, max: 1, step: 0.05 },
+    { key: 'duration', label: 'Breath duration (s)', min: 0.2, max: 5, step: 0.1 },
+    { key: 'ease', label: 'Easing', options: easeFamilies }
+  ],
+  emit: [
+    { key: 'rate', label: 'Particles per second', min: 0.5, max: 60, step: 0.5 },
+    { key: 'lifetime', label: 'Lifetime (s)', min: 0.5, max: 20, step: 0.5 },
+    { key: 'gravity', label: 'Gravity', min: -300, max: 1000, step: 10 },
+    { key: 'wind', label: 'Wind', min: -200, max: 200, step: 5 },
+    { key: 'fade', label: 'Fade', min: 0, max: 1, step: 0.05 },
+    { key: 'tumble', label: 'Tumble (°/s)', min: 0, max: 360, step: 5 },
+    { key: 'region', label: 'Spawn from', options: ['top', 'canvas', 'stroke'] }
+  ],
+  hop: [
+    { key: 'height', label: 'Hop height', min: 0, max: 150, step: 1 },
+    { key: 'speed', label: 'Speed', min: 0, max: 15, step: 0.5 },
+    { key: 'duration', label: 'Hop duration (s)', min: 0.2, max: 3, step: 0.1 },
+    { key: 'ease', label: 'Easing', options: easeFamilies }
+  ],
+  keyframe: [
+    { key: 'ease', label: 'Easing for new keys', options: easeFamilies }
+  ],
+  path: [
+    { key: 'speed', label: 'Speed (px/s)', min: 10, max: 600, step: 10 },
+    { key: 'mode', label: 'At the end', options: ['loop', 'pingpong'] },
+    { key: 'orient', label: 'Face along path', options: ['true', 'false'] },
+    { key: 'showPath', label: 'Show path', options: ['true', 'false'] }
+  ]
+};
 
 export function createAnimationEntry(anim, canvas) {
     const entry = document.createElement('div');
@@ -119,6 +189,15 @@ export function createAnimationEntry(anim, canvas) {
 
     // Add both to the meta element
     meta.appendChild(objectCountSpan);
+
+    // Show when it runs, if it doesn't run all the time
+    const scheduleText = describeSchedule(anim, canvas.activeAnimations || []);
+    if (scheduleText) {
+      const scheduleSpan = document.createElement('span');
+      scheduleSpan.className = 'entry-schedule';
+      scheduleSpan.textContent = scheduleText;
+      meta.appendChild(scheduleSpan);
+    }
   
     header.append(titleText, meta);
   
@@ -138,6 +217,24 @@ export function createAnimationEntry(anim, canvas) {
     editBtn.textContent = '✏️';
   
     controls.append(selectBtn, deleteBtn, editBtn);
+    
+    // Only animations with adjustable parameters get a settings button
+    if (parameterControls[anim.type]) {
+      const settingsBtn = document.createElement('button');
+      settingsBtn.className = 'settings-btn';
+      settingsBtn.textContent = '⚙️';
+      settingsBtn.title = 'Animation settings';
+      settingsBtn.addEventListener('click', () => openAnimationInspector(anim, canvas));
+      controls.appendChild(settingsBtn);
+    }
+
+    const scheduleBtn = document.createElement('button');
+    scheduleBtn.className = 'schedule-btn';
+    scheduleBtn.textContent = '⏱';
+    scheduleBtn.title = 'When it runs';
+    scheduleBtn.addEventListener('click', () => openScheduleEditor(anim, canvas));
+    controls.appendChild(scheduleBtn);
+    
     entry.append(header, controls);
 
     // Delete logic
@@ -230,6 +327,7 @@ export function createAnimationEntry(anim, canvas) {
   
       const save = () => {
         const newPrompt = input.value.trim();
+        const previous = { prompt: anim.prompt, title: anim.title, updatedAt: anim.updatedAt };
         anim.prompt = newPrompt;
         anim.updatedAt = Date.now(); // Update the timestamp when editing
         
@@ -270,13 +368,22 @@ export function createAnimationEntry(anim, canvas) {
           return false;
         });
 
-        animate(anim.prompt, canvas, objs, {
+        const result = animate(anim.prompt, canvas, objs, {
             id: anim.id,
             data: anim.data,
             title: anim.title,
             _titleCustomized: anim._titleCustomized,
             update: true
           }, { save: true });
+        
+        // The animation was left as it was, so its prompt and title are too
+        if (result?.error) {
+          Object.assign(anim, previous);
+          titleText.textContent = anim.title || anim.prompt || `(${anim.type})`;
+          renderInteractionPanel(canvas);
+          alert(result.error);
+          return;
+        }
           
         modal.classList.add("hidden");
         saveBtn.removeEventListener("click", save);
@@ -296,6 +403,210 @@ export function createAnimationEntry(anim, canvas) {
     return entry;
   }
   
+/**
+ * Opens the settings inspector for an animation.
+ * Changes are applied to the running animation as the controls move,
+ * and a single history entry is recorded when the user applies them.
+ * @param {Object} anim - The animation entry from canvas.activeAnimations
+ * @param {Object} canvas - The fabric.js canvas object
+ */
+export function openAnimationInspector(anim, canvas) {
+  const controlsForType = parameterControls[anim.type];
+  if (!controlsForType) return;
+  
+  // Only one inspector at a time
+  document.getElementById('animationInspectorModal')?.remove();
+  
+  // Remember the parameters so that cancelling can restore them
+  const originalParameters = { ...animationDefaults[anim.type], ...anim.parameters };
+  
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'animationInspectorModal';
+  
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content inspector-content';
+  
+  modalContent.innerHTML = `
+    <h3></h3>
+    <div class="inspector-controls">
+      ${controlsForType.map(control => control.options ? `
+        <div class="input-group inspector-control">
+          <label for="inspector-${control.key}">${control.label}</label>
+          <select id="inspector-${control.key}" data-key="${control.key}">
+            ${control.options.map(option => `<option value="${option}">${option}</option>`).join('')}
+          </select>
+        </div>
+      ` : `
+        <div class="input-group inspector-control">
+          <label for="inspector-${control.key}">${control.label} <span class="inspector-value"></span></label>
+          <input type="range" id="inspector-${control.key}" data-key="${control.key}"
+                 min="${control.min}" max="${control.max}" step="${control.step}" />
+        </div>
+      `).join('')}
+    </div>
+    <div class="modal-buttons">
+      <button id="applyInspectorBtn">Apply</button>
+      <button id="resetInspectorBtn">Defaults</button>
+      <button id="cancelInspectorBtn">Cancel</button>
+    </div>
+  `;
+  
+  // The title is the user's own text, so it goes in as text rather than markup
+  modalContent.querySelector('h3').textContent = `${anim.title || anim.prompt || anim.type} Settings`;
+  
+  modal.appendChild(modalContent);
+  document.body.appendChild(modal);
+  
+  const inputs = Array.from(modalContent.querySelectorAll('[data-key]'));
+  
+  // Show the given parameter values in the controls
+  const fillInputs = (parameters) => {
+    inputs.forEach(input => {
+      input.value = parameters[input.dataset.key];
+      const valueLabel = input.parentElement.querySelector('.inspector-value');
+      if (valueLabel) {
+        valueLabel.textContent = input.value;
+      }
+    });
+  };
+  
+  fillInputs(originalParameters);
+  
+  // Apply each change to the running animation immediately
+  inputs.forEach(input => {
+    const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+    input.addEventListener(eventName, () => {
+      const resolved = updateAnimationParameters(canvas, anim, { [input.dataset.key]: input.value });
+      fillInputs(resolved);
+    });
+  });
+  
+  const close = () => {
+    modal.remove();
+  };
+  
+  document.getElementById('resetInspectorBtn').addEventListener('click', () => {
+    // The seed and the body birds fly with aren't motion settings, so the animation keeps replaying the same way
+    const resolved = updateAnimationParameters(canvas, anim, {
+      ...animationDefaults[anim.type],
+      seed: anim.parameters?.seed,
+      body: anim.parameters?.body
+    });
+    fillInputs(resolved);
+  });
+  
+  document.getElementById('applyInspectorBtn').addEventListener('click', () => {
+    close();
+    
+    // Record a single history entry for the whole editing session
+    if (JSON.stringify(anim.parameters) !== JSON.stringify(originalParameters)) {
+      anim.updatedAt = Date.now();
+      renderAnimationPanel(canvas);
+      setTimeout(() => canvas.history.saveState(), 20);
+    }
+  });
+  
+  document.getElementById('cancelInspectorBtn').addEventListener('click', () => {
+    updateAnimationParameters(canvas, anim, originalParameters);
+    close();
+  });
+}
+
+/**
+ * Opens the schedule editor for an animation: when it starts, how long each run lasts,
+ * how often it repeats and how long it rests in between
+ * @param {Object} anim - The animation entry from canvas.activeAnimations
+ * @param {Object} canvas - The fabric.js canvas object
+ */
+export function openScheduleEditor(anim, canvas) {
+  document.getElementById('scheduleEditorModal')?.remove();
+
+  const schedule = resolveSchedule(anim.schedule);
+  const others = (canvas.activeAnimations || []).filter(a => a.id !== anim.id);
+  const isKeyframe = anim.type === 'keyframe';
+
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'scheduleEditorModal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content inspector-content';
+
+  modalContent.innerHTML = `
+    <h3></h3>
+    <div class="input-group">
+      <label for="scheduleAfter">Starts</label>
+      <select id="scheduleAfter">
+        <option value="">With the timeline</option>
+      </select>
+    </div>
+    <div class="input-group">
+      <label for="scheduleStart">Wait (s)</label>
+      <input id="scheduleStart" type="number" min="0" step="0.5" />
+    </div>
+    <div class="input-group">
+      <label for="scheduleDuration">Runs for (s)</label>
+      <input id="scheduleDuration" type="number" min="0" step="0.5" placeholder="${isKeyframe ? 'Length of the keys' : 'Keeps going'}" ${isKeyframe ? 'disabled' : ''} />
+    </div>
+    <div class="input-group">
+      <label for="scheduleRepeat">Repeats</label>
+      <input id="scheduleRepeat" type="number" min="-1" step="1" title="-1 repeats forever" />
+    </div>
+    <div class="input-group">
+      <label for="scheduleDelay">Rest between runs (s)</label>
+      <input id="scheduleDelay" type="number" min="0" step="0.5" />
+    </div>
+    <div class="modal-buttons">
+      <button id="applyScheduleBtn">Apply</button>
+      <button id="clearScheduleBtn">Always run</button>
+      <button id="cancelScheduleBtn">Cancel</button>
+    </div>
+  `;
+
+  // Titles are the user's own text, so they go in as text rather than markup
+  modalContent.querySelector('h3').textContent = `When ${anim.title || anim.prompt || anim.type} Runs`;
+  others.forEach(other => {
+    const option = document.createElement('option');
+    option.value = other.id;
+    option.textContent = `After ${other.title || other.prompt || other.type}`;
+    modalContent.querySelector('#scheduleAfter').appendChild(option);
+  });
+
+  modal.appendChild(modalContent);
+  document.body.appendChild(modal);
+
+  const get = id => document.getElementById(id);
+  get('scheduleAfter').value = schedule.after || '';
+  get('scheduleStart').value = schedule.start;
+  get('scheduleDuration').value = schedule.duration ?? '';
+  get('scheduleRepeat').value = schedule.repeat;
+  get('scheduleDelay').value = schedule.delay;
+
+  // Records the change as one history entry, which also restarts the timeline with it
+  const apply = (changes) => {
+    const before = JSON.stringify(anim.schedule || null);
+    setAnimationSchedule(canvas, anim, changes);
+    modal.remove();
+
+    if (JSON.stringify(anim.schedule || null) !== before) {
+      renderAnimationPanel(canvas);
+      setTimeout(() => canvas.history.saveState(), 20);
+    }
+  };
+
+  get('applyScheduleBtn').addEventListener('click', () => apply({
+    after: get('scheduleAfter').value || null,
+    start: get('scheduleStart').value,
+    duration: get('scheduleDuration').value,
+    repeat: get('scheduleRepeat').value,
+    delay: get('scheduleDelay').value
+  }));
+
+  get('clearScheduleBtn').addEventListener('click', () => apply({ ...scheduleDefaults }));
+  get('cancelScheduleBtn').addEventListener('click', () => modal.remove());
+}
+  
   // Sort animations based on the selected sort order
 function sortAnimations(animations, sortOrder) {
   if (!animations || animations.length === 0) return [];
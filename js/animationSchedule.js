@@ -0,0 +1,201 @@
+// animationSchedule.js - When each animation runs on the master clock's timeline
+//
+// An animation entry may carry a schedule:
+//   start     seconds from the start of the timeline, or from the end of the `after` animation
+//   after     ID of an animation that has to finish first, or null
+//   duration  seconds per run, or null to keep going
+//   repeat    runs after the first one; -1 repeats forever
+//   delay     seconds of rest between runs
+// Between runs the objects hold still. Animations without a schedule run all the time.
+
+import { getKeyframesEnd } from './animations.js';
+
+export const scheduleDefaults = { start: 0, after: null, duration: null, repeat: 0, delay: 0 };
+
+/**
+ * Fills in and cleans up a schedule, e.g. one typed into the panel or sent by the LLM
+ * @param {Object} schedule - A partial schedule
+ * @returns {Object} - A schedule with every field
+ */
+export function resolveSchedule(schedule = {}) {
+  const number = (value, fallback) => {
+    if (value === null || value === undefined || value === '') return fallback;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : fallback;
+  };
+
+  const duration = number(schedule?.duration, null);
+  return {
+    start: Math.max(0, number(schedule?.start, 0)),
+    after: schedule?.after ? String(schedule.after) : null,
+    duration: duration > 0 ? duration : null,
+    repeat: Math.max(-1, Math.round(number(schedule?.repeat, 0))),
+    delay: Math.max(0, number(schedule?.delay, 0))
+  };
+}
+
+/**
+ * Works out when an animation runs. Keyframed animations run for as long as their keys.
+ * @param {Object} anim - The animation entry
+ * @param {Array} animations - All animation entries, to follow `after`
+ * @param {Set} visiting - Animations already on the `after` chain, so a loop of them is cut
+ * @returns {Object} - { start, runDuration, repeat, delay, end } in seconds; end is Infinity
+ *   for animations that keep going, and start is Infinity after one of those
+ */
+export function getScheduleTimes(anim, animations, visiting = new Set()) {
+  const schedule = resolveSchedule(anim.schedule);
+  const runDuration = anim.type === 'keyframe' ? getKeyframesEnd([anim]) : schedule.duration;
+
+  let start = schedule.start;
+  const previous = schedule.after && animations.find(a => a.id === schedule.after);
+  if (previous && !visiting.has(anim.id)) {
+    visiting.add(anim.id);
+    start += getScheduleTimes(previous, animations, visiting).end;
+  }
+
+  let end = Infinity;
+  if (runDuration !== null && schedule.repeat >= 0) {
+    const runs = schedule.repeat + 1;
+    end = start + runs * runDuration + (runs - 1) * schedule.delay;
+  }
+
+  return { start, runDuration, repeat: schedule.repeat, delay: schedule.delay, end };
+}
+
+/**
+ * Start of the run that is playing at a time, or of the last run once they are over
+ * @param {Object} times - From getScheduleTimes
+ * @param {number} time - Scene time
+ * @returns {number}
+ */
+function getRunStart(times, time) {
+  const period = times.runDuration + times.delay;
+  if (times.runDuration === null || time <= times.start || !(period > 0)) return times.start;
+
+  let run = Math.floor((time - times.start) / period);
+  if (times.repeat >= 0) run = Math.min(run, times.repeat);
+  return times.start + run * period;
+}
+
+/**
+ * Whether an animation is moving at a time
+ * @param {Object} times - From getScheduleTimes
+ * @param {number} time - Scene time
+ * @returns {boolean}
+ */
+export function isScheduleRunning(times, time) {
+  if (time < times.start) return false;
+  return times.runDuration === null || time - getRunStart(times, time) < times.runDuration;
+}
+
+/**
+ * Brings every animated object in line with its schedule at a scene time. Objects whose animation
+ * is between runs get `scheduleIdle` set for the per-tick handlers, and tweens are moved on their
+ * timeline so each run starts from the beginning. Called by the master clock before each tick.
+ * @param {fabric.Canvas} canvas - The canvas
+ * @param {number} time - Scene time in seconds
+ */
+export function applySchedules(canvas, time) {
+  const animations = canvas.activeAnimations || [];
+  if (animations.length === 0) return;
+
+  const clock = canvas.clock;
+  const objectsById = new Map(canvas.getObjects().map(obj => [obj.id, obj]));
+
+  animations.forEach(anim => {
+    const times = getScheduleTimes(anim, animations);
+    const running = isScheduleRunning(times, time);
+
+    anim.data.forEach(d => {
+      const obj = objectsById.get(d.id);
+      if (!obj) return;
+      obj.scheduleIdle = !running;
+
+      const tween = obj.tween;
+      if (typeof tween?.startTime !== 'function') return;
+
+      // Keyframes sit on the clock's own timeline, the other tweens on GSAP's global one.
+      // A keyframe track shows its first key before it starts and its last key after a run;
+      // other tweens are held at their start, which is their resting pose.
+      const offset = tween.parent === clock.timeline ? 0 : clock.origin;
+      const isKeyframe = obj.animationType === 'keyframe' && Number.isFinite(times.start);
+      const start = isKeyframe || running ? getRunStart(times, time) : time;
+      if (Math.abs(tween.startTime() - (offset + start)) > 1e-6) tween.startTime(offset + start);
+    });
+  });
+}
+
+/**
+ * When the last scheduled animation that ends stops, so the timeline can be long enough to show it
+ * @param {Array} animations - Animation entries
+ * @returns {number} - Seconds, 0 if nothing scheduled ends
+ */
+export function getSchedulesEnd(animations) {
+  return animations
+    .filter(anim => anim.schedule)
+    .map(anim => getScheduleTimes(anim, animations).end)
+    .filter(Number.isFinite)
+    .reduce((max, end) => Math.max(max, end), 0);
+}
+
+/**
+ * Changes when an animation runs. A schedule that is all defaults is dropped.
+ * The caller saves the history state.
+ * @param {fabric.Canvas} canvas - The canvas
+ * @param {Object} anim - The animation entry
+ * @param {Object} changes - Schedule fields to change
+ * @returns {Object} - The new schedule
+ */
+export function setAnimationSchedule(canvas, anim, changes = {}) {
+  const schedule = resolveSchedule({ ...anim.schedule, ...changes });
+
+  // An animation can't wait for itself, or for one that already waits for it
+  if (schedule.after) {
+    const animations = canvas.activeAnimations || [];
+    const waitsForThis = (id, seen = new Set()) => {
+      if (id === anim.id) return true;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      const other = animations.find(a => a.id === id);
+      return Boolean(other?.schedule?.after) && waitsForThis(other.schedule.after, seen);
+    };
+    if (!animations.some(a => a.id === schedule.after) || waitsForThis(schedule.after)) {
+      schedule.after = null;
+    }
+  }
+
+  const isDefault = Object.keys(scheduleDefaults).every(key => schedule[key] === scheduleDefaults[key]);
+  if (isDefault) {
+    delete anim.schedule;
+  } else {
+    anim.schedule = schedule;
+  }
+  anim.updatedAt = Date.now();
+  console.log(`Schedule of ${anim.id}:`, anim.schedule || 'always running');
+  return schedule;
+}
+
+/**
+ * Short description of a schedule for the animation panel, e.g. "after Birds +2s, for 5s, ×3"
+ * @param {Object} anim - The animation entry
+ * @param {Array} animations - All animation entries, to name the `after` animation
+ * @returns {string} - Empty if the animation has no schedule
+ */
+export function describeSchedule(anim, animations = []) {
+  if (!anim.schedule) return '';
+  const { start, after, duration, repeat, delay } = resolveSchedule(anim.schedule);
+  const parts = [];
+
+  if (after) {
+    const previous = animations.find(a => a.id === after);
+    parts.push(`after ${previous?.title || after}${start ? ` +${start}s` : ''}`);
+  } else if (start) {
+    parts.push(`from ${start}s`);
+  }
+  if (duration !== null && anim.type !== 'keyframe') parts.push(`for ${duration}s`);
+  if (repeat < 0) parts.push('repeating');
+  if (repeat > 0) parts.push(`×${repeat + 1}`);
+  if (delay && repeat !== 0) parts.push(`${delay}s apart`);
+
+  return parts.join(', ');
+}
@@ -1,13 +1,304 @@
 import { renderAnimationPanel } from "./animationPanel.js";
 import { renderInteractionPanel } from "./interactionPanel.js";
+import { resolveSchedule } from "./animationSchedule.js";
 
 export const animationHandlers = {
   birds: animateBirds,
+  swim: swimObjects, // Drawn fish schooling inside a drawn stretch of water
   sway: swayApples,
+  float: floatObjects, // Slow drifting with a bob, for clouds, balloons and leaves
+  spin: spinObjects, // Steady turning around the center or an edge
+  pulse: pulseObjects, // Growing and fading like breathing
+  emit: emitObjects, // Copies of a stroke falling like rain, snow or confetti
   fix: fixObjects, // Static "animation" that just fixes objects in place
-  hop: hopObjects // Simple up and down bouncing animation
+  hop: hopObjects, // Simple up and down bouncing animation
+  keyframe: keyframeObjects, // Authored poses at set times on the timeline
+  path: pathObjects // Travel along a drawn stroke
 };
 
+/**
+ * Default motion parameters for each animation type.
+ * Values stored in an animation entry's `parameters` override these.
+ */
+export const animationDefaults = {
+  birds: {
+    neighborRadius: 60,     // Distance within which birds influence each other
+    maxSpeed: 2.5,          // Maximum speed in pixels per update
+    alignWeight: 0.05,      // How strongly birds match their neighbours' heading
+    cohesionWeight: 0.02,   // How strongly birds steer toward the flock center
+    separationWeight: 0.1,  // How strongly birds keep apart from each other
+    body: 'bird',           // 'bird' replaces the selection with birds, 'drawing' flocks the strokes themselves
+    flap: 'skew',           // How drawn groups flap: 'skew' or 'scale' their left and right halves, or 'none'
+    flapStrength: 0.5,      // How far drawn wings flap, from 0 to 1
+    facing: 'right',        // Which way drawn birds were drawn facing, 'right' or 'left'
+    seed: 1                 // Seeds the starting headings so the flight can be replayed
+  },
+  swim: {
+    neighborRadius: 80,     // Distance within which fish influence each other
+    maxSpeed: 1.5,          // Maximum speed in pixels per update
+    alignWeight: 0.05,      // How strongly fish match their neighbours' heading
+    cohesionWeight: 0.01,   // How strongly fish steer toward the school center
+    separationWeight: 0.1,  // How strongly fish keep apart from each other
+    wiggle: 10,             // How far the tail swings, as a skew in degrees
+    facing: 'right',        // Which way the fish were drawn facing, 'right' or 'left'
+    seed: 1                 // Seeds the starting headings so the swim can be replayed
+  },
+  sway: {
+    drift: 10,              // Horizontal sway distance in pixels
+    rock: 8,                // Rotation amount in degrees
+    duration: 1.2,          // Duration of one sway in seconds
+    ease: 'sine'            // Ease family used for the sway
+  },
+  float: {
+    radius: 30,             // How far objects wander from where they were drawn, in pixels
+    speed: 0.25,            // How quickly the drift changes direction, in turns per second
+    seed: 1                 // Seeds the drift so it can be replayed
+  },
+  spin: {
+    speed: 90,              // Degrees per second
+    direction: 'clockwise', // 'clockwise' or 'counterclockwise'
+    pivot: 'center'         // Turn around the 'center', or the middle of the 'top', 'bottom', 'left' or 'right' edge
+  },
+  pulse: {
+    grow: 0.15,             // How much bigger objects get at the peak (0.15 is 15%)
+    fade: 0.3,              // How much of their opacity they lose at the peak, from 0 to 1
+    duration: 1.2,          // Seconds per breath, in and out
+    ease: 'sine'            // Ease family used for the breath
+  },
+  emit: {
+    rate: 8,                // Particles spawned per second
+    lifetime: 5,            // Seconds each particle lives
+    gravity: 60,            // Downward pull in pixels per second squared; negative rises
+    wind: 10,               // Sideways drift in pixels per second; negative blows left
+    fade: 0.2,              // Part of its life a particle spends fading out, from 0 to 1
+    tumble: 0,              // Most a particle turns, in degrees per second
+    region: 'top',          // Spawn along the 'top' edge, anywhere on the 'canvas', or around the 'stroke'
+    seed: 1                 // Seeds the particles so they can be replayed
+  },
+  fix: {},
+  hop: {
+    height: 40,             // Hop height in pixels
+    speed: 4,               // Horizontal speed in pixels per update
+    duration: 0.5,          // Duration of one hop cycle in seconds
+    boundaryPadding: 5,     // Padding from canvas edges
+    ease: 'sine'            // Ease family used for the rise and fall
+  },
+  keyframe: {
+    ease: 'sine'            // Ease family given to new keyframes
+  },
+  path: {
+    speed: 120,             // Pixels per second along the path
+    mode: 'loop',           // 'loop' starts over at the end, 'pingpong' turns back
+    orient: true,           // Turn objects to face along the path
+    showPath: false         // Whether the path itself is drawn
+  }
+};
+
+// Ease families that can be chosen for the periodic animations
+export const easeFamilies = ['sine', 'power1', 'power2', 'power3', 'circ', 'back', 'linear'];
+
+/**
+ * Builds a GSAP ease name from an ease family and direction
+ * @param {String} family - Ease family such as 'sine' or 'power2' ('linear' for no easing)
+ * @param {String} direction - 'in', 'out' or 'inOut'
+ * @returns {String} - The GSAP ease name
+ */
+export function getEase(family, direction) {
+  if (!family || family === 'linear') return 'none';
+  return `${family}.${direction}`;
+}
+
+/**
+ * Returns the next number from an object's seeded random sequence (mulberry32).
+ * The sequence lives in the object's _randomState, so it is saved and replayed with the object.
+ * @param {Object} holder - Object with a numeric _randomState
+ * @returns {number} - A number from 0 up to 1
+ */
+export function nextRandom(holder) {
+  let t = holder._randomState = (holder._randomState + 0x6D2B79F5) | 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Merges the given parameters over the defaults for an animation type.
+ * Unknown keys are dropped and values are coerced to the type of their default.
+ * @param {String} type - The animation type (key of animationHandlers)
+ * @param {Object} parameters - Parameters to apply over the defaults
+ * @returns {Object} - A complete parameter set for the handler
+ */
+export function resolveAnimationParameters(type, parameters = {}) {
+  const defaults = animationDefaults[type] || {};
+  const resolved = { ...defaults };
+
+  Object.keys(defaults).forEach(key => {
+    const value = parameters?.[key];
+    if (value === undefined || value === null || value === '') return;
+
+    if (typeof defaults[key] === 'number') {
+      const num = Number(value);
+      if (Number.isFinite(num)) resolved[key] = num;
+    } else if (typeof defaults[key] === 'boolean') {
+      resolved[key] = value === true || value === 'true';
+    } else if (key !== 'ease' || easeFamilies.includes(value)) {
+      resolved[key] = String(value);
+    }
+  });
+
+  return resolved;
+}
+
+// Parameters affected by relative speed and amplitude changes for each animation type.
+// "speed" keys are multiplied by the speed factor, "duration" keys divided by it.
+export const parameterScaling = {
+  birds: { speed: ['maxSpeed'], duration: [], amplitude: [] },
+  swim: { speed: ['maxSpeed'], duration: [], amplitude: ['wiggle'] },
+  sway: { speed: [], duration: ['duration'], amplitude: ['drift', 'rock'] },
+  float: { speed: ['speed'], duration: [], amplitude: ['radius'] },
+  spin: { speed: ['speed'], duration: [], amplitude: [] },
+  pulse: { speed: [], duration: ['duration'], amplitude: ['grow', 'fade'] },
+  emit: { speed: ['gravity', 'wind'], duration: ['lifetime'], amplitude: [] },
+  fix: { speed: [], duration: [], amplitude: [] },
+  hop: { speed: ['speed'], duration: ['duration'], amplitude: ['height'] },
+  keyframe: { speed: [], duration: [], amplitude: [] },
+  path: { speed: ['speed'], duration: [], amplitude: [] }
+};
+
+/**
+ * Scales an animation's parameters by relative speed and amplitude factors
+ * @param {String} type - The animation type
+ * @param {Object} parameters - The current parameters
+ * @param {Object} factors - { speed, amplitude } multipliers (1 leaves a value unchanged)
+ * @returns {Object} - The scaled parameters
+ */
+export function scaleAnimationParameters(type, parameters, { speed = 1, amplitude = 1 } = {}) {
+  const scaling = parameterScaling[type] || {};
+  const scaled = resolveAnimationParameters(type, parameters);
+  
+  (scaling.speed || []).forEach(key => { scaled[key] *= speed; });
+  (scaling.duration || []).forEach(key => { scaled[key] /= speed; });
+  (scaling.amplitude || []).forEach(key => { scaled[key] *= amplitude; });
+  
+  return scaled;
+}
+
+// Natural cycle length (in seconds) of the looping handlers, so exports can loop seamlessly.
+// A sway goes out and back; a hop rises and falls once per duration.
+// Birds and fish wander freely and have no cycle.
+swayApples.cycleLength = (parameters) => 2 * resolveAnimationParameters('sway', parameters).duration;
+hopObjects.cycleLength = (parameters) => resolveAnimationParameters('hop', parameters).duration;
+
+/**
+ * Gets the natural cycle length of an animation
+ * @param {Object} anim - The animation entry from canvas.activeAnimations
+ * @returns {number|null} - Seconds per cycle, or null if the animation doesn't repeat
+ */
+export function getAnimationCycleLength(anim) {
+  const handler = animationHandlers[anim.type];
+  if (!handler || typeof handler.cycleLength !== 'function') return null;
+  return handler.cycleLength(anim.parameters, anim);
+}
+
+/**
+ * Works out how long a recording must be for all looping animations to line up
+ * again at the end, i.e. the least common multiple of their cycle lengths
+ * @param {Array<Object>} animations - Animation entries
+ * @param {number} maxDuration - Longest loop to accept, in seconds
+ * @returns {Object} - { duration, seamless }; seamless is false when no common
+ *   loop fits (or something like birds never repeats) and duration is a best guess
+ */
+export function getLoopDuration(animations, maxDuration = 10) {
+  const cycles = [];
+  let seamless = true;
+  
+  animations.forEach(anim => {
+    const cycle = getAnimationCycleLength(anim);
+    if (cycle > 0) {
+      cycles.push(Math.round(cycle * 1000)); // Whole milliseconds so the LCM is exact
+    } else if (anim.type !== 'fix') {
+      seamless = false;
+    }
+  });
+  
+  if (cycles.length === 0) {
+    return { duration: null, seamless: false };
+  }
+  
+  const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+  const loopMs = cycles.reduce((lcm, cycle) => lcm / gcd(lcm, cycle) * cycle);
+  
+  if (loopMs / 1000 > maxDuration) {
+    // Fall back to as many whole cycles of the longest animation as fit
+    const longest = Math.max(...cycles);
+    return { duration: Math.max(1, Math.floor(maxDuration * 1000 / longest)) * longest / 1000, seamless: false };
+  }
+  
+  return { duration: loopMs / 1000, seamless };
+}
+
+/**
+ * Recolors the live objects of an animation and records the color in its data
+ * @param {Object} canvas - The fabric.js canvas
+ * @param {Object} anim - The animation entry from canvas.activeAnimations
+ * @param {String} color - Any CSS color
+ */
+export function setAnimationColor(canvas, anim, color) {
+  const ids = new Set(anim.data.map(d => d.id));
+  
+  canvas.getObjects().filter(o => ids.has(o.id)).forEach(obj => {
+    if (obj.animationType === 'bird') {
+      // Birds are filled body and wing shapes around a transparent padding rect
+      obj.getObjects()
+        .filter(part => part.type === 'polygon' || part.type === 'triangle')
+        .forEach(part => part.set('fill', color));
+    } else if (obj.type === 'group') {
+      // Grouped strokes are recolored together
+      obj.getObjects().forEach(member => member.set('stroke', color));
+    } else {
+      obj.set('stroke', color);
+    }
+    obj.dirty = true;
+  });
+  
+  // Keep the color in the animation data so history replay restores it
+  anim.data.forEach(d => {
+    d.color = color;
+  });
+  
+  canvas.requestRenderAll();
+}
+
+/**
+ * Applies new parameters to an existing animation and its live objects
+ * @param {Object} canvas - The fabric.js canvas
+ * @param {Object} anim - The animation entry from canvas.activeAnimations
+ * @param {Object} parameters - Parameters to merge over the current ones
+ * @returns {Object} - The resolved parameters now in effect
+ */
+export function updateAnimationParameters(canvas, anim, parameters = {}) {
+  const resolved = resolveAnimationParameters(anim.type, { ...anim.parameters, ...parameters });
+  anim.parameters = resolved;
+  
+  // Update the live objects; handlers read their config object on every frame,
+  // and tweens with baked-in values are rebuilt through customRestart
+  const ids = new Set(anim.data.map(d => d.id));
+  canvas.getObjects().filter(o => ids.has(o.id)).forEach(obj => {
+    if (obj.animationParameters) {
+      Object.assign(obj.animationParameters, resolved);
+    } else {
+      obj.animationParameters = { ...resolved };
+    }
+    
+    if (obj.tween?.customRestart) {
+      obj.tween.customRestart();
+    }
+  });
+  
+  canvas.requestRenderAll();
+  return resolved;
+}
+
 /**
  * Sets all provided objects to the same z-index to ensure they move together visually
  * @param {Array} objects - Array of fabric.js objects to set to the same z-index
@@ -33,9 +324,125 @@ export function setObjectsToSameZIndex(objects, zIndex) {
   return zIndex;
 }
 
+/**
+ * Puts objects that share a groupId into one fabric.Group centered on them, in their place on the
+ * canvas, so an animation can move them as one piece. The group's z-index comes from its saved data
+ * entry first, then the z-index shared by the animation, then the highest of its members.
+ * @param {Object} canvas - The fabric.js canvas object
+ * @param {Array} groupMembers - The objects in the group
+ * @param {String} groupId - Their shared groupId
+ * @param {Object} options - { dataEntry, groupZIndex, groupCreationOrder }
+ * @returns {Object} - { group, zIndex } with the group on the canvas in place of its members
+ */
+function createAnimationGroup(canvas, groupMembers, groupId, { dataEntry, groupZIndex, groupCreationOrder } = {}) {
+  let zIndex;
+  if (dataEntry && dataEntry.zIndex !== undefined) {
+    zIndex = dataEntry.zIndex;
+  } else if (groupZIndex !== undefined) {
+    zIndex = groupZIndex;
+  } else {
+    zIndex = setObjectsToSameZIndex(groupMembers);
+  }
+
+  // A group saved with the animation (e.g. replayed from history) is animated as it is,
+  // rather than wrapped in another group
+  const [saved] = groupMembers;
+  if (groupMembers.length === 1 && saved.type === 'group' && saved.memberIds) {
+    if (zIndex !== undefined) {
+      saved.set('zIndex', zIndex);
+    }
+    if (groupCreationOrder !== undefined) {
+      saved._creationOrder = groupCreationOrder;
+    }
+    saved.groupId = groupId;
+    saved.id ||= fabric.Object.__uidCounter++;
+    return { group: saved, zIndex };
+  }
+
+  // Calculate center position
+  let centerX = 0, centerY = 0;
+  groupMembers.forEach(obj => {
+    const point = obj.getCenterPoint();
+    centerX += point.x;
+    centerY += point.y;
+  });
+  centerX /= groupMembers.length;
+  centerY /= groupMembers.length;
+
+  const groupOptions = {
+    left: centerX,
+    top: centerY,
+    originX: 'center',
+    originY: 'center',
+    selectable: true
+  };
+  if (zIndex !== undefined) {
+    groupOptions.zIndex = zIndex;
+  }
+  if (groupCreationOrder !== undefined) {
+    groupOptions._creationOrder = groupCreationOrder;
+  }
+
+  const group = new fabric.Group(groupMembers, groupOptions);
+  groupMembers.forEach(obj => canvas.remove(obj));
+
+  group.groupId = groupId;
+  group.memberIds = groupMembers.map(obj => obj.id);
+  canvas.add(group);
+  group.id ||= fabric.Object.__uidCounter++;
+
+  return { group, zIndex };
+}
+
+/**
+ * The data entry fields every animated group has; handlers add their own settings to them
+ * @param {fabric.Group} group - A group from createAnimationGroup
+ * @param {Number} zIndex - The z-index it was given
+ * @returns {Object} - { id, isGroup, groupId, memberIds, zIndex }
+ */
+function groupDataFields(group, zIndex) {
+  return {
+    id: group.id,
+    isGroup: true,
+    groupId: group.groupId,
+    memberIds: group.memberIds,
+    zIndex: group.get('zIndex') || zIndex || 0
+  };
+}
+
+/**
+ * Makes an animation ID from the type and the time that no animation on the canvas has yet
+ * @param {Object} canvas - The fabric.js canvas object
+ * @param {String} key - The animation type
+ * @returns {String} - The new ID
+ */
+function newAnimationId(canvas, key) {
+  // Several animations can be created in the same millisecond (e.g. by a multi-step plan)
+  let stamp = Date.now();
+  while (canvas.activeAnimations.some(a => a.id === `${key}_${stamp}`)) stamp++;
+  return `${key}_${stamp}`;
+}
+
+/**
+ * Animates the selected objects with the animation type named in the prompt
+ * @param {String} prompt - Text naming the animation type, e.g. 'birds'
+ * @param {Object} canvas - The fabric.js canvas object
+ * @param {Array} selected - The objects to animate
+ * @param {Object} options - { id, data, update, title, parameters, schedule, ... } for the handler and entry
+ * @param {Object} flags - { save } whether to record a history state
+ * @returns {Object|undefined} - The animation entry, or { error } if the selection can't be animated that way
+ */
 export function animate(prompt, canvas, selected, options = {}, { save = true } = {}) {
   const key = Object.keys(animationHandlers).find(k => new RegExp(k, 'i').test(prompt));
-  if (!key) return alert('Only birds, sway, hop, or fix are supported.');
+  if (!key) return alert('Only birds, swim, sway, float, spin, pulse, emit, hop, fix, keyframe, or path are supported.');
+
+  // Handlers that need a particular selection (a path, water) say what is missing before
+  // anything is changed, so a failed reanimation keeps the animation it would have replaced
+  const selectionError = animationHandlers[key].checkSelection?.(canvas, selected, options);
+  if (selectionError) {
+    console.warn(`Can't animate the selection as ${key}:`, selectionError);
+    return { error: selectionError };
+  }
 
   // Debug mode
   const debugMode = options.debugMode || false;
@@ -70,8 +477,10 @@ export function animate(prompt, canvas, selected, options = {}, { save = true }
 
   const reanimate = options.update && (options.data?.length !== 0);
   let all_changed = false;
-  let animId = options.id || `${key}_${Date.now()}`;
+  let animId = options.id || newAnimationId(canvas, key);
   let existingTitle = null;
+  let existingParameters;
+  let existingSchedule;
 
   if (reanimate) {
     const existingIndex = canvas.activeAnimations.findIndex(a => a.id === options.id);
@@ -79,6 +488,12 @@ export function animate(prompt, canvas, selected, options = {}, { save = true }
     if (existingIndex !== -1) {
       const anim = canvas.activeAnimations[existingIndex];
       
+      // Keep the existing motion parameters if the animation type is unchanged
+      if (anim.type === key) {
+        existingParameters = anim.parameters;
+      }
+      existingSchedule = anim.schedule;
+      
       // Create a set of all selected object IDs, including those in the same group
       const selectedIds = new Set();
       
@@ -99,7 +514,7 @@ export function animate(prompt, canvas, selected, options = {}, { save = true }
       });
       
       // Filter out data entries for objects that are being reanimated
-      const remainingData = anim.data.filter(d => {
+      let remainingData = anim.data.filter(d => {
         // Check if this data entry is for an object being reanimated
         if (selectedIds.has(d.id)) {
           return false;
@@ -113,6 +528,17 @@ export function animate(prompt, canvas, selected, options = {}, { save = true }
         return true;
       });
 
+      // A path with no followers left, or water with no fish, is just a stroke again
+      if (remainingData.every(d => d.isPath || d.isWater)) {
+        remainingData = [];
+      }
+      anim.data.filter(d => d.isPath && !remainingData.includes(d)).forEach(d => {
+        const stroke = canvas.getObjects().find(o => o.id === d.id);
+        if (!stroke) return;
+        delete stroke.isMotionPath;
+        stroke.set({ visible: true });
+      });
+
       console.log('Remaining data:', remainingData);
 
       if (remainingData.length === 0) {
@@ -124,7 +550,7 @@ export function animate(prompt, canvas, selected, options = {}, { save = true }
       }
 
       // reuse ID if full reanimation, otherwise assign new one
-      animId = all_changed ? options.id : `${key}_${Date.now()}`;
+      animId = all_changed ? options.id : newAnimationId(canvas, key);
   
   // If this is a reanimation, preserve the title and customization state from the existing animation
   if (reanimate && !all_changed && existingIndex !== -1) {
@@ -140,14 +566,28 @@ export function animate(prompt, canvas, selected, options = {}, { save = true }
 
   const animateFunc = animationHandlers[key];
   
-  // Pass the group z-index and creation order to the animation handler
+  // Resolve the motion parameters for this animation
+  const requestedParameters = options.parameters || existingParameters;
+  const parameters = resolveAnimationParameters(key, requestedParameters);
+  
+  // New seeded animations get their own seed, which is then saved so they replay the same way
+  if ('seed' in parameters && requestedParameters?.seed === undefined) {
+    parameters.seed = Math.floor(Math.random() * 1000000);
+  }
+  
+  // Pass the group z-index, creation order and parameters to the animation handler
   const animOptions = {
     ...options,
+    parameters,
     groupZIndex,
     groupCreationOrder
   };
   
   const result = animateFunc(canvas, selected, animOptions);
+  if (result.error) {
+    console.warn(`Can't animate the selection as ${key}:`, result.error);
+    return { error: result.error };
+  }
   const { objects, data } = result;
 
   objects.forEach((obj, i) => {
@@ -171,10 +611,15 @@ export function animate(prompt, canvas, selected, options = {}, { save = true }
     _titleCustomized: options._titleCustomized || false, // Preserve customization state
     prompt,
     data,
+    parameters,
     createdAt,
     updatedAt: Date.now() // Track last modification time
   };
 
+  // When it runs on the timeline; without a schedule it runs all the time
+  const schedule = options.schedule || existingSchedule;
+  if (schedule) animationEntry.schedule = resolveSchedule(schedule);
+
   console.log('Animation entry:', animationEntry);
   console.log('Reanimate:', reanimate);
   console.log('All changed:', all_changed);
@@ -186,10 +631,31 @@ export function animate(prompt, canvas, selected, options = {}, { save = true }
   if (save && objects.length > 0) {
     setTimeout(() => canvas.history.saveState(), 20);
   }
+  
+  return animationEntry;
 }
 
 
-export function animateBirds(canvas, selected, { data = [], debugMode = false, preserveColor = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
+/**
+ * Turns a drawing to face the way it moves. It is mirrored when it heads away from the way
+ * it was drawn facing, and tilts up or down with its heading.
+ * @param {fabric.Object} obj - The drawing
+ * @param {Object} velocity - { x, y } it moves by
+ * @param {String} facing - 'right' or 'left', the way it was drawn facing
+ */
+function faceVelocity(obj, velocity, facing) {
+  const speed = Math.hypot(velocity.x, velocity.y);
+
+  // Moving nearly straight up or down keeps the side it was facing
+  if (Math.abs(velocity.x) > speed * 0.2) {
+    obj.flipX = (velocity.x < 0) !== (facing === 'left');
+  }
+  const headingLeft = obj.flipX !== (facing === 'left');
+  const tilt = Math.max(-45, Math.min(45, Math.atan2(velocity.y, Math.abs(velocity.x)) * 180 / Math.PI));
+  obj.angle = headingLeft ? -tilt : tilt;
+}
+
+export function animateBirds(canvas, selected, { data = [], parameters = {}, debugMode = false, preserveColor = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
   // Debug info
   if (debugMode) {
     console.log("animateBirds called with options:", { 
@@ -205,6 +671,9 @@ export function animateBirds(canvas, selected, { data = [], debugMode = false, p
   
   // If we have a group z-index, ensure all birds use it
   const useGroupZIndex = groupZIndex !== undefined;
+  const flockConfig = resolveAnimationParameters('birds', parameters);
+  // Drawn bodies flock the selected strokes as they are instead of replacing them with birds
+  const drawnBodies = flockConfig.body === 'drawing';
   // Group objects by groupId
   const groupedObjects = new Map(); // Map of groupId -> objects
   const singleObjects = []; // Objects that are not part of any group
@@ -279,9 +748,11 @@ export function animateBirds(canvas, selected, { data = [], debugMode = false, p
     originalIds.push(members.map(obj => obj.id));
   });
 
-  // Remove all original objects
+  // Remove all original objects, unless they are the birds' bodies
   canvas.discardActiveObject();
-  selected.forEach(o => canvas.remove(o));
+  if (!drawnBodies) {
+    selected.forEach(o => canvas.remove(o));
+  }
   canvas.requestRenderAll();
 
   const birds = [];
@@ -342,6 +813,7 @@ export function animateBirds(canvas, selected, { data = [], debugMode = false, p
 
     bird.isAnimated = true;
     bird.animationType = 'bird';
+    bird.animationParameters = flockConfig;
     bird.originalLeft = x;
     bird.originalTop = y;
     
@@ -433,19 +905,139 @@ export function animateBirds(canvas, selected, { data = [], debugMode = false, p
       });
     }
     
-    const bird = createBirdAt(p.x, p.y, color, i, zIndex, debugMode);
+    const bird = drawnBodies ? keepDrawnBird(p, zIndex) : createBirdAt(p.x, p.y, color, i, zIndex, debugMode);
     birds.push(bird);
   });
 
+  // Flocks a drawn stroke, or a group of them as one, in place of a built-in bird
+  function keepDrawnBird(position, zIndex) {
+    let bird;
+
+    if (position.groupId) {
+      const members = selected.filter(o => o.groupId === position.groupId);
+
+      // A group that already flocked (e.g. replayed from history) is used as it is
+      if (members.length === 1 && members[0].type === 'group') {
+        bird = members[0];
+        bird.set({ originX: 'center', originY: 'center', left: position.x, top: position.y });
+      } else {
+        const groupOptions = {
+          left: position.x,
+          top: position.y,
+          originX: 'center',
+          originY: 'center'
+        };
+        if (groupCreationOrder !== undefined) {
+          groupOptions._creationOrder = groupCreationOrder;
+        }
+
+        bird = new fabric.Group(members, groupOptions);
+        members.forEach(obj => canvas.remove(obj));
+        canvas.add(bird);
+        bird.memberIds = position.sourceIds;
+      }
+
+      bird.groupId = position.groupId;
+      bird.isGroupRepresentative = true;
+      addFlap(bird);
+    } else {
+      bird = selected.find(o => o.id === position.sourceId);
+      bird.set({ originX: 'center', originY: 'center', left: position.x, top: position.y });
+      if (groupCreationOrder !== undefined) {
+        bird._creationOrder = groupCreationOrder;
+      }
+    }
+
+    if (zIndex !== undefined) {
+      bird.set('zIndex', zIndex);
+    }
+    bird.set({ selectable: true, hasControls: false, hoverCursor: 'pointer' });
+    bird.isAnimated = true;
+    bird.animationType = 'drawnBird';
+    bird.animationParameters = flockConfig;
+    bird.originalLeft = position.x;
+    bird.originalTop = position.y;
+    bird._debugZIndex = zIndex;
+    bird.setCoords();
+
+    if (debugMode) {
+      console.log(`Drawn bird at (${position.x}, ${position.y}) - Z-index: ${zIndex}`);
+    }
+    return bird;
+  }
+
+  // Drawn groups flap by shearing or folding the strokes left and right of the middle as they are
+  // drawn. The strokes themselves don't change, so a saved scene never holds them mid-flap.
+  function addFlap(bird) {
+    const halfWidth = bird.width / 2;
+    bird.flapLevel = 0;
+    // The wings move outside the group's cached bounds
+    bird.objectCaching = false;
+
+    bird.getObjects().forEach(member => {
+      const { x } = member.getRelativeCenterPoint();
+      // Strokes around the middle are the body and stay still
+      if (Math.abs(x) < halfWidth * 0.15) return;
+      const side = x < 0 ? -1 : 1;
+
+      member.flapRender = Object.getPrototypeOf(member).render;
+      member.render = function(ctx) {
+        if (bird.animationType !== 'drawnBird' || this.group !== bird) {
+          delete this.render;
+          return this.render(ctx);
+        }
+        const level = bird.flapLevel * Math.max(0, Math.min(1, flockConfig.flapStrength));
+
+        ctx.save();
+        if (flockConfig.flap === 'skew') {
+          // Both halves lift at their tips, up to 40 degrees
+          ctx.transform(1, -side * Math.tan(level * 40 * Math.PI / 180), 0, 1, 0, 0);
+        } else if (flockConfig.flap === 'scale') {
+          // Both halves fold in toward the middle, to 40% of their span
+          ctx.scale(1 - level * 0.6, 1);
+        }
+        this.flapRender(ctx);
+        ctx.restore();
+      };
+    });
+
+    const tween = gsap.to(bird, {
+      flapLevel: 1,
+      duration: 0.3,
+      yoyo: true,
+      repeat: -1,
+      ease: 'sine.inOut',
+      onUpdate: () => {
+        // Stop once the bird is removed (or replaced by undo) or given another animation
+        if (!bird.canvas || bird.animationType !== 'drawnBird') {
+          tween.kill();
+          return;
+        }
+        canvas.requestRenderAll();
+      }
+    });
+  }
+
+  // Built-in birds point along their heading; drawings stay upright and turn to face it
+  function orient(b, velocity) {
+    if (drawnBodies) {
+      faceVelocity(b, velocity, flockConfig.facing);
+    } else {
+      b.angle = Math.atan2(velocity.y, velocity.x) * 180 / Math.PI;
+    }
+  }
+
   function setupFlocking(birds) {
-    const vel = birds.map(() => ({ x: Math.random() * 2 - 1, y: Math.random() * 2 - 1 }));
+    // Each bird draws from its own seeded sequence, so the same seed gives the same flight
+    birds.forEach((b, i) => {
+      b._randomState = (flockConfig.seed * 1000 + i) | 0;
+    });
+    const vel = birds.map(b => ({ x: nextRandom(b) * 2 - 1, y: nextRandom(b) * 2 - 1 }));
 
-    const NEIGHBOR = 60;
-    const MAX_SPEED = 2.5;
-    const ALIGN_W = 0.05, COH_W = 0.02, SEP_W = 0.1;
     const BOUNDS = { w: canvas.getWidth(), h: canvas.getHeight() };
 
     function limit(v) {
+      const MAX_SPEED = flockConfig.maxSpeed;
       const m = Math.hypot(v.x, v.y);
       if (m > MAX_SPEED) {
         v.x = (v.x / m) * MAX_SPEED;
@@ -469,7 +1061,13 @@ export function animateBirds(canvas, selected, { data = [], debugMode = false, p
     });
     
     function update() {
+      // Read the flock parameters each frame so edits apply live
+      const NEIGHBOR = flockConfig.neighborRadius;
+      const ALIGN_W = flockConfig.alignWeight, COH_W = flockConfig.cohesionWeight, SEP_W = flockConfig.separationWeight;
+      
       birds.forEach((b, i) => {
+        // Birds wait in place while their schedule has them resting
+        if (b.scheduleIdle) return;
         let ax = 0, ay = 0, cx = 0, cy = 0, sx = 0, sy = 0, cnt = 0;
 
         birds.forEach((o, j) => {
@@ -530,7 +1128,7 @@ export function animateBirds(canvas, selected, { data = [], debugMode = false, p
           b.top = Math.max(0, Math.min(BOUNDS.h, b.top));
         }
 
-        b.angle = Math.atan2(vel[i].y, vel[i].x) * 180 / Math.PI;
+        orient(b, vel[i]);
         b.setCoords();
       });
 
@@ -539,7 +1137,13 @@ export function animateBirds(canvas, selected, { data = [], debugMode = false, p
     
     // Fallback function if the module import fails
     function updateWithoutInteractions() {
+      // Read the flock parameters each frame so edits apply live
+      const NEIGHBOR = flockConfig.neighborRadius;
+      const ALIGN_W = flockConfig.alignWeight, COH_W = flockConfig.cohesionWeight, SEP_W = flockConfig.separationWeight;
+      
       birds.forEach((b, i) => {
+        // Birds wait in place while their schedule has them resting
+        if (b.scheduleIdle) return;
         let ax = 0, ay = 0, cx = 0, cy = 0, sx = 0, sy = 0, cnt = 0;
 
         birds.forEach((o, j) => {
@@ -576,7 +1180,7 @@ export function animateBirds(canvas, selected, { data = [], debugMode = false, p
           b.top = Math.max(0, Math.min(BOUNDS.h, b.top));
         }
 
-        b.angle = Math.atan2(vel[i].y, vel[i].x) * 180 / Math.PI;
+        orient(b, vel[i]);
         b.setCoords();
       });
 
@@ -662,16 +1266,17 @@ export function animateBirds(canvas, selected, { data = [], debugMode = false, p
   
   // Create data entries for each bird
   const birdData = birds.map((bird, i) => {
-    // Get the body element to extract the actual color
-    const body = bird.getObjects().find(o => o.type === 'polygon');
-    const actualColor = body ? body.fill : (positions[i].color || '#222');
-    
     const dataEntry = {
       id: bird.id,
-      color: actualColor, // Use the actual body color, not the group's fill
       zIndex: bird.get('zIndex') || 0 // Store the z-index for history
     };
     
+    // Get the body element to extract the actual color; drawn birds keep their own strokes
+    if (!drawnBodies) {
+      const body = bird.getObjects().find(o => o.type === 'polygon');
+      dataEntry.color = body ? body.fill : (positions[i].color || '#222'); // Use the actual body color, not the group's fill
+    }
+    
     // If this is a group representation, include the member info
     if (bird.isGroupRepresentative) {
       dataEntry.isGroup = true;
@@ -687,7 +1292,7 @@ export function animateBirds(canvas, selected, { data = [], debugMode = false, p
     data: birdData
   };
   
-  if (debugMode) {
+  if (debugMode && !drawnBodies) {
     console.log("Final bird animation data:", birdData);
     
     // Verify each bird has the right color stored in its data
@@ -712,7 +1317,7 @@ export function animateBirds(canvas, selected, { data = [], debugMode = false, p
   return result;
 }
 
-export function swayApples(canvas, objs, { data = [], debugMode = false, preserveColor = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
+export function swayApples(canvas, objs, { data = [], parameters = {}, debugMode = false, preserveColor = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
   // Debug info
   if (debugMode) {
     console.log("swayApples called with options:", { 
@@ -728,9 +1333,18 @@ export function swayApples(canvas, objs, { data = [], debugMode = false, preserv
   
   // If we have a group z-index, ensure all sway use it
   const useGroupZIndex = groupZIndex !== undefined;
-  const drift = 10;
-  const rock = 8;
-  const dur = 1.2;
+  const swayConfig = resolveAnimationParameters('sway', parameters);
+  
+  // Creates a sway tween from the current sway parameters
+  const createSwayTween = (target, onUpdate) => gsap.to(target, {
+    swayX: `+=${swayConfig.drift}`,
+    swayAngle: `+=${swayConfig.rock}`,
+    duration: swayConfig.duration,
+    yoyo: true,
+    repeat: -1,
+    ease: getEase(swayConfig.ease, 'inOut'),
+    onUpdate
+  });
 
   canvas.discardActiveObject();
   
@@ -801,6 +1415,7 @@ export function swayApples(canvas, objs, { data = [], debugMode = false, preserv
 
     obj.isAnimated = true;
     obj.animationType = 'apple';
+    obj.animationParameters = swayConfig;
     obj.originalLeft = x;
     obj.swayX = 0;
     obj.swayAngle = 0;
@@ -816,15 +1431,7 @@ export function swayApples(canvas, objs, { data = [], debugMode = false, preserv
       }
     };
     
-    const tween = gsap.to(obj, {
-      swayX: `+=${drift}`,
-      swayAngle: `+=${rock}`,
-      duration: dur,
-      yoyo: true,
-      repeat: -1,
-      ease: 'sine.inOut',
-      onUpdate: updateFn
-    });
+    const tween = createSwayTween(obj, updateFn);
     
     // Create custom pause/resume methods
     tween.customPause = function() {
@@ -861,20 +1468,13 @@ export function swayApples(canvas, objs, { data = [], debugMode = false, preserv
           // Ensure the animation uses the new origin point
           this.kill(); // Kill the old tween
           // Create a new tween with the updated position
-          const newTween = gsap.to(obj, {
-            swayX: `+=${drift}`,
-            swayAngle: `+=${rock}`,
-            duration: dur,
-            yoyo: true,
-            repeat: -1,
-            ease: 'sine.inOut',
-            onUpdate: updateFn
-          });
+          const newTween = createSwayTween(obj, updateFn);
           // Replace the old tween with the new one
           obj.tween = newTween;
           // Copy custom methods to the new tween
           newTween.customPause = this.customPause;
           newTween.customResume = this.customResume;
+          newTween.customRestart = this.customRestart;
           obj.setCoords();
         } else {
           // Normal restore if not manually moved
@@ -899,6 +1499,34 @@ export function swayApples(canvas, objs, { data = [], debugMode = false, preserv
       }
     };
 
+    // Rebuild the tween so that changed sway parameters take effect
+    tween.customRestart = function() {
+      const wasPaused = this.paused();
+      this.kill();
+      obj.swayX = 0;
+      obj.swayAngle = 0;
+      
+      // Keep a paused object's saved state in line with the restarted sway
+      if (obj._pausedState) {
+        obj._pausedState.swayX = 0;
+        obj._pausedState.swayAngle = 0;
+        obj._pausedState.left = obj._pausedState.originalLeft;
+        obj._pausedState.angle = 0;
+      }
+      
+      const newTween = createSwayTween(obj, updateFn);
+      newTween.customPause = this.customPause;
+      newTween.customResume = this.customResume;
+      newTween.customRestart = this.customRestart;
+      if (wasPaused) {
+        newTween.pause();
+      }
+      obj.tween = newTween;
+      
+      obj.set({ left: obj.originalLeft, angle: 0 });
+      obj.setCoords();
+    };
+    
     obj.tween = tween;
     animatedObjects.push(obj);
     
@@ -911,75 +1539,23 @@ export function swayApples(canvas, objs, { data = [], debugMode = false, preserv
   
   // Handle grouped objects - treat each group as one unit
   groupedObjects.forEach((groupMembers, groupId) => {
-    // Calculate the center of the group
-    let centerX = 0, centerY = 0;
-    
-    // Determine z-index to use, with priority:
-    // 1. Explicit data z-index from history
-    // 2. Group-level z-index (passed from animation function)
-    // 3. Calculate max z-index from group members
-    // 4. Let canvas assign based on creation order
-    let thisGroupZIndex;
-    
-    // Look for data entry for this group
     const groupDataEntry = data.find(d => d.groupId === groupId);
-    
-    if (groupDataEntry && groupDataEntry.zIndex !== undefined) {
-      // Use z-index from history data
-      thisGroupZIndex = groupDataEntry.zIndex;
-    } else if (useGroupZIndex) {
-      // Use the shared animation group z-index
-      thisGroupZIndex = groupZIndex;
-    } else {
-      // Calculate max z-index from members
-      thisGroupZIndex = setObjectsToSameZIndex(groupMembers);
-    }
+    const { group: fabricGroup, zIndex: thisGroupZIndex } = createAnimationGroup(canvas, groupMembers, groupId, {
+      dataEntry: groupDataEntry,
+      groupZIndex: useGroupZIndex ? groupZIndex : undefined,
+      groupCreationOrder
+    });
     
     // Store the z-index for data tracking
     zIndices.set(groupId, thisGroupZIndex);
     
-    // Calculate center position
-    groupMembers.forEach(obj => {
-      const point = obj.getCenterPoint();
-      centerX += point.x;
-      centerY += point.y;
-    });
-    centerX /= groupMembers.length;
-    centerY /= groupMembers.length;
-    
-    // Create group options 
-    const groupOptions = {
-      left: centerX,
-      top: centerY,
-      originX: 'center',
-      originY: 'center',
-      selectable: true
-    };
-    
-    // Apply z-index if defined
-    if (thisGroupZIndex !== undefined) {
-      groupOptions.zIndex = thisGroupZIndex;
-    }
-    
-    // Apply creation order if available
-    if (groupCreationOrder !== undefined) {
-      groupOptions._creationOrder = groupCreationOrder;
-    }
-    
-    // Create a Fabric.js Group from the objects
-    const fabricGroup = new fabric.Group(groupMembers, groupOptions);
-    
-    // Remove original objects from canvas
-    groupMembers.forEach(obj => canvas.remove(obj));
-    
     // Add group properties for animation
     fabricGroup.isAnimated = true;
     fabricGroup.animationType = 'apple';
-    fabricGroup.originalLeft = centerX;
+    fabricGroup.animationParameters = swayConfig;
+    fabricGroup.originalLeft = fabricGroup.left;
     fabricGroup.swayX = 0;
     fabricGroup.swayAngle = 0;
-    fabricGroup.groupId = groupId;
-    fabricGroup.memberIds = groupMembers.map(obj => obj.id);
     
     // Animate the group as a single unit
     // Create a better tween handling that saves state on pause for groups
@@ -993,15 +1569,7 @@ export function swayApples(canvas, objs, { data = [], debugMode = false, preserv
       }
     };
     
-    const tween = gsap.to(fabricGroup, {
-      swayX: `+=${drift}`,
-      swayAngle: `+=${rock}`,
-      duration: dur,
-      yoyo: true,
-      repeat: -1,
-      ease: 'sine.inOut',
-      onUpdate: updateFn
-    });
+    const tween = createSwayTween(fabricGroup, updateFn);
     
     // Create custom pause/resume methods for groups
     tween.customPause = function() {
@@ -1037,20 +1605,13 @@ export function swayApples(canvas, objs, { data = [], debugMode = false, preserv
           // Ensure the animation uses the new origin point
           this.kill(); // Kill the old tween
           // Create a new tween with the updated position
-          const newTween = gsap.to(fabricGroup, {
-            swayX: `+=${drift}`,
-            swayAngle: `+=${rock}`,
-            duration: dur,
-            yoyo: true,
-            repeat: -1,
-            ease: 'sine.inOut',
-            onUpdate: updateFn
-          });
+          const newTween = createSwayTween(fabricGroup, updateFn);
           // Replace the old tween with the new one
           fabricGroup.tween = newTween;
           // Copy custom methods to the new tween
           newTween.customPause = this.customPause;
           newTween.customResume = this.customResume;
+          newTween.customRestart = this.customRestart;
           fabricGroup.setCoords();
         } else {
           // Normal restore if not manually moved
@@ -1074,22 +1635,41 @@ export function swayApples(canvas, objs, { data = [], debugMode = false, preserv
       }
     };
     
-    fabricGroup.tween = tween;
+    // Rebuild the tween so that changed sway parameters take effect
+    tween.customRestart = function() {
+      const wasPaused = this.paused();
+      this.kill();
+      fabricGroup.swayX = 0;
+      fabricGroup.swayAngle = 0;
+      
+      // Keep a paused object's saved state in line with the restarted sway
+      if (fabricGroup._pausedState) {
+        fabricGroup._pausedState.swayX = 0;
+        fabricGroup._pausedState.swayAngle = 0;
+        fabricGroup._pausedState.left = fabricGroup._pausedState.originalLeft;
+        fabricGroup._pausedState.angle = 0;
+      }
+      
+      const newTween = createSwayTween(fabricGroup, updateFn);
+      newTween.customPause = this.customPause;
+      newTween.customResume = this.customResume;
+      newTween.customRestart = this.customRestart;
+      if (wasPaused) {
+        newTween.pause();
+      }
+      fabricGroup.tween = newTween;
+      
+      fabricGroup.set({ left: fabricGroup.originalLeft, angle: 0 });
+      fabricGroup.setCoords();
+    };
     
-    // Add the group to the canvas
-    canvas.add(fabricGroup);
+    fabricGroup.tween = tween;
     fabricGroup.setCoords();
     
     animatedObjects.push(fabricGroup);
     
     // Add data entry for the group
-    processedData.push({
-      id: fabricGroup.id ||= fabric.Object.__uidCounter++,
-      isGroup: true,
-      groupId: groupId,
-      memberIds: fabricGroup.memberIds,
-      zIndex: fabricGroup.get('zIndex') || groupZIndex || 0 // Include z-index in data
-    });
+    processedData.push(groupDataFields(fabricGroup, groupZIndex));
   });
 
   // Make sure canvas sorts objects by z-index
@@ -1107,18 +1687,50 @@ export function swayApples(canvas, objs, { data = [], debugMode = false, preserv
   };
 }
 
+// Noise points per loop of a float; the drift repeats after this many, so it can loop seamlessly
+const FLOAT_NOISE_POINTS = 16;
+
 /**
- * "Fix" animation that doesn't actually animate anything,
- * but allows objects to be managed in the interaction panel
- * @param {Object} canvas - The fabric canvas
- * @param {Array} objs - Selected objects to fix
- * @param {Object} options - Animation options
- * @returns {Object} Animation data
+ * Builds a looping, seeded 1D value noise that starts and ends at 0
+ * @param {number} seed - Seeds the noise
+ * @returns {Function} - (t) => value from -1 to 1, repeating every FLOAT_NOISE_POINTS
  */
-export function fixObjects(canvas, objs, { data = [], debugMode = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
+function createLoopingNoise(seed) {
+  const holder = { _randomState: seed | 0 };
+  const points = [0];
+  for (let i = 1; i < FLOAT_NOISE_POINTS; i++) {
+    points.push(nextRandom(holder) * 2 - 1);
+  }
+
+  return (t) => {
+    const wrapped = ((t % FLOAT_NOISE_POINTS) + FLOAT_NOISE_POINTS) % FLOAT_NOISE_POINTS;
+    const i = Math.floor(wrapped);
+    const f = wrapped - i;
+    const smooth = f * f * (3 - 2 * f);
+    const a = points[i];
+    const b = points[(i + 1) % FLOAT_NOISE_POINTS];
+    return a + (b - a) * smooth;
+  };
+}
+
+// A float wanders through its noise once per loop
+floatObjects.cycleLength = (parameters) => {
+  const { speed } = resolveAnimationParameters('float', parameters);
+  return speed > 0 ? FLOAT_NOISE_POINTS / speed : null;
+};
+
+/**
+ * Float animation: objects drift slowly around where they were drawn, following smooth noise,
+ * with a gentle bob and a little rotation. Clouds, balloons and leaves.
+ * @param {Object} canvas - The fabric.js canvas object
+ * @param {Array} objs - Selected objects to animate
+ * @param {Object} options - Animation options; data entries keep each object's noise and resting angle
+ * @returns {Object} Animation data
+ */
+export function floatObjects(canvas, objs, { data = [], parameters = {}, debugMode = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
   if (debugMode) {
-    console.log("fixObjects called with options:", { 
-      preserveZIndex, 
+    console.log("floatObjects called with options:", {
+      preserveZIndex,
       groupZIndex,
       groupCreationOrder,
       dataLength: data.length,
@@ -1126,14 +1738,129 @@ export function fixObjects(canvas, objs, { data = [], debugMode = false, preserv
     });
   }
 
+  const floatConfig = resolveAnimationParameters('float', parameters);
+
+  // How far an object is from its resting pose at a time on its tween. Every part of the
+  // motion is 0 at the start of the loop, so objects rest where they were drawn.
+  const getFloatOffset = (target, time) => {
+    const t = time * floatConfig.speed;
+    let x = target.floatNoise.x(t);
+    let y = target.floatNoise.y(t);
+    const distance = Math.hypot(x, y);
+    if (distance > 1) {
+      x /= distance;
+      y /= distance;
+    }
+
+    return {
+      x: x * floatConfig.radius,
+      y: y * floatConfig.radius + Math.sin(t * Math.PI * 4) * floatConfig.radius * 0.15,
+      angle: target.floatNoise.angle(t) * 6
+    };
+  };
+
+  const placeFloating = (target, time) => {
+    const offset = getFloatOffset(target, time);
+    target.set({
+      left: target.originalLeft + offset.x,
+      top: target.originalTop + offset.y,
+      angle: target.floatBaseAngle + offset.angle
+    });
+    target.setCoords();
+  };
+
+  const createFloatTween = (target) => {
+    const tween = gsap.to(target, {
+      duration: 1,
+      repeat: -1,
+      ease: 'none',
+      onUpdate: () => {
+        // Stop once the object is removed (or replaced by undo) or given another animation
+        if (!target.canvas || target.tween !== tween) {
+          tween.kill();
+          return;
+        }
+        if (!target.dragging) placeFloating(target, tween.totalTime());
+      }
+    });
+    return tween;
+  };
+
+  // Gives an object (or a group standing in for grouped objects) its drift, and fills in its data entry
+  const setUpFloat = (target, dataItem, index, entry) => {
+    target.isAnimated = true;
+    target.animationType = 'float';
+    target.animationParameters = floatConfig;
+    target.floatIndex = dataItem?.noiseIndex ?? index;
+    target.floatBaseAngle = dataItem?.baseAngle ?? target.angle;
+
+    // The entry keeps the resting pose up to date, so undo and replay float the object around
+    // where it rests rather than wherever it had drifted to when the state was saved
+    const saveRestPose = () => Object.assign(entry, {
+      noiseIndex: target.floatIndex,
+      baseAngle: target.floatBaseAngle,
+      restLeft: target.originalLeft,
+      restTop: target.originalTop
+    });
+    saveRestPose();
+
+    // Each object has its own noise for each part of the motion; the seed is read when the
+    // animation is set up, so a changed seed takes effect through customRestart
+    const seedNoise = () => {
+      const base = floatConfig.seed * 1000 + target.floatIndex * 3;
+      target.floatNoise = {
+        x: createLoopingNoise(base),
+        y: createLoopingNoise(base + 1),
+        angle: createLoopingNoise(base + 2)
+      };
+    };
+    seedNoise();
+
+    const tween = createFloatTween(target);
+
+    tween.customPause = function() {
+      this.pause();
+      target._pausedState = {
+        left: target.left,
+        top: target.top,
+        angle: target.angle,
+        zIndex: target.get('zIndex')
+      };
+      target._manuallyMoved = false;
+    };
+
+    tween.customResume = function() {
+      // An object moved while paused keeps drifting around where it was put
+      if (target._manuallyMoved) {
+        const offset = getFloatOffset(target, this.totalTime());
+        target.originalLeft = target.left - offset.x;
+        target.originalTop = target.top - offset.y;
+        target.floatBaseAngle = target.angle - offset.angle;
+        saveRestPose();
+      }
+      delete target._pausedState;
+      delete target._manuallyMoved;
+      this.resume();
+      placeFloating(target, this.totalTime());
+    };
+
+    // The tween reads the radius and speed on every update; only the seed needs new noise
+    tween.customRestart = function() {
+      seedNoise();
+      placeFloating(target, this.totalTime());
+    };
+
+    target.tween = tween;
+  };
+
+  canvas.discardActiveObject();
+
   // Group objects by their groupId
   const groupedObjects = new Map(); // Map of groupId -> objects
   const singleObjects = []; // Objects that are not part of any group
-  const fixedObjects = []; // Objects that will be in the animation
+  const animatedObjects = []; // Objects that will be animated
   const processedData = []; // Data for animation tracking
-  const zIndices = new Map(); // Store z-index by group or individual object
-  
-  // First, categorize objects into groups or singles
+
   objs.forEach(obj => {
     if (obj.groupId) {
       if (!groupedObjects.has(obj.groupId)) {
@@ -1144,350 +1871,419 @@ export function fixObjects(canvas, objs, { data = [], debugMode = false, preserv
       singleObjects.push(obj);
     }
   });
-  
-  // Import the interactions module if needed for orbit
-  let interactionsModule = null;
-  import('./animationInteractions.js').then(module => {
-    interactionsModule = module;
-  }).catch(err => {
-    console.error("Failed to load animation interactions module:", err);
-  });
-  
-  // Handle single objects
+
+  let floatIndex = 0;
+
+  // Handle single objects; they drift and turn about their center
   singleObjects.forEach(obj => {
-    // Determine z-index to use
-    let zIndex;
     const dataItem = data.find(d => d.id === obj.id);
-    
+    let zIndex;
+
     if (dataItem && dataItem.zIndex !== undefined) {
-      // Use z-index from history data
       zIndex = dataItem.zIndex;
     } else if (groupZIndex !== undefined) {
-      // Use the shared group z-index
       zIndex = groupZIndex;
     } else {
-      // Use the object's existing z-index
       zIndex = obj.get('zIndex');
     }
-    
-    // Store for data tracking
-    zIndices.set(obj.id, zIndex);
-    
-    // Apply z-index if defined
+
+    const { x, y } = obj.getCenterPoint();
+    obj.set({ originX: 'center', originY: 'center', left: x, top: y, selectable: true });
+
     if (zIndex !== undefined) {
       obj.set('zIndex', zIndex);
     }
-    
-    // Apply group creation order if defined
     if (groupCreationOrder !== undefined) {
       obj._creationOrder = groupCreationOrder;
     }
-    
-    // Mark as "fixed" animation
-    obj.isAnimated = true;
-    obj.animationType = 'fix';
-    
-    // Create an update function that applies any orbit movement
-    const updateFn = () => {
-      // Skip if being dragged
-      if (obj.dragging) return;
-      
-      // Check for orbit interactions
-      if (interactionsModule && interactionsModule.predictAndProcessOrbit && 
-          canvas.animationInteractions && canvas.animationInteractions.length > 0) {
-        interactionsModule.predictAndProcessOrbit(canvas, obj);
-      }
-    };
-    
-    // Add the update function to the GSAP ticker
-    gsap.ticker.add(updateFn);
-    
-    // Create a tween object that supports orbit
-    const tween = {
-      pause: () => {
-        gsap.ticker.remove(updateFn);
-      },
-      resume: () => {
-        gsap.ticker.add(updateFn);
-      },
-      customPause: function() {
-        // Remove the update function
-        gsap.ticker.remove(updateFn);
-        
-        // Save the current state
-        obj._pausedState = {
-          left: obj.left,
-          top: obj.top,
-          zIndex: obj.get('zIndex'),
-          orbitData: obj._orbitData ? { ...obj._orbitData } : undefined
-        };
-        
-        // Reset the manually moved flag
-        obj._manuallyMoved = false;
-      },
-      customResume: function() {
-        // Restore state if it was saved
-        if (obj._pausedState) {
-          // If the object was manually moved while paused
-          if (obj._manuallyMoved) {
-            // If it was in an orbit, update the orbit data with new position
-            if (obj._pausedState.orbitData) {
-              // Calculate new angle based on current position relative to center
-              const centerX = obj._pausedState.orbitData.centerX;
-              const centerY = obj._pausedState.orbitData.centerY;
-              const dx = obj.left - centerX;
-              const dy = obj.top - centerY;
-              const initialAngle = Math.atan2(dy, dx);
-              const initialDistance = Math.sqrt(dx * dx + dy * dy);
-              
-              // Update orbit data
-              obj._orbitData = {
-                ...obj._pausedState.orbitData,
-                angle: initialAngle,
-                radius: initialDistance
-              };
-            }
-          } else {
-            // If not manually moved, restore position and orbit data
-            obj.left = obj._pausedState.left;
-            obj.top = obj._pausedState.top;
-            
-            // Restore z-index if it was saved
-            if (obj._pausedState.zIndex !== undefined) {
-              obj.set('zIndex', obj._pausedState.zIndex);
-            }
-            
-            // Restore orbit data if it was saved
-            if (obj._pausedState.orbitData) {
-              obj._orbitData = { ...obj._pausedState.orbitData };
-            }
-          }
-          
-          // Clear the paused state and manual move flag
-          delete obj._pausedState;
-          delete obj._manuallyMoved;
-        }
-        
-        // Add the update function back
-        gsap.ticker.add(updateFn);
-      },
-      _updateFn: updateFn // Store the update function for cleanup
-    };
-    
-    obj.tween = tween;
-    fixedObjects.push(obj);
-    
-    // Add data entry
-    processedData.push({
-      id: obj.id,
-      zIndex: zIndex
-    });
+
+    // A replayed object was saved partway through its drift, so it goes back to its saved resting place
+    obj.originalLeft = dataItem?.restLeft ?? x;
+    obj.originalTop = dataItem?.restTop ?? y;
+
+    const entry = { id: obj.id, zIndex: zIndex };
+    setUpFloat(obj, dataItem, floatIndex++, entry);
+    obj.setCoords();
+    animatedObjects.push(obj);
+    processedData.push(entry);
   });
-  
-  // Handle grouped objects - create proper Fabric.js groups for better orbit handling
+
+  // Handle grouped objects - each group drifts as one unit
   groupedObjects.forEach((groupMembers, groupId) => {
-    // Determine z-index to use
-    let groupZIndexValue;
     const groupDataEntry = data.find(d => d.groupId === groupId);
-    
-    if (groupDataEntry && groupDataEntry.zIndex !== undefined) {
-      // Use z-index from history data
-      groupZIndexValue = groupDataEntry.zIndex;
-    } else if (groupZIndex !== undefined) {
-      // Use the shared animation group z-index
-      groupZIndexValue = groupZIndex;
-    } else {
-      // Calculate max z-index from members
-      groupZIndexValue = setObjectsToSameZIndex(groupMembers);
-    }
-    
-    // Store the z-index for data tracking
-    zIndices.set(groupId, groupZIndexValue);
-    
-    // Calculate center position for the group
-    let centerX = 0, centerY = 0;
-    groupMembers.forEach(obj => {
-      const point = obj.getCenterPoint();
-      centerX += point.x;
-      centerY += point.y;
-    });
-    centerX /= groupMembers.length;
-    centerY /= groupMembers.length;
-    
-    // Create group options
-    const groupOptions = {
-      left: centerX,
-      top: centerY,
-      originX: 'center',
-      originY: 'center',
-      selectable: true,
-      zIndex: groupZIndexValue
+    const { group: fabricGroup, zIndex: thisGroupZIndex } = createAnimationGroup(canvas, groupMembers, groupId, {
+      dataEntry: groupDataEntry,
+      groupZIndex,
+      groupCreationOrder
+    });
+    fabricGroup.originalLeft = groupDataEntry?.restLeft ?? fabricGroup.left;
+    fabricGroup.originalTop = groupDataEntry?.restTop ?? fabricGroup.top;
+
+    const entry = groupDataFields(fabricGroup, thisGroupZIndex);
+    setUpFloat(fabricGroup, groupDataEntry, floatIndex++, entry);
+    fabricGroup.setCoords();
+    animatedObjects.push(fabricGroup);
+    processedData.push(entry);
+  });
+
+  // Make sure canvas sorts objects by z-index
+  canvas._objects.sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+
+  return {
+    objects: animatedObjects,
+    data: processedData
+  };
+}
+
+/**
+ * Turns a vector by an angle
+ * @param {Object} v - { x, y }
+ * @param {number} degrees - Clockwise on the canvas
+ * @returns {Object} - { x, y }
+ */
+function rotateVector(v, degrees) {
+  const radians = degrees * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  return { x: v.x * cos - v.y * sin, y: v.x * sin + v.y * cos };
+}
+
+// One full turn of a spin
+spinObjects.cycleLength = (parameters) => {
+  const { speed } = resolveAnimationParameters('spin', parameters);
+  return speed > 0 ? 360 / speed : null;
+};
+
+/**
+ * Spin animation: objects turn steadily around their center, or around the middle of one of
+ * their edges, like wheels, fans or a swinging sign. Grouped strokes turn as one piece.
+ * @param {Object} canvas - The fabric.js canvas object
+ * @param {Array} objs - Selected objects to animate
+ * @param {Object} options - Animation options; data entries keep each object's resting angle
+ * @returns {Object} Animation data
+ */
+export function spinObjects(canvas, objs, { data = [], parameters = {}, debugMode = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
+  if (debugMode) {
+    console.log("spinObjects called with options:", {
+      preserveZIndex,
+      groupZIndex,
+      groupCreationOrder,
+      dataLength: data.length,
+      selectedObjects: objs.length
+    });
+  }
+
+  const spinConfig = resolveAnimationParameters('spin', parameters);
+
+  // The pivot in the object's own unrotated space, from its center
+  const getPivot = (target) => {
+    const halfWidth = target.width * target.scaleX / 2;
+    const halfHeight = target.height * target.scaleY / 2;
+    const pivots = {
+      top: { x: 0, y: -halfHeight },
+      bottom: { x: 0, y: halfHeight },
+      left: { x: -halfWidth, y: 0 },
+      right: { x: halfWidth, y: 0 }
     };
-    
-    // Create a Fabric.js Group from the objects
-    const fabricGroup = new fabric.Group(groupMembers, groupOptions);
-    
-    // Remove original objects from canvas
-    groupMembers.forEach(obj => canvas.remove(obj));
-    
-    // Mark as "fixed" animation
-    fabricGroup.isAnimated = true;
-    fabricGroup.animationType = 'fix';
-    fabricGroup.groupId = groupId;
-    fabricGroup.memberIds = groupMembers.map(obj => obj.id);
-    
-    // Create an update function for orbit
-    const updateFn = () => {
-      // Skip if being dragged
-      if (fabricGroup.dragging) return;
-      
-      // Check for orbit interactions
-      if (interactionsModule && interactionsModule.predictAndProcessOrbit && 
-          canvas.animationInteractions && canvas.animationInteractions.length > 0) {
-        interactionsModule.predictAndProcessOrbit(canvas, fabricGroup);
+    return pivots[spinConfig.pivot] || { x: 0, y: 0 };
+  };
+
+  const getSpinAngle = (time) => time * spinConfig.speed * (spinConfig.direction === 'counterclockwise' ? -1 : 1);
+
+  // The pivot stays put while the center swings around it
+  const placeSpinning = (target, time) => {
+    const turn = getSpinAngle(time);
+    const pivot = getPivot(target);
+    const atRest = rotateVector(pivot, target.spinBaseAngle);
+    const now = rotateVector(pivot, target.spinBaseAngle + turn);
+    target.set({
+      left: target.originalLeft + atRest.x - now.x,
+      top: target.originalTop + atRest.y - now.y,
+      angle: target.spinBaseAngle + turn
+    });
+    target.setCoords();
+  };
+
+  const createSpinTween = (target) => {
+    const tween = gsap.to(target, {
+      duration: 1,
+      repeat: -1,
+      ease: 'none',
+      onUpdate: () => {
+        // Stop once the object is removed (or replaced by undo) or given another animation
+        if (!target.canvas || target.tween !== tween) {
+          tween.kill();
+          return;
+        }
+        if (!target.dragging) placeSpinning(target, tween.totalTime());
       }
+    });
+    return tween;
+  };
+
+  // Gives an object (or a group standing in for grouped objects) its spin, and fills in its data entry
+  const setUpSpin = (target, dataItem, entry) => {
+    target.isAnimated = true;
+    target.animationType = 'spin';
+    target.animationParameters = spinConfig;
+    target.spinBaseAngle = dataItem?.baseAngle ?? target.angle;
+
+    // The entry keeps the resting pose up to date, so undo and replay turn the object from
+    // its resting place rather than from wherever it had swung to when the state was saved
+    const saveRestPose = () => Object.assign(entry, {
+      baseAngle: target.spinBaseAngle,
+      restLeft: target.originalLeft,
+      restTop: target.originalTop
+    });
+    saveRestPose();
+
+    const tween = createSpinTween(target);
+
+    tween.customPause = function() {
+      this.pause();
+      target._pausedState = {
+        left: target.left,
+        top: target.top,
+        angle: target.angle,
+        zIndex: target.get('zIndex')
+      };
+      target._manuallyMoved = false;
     };
-    
-    // Add the update function to the GSAP ticker
-    gsap.ticker.add(updateFn);
-    
-    // Create a tween object with orbit support
-    const tween = {
-      pause: () => {
-        gsap.ticker.remove(updateFn);
-      },
-      resume: () => {
-        gsap.ticker.add(updateFn);
-      },
-      customPause: function() {
-        // Remove the update function
-        gsap.ticker.remove(updateFn);
-        
-        // Save the current state
-        fabricGroup._pausedState = {
-          left: fabricGroup.left,
-          top: fabricGroup.top,
-          angle: fabricGroup.angle,
-          zIndex: fabricGroup.get('zIndex'),
-          orbitData: fabricGroup._orbitData ? { ...fabricGroup._orbitData } : undefined
-        };
-        
-        // Reset the manually moved flag
-        fabricGroup._manuallyMoved = false;
-      },
-      customResume: function() {
-        // Restore state if it was saved
-        if (fabricGroup._pausedState) {
-          // If the group was manually moved while paused
-          if (fabricGroup._manuallyMoved) {
-            // If it was in an orbit, update the orbit data with new position
-            if (fabricGroup._pausedState.orbitData) {
-              // Calculate new angle based on current position relative to center
-              const centerX = fabricGroup._pausedState.orbitData.centerX;
-              const centerY = fabricGroup._pausedState.orbitData.centerY;
-              const dx = fabricGroup.left - centerX;
-              const dy = fabricGroup.top - centerY;
-              const initialAngle = Math.atan2(dy, dx);
-              const initialDistance = Math.sqrt(dx * dx + dy * dy);
-              
-              // Update orbit data
-              fabricGroup._orbitData = {
-                ...fabricGroup._pausedState.orbitData,
-                angle: initialAngle,
-                radius: initialDistance
-              };
-            }
-          } else {
-            // If not manually moved, restore position and orbit data
-            fabricGroup.left = fabricGroup._pausedState.left;
-            fabricGroup.top = fabricGroup._pausedState.top;
-            fabricGroup.angle = fabricGroup._pausedState.angle;
-            
-            // Restore z-index if it was saved
-            if (fabricGroup._pausedState.zIndex !== undefined) {
-              fabricGroup.set('zIndex', fabricGroup._pausedState.zIndex);
-            }
-            
-            // Restore orbit data if it was saved
-            if (fabricGroup._pausedState.orbitData) {
-              fabricGroup._orbitData = { ...fabricGroup._pausedState.orbitData };
-            }
-          }
-          
-          // Clear the paused state and manual move flag
-          delete fabricGroup._pausedState;
-          delete fabricGroup._manuallyMoved;
-        }
-        
-        // Add the update function back
-        gsap.ticker.add(updateFn);
-      },
-      _updateFn: updateFn // Store the update function for cleanup
+
+    tween.customResume = function() {
+      // An object moved or turned while paused carries on spinning from its new pose
+      if (target._manuallyMoved) {
+        const turn = getSpinAngle(this.totalTime());
+        const pivot = rotateVector(getPivot(target), target.angle);
+        target.spinBaseAngle = target.angle - turn;
+        const atRest = rotateVector(getPivot(target), target.spinBaseAngle);
+        target.originalLeft = target.left + pivot.x - atRest.x;
+        target.originalTop = target.top + pivot.y - atRest.y;
+        saveRestPose();
+      }
+      delete target._pausedState;
+      delete target._manuallyMoved;
+      this.resume();
+      placeSpinning(target, this.totalTime());
     };
-    
-    fabricGroup.tween = tween;
-    
-    // Add the group to the canvas
-    canvas.add(fabricGroup);
-    
-    // Add fabricGroup to fixedObjects
-    fixedObjects.push(fabricGroup);
-    
-    // Add a group data entry
-    processedData.push({
-      id: fabricGroup.id ||= fabric.Object.__uidCounter++,
-      isGroup: true,
-      groupId: groupId,
-      memberIds: fabricGroup.memberIds,
-      zIndex: groupZIndexValue
+
+    // The tween reads its settings on every update, so a restart only needs to show them
+    tween.customRestart = function() {
+      placeSpinning(target, this.totalTime());
+    };
+
+    target.tween = tween;
+  };
+
+  canvas.discardActiveObject();
+
+  // Group objects by their groupId
+  const groupedObjects = new Map(); // Map of groupId -> objects
+  const singleObjects = []; // Objects that are not part of any group
+  const animatedObjects = []; // Objects that will be animated
+  const processedData = []; // Data for animation tracking
+
+  objs.forEach(obj => {
+    if (obj.groupId) {
+      if (!groupedObjects.has(obj.groupId)) {
+        groupedObjects.set(obj.groupId, []);
+      }
+      groupedObjects.get(obj.groupId).push(obj);
+    } else {
+      singleObjects.push(obj);
+    }
+  });
+
+  // Handle single objects; they turn about their center or pivot
+  singleObjects.forEach(obj => {
+    const dataItem = data.find(d => d.id === obj.id);
+    let zIndex;
+
+    if (dataItem && dataItem.zIndex !== undefined) {
+      zIndex = dataItem.zIndex;
+    } else if (groupZIndex !== undefined) {
+      zIndex = groupZIndex;
+    } else {
+      zIndex = obj.get('zIndex');
+    }
+
+    const { x, y } = obj.getCenterPoint();
+    obj.set({ originX: 'center', originY: 'center', left: x, top: y, selectable: true });
+
+    if (zIndex !== undefined) {
+      obj.set('zIndex', zIndex);
+    }
+    if (groupCreationOrder !== undefined) {
+      obj._creationOrder = groupCreationOrder;
+    }
+
+    // A replayed object was saved partway through a turn, so it goes back to its saved resting place
+    obj.originalLeft = dataItem?.restLeft ?? x;
+    obj.originalTop = dataItem?.restTop ?? y;
+
+    const entry = { id: obj.id, zIndex: zIndex };
+    setUpSpin(obj, dataItem, entry);
+    obj.setCoords();
+    animatedObjects.push(obj);
+    processedData.push(entry);
+  });
+
+  // Handle grouped objects - each group turns as one unit around its combined center
+  groupedObjects.forEach((groupMembers, groupId) => {
+    const groupDataEntry = data.find(d => d.groupId === groupId);
+    const { group: fabricGroup, zIndex: thisGroupZIndex } = createAnimationGroup(canvas, groupMembers, groupId, {
+      dataEntry: groupDataEntry,
+      groupZIndex,
+      groupCreationOrder
     });
+    fabricGroup.originalLeft = groupDataEntry?.restLeft ?? fabricGroup.left;
+    fabricGroup.originalTop = groupDataEntry?.restTop ?? fabricGroup.top;
+
+    const entry = groupDataFields(fabricGroup, thisGroupZIndex);
+    setUpSpin(fabricGroup, groupDataEntry, entry);
+    fabricGroup.setCoords();
+    animatedObjects.push(fabricGroup);
+    processedData.push(entry);
   });
-  
-  // Make sure canvas objects are sorted by z-index
+
+  // Make sure canvas sorts objects by z-index
   canvas._objects.sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
-  
-  // Return the fixed objects and data
+
   return {
-    objects: fixedObjects,
+    objects: animatedObjects,
     data: processedData
   };
 }
 
+// A pulse grows and shrinks back once per duration
+pulseObjects.cycleLength = (parameters) => resolveAnimationParameters('pulse', parameters).duration;
+
 /**
- * Simple hop animation that makes objects hop up and down from their original position
+ * Pulse animation: objects breathe, growing a little and fading as they do, then settling back,
+ * like a beating heart or a glowing lamp. Grouped strokes scale as one piece around their combined center.
  * @param {Object} canvas - The fabric.js canvas object
  * @param {Array} objs - Selected objects to animate
- * @param {Object} options - Animation options
+ * @param {Object} options - Animation options; data entries keep each object's resting scale and opacity
  * @returns {Object} Animation data
  */
-export function hopObjects(canvas, objs, { data = [], debugMode = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
-  // Debug info
+export function pulseObjects(canvas, objs, { data = [], parameters = {}, debugMode = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
   if (debugMode) {
-    console.log("hopObjects called with options:", { 
-      preserveZIndex, 
+    console.log("pulseObjects called with options:", {
+      preserveZIndex,
       groupZIndex,
       groupCreationOrder,
       dataLength: data.length,
       selectedObjects: objs.length
     });
   }
-  
-  // hop animation configuration
-  const hopConfig = {
-    height: 40,           // Fixed hop height in pixels
-    speed: 4,             // Horizontal speed in pixels per update
-    duration: 0.5,        // Duration of one hop cycle in seconds
-    boundaryPadding: 5    // Padding from canvas edges
+
+  const pulseConfig = resolveAnimationParameters('pulse', parameters);
+
+  // How far into a breath an object is at a time, from 0 at rest to 1 at its fullest
+  const getPulseLevel = (time) => {
+    if (!(pulseConfig.duration > 0)) return 0;
+    const phase = (time / pulseConfig.duration) % 1;
+    return gsap.parseEase(getEase(pulseConfig.ease, 'inOut'))(1 - Math.abs(1 - 2 * phase));
   };
-  
+
+  const getPulseFactors = (time) => {
+    const level = getPulseLevel(time);
+    return {
+      scale: 1 + pulseConfig.grow * level,
+      opacity: 1 - Math.min(1, Math.max(0, pulseConfig.fade)) * level
+    };
+  };
+
+  const placePulsing = (target, time) => {
+    const { scale, opacity } = getPulseFactors(time);
+    target.set({
+      scaleX: target.pulseBase.scaleX * scale,
+      scaleY: target.pulseBase.scaleY * scale,
+      opacity: target.pulseBase.opacity * opacity
+    });
+    target.setCoords();
+  };
+
+  const createPulseTween = (target) => {
+    const tween = gsap.to(target, {
+      duration: 1,
+      repeat: -1,
+      ease: 'none',
+      onUpdate: () => {
+        // Stop once the object is removed (or replaced by undo) or given another animation
+        if (!target.canvas || target.tween !== tween) {
+          tween.kill();
+          return;
+        }
+        if (!target.dragging) placePulsing(target, tween.totalTime());
+      }
+    });
+    return tween;
+  };
+
+  // Gives an object (or a group standing in for grouped objects) its pulse, and fills in its data entry
+  const setUpPulse = (target, dataItem, entry) => {
+    target.isAnimated = true;
+    target.animationType = 'pulse';
+    target.animationParameters = pulseConfig;
+    target.pulseBase = {
+      scaleX: dataItem?.baseScaleX ?? target.scaleX,
+      scaleY: dataItem?.baseScaleY ?? target.scaleY,
+      opacity: dataItem?.baseOpacity ?? target.opacity
+    };
+
+    // The entry keeps the resting size up to date, so undo and replay pulse from it rather
+    // than from however big the object had grown when the state was saved
+    const saveRestPose = () => Object.assign(entry, {
+      baseScaleX: target.pulseBase.scaleX,
+      baseScaleY: target.pulseBase.scaleY,
+      baseOpacity: target.pulseBase.opacity
+    });
+    saveRestPose();
+
+    const tween = createPulseTween(target);
+
+    tween.customPause = function() {
+      this.pause();
+      target._pausedState = {
+        scaleX: target.scaleX,
+        scaleY: target.scaleY,
+        opacity: target.opacity,
+        zIndex: target.get('zIndex')
+      };
+      target._manuallyMoved = false;
+    };
+
+    tween.customResume = function() {
+      // An object resized while paused keeps pulsing from its new size
+      if (target._manuallyMoved) {
+        const { scale } = getPulseFactors(this.totalTime());
+        target.pulseBase.scaleX = target.scaleX / scale;
+        target.pulseBase.scaleY = target.scaleY / scale;
+        saveRestPose();
+      }
+      delete target._pausedState;
+      delete target._manuallyMoved;
+      this.resume();
+      placePulsing(target, this.totalTime());
+    };
+
+    // The tween reads its settings on every update, so a restart only needs to show them
+    tween.customRestart = function() {
+      placePulsing(target, this.totalTime());
+    };
+
+    target.tween = tween;
+  };
+
+  canvas.discardActiveObject();
+
   // Group objects by their groupId
   const groupedObjects = new Map(); // Map of groupId -> objects
   const singleObjects = []; // Objects that are not part of any group
   const animatedObjects = []; // Objects that will be animated
   const processedData = []; // Data for animation tracking
-  const zIndices = new Map(); // Store z-index by group or individual object
-  
-  // First, categorize objects into groups or singles
+
   objs.forEach(obj => {
     if (obj.groupId) {
       if (!groupedObjects.has(obj.groupId)) {
@@ -1498,556 +2294,2158 @@ export function hopObjects(canvas, objs, { data = [], debugMode = false, preserv
       singleObjects.push(obj);
     }
   });
-  
-  // Handle single objects (not in groups)
+
+  // Handle single objects; they scale about their center
   singleObjects.forEach(obj => {
-    // Determine z-index to use, with priority:
-    // 1. Data z-index from history
-    // 2. Group z-index if available 
-    // 3. Original object z-index
-    let zIndex;
     const dataItem = data.find(d => d.id === obj.id);
-    
+    let zIndex;
+
     if (dataItem && dataItem.zIndex !== undefined) {
-      // Use z-index from history data
       zIndex = dataItem.zIndex;
     } else if (groupZIndex !== undefined) {
-      // Use the shared group z-index
       zIndex = groupZIndex;
     } else {
-      // Use the object's existing z-index
       zIndex = obj.get('zIndex');
     }
-    
-    // Store for data tracking
-    zIndices.set(obj.id, zIndex);
-    
-    // Apply settings including z-index
-    const hopOptions = {
-      originX: 'center',
-      originY: 'center',
-      selectable: true
-    };
-    
-    // Apply z-index if defined
+
+    const { x, y } = obj.getCenterPoint();
+    obj.set({ originX: 'center', originY: 'center', left: x, top: y, selectable: true });
+
     if (zIndex !== undefined) {
-      hopOptions.zIndex = zIndex;
+      obj.set('zIndex', zIndex);
     }
-    
-    // Apply group creation order if defined
     if (groupCreationOrder !== undefined) {
-      hopOptions._creationOrder = groupCreationOrder;
+      obj._creationOrder = groupCreationOrder;
     }
-    
-    obj.set(hopOptions);
-    
-    // Store original position for the hop animation
-    obj.isAnimated = true;
-    obj.animationType = 'hop';
-    obj.originalTop = obj.top;
-    obj.originalLeft = obj.left;
-    obj.hopOffset = 0;
-    obj.sideOffset = 0;
-    obj.moveDirection = 1; // 1 for right, -1 for left
 
-    // Create a data entry for restoration
-    const dataEntry = {
-      id: obj.id,
-      zIndex: zIndex
-    };
-    
-    // Get canvas dimensions for boundary detection
-    const canvasBounds = {
-      width: canvas.getWidth(),
-      height: canvas.getHeight(),
-      left: 0,
-      right: canvas.getWidth()
-    };
-    
-    // Create vertical hop animation
-    const timeline = gsap.timeline({
-      repeat: -1
-    });
-    
-    // Add vertical hop animation
-    timeline.to(obj, {
-      hopOffset: hopConfig.height,
-      duration: hopConfig.duration / 2,
-      ease: "sine.out"
-    });
-    
-    // Add falling animation
-    timeline.to(obj, {
-      hopOffset: 0,
-      duration: hopConfig.duration / 2,
-      ease: "sine.in"
+    const entry = { id: obj.id, zIndex: zIndex };
+    setUpPulse(obj, dataItem, entry);
+    obj.setCoords();
+    animatedObjects.push(obj);
+    processedData.push(entry);
+  });
+
+  // Handle grouped objects - each group scales as one unit around its combined center
+  groupedObjects.forEach((groupMembers, groupId) => {
+    const groupDataEntry = data.find(d => d.groupId === groupId);
+    const { group: fabricGroup, zIndex: thisGroupZIndex } = createAnimationGroup(canvas, groupMembers, groupId, {
+      dataEntry: groupDataEntry,
+      groupZIndex,
+      groupCreationOrder
     });
-    
-    // Store the interactions module once it's loaded
-    let interactionsModule = null;
-    
-    // Try to load the interactions module immediately
-    import('./animationInteractions.js').then(module => {
-      interactionsModule = module;
-    }).catch(err => {
-      console.error("Failed to load animation interactions module:", err);
+
+    const entry = groupDataFields(fabricGroup, thisGroupZIndex);
+    setUpPulse(fabricGroup, groupDataEntry, entry);
+    fabricGroup.setCoords();
+    animatedObjects.push(fabricGroup);
+    processedData.push(entry);
+  });
+
+  // Make sure canvas sorts objects by z-index
+  canvas._objects.sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+
+  return {
+    objects: animatedObjects,
+    data: processedData
+  };
+}
+
+// Most particles one emitter draws at a time; the newest ones are kept
+const MAX_PARTICLES = 400;
+
+/**
+ * Emit animation: the selected stroke becomes a particle that is spawned over and over from an
+ * emitter region and falls with gravity and wind, fading at the end of its life. Rain, snow,
+ * falling leaves and confetti. Every particle's flight follows from the time and the seed, so the
+ * particles are only records in a reused pool that the stroke draws copies of itself for; they are
+ * never added to the canvas. The stroke itself shows only while it is selected.
+ * @param {Object} canvas - The fabric.js canvas object
+ * @param {Array} objs - Selected strokes, each becoming its own emitter
+ * @param {Object} options - Animation options
+ * @returns {Object} Animation data
+ */
+export function emitObjects(canvas, objs, { data = [], parameters = {}, debugMode = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
+  if (debugMode) {
+    console.log("emitObjects called with options:", {
+      preserveZIndex,
+      groupZIndex,
+      groupCreationOrder,
+      dataLength: data.length,
+      selectedObjects: objs.length
     });
-    
-    // Function to update position with boundary detection
-    const updatePosition = () => {
-      if (obj.dragging) return;
-      
-      // Apply vertical hop position
-      obj.set('top', obj.originalTop - obj.hopOffset);
-      
-      // Apply horizontal movement with boundary detection
-      const objWidth = obj.getScaledWidth();
-      const leftBound = canvasBounds.left + (objWidth / 2) + hopConfig.boundaryPadding;
-      const rightBound = canvasBounds.right - (objWidth / 2) - hopConfig.boundaryPadding;
-      
-      // Check for animation interactions first
-      if (interactionsModule && canvas.animationInteractions && canvas.animationInteractions.length > 0) {
-        // Process interactions (this might change moveDirection if needed)
-        interactionsModule.predictAndProcessAvoidance(canvas, obj);
-        
-        // Also check for orbit interactions
-        if (interactionsModule.predictAndProcessOrbit) {
-          interactionsModule.predictAndProcessOrbit(canvas, obj);
-          
-          // If object is in an orbit, skip normal horizontal movement
-          if (obj._orbitData) {
-            obj.setCoords();
-            canvas.requestRenderAll();
-            return;
-          }
+  }
+
+  const emitConfig = resolveAnimationParameters('emit', parameters);
+
+  // Where particles start: along the top edge, anywhere on the canvas, or around the stroke
+  const getRegion = (target) => {
+    const width = canvas.getWidth();
+    const height = canvas.getHeight();
+    const size = Math.max(target.getScaledWidth(), target.getScaledHeight());
+
+    if (emitConfig.region === 'canvas') {
+      return { left: 0, top: 0, width, height };
+    }
+    if (emitConfig.region === 'stroke') {
+      const { x, y } = target.getCenterPoint();
+      return { left: x - size / 2 - 40, top: y, width: size + 80, height: 0 };
+    }
+    return { left: -size, top: -size, width: width + 2 * size, height: 0 };
+  };
+
+  // Fills the pool with the particles alive at a time on the emitter's tween
+  const updateParticles = (target, time) => {
+    const pool = target.particlePool;
+    const { rate, lifetime, gravity, wind, fade, tumble, seed } = emitConfig;
+    let count = 0;
+
+    if (rate > 0 && lifetime > 0) {
+      const region = getRegion(target);
+      const newest = Math.floor(time * rate);
+      const oldest = Math.max(0, Math.ceil((time - lifetime) * rate), newest - MAX_PARTICLES + 1);
+
+      for (let k = oldest; k <= newest; k++) {
+        const age = time - k / rate;
+        if (age < 0 || age >= lifetime) continue;
+
+        // The same particle always starts the same way
+        const holder = { _randomState: (seed * 100003 + target.emitIndex * 7919 + k * 31) | 0 };
+        const x = region.left + nextRandom(holder) * region.width;
+        const y = region.top + nextRandom(holder) * region.height;
+        const vx = wind + (nextRandom(holder) - 0.5) * 40;
+        const vy = nextRandom(holder) * 30;
+        const startAngle = tumble > 0 ? nextRandom(holder) * 360 : 0;
+        const spin = (nextRandom(holder) * 2 - 1) * tumble;
+
+        const remaining = lifetime - age;
+        const fadeTime = fade * lifetime;
+
+        const particle = pool[count] ||= {};
+        particle.left = x + vx * age;
+        particle.top = y + vy * age + 0.5 * gravity * age * age;
+        particle.angle = target.angle + startAngle + spin * age;
+        particle.opacity = fadeTime > 0 ? Math.min(1, remaining / fadeTime) : 1;
+        count++;
+      }
+    }
+
+    target.particleCount = count;
+  };
+
+  // Draws a copy of the stroke for each live particle, in the stroke's place in the stacking order
+  const renderParticles = function(ctx) {
+    const pose = { left: this.left, top: this.top, angle: this.angle, opacity: this.opacity };
+
+    for (let i = 0; i < this.particleCount; i++) {
+      const particle = this.particlePool[i];
+      this.left = particle.left;
+      this.top = particle.top;
+      this.angle = particle.angle;
+      this.opacity = pose.opacity * particle.opacity;
+      this.emitRender(ctx);
+    }
+    Object.assign(this, pose);
+
+    // The stroke itself is shown while it is selected, so it can be found and moved
+    if (this._pausedState) this.emitRender(ctx);
+  };
+
+  const createEmitTween = (target) => {
+    const tween = gsap.to(target, {
+      duration: 1,
+      repeat: -1,
+      ease: 'none',
+      onUpdate: () => {
+        // Stop once the object is removed (or replaced by undo) or given another animation
+        if (!target.canvas || target.tween !== tween) {
+          tween.kill();
+          return;
         }
+        updateParticles(target, tween.totalTime());
+        canvas.requestRenderAll();
       }
-      
-      // Calculate new position with current direction
-      const newLeft = obj.left + (hopConfig.speed * obj.moveDirection);
-      
-      // Check if it would hit a canvas boundary
-      if (newLeft <= leftBound) {
-        obj.left = leftBound;
-        obj.moveDirection = 1; // Switch to right when hitting left boundary
-      } else if (newLeft >= rightBound) {
-        obj.left = rightBound;
-        obj.moveDirection = -1; // Switch to left when hitting right boundary
-      } else {
-        // Normal movement if no boundary hit
-        obj.left = newLeft;
+    });
+    return tween;
+  };
+
+  // Turns an object (or a group standing in for grouped objects) into an emitter
+  const setUpEmitter = (target, dataItem, index) => {
+    target.isAnimated = true;
+    target.animationType = 'emit';
+    target.animationParameters = emitConfig;
+    target.emitIndex = dataItem?.emitIndex ?? index;
+    target.particlePool = [];
+    target.particleCount = 0;
+
+    // Only this object draws particles; another animation given to it later gets its own render back
+    target.emitRender = Object.getPrototypeOf(target).render;
+    target.render = function(ctx) {
+      if (this.animationType !== 'emit') {
+        delete this.render;
+        return this.render(ctx);
       }
-      
-      // Update object on canvas
-      obj.setCoords();
-      canvas.requestRenderAll();
+      renderParticles.call(this, ctx);
     };
-    
-    // Add ticker for horizontal movement and boundary detection
-    gsap.ticker.add(updatePosition);
-    
-    // Store the timeline as the tween for consistency with other animations
-    const tween = timeline;
-    
-    // Store the ticker ID for pause/resume
-    obj._tickerId = updatePosition;
-    
-    // Create custom pause/resume methods
+
+    const tween = createEmitTween(target);
+
+    // Selected emitters stop spawning, with their particles held where they are
     tween.customPause = function() {
-      // Pause vertical hop animation
       this.pause();
-      
-      // Remove horizontal movement ticker
-      gsap.ticker.remove(obj._tickerId);
-      
-      // Save the current state when paused
-      obj._pausedState = {
-        top: obj.top,
-        left: obj.left,
-        originalTop: obj.originalTop,
-        originalLeft: obj.originalLeft,
-        hopOffset: obj.hopOffset,
-        moveDirection: obj.moveDirection,
-        zIndex: obj.get('zIndex')
+      target._pausedState = {
+        left: target.left,
+        top: target.top,
+        angle: target.angle,
+        zIndex: target.get('zIndex')
       };
-      
-      // Reset the manually moved flag
-      obj._manuallyMoved = false;
+      target._manuallyMoved = false;
     };
-    
+
     tween.customResume = function() {
-      // Restore state if it was saved
-      if (obj._pausedState) {
-        // If the object was manually moved while paused
-        if (obj._manuallyMoved) {
-          // Update the original position to the current position
-          obj.originalTop = obj.top;
-          obj.originalLeft = obj.left;
-          obj.hopOffset = 0;
-          
-          // Force update
-          gsap.set(obj, { hopOffset: 0 });
-          obj.setCoords();
-          
-          // Kill existing vertical animation
-          this.kill();
-          
-          // Create new vertical hop animation
-          const newTimeline = gsap.timeline({
-            repeat: -1
-          });
-          
-          // Add new vertical animations
-          newTimeline.to(obj, {
-            hopOffset: hopConfig.height,
-            duration: hopConfig.duration / 2,
-            ease: "sine.out"
-          });
-          
-          newTimeline.to(obj, {
-            hopOffset: 0,
-            duration: hopConfig.duration / 2,
-            ease: "sine.in"
-          });
-          
-          // Add the ticker for horizontal movement
-          gsap.ticker.add(updatePosition);
-          obj._tickerId = updatePosition;
-          
-          // Copy custom methods to the new tween
-          newTimeline.customPause = this.customPause;
-          newTimeline.customResume = this.customResume;
-          obj.tween = newTimeline;
-        } else {
-          // Normal restore if not manually moved
-          obj.top = obj._pausedState.top;
-          obj.left = obj._pausedState.left;
-          obj.originalTop = obj._pausedState.originalTop;
-          obj.originalLeft = obj._pausedState.originalLeft;
-          obj.hopOffset = obj._pausedState.hopOffset;
-          obj.moveDirection = obj._pausedState.moveDirection;
-          
-          // Restore z-index if it was saved
-          if (obj._pausedState.zIndex !== undefined) {
-            obj.set('zIndex', obj._pausedState.zIndex);
-          }
-          obj.setCoords();
-          
-          // Resume vertical animation
-          this.resume();
-          
-          // Re-add the ticker for horizontal movement
-          gsap.ticker.add(updatePosition);
-          obj._tickerId = updatePosition;
-        }
-        
-        // Clear the paused state and manual move flag
-        delete obj._pausedState;
-        delete obj._manuallyMoved;
-      } else {
-        // Resume vertical animation
-        this.resume();
-        
-        // Re-add the ticker for horizontal movement
-        gsap.ticker.add(updatePosition);
-        obj._tickerId = updatePosition;
-      }
+      delete target._pausedState;
+      delete target._manuallyMoved;
+      this.resume();
     };
-    
-    obj.tween = tween;
-    animatedObjects.push(obj);
-    processedData.push(dataEntry);
+
+    // The tween reads its settings on every update, so a restart only needs to redraw
+    tween.customRestart = function() {
+      updateParticles(target, this.totalTime());
+      canvas.requestRenderAll();
+    };
+
+    target.tween = tween;
+  };
+
+  canvas.discardActiveObject();
+
+  // Group objects by their groupId
+  const groupedObjects = new Map(); // Map of groupId -> objects
+  const singleObjects = []; // Objects that are not part of any group
+  const animatedObjects = []; // Objects that will be animated
+  const processedData = []; // Data for animation tracking
+
+  objs.forEach(obj => {
+    if (obj.groupId) {
+      if (!groupedObjects.has(obj.groupId)) {
+        groupedObjects.set(obj.groupId, []);
+      }
+      groupedObjects.get(obj.groupId).push(obj);
+    } else {
+      singleObjects.push(obj);
+    }
   });
-  
-  // Handle grouped objects - treat each group as one unit
+
+  let emitIndex = 0;
+
+  // Handle single objects; their particles turn about their center
+  singleObjects.forEach(obj => {
+    const dataItem = data.find(d => d.id === obj.id);
+    let zIndex;
+
+    if (dataItem && dataItem.zIndex !== undefined) {
+      zIndex = dataItem.zIndex;
+    } else if (groupZIndex !== undefined) {
+      zIndex = groupZIndex;
+    } else {
+      zIndex = obj.get('zIndex');
+    }
+
+    const { x, y } = obj.getCenterPoint();
+    obj.set({ originX: 'center', originY: 'center', left: x, top: y, selectable: true });
+
+    if (zIndex !== undefined) {
+      obj.set('zIndex', zIndex);
+    }
+    if (groupCreationOrder !== undefined) {
+      obj._creationOrder = groupCreationOrder;
+    }
+
+    setUpEmitter(obj, dataItem, emitIndex++);
+    obj.setCoords();
+    animatedObjects.push(obj);
+
+    processedData.push({
+      id: obj.id,
+      zIndex: zIndex,
+      emitIndex: obj.emitIndex
+    });
+  });
+
+  // Handle grouped objects - each group is one particle
   groupedObjects.forEach((groupMembers, groupId) => {
-    // Determine z-index to use
-    let thisGroupZIndex;
     const groupDataEntry = data.find(d => d.groupId === groupId);
+    const { group: fabricGroup, zIndex: thisGroupZIndex } = createAnimationGroup(canvas, groupMembers, groupId, {
+      dataEntry: groupDataEntry,
+      groupZIndex,
+      groupCreationOrder
+    });
+    setUpEmitter(fabricGroup, groupDataEntry, emitIndex++);
+    fabricGroup.setCoords();
+    animatedObjects.push(fabricGroup);
+
+    processedData.push({
+      ...groupDataFields(fabricGroup, thisGroupZIndex),
+      emitIndex: fabricGroup.emitIndex
+    });
+  });
+
+  // Make sure canvas sorts objects by z-index
+  canvas._objects.sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+
+  return {
+    objects: animatedObjects,
+    data: processedData
+  };
+}
+
+/**
+ * "Fix" animation that doesn't actually animate anything,
+ * but allows objects to be managed in the interaction panel
+ * @param {Object} canvas - The fabric canvas
+ * @param {Array} objs - Selected objects to fix
+ * @param {Object} options - Animation options
+ * @returns {Object} Animation data
+ */
+export function fixObjects(canvas, objs, { data = [], parameters = {}, debugMode = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
+  if (debugMode) {
+    console.log("fixObjects called with options:", { 
+      preserveZIndex, 
+      groupZIndex,
+      groupCreationOrder,
+      dataLength: data.length,
+      selectedObjects: objs.length
+    });
+  }
+
+  // Group objects by their groupId
+  const groupedObjects = new Map(); // Map of groupId -> objects
+  const singleObjects = []; // Objects that are not part of any group
+  const fixedObjects = []; // Objects that will be in the animation
+  const processedData = []; // Data for animation tracking
+  const zIndices = new Map(); // Store z-index by group or individual object
+  
+  // First, categorize objects into groups or singles
+  objs.forEach(obj => {
+    if (obj.groupId) {
+      if (!groupedObjects.has(obj.groupId)) {
+        groupedObjects.set(obj.groupId, []);
+      }
+      groupedObjects.get(obj.groupId).push(obj);
+    } else {
+      singleObjects.push(obj);
+    }
+  });
+  
+  // Import the interactions module if needed for orbit
+  let interactionsModule = null;
+  import('./animationInteractions.js').then(module => {
+    interactionsModule = module;
+  }).catch(err => {
+    console.error("Failed to load animation interactions module:", err);
+  });
+  
+  // Handle single objects
+  singleObjects.forEach(obj => {
+    // Determine z-index to use
+    let zIndex;
+    const dataItem = data.find(d => d.id === obj.id);
     
-    if (groupDataEntry && groupDataEntry.zIndex !== undefined) {
+    if (dataItem && dataItem.zIndex !== undefined) {
       // Use z-index from history data
-      thisGroupZIndex = groupDataEntry.zIndex;
+      zIndex = dataItem.zIndex;
     } else if (groupZIndex !== undefined) {
-      // Use the shared animation group z-index
-      thisGroupZIndex = groupZIndex;
+      // Use the shared group z-index
+      zIndex = groupZIndex;
     } else {
-      // Calculate max z-index from members
-      thisGroupZIndex = setObjectsToSameZIndex(groupMembers);
+      // Use the object's existing z-index
+      zIndex = obj.get('zIndex');
     }
     
-    // Store the z-index for data tracking
-    zIndices.set(groupId, thisGroupZIndex);
+    // Store for data tracking
+    zIndices.set(obj.id, zIndex);
     
-    // Calculate center position
-    let centerX = 0, centerY = 0;
+    // Apply z-index if defined
+    if (zIndex !== undefined) {
+      obj.set('zIndex', zIndex);
+    }
     
-    groupMembers.forEach(obj => {
-      const point = obj.getCenterPoint();
-      centerX += point.x;
-      centerY += point.y;
-    });
-    centerX /= groupMembers.length;
-    centerY /= groupMembers.length;
+    // Apply group creation order if defined
+    if (groupCreationOrder !== undefined) {
+      obj._creationOrder = groupCreationOrder;
+    }
     
-    // Create group options
-    const groupOptions = {
-      left: centerX,
-      top: centerY,
-      originX: 'center',
-      originY: 'center',
-      selectable: true
+    // Mark as "fixed" animation
+    obj.isAnimated = true;
+    obj.animationType = 'fix';
+    
+    // Create an update function that applies any orbit movement
+    const updateFn = () => {
+      // Skip if being dragged or resting between scheduled runs
+      if (obj.dragging || obj.scheduleIdle) return;
+      
+      // Check for orbit interactions
+      if (interactionsModule && interactionsModule.predictAndProcessOrbit && 
+          canvas.animationInteractions && canvas.animationInteractions.length > 0) {
+        interactionsModule.predictAndProcessOrbit(canvas, obj);
+      }
     };
     
-    // Apply z-index if defined
-    if (thisGroupZIndex !== undefined) {
-      groupOptions.zIndex = thisGroupZIndex;
+    // Add the update function to the GSAP ticker
+    gsap.ticker.add(updateFn);
+    
+    // Create a tween object that supports orbit
+    const tween = {
+      pause: () => {
+        gsap.ticker.remove(updateFn);
+      },
+      resume: () => {
+        gsap.ticker.add(updateFn);
+      },
+      customPause: function() {
+        // Remove the update function
+        gsap.ticker.remove(updateFn);
+        
+        // Save the current state
+        obj._pausedState = {
+          left: obj.left,
+          top: obj.top,
+          zIndex: obj.get('zIndex'),
+          orbitData: obj._orbitData ? { ...obj._orbitData } : undefined
+        };
+        
+        // Reset the manually moved flag
+        obj._manuallyMoved = false;
+      },
+      customResume: function() {
+        // Restore state if it was saved
+        if (obj._pausedState) {
+          // If the object was manually moved while paused
+          if (obj._manuallyMoved) {
+            // If it was in an orbit, update the orbit data with new position
+            if (obj._pausedState.orbitData) {
+              // Calculate new angle based on current position relative to center
+              const centerX = obj._pausedState.orbitData.centerX;
+              const centerY = obj._pausedState.orbitData.centerY;
+              const dx = obj.left - centerX;
+              const dy = obj.top - centerY;
+              const initialAngle = Math.atan2(dy, dx);
+              const initialDistance = Math.sqrt(dx * dx + dy * dy);
+              
+              // Update orbit data
+              obj._orbitData = {
+                ...obj._pausedState.orbitData,
+                angle: initialAngle,
+                radius: initialDistance
+              };
+            }
+          } else {
+            // If not manually moved, restore position and orbit data
+            obj.left = obj._pausedState.left;
+            obj.top = obj._pausedState.top;
+            
+            // Restore z-index if it was saved
+            if (obj._pausedState.zIndex !== undefined) {
+              obj.set('zIndex', obj._pausedState.zIndex);
+            }
+            
+            // Restore orbit data if it was saved
+            if (obj._pausedState.orbitData) {
+              obj._orbitData = { ...obj._pausedState.orbitData };
+            }
+          }
+          
+          // Clear the paused state and manual move flag
+          delete obj._pausedState;
+          delete obj._manuallyMoved;
+        }
+        
+        // Add the update function back
+        gsap.ticker.add(updateFn);
+      },
+      _updateFn: updateFn // Store the update function for cleanup
+    };
+    
+    obj.tween = tween;
+    fixedObjects.push(obj);
+    
+    // Add data entry
+    processedData.push({
+      id: obj.id,
+      zIndex: zIndex
+    });
+  });
+  
+  // Handle grouped objects - create proper Fabric.js groups for better orbit handling
+  groupedObjects.forEach((groupMembers, groupId) => {
+    const groupDataEntry = data.find(d => d.groupId === groupId);
+    const { group: fabricGroup, zIndex: groupZIndexValue } = createAnimationGroup(canvas, groupMembers, groupId, {
+      dataEntry: groupDataEntry,
+      groupZIndex
+    });
+    
+    // Store the z-index for data tracking
+    zIndices.set(groupId, groupZIndexValue);
+    
+    // Mark as "fixed" animation
+    fabricGroup.isAnimated = true;
+    fabricGroup.animationType = 'fix';
+    
+    // Create an update function for orbit
+    const updateFn = () => {
+      // Skip if being dragged or resting between scheduled runs
+      if (fabricGroup.dragging || fabricGroup.scheduleIdle) return;
+      
+      // Check for orbit interactions
+      if (interactionsModule && interactionsModule.predictAndProcessOrbit && 
+          canvas.animationInteractions && canvas.animationInteractions.length > 0) {
+        interactionsModule.predictAndProcessOrbit(canvas, fabricGroup);
+      }
+    };
+    
+    // Add the update function to the GSAP ticker
+    gsap.ticker.add(updateFn);
+    
+    // Create a tween object with orbit support
+    const tween = {
+      pause: () => {
+        gsap.ticker.remove(updateFn);
+      },
+      resume: () => {
+        gsap.ticker.add(updateFn);
+      },
+      customPause: function() {
+        // Remove the update function
+        gsap.ticker.remove(updateFn);
+        
+        // Save the current state
+        fabricGroup._pausedState = {
+          left: fabricGroup.left,
+          top: fabricGroup.top,
+          angle: fabricGroup.angle,
+          zIndex: fabricGroup.get('zIndex'),
+          orbitData: fabricGroup._orbitData ? { ...fabricGroup._orbitData } : undefined
+        };
+        
+        // Reset the manually moved flag
+        fabricGroup._manuallyMoved = false;
+      },
+      customResume: function() {
+        // Restore state if it was saved
+        if (fabricGroup._pausedState) {
+          // If the group was manually moved while paused
+          if (fabricGroup._manuallyMoved) {
+            // If it was in an orbit, update the orbit data with new position
+            if (fabricGroup._pausedState.orbitData) {
+              // Calculate new angle based on current position relative to center
+              const centerX = fabricGroup._pausedState.orbitData.centerX;
+              const centerY = fabricGroup._pausedState.orbitData.centerY;
+              const dx = fabricGroup.left - centerX;
+              const dy = fabricGroup.top - centerY;
+              const initialAngle = Math.atan2(dy, dx);
+              const initialDistance = Math.sqrt(dx * dx + dy * dy);
+              
+              // Update orbit data
+              fabricGroup._orbitData = {
+                ...fabricGroup._pausedState.orbitData,
+                angle: initialAngle,
+                radius: initialDistance
+              };
+            }
+          } else {
+            // If not manually moved, restore position and orbit data
+            fabricGroup.left = fabricGroup._pausedState.left;
+            fabricGroup.top = fabricGroup._pausedState.top;
+            fabricGroup.angle = fabricGroup._pausedState.angle;
+            
+            // Restore z-index if it was saved
+            if (fabricGroup._pausedState.zIndex !== undefined) {
+              fabricGroup.set('zIndex', fabricGroup._pausedState.zIndex);
+            }
+            
+            // Restore orbit data if it was saved
+            if (fabricGroup._pausedState.orbitData) {
+              fabricGroup._orbitData = { ...fabricGroup._pausedState.orbitData };
+            }
+          }
+          
+          // Clear the paused state and manual move flag
+          delete fabricGroup._pausedState;
+          delete fabricGroup._manuallyMoved;
+        }
+        
+        // Add the update function back
+        gsap.ticker.add(updateFn);
+      },
+      _updateFn: updateFn // Store the update function for cleanup
+    };
+    
+    fabricGroup.tween = tween;
+    
+    // Add fabricGroup to fixedObjects
+    fixedObjects.push(fabricGroup);
+    
+    // Add a group data entry
+    processedData.push(groupDataFields(fabricGroup, groupZIndexValue));
+  });
+  
+  // Make sure canvas objects are sorted by z-index
+  canvas._objects.sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+  
+  // Return the fixed objects and data
+  return {
+    objects: fixedObjects,
+    data: processedData
+  };
+}
+
+/**
+ * Simple hop animation that makes objects hop up and down from their original position
+ * @param {Object} canvas - The fabric.js canvas object
+ * @param {Array} objs - Selected objects to animate
+ * @param {Object} options - Animation options
+ * @returns {Object} Animation data
+ */
+export function hopObjects(canvas, objs, { data = [], parameters = {}, debugMode = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
+  // Debug info
+  if (debugMode) {
+    console.log("hopObjects called with options:", { 
+      preserveZIndex, 
+      groupZIndex,
+      groupCreationOrder,
+      dataLength: data.length,
+      selectedObjects: objs.length
+    });
+  }
+  
+  // hop animation configuration
+  const hopConfig = resolveAnimationParameters('hop', parameters);
+  
+  // Creates the repeating rise-and-fall timeline from the current hop parameters
+  const createHopTimeline = (target) => {
+    const timeline = gsap.timeline({
+      repeat: -1
+    });
+    
+    // Add vertical hop animation
+    timeline.to(target, {
+      hopOffset: hopConfig.height,
+      duration: hopConfig.duration / 2,
+      ease: getEase(hopConfig.ease, 'out')
+    });
+    
+    // Add falling animation
+    timeline.to(target, {
+      hopOffset: 0,
+      duration: hopConfig.duration / 2,
+      ease: getEase(hopConfig.ease, 'in')
+    });
+    
+    return timeline;
+  };
+  
+  // Group objects by their groupId
+  const groupedObjects = new Map(); // Map of groupId -> objects
+  const singleObjects = []; // Objects that are not part of any group
+  const animatedObjects = []; // Objects that will be animated
+  const processedData = []; // Data for animation tracking
+  const zIndices = new Map(); // Store z-index by group or individual object
+  
+  // First, categorize objects into groups or singles
+  objs.forEach(obj => {
+    if (obj.groupId) {
+      if (!groupedObjects.has(obj.groupId)) {
+        groupedObjects.set(obj.groupId, []);
+      }
+      groupedObjects.get(obj.groupId).push(obj);
+    } else {
+      singleObjects.push(obj);
+    }
+  });
+  
+  // Handle single objects (not in groups)
+  singleObjects.forEach(obj => {
+    // Determine z-index to use, with priority:
+    // 1. Data z-index from history
+    // 2. Group z-index if available 
+    // 3. Original object z-index
+    let zIndex;
+    const dataItem = data.find(d => d.id === obj.id);
+    
+    if (dataItem && dataItem.zIndex !== undefined) {
+      // Use z-index from history data
+      zIndex = dataItem.zIndex;
+    } else if (groupZIndex !== undefined) {
+      // Use the shared group z-index
+      zIndex = groupZIndex;
+    } else {
+      // Use the object's existing z-index
+      zIndex = obj.get('zIndex');
+    }
+    
+    // Store for data tracking
+    zIndices.set(obj.id, zIndex);
+    
+    // Apply settings including z-index
+    const hopOptions = {
+      originX: 'center',
+      originY: 'center',
+      selectable: true
+    };
+    
+    // Apply z-index if defined
+    if (zIndex !== undefined) {
+      hopOptions.zIndex = zIndex;
+    }
+    
+    // Apply group creation order if defined
+    if (groupCreationOrder !== undefined) {
+      hopOptions._creationOrder = groupCreationOrder;
+    }
+    
+    obj.set(hopOptions);
+    
+    // Store original position for the hop animation
+    obj.isAnimated = true;
+    obj.animationType = 'hop';
+    obj.animationParameters = hopConfig;
+    obj.originalTop = obj.top;
+    obj.originalLeft = obj.left;
+    obj.hopOffset = 0;
+    obj.sideOffset = 0;
+    obj.moveDirection = 1; // 1 for right, -1 for left
+
+    // Create a data entry for restoration
+    const dataEntry = {
+      id: obj.id,
+      zIndex: zIndex
+    };
+    
+    // Get canvas dimensions for boundary detection
+    const canvasBounds = {
+      width: canvas.getWidth(),
+      height: canvas.getHeight(),
+      left: 0,
+      right: canvas.getWidth()
+    };
+    
+    // Create vertical hop animation
+    const timeline = createHopTimeline(obj);
+    
+    // Store the interactions module once it's loaded
+    let interactionsModule = null;
+    
+    // Try to load the interactions module immediately
+    import('./animationInteractions.js').then(module => {
+      interactionsModule = module;
+    }).catch(err => {
+      console.error("Failed to load animation interactions module:", err);
+    });
+    
+    // Function to update position with boundary detection
+    const updatePosition = () => {
+      if (obj.dragging) return;
+      
+      // Apply vertical hop position
+      obj.set('top', obj.originalTop - obj.hopOffset);
+      
+      // Between scheduled runs the hop is held on the ground, so there is no sideways movement
+      if (obj.scheduleIdle) {
+        obj.setCoords();
+        return;
+      }
+      
+      // Apply horizontal movement with boundary detection
+      const objWidth = obj.getScaledWidth();
+      const leftBound = canvasBounds.left + (objWidth / 2) + hopConfig.boundaryPadding;
+      const rightBound = canvasBounds.right - (objWidth / 2) - hopConfig.boundaryPadding;
+      
+      // Check for animation interactions first
+      if (interactionsModule && canvas.animationInteractions && canvas.animationInteractions.length > 0) {
+        // Process interactions (this might change moveDirection if needed)
+        interactionsModule.predictAndProcessAvoidance(canvas, obj);
+        
+        // Also check for orbit interactions
+        if (interactionsModule.predictAndProcessOrbit) {
+          interactionsModule.predictAndProcessOrbit(canvas, obj);
+          
+          // If object is in an orbit, skip normal horizontal movement
+          if (obj._orbitData) {
+            obj.setCoords();
+            canvas.requestRenderAll();
+            return;
+          }
+        }
+      }
+      
+      // Calculate new position with current direction
+      const newLeft = obj.left + (hopConfig.speed * obj.moveDirection);
+      
+      // Check if it would hit a canvas boundary
+      if (newLeft <= leftBound) {
+        obj.left = leftBound;
+        obj.moveDirection = 1; // Switch to right when hitting left boundary
+      } else if (newLeft >= rightBound) {
+        obj.left = rightBound;
+        obj.moveDirection = -1; // Switch to left when hitting right boundary
+      } else {
+        // Normal movement if no boundary hit
+        obj.left = newLeft;
+      }
+      
+      // Update object on canvas
+      obj.setCoords();
+      canvas.requestRenderAll();
+    };
+    
+    // Add ticker for horizontal movement and boundary detection
+    gsap.ticker.add(updatePosition);
+    
+    // Store the timeline as the tween for consistency with other animations
+    const tween = timeline;
+    
+    // Store the ticker ID for pause/resume
+    obj._tickerId = updatePosition;
+    
+    // Create custom pause/resume methods
+    tween.customPause = function() {
+      // Pause vertical hop animation
+      this.pause();
+      
+      // Remove horizontal movement ticker
+      gsap.ticker.remove(obj._tickerId);
+      
+      // Save the current state when paused
+      obj._pausedState = {
+        top: obj.top,
+        left: obj.left,
+        originalTop: obj.originalTop,
+        originalLeft: obj.originalLeft,
+        hopOffset: obj.hopOffset,
+        moveDirection: obj.moveDirection,
+        zIndex: obj.get('zIndex')
+      };
+      
+      // Reset the manually moved flag
+      obj._manuallyMoved = false;
+    };
+    
+    tween.customResume = function() {
+      // Restore state if it was saved
+      if (obj._pausedState) {
+        // If the object was manually moved while paused
+        if (obj._manuallyMoved) {
+          // Update the original position to the current position
+          obj.originalTop = obj.top;
+          obj.originalLeft = obj.left;
+          obj.hopOffset = 0;
+          
+          // Force update
+          gsap.set(obj, { hopOffset: 0 });
+          obj.setCoords();
+          
+          // Kill existing vertical animation
+          this.kill();
+          
+          // Create new vertical hop animation
+          const newTimeline = createHopTimeline(obj);
+          
+          // Add the ticker for horizontal movement
+          gsap.ticker.add(updatePosition);
+          obj._tickerId = updatePosition;
+          
+          // Copy custom methods to the new tween
+          newTimeline.customPause = this.customPause;
+          newTimeline.customResume = this.customResume;
+          newTimeline.customRestart = this.customRestart;
+          obj.tween = newTimeline;
+        } else {
+          // Normal restore if not manually moved
+          obj.top = obj._pausedState.top;
+          obj.left = obj._pausedState.left;
+          obj.originalTop = obj._pausedState.originalTop;
+          obj.originalLeft = obj._pausedState.originalLeft;
+          obj.hopOffset = obj._pausedState.hopOffset;
+          obj.moveDirection = obj._pausedState.moveDirection;
+          
+          // Restore z-index if it was saved
+          if (obj._pausedState.zIndex !== undefined) {
+            obj.set('zIndex', obj._pausedState.zIndex);
+          }
+          obj.setCoords();
+          
+          // Resume vertical animation
+          this.resume();
+          
+          // Re-add the ticker for horizontal movement
+          gsap.ticker.add(updatePosition);
+          obj._tickerId = updatePosition;
+        }
+        
+        // Clear the paused state and manual move flag
+        delete obj._pausedState;
+        delete obj._manuallyMoved;
+      } else {
+        // Resume vertical animation
+        this.resume();
+        
+        // Re-add the ticker for horizontal movement
+        gsap.ticker.add(updatePosition);
+        obj._tickerId = updatePosition;
+      }
+    };
+    
+    // Rebuild the hop timeline so that changed hop parameters take effect
+    tween.customRestart = function() {
+      const wasPaused = this.paused();
+      this.kill();
+      obj.hopOffset = 0;
+      
+      if (obj._pausedState) {
+        obj._pausedState.hopOffset = 0;
+        obj._pausedState.top = obj._pausedState.originalTop;
+      }
+      
+      const newTimeline = createHopTimeline(obj);
+      newTimeline.customPause = this.customPause;
+      newTimeline.customResume = this.customResume;
+      newTimeline.customRestart = this.customRestart;
+      if (wasPaused) {
+        newTimeline.pause();
+      }
+      obj.tween = newTimeline;
+      
+      obj.set('top', obj.originalTop);
+      obj.setCoords();
+    };
+    
+    obj.tween = tween;
+    animatedObjects.push(obj);
+    processedData.push(dataEntry);
+  });
+  
+  // Handle grouped objects - treat each group as one unit
+  groupedObjects.forEach((groupMembers, groupId) => {
+    const groupDataEntry = data.find(d => d.groupId === groupId);
+    const { group: fabricGroup, zIndex: thisGroupZIndex } = createAnimationGroup(canvas, groupMembers, groupId, {
+      dataEntry: groupDataEntry,
+      groupZIndex,
+      groupCreationOrder
+    });
+    
+    // Store the z-index for data tracking
+    zIndices.set(groupId, thisGroupZIndex);
+    
+    // Initialize bouncing properties for the group
+    fabricGroup.isAnimated = true;
+    fabricGroup.animationType = 'hop';
+    fabricGroup.animationParameters = hopConfig;
+    fabricGroup.originalTop = fabricGroup.top;
+    fabricGroup.originalLeft = fabricGroup.left;
+    fabricGroup.hopOffset = 0;
+    fabricGroup.sideOffset = 0;
+    fabricGroup.moveDirection = 1; // 1 for right, -1 for left
+    
+    // Get canvas dimensions for boundary detection
+    const canvasBounds = {
+      width: canvas.getWidth(),
+      height: canvas.getHeight(),
+      left: 0,
+      right: canvas.getWidth()
+    };
+    
+    // Create vertical hop animation
+    const timeline = createHopTimeline(fabricGroup);
+    
+    // Store the interactions module once it's loaded
+    let interactionsModule = null;
+    
+    // Try to load the interactions module immediately
+    import('./animationInteractions.js').then(module => {
+      interactionsModule = module;
+    }).catch(err => {
+      console.error("Failed to load animation interactions module:", err);
+    });
+    
+    // Function to update position with boundary detection
+    const updatePosition = () => {
+      if (fabricGroup.dragging) return;
+      
+      // Apply vertical hop position
+      fabricGroup.set('top', fabricGroup.originalTop - fabricGroup.hopOffset);
+      
+      // Between scheduled runs the hop is held on the ground, so there is no sideways movement
+      if (fabricGroup.scheduleIdle) {
+        fabricGroup.setCoords();
+        return;
+      }
+      
+      // Apply horizontal movement with boundary detection
+      const groupWidth = fabricGroup.getScaledWidth();
+      const leftBound = canvasBounds.left + (groupWidth / 2) + hopConfig.boundaryPadding;
+      const rightBound = canvasBounds.right - (groupWidth / 2) - hopConfig.boundaryPadding;
+      
+      // Check for animation interactions first
+      if (interactionsModule && canvas.animationInteractions && canvas.animationInteractions.length > 0) {
+        // Process interactions (this might change moveDirection if needed)
+        interactionsModule.predictAndProcessAvoidance(canvas, fabricGroup);
+        
+        // Also check for orbit interactions
+        if (interactionsModule.predictAndProcessOrbit) {
+          interactionsModule.predictAndProcessOrbit(canvas, fabricGroup);
+          
+          // If object is in an orbit, skip normal horizontal movement
+          if (fabricGroup._orbitData) {
+            fabricGroup.setCoords();
+            canvas.requestRenderAll();
+            return;
+          }
+        }
+      }
+      
+      // Calculate new position with current direction
+      const newLeft = fabricGroup.left + (hopConfig.speed * fabricGroup.moveDirection);
+      
+      // Check if it would hit a canvas boundary
+      if (newLeft <= leftBound) {
+        fabricGroup.left = leftBound;
+        fabricGroup.moveDirection = 1; // Switch to right when hitting left boundary
+      } else if (newLeft >= rightBound) {
+        fabricGroup.left = rightBound;
+        fabricGroup.moveDirection = -1; // Switch to left when hitting right boundary
+      } else {
+        // Normal movement if no boundary hit
+        fabricGroup.left = newLeft;
+      }
+      
+      // Update object on canvas
+      fabricGroup.setCoords();
+      canvas.requestRenderAll();
+    };
+    
+    // Add ticker for horizontal movement and boundary detection
+    gsap.ticker.add(updatePosition);
+    
+    // Store the timeline as the tween for consistency with other animations
+    const tween = timeline;
+    
+    // Store the ticker ID for pause/resume
+    fabricGroup._tickerId = updatePosition;
+    
+    // Create custom pause/resume methods for groups
+    tween.customPause = function() {
+      // Pause vertical hop animation
+      this.pause();
+      
+      // Remove horizontal movement ticker
+      gsap.ticker.remove(fabricGroup._tickerId);
+      
+      // Save the current state when paused
+      fabricGroup._pausedState = {
+        top: fabricGroup.top,
+        left: fabricGroup.left,
+        originalTop: fabricGroup.originalTop,
+        originalLeft: fabricGroup.originalLeft,
+        hopOffset: fabricGroup.hopOffset,
+        moveDirection: fabricGroup.moveDirection,
+        zIndex: fabricGroup.get('zIndex')
+      };
+      
+      // Reset the manually moved flag
+      fabricGroup._manuallyMoved = false;
+    };
+    
+    tween.customResume = function() {
+      // Restore state if it was saved
+      if (fabricGroup._pausedState) {
+        // If the group was manually moved while paused
+        if (fabricGroup._manuallyMoved) {
+          // Update the original position to the current position
+          fabricGroup.originalTop = fabricGroup.top;
+          fabricGroup.originalLeft = fabricGroup.left;
+          fabricGroup.hopOffset = 0;
+          
+          // Force update
+          gsap.set(fabricGroup, { hopOffset: 0 });
+          fabricGroup.setCoords();
+          
+          // Kill existing vertical animation
+          this.kill();
+          
+          // Create new vertical hop animation
+          const newTimeline = createHopTimeline(fabricGroup);
+          
+          // Add the ticker for horizontal movement
+          gsap.ticker.add(updatePosition);
+          fabricGroup._tickerId = updatePosition;
+          
+          // Copy custom methods to the new tween
+          newTimeline.customPause = this.customPause;
+          newTimeline.customResume = this.customResume;
+          newTimeline.customRestart = this.customRestart;
+          fabricGroup.tween = newTimeline;
+        } else {
+          // Normal restore if not manually moved
+          fabricGroup.top = fabricGroup._pausedState.top;
+          fabricGroup.left = fabricGroup._pausedState.left;
+          fabricGroup.originalTop = fabricGroup._pausedState.originalTop;
+          fabricGroup.originalLeft = fabricGroup._pausedState.originalLeft;
+          fabricGroup.hopOffset = fabricGroup._pausedState.hopOffset;
+          fabricGroup.moveDirection = fabricGroup._pausedState.moveDirection;
+          
+          // Restore z-index if it was saved
+          if (fabricGroup._pausedState.zIndex !== undefined) {
+            fabricGroup.set('zIndex', fabricGroup._pausedState.zIndex);
+          }
+          fabricGroup.setCoords();
+          
+          // Resume vertical animation
+          this.resume();
+          
+          // Re-add the ticker for horizontal movement
+          gsap.ticker.add(updatePosition);
+          fabricGroup._tickerId = updatePosition;
+        }
+        
+        // Clear the paused state and manual move flag
+        delete fabricGroup._pausedState;
+        delete fabricGroup._manuallyMoved;
+      } else {
+        // Resume vertical animation
+        this.resume();
+        
+        // Re-add the ticker for horizontal movement
+        gsap.ticker.add(updatePosition);
+        fabricGroup._tickerId = updatePosition;
+      }
+    };
+    
+    // Rebuild the hop timeline so that changed hop parameters take effect
+    tween.customRestart = function() {
+      const wasPaused = this.paused();
+      this.kill();
+      fabricGroup.hopOffset = 0;
+      
+      if (fabricGroup._pausedState) {
+        fabricGroup._pausedState.hopOffset = 0;
+        fabricGroup._pausedState.top = fabricGroup._pausedState.originalTop;
+      }
+      
+      const newTimeline = createHopTimeline(fabricGroup);
+      newTimeline.customPause = this.customPause;
+      newTimeline.customResume = this.customResume;
+      newTimeline.customRestart = this.customRestart;
+      if (wasPaused) {
+        newTimeline.pause();
+      }
+      fabricGroup.tween = newTimeline;
+      
+      fabricGroup.set('top', fabricGroup.originalTop);
+      fabricGroup.setCoords();
+    };
+    
+    fabricGroup.tween = tween;
+    fabricGroup.setCoords();
+    
+    animatedObjects.push(fabricGroup);
+    
+    // Add data entry for the group
+    processedData.push(groupDataFields(fabricGroup, thisGroupZIndex));
+  });
+  
+  // Make sure canvas sorts objects by z-index
+  canvas._objects.sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+  
+  // Return the animated objects and data
+  return {
+    objects: animatedObjects,
+    data: processedData
+  };
+}
+
+// Properties a keyframe sets on its object
+export const keyframeProperties = ['left', 'top', 'angle', 'scaleX', 'scaleY', 'opacity'];
+
+/**
+ * Reads an object's current pose as keyframe values
+ * @param {fabric.Object} obj - The object
+ * @returns {Object} - A value for each of keyframeProperties
+ */
+function readKeyframePose(obj) {
+  const pose = {};
+  keyframeProperties.forEach(prop => { pose[prop] = obj[prop]; });
+  return pose;
+}
+
+/**
+ * Picks the keyframe values out of a keyframe, for tweening
+ * @param {Object} key - The keyframe
+ * @returns {Object} - A value for each of keyframeProperties
+ */
+function keyframePose(key) {
+  const pose = {};
+  keyframeProperties.forEach(prop => { pose[prop] = key[prop]; });
+  return pose;
+}
+
+/**
+ * Sets a keyframe on an object animated with the keyframe handler, replacing any key at the same time
+ * @param {Object} canvas - The fabric.js canvas
+ * @param {fabric.Object} target - The keyframed object
+ * @param {number} time - Scene time in seconds
+ * @param {Object} values - Keyframe values and ease; anything left out is taken from the object's current pose
+ * @returns {Object} - The keyframe
+ */
+export function setKeyframe(canvas, target, time, values = {}) {
+  const keyframes = target.keyframes;
+  const keyTime = Math.max(0, Math.round(time * 100) / 100);
+  let key = keyframes.find(k => Math.abs(k.time - keyTime) < 0.005);
+
+  if (!key) {
+    key = { time: keyTime, ease: target.animationParameters?.ease || animationDefaults.keyframe.ease };
+    keyframes.push(key);
+  }
+
+  const pose = readKeyframePose(target);
+  keyframeProperties.forEach(prop => {
+    key[prop] = values[prop] ?? pose[prop];
+  });
+  if (values.ease && easeFamilies.includes(values.ease)) key.ease = values.ease;
+
+  updateKeyframes(canvas, target);
+  return key;
+}
+
+/**
+ * Removes a keyframe from a keyframed object. The last keyframe can't be removed.
+ * @param {Object} canvas - The fabric.js canvas
+ * @param {fabric.Object} target - The keyframed object
+ * @param {Object} key - One of the object's keyframes
+ * @returns {boolean} - Whether the keyframe was removed
+ */
+export function removeKeyframe(canvas, target, key) {
+  const index = target.keyframes.indexOf(key);
+  if (index === -1 || target.keyframes.length < 2) return false;
+
+  target.keyframes.splice(index, 1);
+  updateKeyframes(canvas, target);
+  return true;
+}
+
+/**
+ * Rebuilds a keyframed object's motion after its keyframes were changed, and saves the change
+ * @param {Object} canvas - The fabric.js canvas
+ * @param {fabric.Object} target - The keyframed object
+ */
+export function updateKeyframes(canvas, target) {
+  target.keyframes.sort((a, b) => a.time - b.time);
+  target.tween?.customRestart?.();
+  canvas.requestRenderAll();
+  setTimeout(() => canvas.history.saveState(), 20);
+}
+
+/**
+ * Time on a keyframed object's own keys for a scene time. Keys count from the start of the
+ * object's current run, which comes after the scene start when the animation is scheduled.
+ * @param {fabric.Object} target - The keyframed object
+ * @param {number} sceneTime - Time on the master clock
+ * @returns {number}
+ */
+export function getKeyframeTime(target, sceneTime) {
+  return Math.max(0, sceneTime - (target.tween?.startTime?.() || 0));
+}
+
+/**
+ * Gets the time of the last keyframe in a set of animations
+ * @param {Array<Object>} animations - Animation entries
+ * @returns {number} - Seconds, or 0 if none of them has keyframes
+ */
+export function getKeyframesEnd(animations) {
+  return animations
+    .filter(anim => anim.type === 'keyframe')
+    .flatMap(anim => anim.data.flatMap(d => d.keyframes || []))
+    .reduce((end, key) => Math.max(end, key.time), 0);
+}
+
+/**
+ * Keyframe animation: objects take authored poses (position, rotation, scale and opacity)
+ * at set times on the master clock's timeline, eased per segment between them
+ * @param {Object} canvas - The fabric.js canvas object
+ * @param {Array} objs - Selected objects to animate
+ * @param {Object} options - Animation options; data entries carry each object's keyframes
+ * @returns {Object} Animation data
+ */
+export function keyframeObjects(canvas, objs, { data = [], parameters = {}, debugMode = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
+  if (debugMode) {
+    console.log("keyframeObjects called with options:", {
+      preserveZIndex,
+      groupZIndex,
+      groupCreationOrder,
+      dataLength: data.length,
+      selectedObjects: objs.length
+    });
+  }
+
+  const keyframeConfig = resolveAnimationParameters('keyframe', parameters);
+
+  // Builds the object's keyframes into a timeline on the master clock, where key times are scene times.
+  // Each segment eases into the keyframe that ends it.
+  const createKeyframeTimeline = (target) => {
+    const keys = target.keyframes;
+    const timeline = gsap.timeline({
+      onUpdate: () => {
+        // Stop once the object is removed (or replaced by undo) or given another animation
+        if (!target.canvas || target.tween !== timeline) {
+          timeline.kill();
+          return;
+        }
+        target.setCoords();
+      }
+    });
+
+    // Not lazy, so a timeline added partway through shows the right pose straight away
+    timeline.set(target, { ...keyframePose(keys[0]), lazy: false }, 0);
+    keys.slice(1).forEach((key, i) => {
+      const previous = keys[i];
+      timeline.fromTo(target, keyframePose(previous), {
+        ...keyframePose(key),
+        duration: key.time - previous.time,
+        ease: getEase(key.ease, 'inOut'),
+        immediateRender: false,
+        lazy: false
+      }, previous.time);
+    });
+
+    canvas.clock.timeline.add(timeline, 0);
+    return timeline;
+  };
+
+  // Gives an object (or a group standing in for grouped objects) its keyframes and timeline
+  const setUpKeyframes = (target, dataItem) => {
+    target.isAnimated = true;
+    target.animationType = 'keyframe';
+    target.animationParameters = keyframeConfig;
+
+    // Keys saved with the animation are used as they are; a new animation starts with the current pose
+    const currentPose = readKeyframePose(target);
+    if (dataItem?.keyframes?.length) {
+      target.keyframes = dataItem.keyframes;
+      target.keyframes.forEach(key => {
+        keyframeProperties.forEach(prop => { key[prop] ??= currentPose[prop]; });
+        key.ease ||= keyframeConfig.ease;
+      });
+      target.keyframes.sort((a, b) => a.time - b.time);
+    } else {
+      target.keyframes = [{ time: 0, ...currentPose, ease: keyframeConfig.ease }];
+    }
+
+    const tween = createKeyframeTimeline(target);
+
+    // Selected objects hold still so they can be posed
+    tween.customPause = function() {
+      this.pause();
+      target._pausedState = {
+        ...readKeyframePose(target),
+        zIndex: target.get('zIndex')
+      };
+      target._manuallyMoved = false;
+    };
+
+    tween.customResume = function() {
+      // Read the pose before resuming, which moves the object back onto its keys
+      const movedPose = target._manuallyMoved ? readKeyframePose(target) : null;
+      const keyTime = getKeyframeTime(target, canvas.clock.time);
+      delete target._pausedState;
+      delete target._manuallyMoved;
+      this.resume();
+
+      // Moving a keyframed object keys its new pose at the playhead
+      if (movedPose) {
+        setKeyframe(canvas, target, keyTime, movedPose);
+      } else {
+        this.totalTime(keyTime);
+      }
+    };
+
+    // Rebuild the timeline so that changed keyframes take effect
+    tween.customRestart = function() {
+      const wasPaused = this.paused();
+      const keyTime = getKeyframeTime(target, canvas.clock.time);
+      this.kill();
+
+      const newTimeline = createKeyframeTimeline(target);
+      newTimeline.customPause = this.customPause;
+      newTimeline.customResume = this.customResume;
+      newTimeline.customRestart = this.customRestart;
+      target.tween = newTimeline;
+
+      newTimeline.totalTime(keyTime);
+      if (wasPaused) {
+        newTimeline.pause();
+      }
+    };
+
+    target.tween = tween;
+  };
+
+  canvas.discardActiveObject();
+
+  // Group objects by their groupId
+  const groupedObjects = new Map(); // Map of groupId -> objects
+  const singleObjects = []; // Objects that are not part of any group
+  const animatedObjects = []; // Objects that will be animated
+  const processedData = []; // Data for animation tracking
+
+  objs.forEach(obj => {
+    if (obj.groupId) {
+      if (!groupedObjects.has(obj.groupId)) {
+        groupedObjects.set(obj.groupId, []);
+      }
+      groupedObjects.get(obj.groupId).push(obj);
+    } else {
+      singleObjects.push(obj);
+    }
+  });
+
+  // Handle single objects; they turn and scale about their center
+  singleObjects.forEach(obj => {
+    const dataItem = data.find(d => d.id === obj.id);
+    let zIndex;
+
+    if (dataItem && dataItem.zIndex !== undefined) {
+      zIndex = dataItem.zIndex;
+    } else if (groupZIndex !== undefined) {
+      zIndex = groupZIndex;
+    } else {
+      zIndex = obj.get('zIndex');
+    }
+
+    const { x, y } = obj.getCenterPoint();
+    obj.set({ originX: 'center', originY: 'center', left: x, top: y, selectable: true });
+
+    if (zIndex !== undefined) {
+      obj.set('zIndex', zIndex);
+    }
+    if (groupCreationOrder !== undefined) {
+      obj._creationOrder = groupCreationOrder;
+    }
+
+    setUpKeyframes(obj, dataItem);
+    obj.tween.totalTime(canvas.clock.time);
+    obj.setCoords();
+    animatedObjects.push(obj);
+
+    // The data entry shares the keyframe array, so edits are saved with the animation
+    processedData.push({
+      id: obj.id,
+      zIndex: zIndex,
+      keyframes: obj.keyframes
+    });
+  });
+
+  // Handle grouped objects - each group moves as one unit
+  groupedObjects.forEach((groupMembers, groupId) => {
+    const groupDataEntry = data.find(d => d.groupId === groupId);
+    const { group: fabricGroup, zIndex: thisGroupZIndex } = createAnimationGroup(canvas, groupMembers, groupId, {
+      dataEntry: groupDataEntry,
+      groupZIndex,
+      groupCreationOrder
+    });
+    setUpKeyframes(fabricGroup, groupDataEntry);
+    fabricGroup.tween.totalTime(canvas.clock.time);
+    fabricGroup.setCoords();
+    animatedObjects.push(fabricGroup);
+
+    processedData.push({
+      ...groupDataFields(fabricGroup, thisGroupZIndex),
+      keyframes: fabricGroup.keyframes
+    });
+  });
+
+  // Make sure canvas sorts objects by z-index
+  canvas._objects.sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+
+  return {
+    objects: animatedObjects,
+    data: processedData
+  };
+}
+
+/**
+ * Samples a drawn stroke evenly along its length
+ * @param {fabric.Path} path - The stroke
+ * @returns {Array<Object>} - { x, y } points about the stroke's center, in its own untransformed space
+ */
+function samplePath(path) {
+  const infos = fabric.util.getPathSegmentsInfo(path.path);
+  const length = infos[infos.length - 1].length;
+  const count = Math.min(2000, Math.max(2, Math.ceil(length / 4)));
+
+  const points = [];
+  for (let i = 0; i <= count; i++) {
+    const point = fabric.util.getPointOnPath(path.path, length * i / count, infos);
+    points.push({ x: point.x - path.pathOffset.x, y: point.y - path.pathOffset.y });
+  }
+  return points;
+}
+
+/**
+ * Places sampled stroke points on the canvas, with the distance along the stroke to each of them
+ * @param {fabric.Path} path - The stroke
+ * @param {Array<Object>} points - From samplePath
+ * @returns {Object} - { points, distances, length } in canvas pixels
+ */
+function buildTrack(path, points) {
+  const matrix = path.calcTransformMatrix();
+  const placed = points.map(p => fabric.util.transformPoint(new fabric.Point(p.x, p.y), matrix));
+
+  const distances = [0];
+  for (let i = 1; i < placed.length; i++) {
+    distances.push(distances[i - 1] + Math.hypot(placed[i].x - placed[i - 1].x, placed[i].y - placed[i - 1].y));
+  }
+  return { points: placed, distances, length: distances[distances.length - 1] };
+}
+
+/**
+ * Finds the point a distance along a track, and the heading there
+ * @param {Object} track - From buildTrack
+ * @param {number} distance - Pixels from the start of the stroke
+ * @returns {Object} - { x, y, angle } with the angle in degrees
+ */
+function pointOnTrack(track, distance) {
+  const { points, distances } = track;
+  let lo = 0;
+  let hi = distances.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (distances[mid] <= distance) lo = mid; else hi = mid;
+  }
+
+  const a = points[lo];
+  const b = points[hi];
+  const span = distances[hi] - distances[lo];
+  const t = span > 0 ? Math.min(1, Math.max(0, (distance - distances[lo]) / span)) : 0;
+  return {
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t,
+    angle: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI
+  };
+}
+
+// A round trip of a path runs the stroke once, or there and back for ping-pong
+pathObjects.cycleLength = (parameters, anim) => {
+  const { speed, mode } = resolveAnimationParameters('path', parameters);
+  const length = anim?.data.find(d => d.isPath)?.length;
+  if (!(length > 0) || !(speed > 0)) return null;
+  return (mode === 'pingpong' ? 2 : 1) * length / speed;
+};
+
+/**
+ * Finds the stroke a path animation follows: a new unanimated stroke selected with the followers,
+ * else the one its data names, else the stroke selected with the followers that was drawn last
+ * @param {Object} canvas - The fabric.js canvas object
+ * @param {Array} objs - Selected objects
+ * @param {Array} data - The animation data, if it already exists
+ * @returns {Object} - { path, savedPathId }
+ */
+function findMotionPath(canvas, objs, data = []) {
+  const strokes = objs.filter(o => o.type === 'path' && !o.groupId);
+  const lastDrawn = list => list.reduce((last, o) => (!last || (o._creationOrder ?? 0) > (last._creationOrder ?? 0) ? o : last), null);
+  const savedPathId = data.find(d => d.isPath)?.id ?? data.find(d => d.pathId)?.pathId;
+
+  // Reanimating with a stroke that isn't part of the animation yet switches to that path
+  const newPath = data.length > 0 && lastDrawn(strokes.filter(o => !o.isAnimated && !data.some(d => d.id === o.id)));
+  if (newPath) return { path: newPath, savedPathId };
+
+  // The saved path, looked for on the whole canvas in case it isn't selected
+  let path = savedPathId !== undefined ? (objs.find(o => o.id === savedPathId) ||
+    canvas.getObjects().find(o => o.id === savedPathId)) : null;
+
+  if (!path) {
+    path = lastDrawn(strokes);
+  }
+  return { path, savedPathId };
+}
+
+// New path animations need a stroke to follow and something to follow it
+pathObjects.checkSelection = (canvas, objs, { data } = {}) => {
+  const { path, savedPathId } = findMotionPath(canvas, objs, data);
+  if (savedPathId !== undefined || (path && objs.some(o => o !== path))) return null;
+  return 'Draw a path with the pencil, then select it together with the objects that should follow it';
+};
+
+/**
+ * Path animation: objects travel along a stroke drawn with the pencil. The stroke selected with
+ * them that was drawn last becomes the path, unless the animation data already names one and no
+ * new stroke is selected.
+ * The path can be hidden, and moved, scaled or turned later; the followers keep to it.
+ * @param {Object} canvas - The fabric.js canvas object
+ * @param {Array} objs - Selected objects: the followers and the path
+ * @param {Object} options - Animation options; the data entry marked isPath is the path
+ * @returns {Object} Animation data
+ */
+export function pathObjects(canvas, objs, { data = [], parameters = {}, debugMode = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
+  if (debugMode) {
+    console.log("pathObjects called with options:", {
+      preserveZIndex,
+      groupZIndex,
+      groupCreationOrder,
+      dataLength: data.length,
+      selectedObjects: objs.length
+    });
+  }
+
+  const pathConfig = resolveAnimationParameters('path', parameters);
+  const { path, savedPathId } = findMotionPath(canvas, objs, data);
+
+  const followers = objs.filter(o => o !== path);
+  if (!path || followers.length === 0) {
+    // Saved followers whose path was deleted stay where they are
+    if (savedPathId !== undefined) {
+      console.warn('Motion path not found, followers stay still:', savedPathId);
+      return { objects: [], data: data.filter(d => !d.isPath) };
+    }
+    return { objects: [], data: [], error: pathObjects.checkSelection(canvas, objs, { data }) };
+  }
+
+  // The path stops any animation of its own and is only shown if asked
+  path.id ||= fabric.Object.__uidCounter++;
+  path.tween?.kill();
+  delete path.tween;
+  delete path.animationType;
+  path.isAnimated = false;
+  path.isMotionPath = true;
+  path.set({ visible: pathConfig.showPath });
+
+  const pathEntry = { id: path.id, isPath: true, zIndex: path.get('zIndex') };
+  const localPoints = samplePath(path);
+
+  // The track is placed again whenever the path has been moved, scaled or turned
+  let track = null;
+  let placedWith = '';
+  const getTrack = () => {
+    const key = path.calcTransformMatrix().join(',');
+    if (key !== placedWith) {
+      track = buildTrack(path, localPoints);
+      placedWith = key;
+      pathEntry.length = Math.round(track.length);
+    }
+    return track;
+  };
+  getTrack();
+
+  // Moves an object to where it is on the path at its tween's time. Objects set off spread along the path.
+  const placeOnPath = (target, time) => {
+    const { length } = getTrack();
+    if (!(length > 0) || !(pathConfig.speed > 0)) return;
+
+    const pingpong = pathConfig.mode === 'pingpong';
+    const lap = (pingpong ? 2 : 1) * length;
+    const phase = ((time * pathConfig.speed / lap + target.pathStart) % 1 + 1) % 1;
+    const along = pingpong ? 1 - Math.abs(1 - 2 * phase) : phase;
+    const backwards = pingpong && phase > 0.5;
+
+    const point = pointOnTrack(track, along * length);
+    target.set({
+      left: point.x,
+      top: point.y,
+      angle: target.pathBaseAngle + (pathConfig.orient ? point.angle + (backwards ? 180 : 0) : 0)
+    });
+    target.setCoords();
+  };
+
+  const createPathTween = (target) => {
+    const tween = gsap.to(target, {
+      duration: 1,
+      repeat: -1,
+      ease: 'none',
+      onUpdate: () => {
+        // Stop once the object is removed (or replaced by undo) or given another animation
+        if (!target.canvas || target.tween !== tween) {
+          tween.kill();
+          return;
+        }
+        if (target.dragging || !path.canvas) return;
+        placeOnPath(target, tween.totalTime());
+      }
+    });
+    return tween;
+  };
+
+  // Gives an object (or a group standing in for grouped objects) its place on the path
+  const setUpFollower = (target, dataItem, index) => {
+    target.isAnimated = true;
+    target.animationType = 'path';
+    target.animationParameters = pathConfig;
+    target.pathStart = dataItem?.start ?? index / followers.length;
+    target.pathBaseAngle = dataItem?.baseAngle ?? target.angle;
+
+    const tween = createPathTween(target);
+
+    tween.customPause = function() {
+      this.pause();
+      target._pausedState = {
+        left: target.left,
+        top: target.top,
+        angle: target.angle,
+        zIndex: target.get('zIndex')
+      };
+      target._manuallyMoved = false;
+    };
+
+    tween.customResume = function() {
+      delete target._pausedState;
+      delete target._manuallyMoved;
+      this.resume();
+      placeOnPath(target, this.totalTime());
+    };
+
+    // The tween reads its settings on every update, so a restart only needs to show or hide the path
+    tween.customRestart = function() {
+      path.set({ visible: pathConfig.showPath });
+      placeOnPath(target, this.totalTime());
+    };
+
+    target.tween = tween;
+    placeOnPath(target, 0);
+  };
+
+  canvas.discardActiveObject();
+
+  // Group objects by their groupId
+  const groupedObjects = new Map(); // Map of groupId -> objects
+  const singleObjects = []; // Objects that are not part of any group
+  const animatedObjects = [path]; // Objects that will be animated; the path comes first
+  const processedData = [pathEntry]; // Data for animation tracking
+
+  followers.forEach(obj => {
+    if (obj.groupId) {
+      if (!groupedObjects.has(obj.groupId)) {
+        groupedObjects.set(obj.groupId, []);
+      }
+      groupedObjects.get(obj.groupId).push(obj);
+    } else {
+      singleObjects.push(obj);
+    }
+  });
+
+  let followerIndex = 0;
+
+  // Handle single objects; they travel and turn about their center
+  singleObjects.forEach(obj => {
+    const dataItem = data.find(d => d.id === obj.id);
+    let zIndex;
+
+    if (dataItem && dataItem.zIndex !== undefined) {
+      zIndex = dataItem.zIndex;
+    } else if (groupZIndex !== undefined) {
+      zIndex = groupZIndex;
+    } else {
+      zIndex = obj.get('zIndex');
+    }
+
+    const { x, y } = obj.getCenterPoint();
+    obj.set({ originX: 'center', originY: 'center', left: x, top: y, selectable: true });
+
+    if (zIndex !== undefined) {
+      obj.set('zIndex', zIndex);
+    }
+    if (groupCreationOrder !== undefined) {
+      obj._creationOrder = groupCreationOrder;
+    }
+
+    obj.id ||= fabric.Object.__uidCounter++;
+    setUpFollower(obj, dataItem, followerIndex++);
+    animatedObjects.push(obj);
+
+    processedData.push({
+      id: obj.id,
+      zIndex: zIndex,
+      pathId: path.id,
+      start: obj.pathStart,
+      baseAngle: obj.pathBaseAngle
+    });
+  });
+
+  // Handle grouped objects - each group travels as one unit
+  groupedObjects.forEach((groupMembers, groupId) => {
+    const groupDataEntry = data.find(d => d.groupId === groupId);
+    const { group: fabricGroup, zIndex: thisGroupZIndex } = createAnimationGroup(canvas, groupMembers, groupId, {
+      dataEntry: groupDataEntry,
+      groupZIndex,
+      groupCreationOrder
+    });
+    setUpFollower(fabricGroup, groupDataEntry, followerIndex++);
+    animatedObjects.push(fabricGroup);
+
+    processedData.push({
+      ...groupDataFields(fabricGroup, thisGroupZIndex),
+      pathId: path.id,
+      start: fabricGroup.pathStart,
+      baseAngle: fabricGroup.pathBaseAngle
+    });
+  });
+
+  // Make sure canvas sorts objects by z-index
+  canvas._objects.sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+
+  return {
+    objects: animatedObjects,
+    data: processedData
+  };
+}
+
+// How many updates ahead a fish looks for the edge of the water
+const SWIM_LOOKAHEAD = 30;
+
+/**
+ * Whether a point is inside the outline of a stroke, treating the stroke as closed
+ * @param {Array<Object>} points - The outline's { x, y } points in canvas pixels
+ * @param {number} x - Point to test
+ * @param {number} y - Point to test
+ * @returns {boolean}
+ */
+function insideOutline(points, x, y) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Finds the stroke fish swim in: the one the swim data names, else the selected stroke
+ * that encloses the others, or the largest one if none does
+ * @param {Object} canvas - The fabric.js canvas object
+ * @param {Array} objs - Selected objects
+ * @param {Array} data - The animation data, if it already exists
+ * @returns {Object} - { water, savedWaterId }
+ */
+function findWater(canvas, objs, data = []) {
+  // The saved water, looked for on the whole canvas in case it isn't selected
+  const savedWaterId = data.find(d => d.isWater)?.id ?? data.find(d => d.waterId)?.waterId;
+  let water = savedWaterId !== undefined ? (objs.find(o => o.id === savedWaterId) ||
+    canvas.getObjects().find(o => o.id === savedWaterId)) : null;
+
+  if (!water) {
+    const outlines = objs
+      .filter(o => o.type === 'path' && !o.groupId)
+      .map(o => ({ stroke: o, points: buildTrack(o, samplePath(o)).points, area: o.getScaledWidth() * o.getScaledHeight() }))
+      .sort((a, b) => b.area - a.area);
+    const encloses = ({ stroke, points }) => objs.every(o => {
+      if (o === stroke) return true;
+      const { x, y } = o.getCenterPoint();
+      return insideOutline(points, x, y);
+    });
+    water = (outlines.find(encloses) || outlines[0])?.stroke || null;
+  }
+  return { water, savedWaterId };
+}
+
+// New swims need water and at least one fish in it
+swimObjects.checkSelection = (canvas, objs, { data } = {}) => {
+  const { water, savedWaterId } = findWater(canvas, objs, data);
+  if (savedWaterId !== undefined || (water && objs.some(o => o !== water))) return null;
+  return 'Draw the water as a closed stroke around your fish, then select it together with them';
+};
+
+/**
+ * Swim animation: the drawn strokes school like fish inside a stroke drawn around them as the water.
+ * Each fish keeps its own drawing as the body, turns to face the way it swims and wiggles its tail.
+ * The water is the selected stroke that encloses the others (the largest one if none does), unless
+ * the animation data already names one. It stays where it was drawn and can be moved later.
+ * @param {Object} canvas - The fabric.js canvas object
+ * @param {Array} objs - Selected objects: the fish and the water
+ * @param {Object} options - Animation options; the data entry marked isWater is the water
+ * @returns {Object} Animation data
+ */
+export function swimObjects(canvas, objs, { data = [], parameters = {}, debugMode = false, preserveZIndex = false, groupZIndex, groupCreationOrder } = {}) {
+  if (debugMode) {
+    console.log("swimObjects called with options:", {
+      preserveZIndex,
+      groupZIndex,
+      groupCreationOrder,
+      dataLength: data.length,
+      selectedObjects: objs.length
+    });
+  }
+
+  const swimConfig = resolveAnimationParameters('swim', parameters);
+  const { water, savedWaterId } = findWater(canvas, objs, data);
+
+  const fish = objs.filter(o => o !== water);
+  if (!water || fish.length === 0) {
+    // Saved fish whose water was deleted stay where they are
+    if (savedWaterId !== undefined) {
+      console.warn('Water not found, fish stay still:', savedWaterId);
+      return { objects: [], data: data.filter(d => !d.isWater) };
+    }
+    return { objects: [], data: [], error: swimObjects.checkSelection(canvas, objs, { data }) };
+  }
+
+  // The water stops any animation of its own
+  water.id ||= fabric.Object.__uidCounter++;
+  water.tween?.kill?.();
+  delete water.tween;
+  delete water.animationType;
+  water.isAnimated = false;
+
+  const waterEntry = { id: water.id, isWater: true, zIndex: water.get('zIndex') };
+  const localPoints = samplePath(water);
+
+  // The outline is placed again whenever the water has been moved, scaled or turned
+  let region = null;
+  let placedWith = '';
+  const getRegion = () => {
+    const key = water.calcTransformMatrix().join(',');
+    if (key !== placedWith) {
+      const { points } = buildTrack(water, localPoints);
+      region = {
+        points,
+        center: {
+          x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+          y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+        }
+      };
+      placedWith = key;
+    }
+    return region;
+  };
+
+  canvas.discardActiveObject();
+
+  // Group objects by their groupId
+  const groupedObjects = new Map(); // Map of groupId -> objects
+  const singleObjects = []; // Objects that are not part of any group
+  const school = []; // The fish, in the order of their data entries
+  const processedData = [waterEntry]; // Data for animation tracking; the water comes first
+
+  fish.forEach(obj => {
+    if (obj.groupId) {
+      if (!groupedObjects.has(obj.groupId)) {
+        groupedObjects.set(obj.groupId, []);
+      }
+      groupedObjects.get(obj.groupId).push(obj);
+    } else {
+      singleObjects.push(obj);
+    }
+  });
+
+  // Handle single objects; they swim and turn about their center
+  singleObjects.forEach(obj => {
+    const dataItem = data.find(d => d.id === obj.id);
+    let zIndex;
+
+    if (dataItem && dataItem.zIndex !== undefined) {
+      zIndex = dataItem.zIndex;
+    } else if (groupZIndex !== undefined) {
+      zIndex = groupZIndex;
+    } else {
+      zIndex = obj.get('zIndex');
+    }
+
+    const { x, y } = obj.getCenterPoint();
+    obj.set({ originX: 'center', originY: 'center', left: x, top: y, selectable: true });
+
+    if (zIndex !== undefined) {
+      obj.set('zIndex', zIndex);
     }
-    
-    // Apply creation order if available
     if (groupCreationOrder !== undefined) {
-      groupOptions._creationOrder = groupCreationOrder;
+      obj._creationOrder = groupCreationOrder;
     }
-    
-    // Create a Fabric.js Group from the objects
-    const fabricGroup = new fabric.Group(groupMembers, groupOptions);
-    
-    // Remove original objects from canvas
-    groupMembers.forEach(obj => canvas.remove(obj));
-    
-    // Initialize bouncing properties for the group
-    fabricGroup.isAnimated = true;
-    fabricGroup.animationType = 'hop';
-    fabricGroup.originalTop = fabricGroup.top;
-    fabricGroup.originalLeft = fabricGroup.left;
-    fabricGroup.hopOffset = 0;
-    fabricGroup.sideOffset = 0;
-    fabricGroup.moveDirection = 1; // 1 for right, -1 for left
-    fabricGroup.groupId = groupId;
-    fabricGroup.memberIds = groupMembers.map(obj => obj.id);
-    
-    // Get canvas dimensions for boundary detection
-    const canvasBounds = {
-      width: canvas.getWidth(),
-      height: canvas.getHeight(),
-      left: 0,
-      right: canvas.getWidth()
-    };
-    
-    // Create vertical hop animation
-    const timeline = gsap.timeline({
-      repeat: -1
-    });
-    
-    // Add vertical hop animation
-    timeline.to(fabricGroup, {
-      hopOffset: hopConfig.height,
-      duration: hopConfig.duration / 2,
-      ease: "sine.out"
+
+    obj.id ||= fabric.Object.__uidCounter++;
+    school.push(obj);
+
+    processedData.push({
+      id: obj.id,
+      zIndex: zIndex,
+      waterId: water.id
     });
-    
-    // Add falling animation
-    timeline.to(fabricGroup, {
-      hopOffset: 0,
-      duration: hopConfig.duration / 2,
-      ease: "sine.in"
+  });
+
+  // Handle grouped objects - each group swims as one fish
+  groupedObjects.forEach((groupMembers, groupId) => {
+    const groupDataEntry = data.find(d => d.groupId === groupId);
+    const { group: fabricGroup, zIndex: thisGroupZIndex } = createAnimationGroup(canvas, groupMembers, groupId, {
+      dataEntry: groupDataEntry,
+      groupZIndex,
+      groupCreationOrder
     });
-    
-    // Store the interactions module once it's loaded
-    let interactionsModule = null;
-    
-    // Try to load the interactions module immediately
-    import('./animationInteractions.js').then(module => {
-      interactionsModule = module;
-    }).catch(err => {
-      console.error("Failed to load animation interactions module:", err);
+    school.push(fabricGroup);
+
+    processedData.push({
+      ...groupDataFields(fabricGroup, thisGroupZIndex),
+      waterId: water.id
     });
-    
-    // Function to update position with boundary detection
-    const updatePosition = () => {
-      if (fabricGroup.dragging) return;
-      
-      // Apply vertical hop position
-      fabricGroup.set('top', fabricGroup.originalTop - fabricGroup.hopOffset);
-      
-      // Apply horizontal movement with boundary detection
-      const groupWidth = fabricGroup.getScaledWidth();
-      const leftBound = canvasBounds.left + (groupWidth / 2) + hopConfig.boundaryPadding;
-      const rightBound = canvasBounds.right - (groupWidth / 2) - hopConfig.boundaryPadding;
-      
-      // Check for animation interactions first
-      if (interactionsModule && canvas.animationInteractions && canvas.animationInteractions.length > 0) {
-        // Process interactions (this might change moveDirection if needed)
-        interactionsModule.predictAndProcessAvoidance(canvas, fabricGroup);
-        
-        // Also check for orbit interactions
-        if (interactionsModule.predictAndProcessOrbit) {
-          interactionsModule.predictAndProcessOrbit(canvas, fabricGroup);
-          
-          // If object is in an orbit, skip normal horizontal movement
-          if (fabricGroup._orbitData) {
-            fabricGroup.setCoords();
-            canvas.requestRenderAll();
-            return;
-          }
+  });
+
+  // Each fish draws from its own seeded sequence, so the same seed gives the same swim
+  school.forEach((f, i) => {
+    f.isAnimated = true;
+    f.animationType = 'swim';
+    f.animationParameters = swimConfig;
+    f.originalLeft = f.left;
+    f.originalTop = f.top;
+    f._randomState = (swimConfig.seed * 1000 + i) | 0;
+    f._velocity = {
+      x: (nextRandom(f) * 2 - 1) * swimConfig.maxSpeed,
+      y: (nextRandom(f) * 2 - 1) * swimConfig.maxSpeed * 0.5
+    };
+    f._swimPhase = nextRandom(f) * Math.PI * 2;
+  });
+
+  // Turns a fish to face the way it swims and swings its tail
+  const faceHeading = (f) => {
+    const v = f._velocity;
+    const speed = Math.hypot(v.x, v.y);
+    faceVelocity(f, v, swimConfig.facing);
+
+    // The tail beats faster the faster the fish swims
+    const effort = swimConfig.maxSpeed > 0 ? Math.min(1, speed / swimConfig.maxSpeed) : 0;
+    f._swimPhase = (f._swimPhase + 0.12 + 0.2 * effort) % (Math.PI * 2);
+    f.skewY = swimConfig.wiggle * Math.sin(f._swimPhase);
+  };
+
+  const controls = [];
+
+  function update() {
+    // Stop once no fish of this school is left, e.g. after undo or when given another animation
+    const swimming = school.filter((f, i) => f.canvas && f.tween === controls[i]);
+    if (swimming.length === 0) {
+      gsap.ticker.remove(update);
+      return;
+    }
+    if (!water.canvas) return;
+
+    // Read the school parameters each frame so edits apply live
+    const NEIGHBOR = swimConfig.neighborRadius;
+    const ALIGN_W = swimConfig.alignWeight, COH_W = swimConfig.cohesionWeight, SEP_W = swimConfig.separationWeight;
+    const MAX_SPEED = swimConfig.maxSpeed;
+    const { points, center } = getRegion();
+
+    swimming.forEach(f => {
+      // Fish wait in place while held, dragged or resting between scheduled runs
+      if (f._swimHeld || f.dragging || f.scheduleIdle) return;
+      const v = f._velocity;
+      let ax = 0, ay = 0, cx = 0, cy = 0, sx = 0, sy = 0, cnt = 0;
+
+      swimming.forEach(o => {
+        if (o === f) return;
+        const dx = o.left - f.left;
+        const dy = o.top - f.top;
+        const d = Math.hypot(dx, dy);
+        if (d < NEIGHBOR && d > 0) {
+          ax += o._velocity.x; ay += o._velocity.y;
+          cx += o.left; cy += o.top;
+          sx -= dx / d; sy -= dy / d;
+          cnt++;
         }
+      });
+
+      if (cnt) {
+        ax /= cnt; ay /= cnt;
+        cx = cx / cnt - f.left;
+        cy = cy / cnt - f.top;
       }
-      
-      // Calculate new position with current direction
-      const newLeft = fabricGroup.left + (hopConfig.speed * fabricGroup.moveDirection);
-      
-      // Check if it would hit a canvas boundary
-      if (newLeft <= leftBound) {
-        fabricGroup.left = leftBound;
-        fabricGroup.moveDirection = 1; // Switch to right when hitting left boundary
-      } else if (newLeft >= rightBound) {
-        fabricGroup.left = rightBound;
-        fabricGroup.moveDirection = -1; // Switch to left when hitting right boundary
+
+      // A little seeded wandering keeps a lone fish from swimming dead straight
+      v.x += ax * ALIGN_W + cx * COH_W + sx * SEP_W + (nextRandom(f) - 0.5) * 0.1 * MAX_SPEED;
+      v.y += ay * ALIGN_W + cy * COH_W + sy * SEP_W + (nextRandom(f) - 0.5) * 0.1 * MAX_SPEED;
+
+      // Turn back toward open water before reaching the edge
+      const toCenter = { x: center.x - f.left, y: center.y - f.top };
+      const toCenterLength = Math.hypot(toCenter.x, toCenter.y) || 1;
+      if (!insideOutline(points, f.left + v.x * SWIM_LOOKAHEAD, f.top + v.y * SWIM_LOOKAHEAD)) {
+        v.x += toCenter.x / toCenterLength * 0.15 * MAX_SPEED;
+        v.y += toCenter.y / toCenterLength * 0.15 * MAX_SPEED;
+      }
+
+      // Fish keep swimming, between half and full speed
+      const speed = Math.hypot(v.x, v.y);
+      if (speed > MAX_SPEED) {
+        v.x = (v.x / speed) * MAX_SPEED;
+        v.y = (v.y / speed) * MAX_SPEED;
+      } else if (speed > 0 && speed < MAX_SPEED * 0.5) {
+        v.x = (v.x / speed) * MAX_SPEED * 0.5;
+        v.y = (v.y / speed) * MAX_SPEED * 0.5;
+      }
+
+      // A fish in the water never leaves it; one drawn outside swims in
+      const wasInside = insideOutline(points, f.left, f.top);
+      if (wasInside && !insideOutline(points, f.left + v.x, f.top + v.y)) {
+        const current = Math.hypot(v.x, v.y);
+        v.x = toCenter.x / toCenterLength * current;
+        v.y = toCenter.y / toCenterLength * current;
       } else {
-        // Normal movement if no boundary hit
-        fabricGroup.left = newLeft;
+        f.left += v.x;
+        f.top += v.y;
       }
-      
-      // Update object on canvas
-      fabricGroup.setCoords();
-      canvas.requestRenderAll();
-    };
-    
-    // Add ticker for horizontal movement and boundary detection
-    gsap.ticker.add(updatePosition);
-    
-    // Store the timeline as the tween for consistency with other animations
-    const tween = timeline;
-    
-    // Store the ticker ID for pause/resume
-    fabricGroup._tickerId = updatePosition;
-    
-    // Create custom pause/resume methods for groups
-    tween.customPause = function() {
-      // Pause vertical hop animation
-      this.pause();
-      
-      // Remove horizontal movement ticker
-      gsap.ticker.remove(fabricGroup._tickerId);
-      
-      // Save the current state when paused
-      fabricGroup._pausedState = {
-        top: fabricGroup.top,
-        left: fabricGroup.left,
-        originalTop: fabricGroup.originalTop,
-        originalLeft: fabricGroup.originalLeft,
-        hopOffset: fabricGroup.hopOffset,
-        moveDirection: fabricGroup.moveDirection,
-        zIndex: fabricGroup.get('zIndex')
-      };
-      
-      // Reset the manually moved flag
-      fabricGroup._manuallyMoved = false;
-    };
-    
-    tween.customResume = function() {
-      // Restore state if it was saved
-      if (fabricGroup._pausedState) {
-        // If the group was manually moved while paused
-        if (fabricGroup._manuallyMoved) {
-          // Update the original position to the current position
-          fabricGroup.originalTop = fabricGroup.top;
-          fabricGroup.originalLeft = fabricGroup.left;
-          fabricGroup.hopOffset = 0;
-          
-          // Force update
-          gsap.set(fabricGroup, { hopOffset: 0 });
-          fabricGroup.setCoords();
-          
-          // Kill existing vertical animation
-          this.kill();
-          
-          // Create new vertical hop animation
-          const newTimeline = gsap.timeline({
-            repeat: -1
-          });
-          
-          // Add new vertical animations
-          newTimeline.to(fabricGroup, {
-            hopOffset: hopConfig.height,
-            duration: hopConfig.duration / 2,
-            ease: "sine.out"
-          });
-          
-          newTimeline.to(fabricGroup, {
-            hopOffset: 0,
-            duration: hopConfig.duration / 2,
-            ease: "sine.in"
-          });
-          
-          // Add the ticker for horizontal movement
-          gsap.ticker.add(updatePosition);
-          fabricGroup._tickerId = updatePosition;
-          
-          // Copy custom methods to the new tween
-          newTimeline.customPause = this.customPause;
-          newTimeline.customResume = this.customResume;
-          fabricGroup.tween = newTimeline;
-        } else {
-          // Normal restore if not manually moved
-          fabricGroup.top = fabricGroup._pausedState.top;
-          fabricGroup.left = fabricGroup._pausedState.left;
-          fabricGroup.originalTop = fabricGroup._pausedState.originalTop;
-          fabricGroup.originalLeft = fabricGroup._pausedState.originalLeft;
-          fabricGroup.hopOffset = fabricGroup._pausedState.hopOffset;
-          fabricGroup.moveDirection = fabricGroup._pausedState.moveDirection;
-          
-          // Restore z-index if it was saved
-          if (fabricGroup._pausedState.zIndex !== undefined) {
-            fabricGroup.set('zIndex', fabricGroup._pausedState.zIndex);
+
+      faceHeading(f);
+      f.setCoords();
+    });
+
+    canvas.requestRenderAll();
+  }
+
+  gsap.ticker.add(update);
+
+  school.forEach((f, i) => {
+    // Selecting a fish holds just that one; the rest of the school keeps swimming around it
+    controls[i] = {
+      pause: () => { f._swimHeld = true; },
+      resume: () => {
+        delete f._swimHeld;
+        gsap.ticker.add(update);
+      },
+      kill: () => {
+        delete f._swimHeld;
+        controls[i] = null;
+      },
+
+      customPause: function() {
+        f._pausedState = {
+          left: f.left,
+          top: f.top,
+          angle: f.angle,
+          zIndex: f.get('zIndex')
+        };
+        f._manuallyMoved = false;
+        this.pause();
+      },
+
+      customResume: function() {
+        if (f._pausedState) {
+          if (f._manuallyMoved) {
+            // Swim on from where the fish was put
+            f.originalLeft = f.left;
+            f.originalTop = f.top;
+          } else {
+            f.left = f._pausedState.left;
+            f.top = f._pausedState.top;
+            f.angle = f._pausedState.angle;
           }
-          fabricGroup.setCoords();
-          
-          // Resume vertical animation
-          this.resume();
-          
-          // Re-add the ticker for horizontal movement
-          gsap.ticker.add(updatePosition);
-          fabricGroup._tickerId = updatePosition;
+          f.setCoords();
+          delete f._pausedState;
+          delete f._manuallyMoved;
         }
-        
-        // Clear the paused state and manual move flag
-        delete fabricGroup._pausedState;
-        delete fabricGroup._manuallyMoved;
-      } else {
-        // Resume vertical animation
         this.resume();
-        
-        // Re-add the ticker for horizontal movement
-        gsap.ticker.add(updatePosition);
-        fabricGroup._tickerId = updatePosition;
       }
     };
-    
-    fabricGroup.tween = tween;
-    
-    // Add the group to the canvas
-    canvas.add(fabricGroup);
-    fabricGroup.setCoords();
-    
-    animatedObjects.push(fabricGroup);
-    
-    // Add data entry for the group
-    processedData.push({
-      id: fabricGroup.id ||= fabric.Object.__uidCounter++,
-      isGroup: true,
-      groupId: groupId,
-      memberIds: fabricGroup.memberIds,
-      zIndex: fabricGroup.get('zIndex') || thisGroupZIndex || 0
-    });
+    f.tween = controls[i];
+    faceHeading(f);
+    f.setCoords();
   });
-  
+
   // Make sure canvas sorts objects by z-index
   canvas._objects.sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
-  
-  // Return the animated objects and data
+
   return {
-    objects: animatedObjects,
+    objects: [water, ...school],
     data: processedData
   };
 }
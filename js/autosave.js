@@ -0,0 +1,223 @@
+// autosave.js - Keeps the last session in IndexedDB so it can be restored after a crash or closed tab
+
+import { PROJECT_VERSION, migrateProject } from './projectFile.js';
+
+const DB_NAME = 'animuse';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+const SESSION_KEY = 'last';
+
+/**
+ * Opens (and creates if needed) the autosave database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs a single request against the sessions store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Takes the store and returns an IDBRequest
+ * @returns {Promise<*>} - The request result
+ */
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Reads the autosaved session
+ * @returns {Promise<Object|null>} - { version, savedAt, current, previous, undoStack, redoStack }
+ */
+export function loadSession() {
+  return withStore('readonly', store => store.get(SESSION_KEY)).then(record => record || null);
+}
+
+/**
+ * Writes the current history state as the autosaved session
+ * @param {StateHistory} history - The canvas history
+ * @param {Object} options - { includeUndoStack } to also keep undo/redo
+ * @returns {Promise}
+ */
+export function saveSession(history, { includeUndoStack = true } = {}) {
+  const record = {
+    version: PROJECT_VERSION,
+    savedAt: Date.now(),
+    current: history.current,
+    previous: includeUndoStack ? history.previous : null,
+    undoStack: includeUndoStack ? [...history.undoStack] : [],
+    redoStack: includeUndoStack ? [...history.redoStack] : []
+  };
+
+  return withStore('readwrite', store => store.put(record, SESSION_KEY));
+}
+
+/**
+ * Removes the autosaved session
+ * @returns {Promise}
+ */
+export function clearSession() {
+  return withStore('readwrite', store => store.delete(SESSION_KEY));
+}
+
+/**
+ * Whether a captured state has anything worth restoring
+ * @param {Object} state - State in the captureState format
+ * @returns {Boolean}
+ */
+function hasContent(state) {
+  return Boolean(
+    state &&
+    ((state.canvasJSON?.objects || []).length > 0 || (state.animations || []).length > 0)
+  );
+}
+
+/**
+ * Saves the history to IndexedDB whenever it changes, at most once per delay
+ * @param {fabric.Canvas} canvas - The canvas with its history
+ * @param {Object} options - { delay: ms to wait after the last change, includeUndoStack }
+ */
+export function enableAutosave(canvas, { delay = 1000, includeUndoStack = true } = {}) {
+  const history = canvas.history;
+  let timer = null;
+
+  const save = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!history.current) return;
+
+    saveSession(history, { includeUndoStack })
+      .then(() => console.log('Autosaved session'))
+      .catch(error => console.error('Autosave failed:', error));
+  };
+
+  history.onChange(() => {
+    clearTimeout(timer);
+    timer = setTimeout(save, delay);
+  });
+
+  // Don't lose the last change when the tab is hidden or closed before the delay ends
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden' && timer) save();
+  });
+  window.addEventListener('pagehide', () => {
+    if (timer) save();
+  });
+}
+
+/**
+ * Offers to restore the autosaved session if it isn't empty
+ * @param {fabric.Canvas} canvas - The canvas to restore into
+ * @returns {Promise<boolean>} - Whether the session was restored
+ */
+export async function offerRestore(canvas) {
+  let record;
+
+  try {
+    record = await loadSession();
+  } catch (error) {
+    console.error('Could not read the autosaved session:', error);
+    return false;
+  }
+
+  if (!record || !record.current) return false;
+
+  let state;
+  try {
+    // Autosaves use the project file layout, so old ones go through the same migrations
+    state = migrateProject({
+      format: 'animuse-project',
+      version: record.version,
+      state: JSON.parse(record.current)
+    }).state;
+  } catch (error) {
+    console.error('The autosaved session can not be restored:', error);
+    return false;
+  }
+
+  if (!hasContent(state)) return false;
+
+  const restore = await askToRestore(record.savedAt);
+
+  if (!restore) {
+    clearSession().catch(error => console.error('Could not clear the autosaved session:', error));
+    return false;
+  }
+
+  await canvas.history.replaceState(state);
+
+  // Bring back the undo/redo history if it was kept (only for sessions from this version)
+  const history = canvas.history;
+  if (record.version === PROJECT_VERSION && record.undoStack?.length) {
+    history.undoStack = record.undoStack;
+    history.previous = record.previous;
+  }
+  if (record.version === PROJECT_VERSION && record.redoStack?.length) {
+    history.redoStack = record.redoStack;
+  }
+  history.updateButtons();
+
+  return true;
+}
+
+/**
+ * Shows the restore dialog
+ * @param {number} savedAt - When the session was saved
+ * @returns {Promise<boolean>} - Whether the user chose to restore
+ */
+function askToRestore(savedAt) {
+  return new Promise(resolve => {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'restoreSessionModal';
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+
+    const when = savedAt ? new Date(savedAt).toLocaleString() : 'an earlier session';
+
+    modalContent.innerHTML = `
+      <h3>Restore your last session?</h3>
+      <p>AniMuse found unsaved work from ${when}.</p>
+      <div class="modal-buttons">
+        <button id="restoreSessionBtn">Restore</button>
+        <button id="discardSessionBtn">Start fresh</button>
+      </div>
+    `;
+
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    const close = (result) => {
+      document.body.removeChild(modal);
+      resolve(result);
+    };
+
+    document.getElementById('restoreSessionBtn').addEventListener('click', () => close(true));
+    document.getElementById('discardSessionBtn').addEventListener('click', () => close(false));
+  });
+}
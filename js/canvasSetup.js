@@ -1,5 +1,7 @@
 import { StateHistory } from './stateHistory.js';
 import { renderAnimationPanel, updateSelectionState } from './animationPanel.js';
+import { resolveAnimationParameters, getEase } from './animations.js';
+import { MasterClock } from './masterClock.js';
 
 export function setupCanvas(id) {
   const canvas = new fabric.Canvas(id, { 
@@ -48,6 +50,25 @@ export function setupCanvas(id) {
   const history = new StateHistory(canvas);
   canvas.history = history;
 
+  // Every animation runs on one clock; any edit makes the current scene its new start
+  const clock = new MasterClock(canvas);
+  canvas.clock = clock;
+  history.onChange(() => clock.invalidate());
+  // Undo, redo and opening a file rebuild the animations once the canvas has loaded
+  canvas.on('history:loaded', () => clock.invalidate());
+
+  // Objects moved while the clock is paused animate from where they were put once it
+  // plays again, so save the scene as it restarts
+  clock.onChange(() => {
+    if (!clock.playing) return;
+    const moved = canvas.getObjects().filter(o => o._movedWhilePaused);
+    if (moved.length === 0) return;
+
+    console.log('Saving state after resuming with moved objects');
+    moved.forEach(o => delete o._movedWhilePaused);
+    setTimeout(() => history.saveState(), 50);
+  });
+
   canvas.on('path:created', () => setTimeout(() => history.saveState(), 20));
 
   canvas.on('object:modified', (e) => {
@@ -66,6 +87,7 @@ export function setupCanvas(id) {
           // Mark that this object was manually moved while paused
           o._manuallyMoved = true;
         }
+        if (!clock.playing) o._movedWhilePaused = true;
         
         // Animation-specific handling
         if (o.animationType === 'apple') {
@@ -115,9 +137,7 @@ export function setupCanvas(id) {
               o.tween.pause();
               
               // Get animation parameters from the original object
-              const drift = 10;  // These values are hardcoded in swayApples
-              const rock = 8;
-              const dur = 1.2;
+              const { drift, rock, duration: dur, ease } = o.animationParameters || resolveAnimationParameters('sway');
               
               // Reset animation parameters
               o.swayX = 0;
@@ -140,7 +160,7 @@ export function setupCanvas(id) {
                 duration: dur,
                 yoyo: true,
                 repeat: -1,
-                ease: 'sine.inOut',
+                ease: getEase(ease, 'inOut'),
                 onUpdate: updateFn
               });
               
@@ -148,6 +168,7 @@ export function setupCanvas(id) {
               if (o.tween.customPause) {
                 newTween.customPause = o.tween.customPause;
                 newTween.customResume = o.tween.customResume;
+                newTween.customRestart = o.tween.customRestart;
               }
               
               // Kill the old tween and replace it
@@ -281,29 +302,25 @@ export function setupCanvas(id) {
       }
     });
     
-    // Handle objects removed from selection
+    // Handle objects removed from selection. They can always resume, since a paused
+    // master clock holds everything still anyway
     const deselected = e.deselected || [];
     
-    // Check if global animations are paused
-    const toolbar = window.toolbar;
-    const globalPaused = toolbar?.animationsPaused || false;
-    
-    // Only resume animations if they're not globally paused
-    if (!globalPaused) {
-      deselected.forEach(o => {
-        if (o?.isAnimated && o?.tween) {
-          // Check if object is no longer in any selection
-          if (!canvas.getActiveObjects().includes(o)) {
-            // Use custom resume if available, otherwise regular resume
-            if (o.tween.customResume) {
-              o.tween.customResume();
-            } else {
-              o.tween.resume();
-            }
+    deselected.forEach(o => {
+      if (o?.isAnimated && o?.tween) {
+        // Check if object is no longer in any selection
+        if (!canvas.getActiveObjects().includes(o)) {
+          // Use custom resume if available, otherwise regular resume
+          if (o.tween.customResume) {
+            o.tween.customResume();
+          } else {
+            o.tween.resume();
           }
+          // Holding the object changed its timing, so earlier times can't be replayed
+          clock.invalidate();
         }
-      });
-    }
+      }
+    });
     
     // Update the animation panel button states
     updateSelectionState(canvas);
@@ -317,46 +334,37 @@ export function setupCanvas(id) {
       return;
     }
     
-    // Resume animations for objects that were in selection
-    // BUT only if global animations aren't paused
-    const toolbar = window.toolbar; // Access the toolbar through the global reference
-    const globalPaused = toolbar?.animationsPaused || false;
+    // Resume animations for objects that were in selection. A paused master clock
+    // holds them still until it plays again.
+    const previousSelection = canvas._previousSelection;
+    const objectsToResume = [];
     
-    console.log('Selection cleared - global animations paused:', globalPaused);
+    if (previousSelection) {
+      if (previousSelection.type === 'activeSelection') {
+        // Multiple objects were selected
+        objectsToResume.push(...previousSelection.getObjects());
+      } else {
+        // Single object was selected
+        objectsToResume.push(previousSelection);
+      }
+    }
     
-    // Only resume if the global animations are not paused
-    if (!globalPaused) {
-      // Get objects that were in the previous selection
-      const previousSelection = canvas._previousSelection;
-      const objectsToResume = [];
-      
-      if (previousSelection) {
-        if (previousSelection.type === 'activeSelection') {
-          // Multiple objects were selected
-          objectsToResume.push(...previousSelection.getObjects());
+    console.log('Selection cleared - objects to resume:', objectsToResume.length);
+    
+    // Resume only the previously selected objects
+    objectsToResume.forEach(obj => {
+      if (obj?.isAnimated && obj?.tween) {
+        console.log('Resuming animation for:', obj.id, obj.animationType);
+        // Use custom resume if available, otherwise regular resume
+        if (obj.tween.customResume) {
+          obj.tween.customResume();
         } else {
-          // Single object was selected
-          objectsToResume.push(previousSelection);
+          obj.tween.resume();
         }
+        // Holding the object changed its timing, so earlier times can't be replayed
+        clock.invalidate();
       }
-      
-      console.log('Selection cleared - objects to resume:', objectsToResume.length);
-      
-      // Resume only the previously selected objects
-      objectsToResume.forEach(obj => {
-        if (obj?.isAnimated && obj?.tween) {
-          console.log('Resuming animation for:', obj.id, obj.animationType);
-          // Use custom resume if available, otherwise regular resume
-          if (obj.tween.customResume) {
-            obj.tween.customResume();
-          } else {
-            obj.tween.resume();
-          }
-        }
-      });
-    } else {
-      console.log('Animations globally paused - not resuming on deselection');
-    }
+    });
     
     // Update the animation panel button states
     updateSelectionState(canvas);
@@ -0,0 +1,760 @@
+// commandParser.js - Rule-based parser that turns prompts into commands without an LLM
+
+// Words that name each animation type, both as a command ("make them sway")
+// and as a description ("the swaying ones")
+const animationWords = {
+  birds: ['bird', 'birds', 'fly', 'flying', 'flies', 'flock', 'flocking'],
+  swim: ['swim', 'swimming', 'swims', 'fish', 'school', 'schooling'],
+  sway: ['sway', 'swaying', 'sways', 'swing', 'swinging', 'swings', 'rock', 'rocking'],
+  float: ['float', 'floating', 'floats', 'drift', 'drifting', 'drifts', 'hover', 'hovering', 'hovers'],
+  spin: ['spin', 'spinning', 'spins', 'rotate', 'rotating', 'rotates', 'twirl', 'twirling', 'twirls'],
+  pulse: ['pulse', 'pulsing', 'pulses', 'pulsate', 'pulsating', 'breathe', 'breathing', 'breathes', 'throb', 'throbbing', 'beat', 'beating'],
+  emit: ['emit', 'emitting', 'emits', 'rain', 'raining', 'snow', 'snowing', 'fall', 'falling', 'falls', 'confetti', 'particles'],
+  hop: ['hop', 'hopping', 'hops', 'jump', 'jumping', 'jumps', 'bounce', 'bouncing', 'bounces'],
+  fix: ['fix', 'fixed', 'static', 'still', 'stationary'],
+  keyframe: ['keyframe', 'keyframes', 'keyframed'],
+  path: ['follow', 'follows', 'following', 'along']
+};
+
+// Default titles, and the word used to build a title from the prompt's noun
+const animationTitles = {
+  birds: { title: 'Fluttering Flock', adjective: 'Flying' },
+  swim: { title: 'School of Fish', adjective: 'Swimming' },
+  sway: { title: 'Gentle Pendulum', adjective: 'Swaying' },
+  float: { title: 'Drifting Clouds', adjective: 'Floating' },
+  spin: { title: 'Whirling Wheel', adjective: 'Spinning' },
+  pulse: { title: 'Beating Heart', adjective: 'Pulsing' },
+  emit: { title: 'Falling Particles', adjective: 'Falling' },
+  hop: { title: 'Bouncy Movement', adjective: 'Hopping' },
+  fix: { title: 'Stationary Object', adjective: 'Still' },
+  keyframe: { title: 'Keyframed Motion', adjective: 'Keyframed' },
+  path: { title: 'Winding Journey', adjective: 'Travelling' }
+};
+
+// Words asking for birds that keep the user's drawing ("make my drawing fly") rather than built-in birds
+const drawnBodyWords = /\b(?:own|drawn|drawing|drawings|sketch|sketches|as is)\b/;
+
+// Parameters implied by the word that named the animation, e.g. rain falls faster than snow
+const wordParameters = {
+  rain: { gravity: 600, wind: 20, rate: 30, lifetime: 2 },
+  raining: { gravity: 600, wind: 20, rate: 30, lifetime: 2 },
+  snow: { gravity: 15, wind: 15, rate: 6, lifetime: 12, tumble: 30 },
+  snowing: { gravity: 15, wind: 15, rate: 6, lifetime: 12, tumble: 30 },
+  confetti: { gravity: 80, rate: 20, tumble: 180, region: 'canvas' }
+};
+
+const colorWords = {
+  red: 'red', orange: 'orange', yellow: 'yellow', green: 'green', blue: 'blue',
+  cyan: 'cyan', teal: 'cyan', turquoise: 'cyan', purple: 'purple', violet: 'purple',
+  pink: 'pink', magenta: 'pink', brown: 'brown', black: 'black', white: 'white',
+  gray: 'gray', grey: 'gray'
+};
+
+const interactionWords = {
+  avoid: ['avoid', 'avoids', 'dodge', 'dodges', 'run from', 'runs from', 'flee from', 'flees from', 'flee', 'flees', 'stay away from', 'stays away from'],
+  orbit: ['orbit around', 'orbits around', 'orbit', 'orbits', 'circle around', 'circles around', 'circle', 'circles', 'go around', 'goes around', 'revolve around', 'revolves around']
+};
+
+// "circle" on its own is just as likely the shape ("make the red circle hop"), so it only
+// means orbiting when the words either side of it both name animations, or when it is
+// followed by an object ("make the green one circle the birds")
+const shapeVerbs = ['circle', 'circles'];
+const objectAfterVerb = /^(?:the|this|that|these|those|it|them)\b/;
+const verbOnlyInteractionWords = Object.fromEntries(Object.entries(interactionWords)
+  .map(([key, list]) => [key, list.filter(word => !shapeVerbs.includes(word))]));
+
+const speedWords = [
+  { pattern: /\b(twice as fast|double speed|much faster|a lot faster)\b/, factor: 2 },
+  { pattern: /\b(half speed|half as fast|much slower|a lot slower)\b/, factor: 0.5 },
+  { pattern: /\b(faster|quicker|speed up|speed it up|speed them up)\b/, factor: 1.5 },
+  { pattern: /\b(slower|slow down|slow it down|slow them down)\b/, factor: 0.6 }
+];
+
+const amplitudeWords = [
+  { pattern: /\b(much more|a lot more|way more|much bigger|much higher)\b/, factor: 2 },
+  { pattern: /\b(much less|a lot less|way less|barely)\b/, factor: 0.3 },
+  { pattern: /\b(more|bigger|higher|wider|further|farther|stronger)\b/, factor: 1.5 },
+  { pattern: /\b(less|smaller|lower|gentler|gently|calmer|softer|subtler)\b/, factor: 0.5 }
+];
+
+// Words that point at something mentioned earlier or currently selected
+const recentReferences = /^(it|them|they|those|that|that one|those ones|the same( ones?)?|the (ones?|things?) i just (made|created|animated|drew|selected)|the last ones?|the new ones?)$/;
+const selectionReferences = /^(this|these|this one|these ones|the selection|the current selection|selection|selected( objects| ones)?|the selected( objects| ones)?|what i selected|what's selected)$/;
+
+// Filler words ignored when looking for the nouns in a description
+const stopWords = new Set([
+  'the', 'a', 'an', 'all', 'every', 'each', 'of', 'my', 'ones', 'one', 'and', 'to', 'on', 'in', 'at',
+  'side', 'make', 'let', 'have', 'please', 'can', 'you', 'could', 'would', 'now', 'animation',
+  'animations', 'animated', 'objects', 'object', 'things', 'thing', 'some', 'that', 'are', 'is', 'them',
+  'up', 'as', 'be', 'with', 'so', 'they', 'it'
+]);
+
+const spatialExtremes = [
+  { pattern: /\b(leftmost|left-most|furthest left|farthest left)\b/, axis: 'x', pick: 'min' },
+  { pattern: /\b(rightmost|right-most|furthest right|farthest right)\b/, axis: 'x', pick: 'max' },
+  { pattern: /\b(topmost|top-most|highest|uppermost)\b/, axis: 'y', pick: 'min' },
+  { pattern: /\b(bottommost|bottom-most|lowest)\b/, axis: 'y', pick: 'max' }
+];
+
+const spatialRegions = [
+  { pattern: /\b(on the left|left side|left)\b/, axis: 'x', side: 'low' },
+  { pattern: /\b(on the right|right side|right)\b/, axis: 'x', side: 'high' },
+  { pattern: /\b(at the top|top|upper)\b/, axis: 'y', side: 'low' },
+  { pattern: /\b(at the bottom|bottom|lower)\b/, axis: 'y', side: 'high' }
+];
+
+const spatialWords = /\b(leftmost|left-most|rightmost|right-most|topmost|top-most|bottommost|bottom-most|highest|lowest|uppermost|furthest|farthest|left|right|top|bottom|upper|lower|side|middle)\b/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const singular = (word) => word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Gives the basic color name ('red', 'blue', ...) closest to a CSS color
+ * @param {string} value - Hex, rgb()/rgba() or a color name
+ * @returns {string|null} - The color name, or null if it can't be read
+ */
+export function colorName(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const text = value.trim().toLowerCase();
+  if (colorWords[text]) return colorWords[text];
+
+  let r, g, b;
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  const rgb = text.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+    [r, g, b] = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+  } else if (rgb) {
+    [r, g, b] = rgb.slice(1, 4).map(Number);
+  } else {
+    return null;
+  }
+
+  // Convert to hue/saturation/lightness and bucket by hue
+  const max = Math.max(r, g, b) / 255;
+  const min = Math.min(r, g, b) / 255;
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+  const saturation = delta === 0 ? 0 : delta / (1 - Math.abs(2 * lightness - 1));
+
+  if (lightness < 0.15) return 'black';
+  if (lightness > 0.9) return 'white';
+  if (saturation < 0.15) return 'gray';
+
+  let hue;
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+  if (max === rn) hue = ((gn - bn) / delta) % 6;
+  else if (max === gn) hue = (bn - rn) / delta + 2;
+  else hue = (rn - gn) / delta + 4;
+  hue = (hue * 60 + 360) % 360;
+
+  if (hue < 15 || hue >= 335) return 'red';
+  if (hue < 40) return lightness < 0.35 ? 'brown' : 'orange';
+  if (hue < 70) return 'yellow';
+  if (hue < 165) return 'green';
+  if (hue < 195) return 'cyan';
+  if (hue < 255) return 'blue';
+  if (hue < 290) return 'purple';
+  return 'pink';
+}
+
+/**
+ * Finds the first word from a word list in the text
+ * @param {string} text - Normalized text
+ * @param {Object} words - Map of key to list of words
+ * @returns {Object|null} - { key, word, index } for the earliest match
+ */
+function findWord(text, words) {
+  let found = null;
+
+  Object.entries(words).forEach(([key, list]) => {
+    list.forEach(word => {
+      const match = new RegExp(`\\b${escapeRegExp(word)}\\b`).exec(text);
+      if (match && (!found || match.index < found.index || (match.index === found.index && word.length > found.word.length))) {
+        found = { key, word, index: match.index };
+      }
+    });
+  });
+
+  return found;
+}
+
+// Counts for "hop twice", "sway 3 times"
+const countWords = { twice: 2, thrice: 3, two: 2, three: 3, four: 4, five: 5 };
+const secondsPattern = '(\\d+(?:\\.\\d+)?)\\s*(?:seconds?|secs?|s)\\b';
+
+/**
+ * Takes the timing out of a clause: "after 2 seconds", "for 5 seconds", "3 times",
+ * "forever" and "2 seconds apart" become schedule fields
+ * @param {string} clause - One normalized instruction
+ * @returns {Object} - { clause, schedule } with the timing words removed; schedule is null without any
+ */
+function parseTiming(clause) {
+  const schedule = {};
+  const take = (pattern, apply) => {
+    clause = clause.replace(pattern, (...match) => {
+      apply(match);
+      return ' ';
+    });
+  };
+
+  take(new RegExp(`\\b(?:and\\s+)?(?:stop|end|finish)\\s+after\\s+${secondsPattern}`), m => { schedule.duration = parseFloat(m[1]); });
+  take(new RegExp(`\\b(?:after|wait(?:ing)?(?: for)?)\\s+${secondsPattern}`), m => { schedule.start = parseFloat(m[1]); });
+  take(new RegExp(`\\b${secondsPattern}\\s+apart\\b`), m => { schedule.delay = parseFloat(m[1]); });
+  take(/\bwith an?\s+(\d+(?:\.\d+)?)[\s-]*(?:seconds?|secs?|s)\s+(?:pause|break|rest)\b/, m => { schedule.delay = parseFloat(m[1]); });
+  take(/\bfor\s+(\d+(?:\.\d+)?)(?:\s*(?:seconds?|secs?|s)\b)?/, m => { schedule.duration = parseFloat(m[1]); });
+  take(/\b(twice|thrice|(\d+|two|three|four|five)\s+times)\b/, m => {
+    schedule.repeat = (countWords[m[2] || m[1]] || parseInt(m[2], 10)) - 1;
+  });
+  take(/\b(forever|over and over|again and again|on repeat)\b/, () => { schedule.repeat = -1; });
+
+  return {
+    clause: clause.replace(/\s+/g, ' ').replace(/\s+,/g, ',').trim(),
+    schedule: Object.keys(schedule).length ? schedule : null
+  };
+}
+
+/**
+ * Rule-based command parser. Works on the same canvas context the LLM gets and
+ * produces commands in the same formats, so LLMController can run them as-is.
+ */
+class CommandParser {
+  /**
+   * @param {Object} context - Canvas context from LLMController.getCanvasContext,
+   *   with a color on every object that has one
+   * @param {Object} options - { recent, selectedObjectIds, canvasWidth, canvasHeight, animationTypes }
+   */
+  constructor(context, options = {}) {
+    this.objects = context.objects || [];
+    this.animations = context.animations || [];
+    this.recent = options.recent || null;
+    this.selectedObjectIds = options.selectedObjectIds || [];
+    this.animationTypes = options.animationTypes || Object.keys(animationWords);
+
+    // Regions like "on the left" split the canvas, or the drawing when the size is unknown
+    const xs = this.objects.map(o => o.position?.x || 0);
+    const ys = this.objects.map(o => o.position?.y || 0);
+    this.center = {
+      x: options.canvasWidth ? options.canvasWidth / 2 : (Math.min(...xs) + Math.max(...xs)) / 2,
+      y: options.canvasHeight ? options.canvasHeight / 2 : (Math.min(...ys) + Math.max(...ys)) / 2
+    };
+
+    // Which animation each object belongs to
+    this.animationByObject = new Map();
+    this.animations.forEach(anim => {
+      (anim.objectIds || []).forEach(id => this.animationByObject.set(id, anim));
+    });
+  }
+
+  /**
+   * Parse a whole prompt. Clauses joined by "then" become a multi-step plan.
+   * @param {string} prompt - What the user typed or said
+   * @returns {Object} - A command, a { steps } plan or { error }
+   */
+  parse(prompt) {
+    const text = prompt.toLowerCase()
+      .replace(/[“”"!?]|\.(?!\d)/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const clauses = text
+      .split(/\s*(?:,?\s*and then\s+|,?\s*then\s+|;\s*|,\s*and\s+(?=make|let|have|select|delete|remove|turn|rename))/)
+      .map(clause => clause.trim())
+      .filter(Boolean);
+
+    if (clauses.length === 0) {
+      return { error: 'Please say what you would like to do.' };
+    }
+
+    const steps = [];
+    let previous = null;
+
+    for (const clause of clauses) {
+      const parsed = this.parseClause(clause, previous, steps.length);
+      if (parsed.error) return parsed;
+
+      steps.push(...parsed.steps);
+      previous = parsed.output;
+    }
+
+    return steps.length === 1 ? steps[0] : { steps };
+  }
+
+  /**
+   * Parse a single clause
+   * @param {string} clause - One normalized instruction
+   * @param {Object|null} previous - What the previous clause produced, for "them"
+   * @param {number} stepOffset - How many plan steps come before this clause
+   * @returns {Object} - { steps, output } or { error }
+   */
+  parseClause(clause, previous, stepOffset) {
+    const refs = previous || this.getRecentReferences();
+
+    // Timing applies to what the rest of the clause creates or changes
+    const timing = parseTiming(clause);
+    clause = timing.clause;
+    let schedule = timing.schedule;
+
+    // Sequencing: "after the rabbits hop, the birds fly away"
+    let match = clause.match(/^after\s+(.+?)\s*,\s*(.+)$/);
+    if (match) {
+      const previousTargets = this.resolveTargets(match[1], refs);
+      if (!previousTargets || previousTargets.animationIds.length === 0) {
+        return { error: `I couldn't find animations matching "${match[1]}".` };
+      }
+
+      const previousId = previousTargets.animationIds[0];
+      const previousAnim = this.animations.find(a => a.id === previousId);
+      const { duration, repeat } = previousAnim?.schedule || {};
+      if (previousAnim && previousAnim.type !== 'keyframe' && (!duration || repeat === -1)) {
+        return { error: `"${match[1]}" keeps going, so nothing can start after it. Give it a length first by adding e.g. "for 5 seconds" to it.` };
+      }
+
+      schedule = { ...schedule, after: previousId };
+      clause = match[2];
+    }
+
+    // Delete: "delete the red birds", "remove the leftmost one"
+    match = clause.match(/^(?:please\s+)?(?:delete|remove|erase|get rid of|clear)\s*(.*)$/);
+    if (match) {
+      const targets = this.resolveTargets(match[1] || 'these', refs);
+      if (!targets || targets.objectIds.length === 0) {
+        return { error: `I couldn't find "${match[1]}" to delete.` };
+      }
+      return this.single({ action: 'delete', objectIds: targets.objectIds }, targets);
+    }
+
+    // Select: "select the hopping ones", "select everything"
+    match = clause.match(/^(?:please\s+)?(?:select|pick|choose|highlight|find)\s+(.*)$/);
+    if (match) {
+      const targets = /^(all|everything|all objects|every object|all of them)$/.test(match[1])
+        ? this.allTargets()
+        : this.resolveTargets(match[1], refs);
+      if (!targets || targets.objectIds.length === 0) {
+        return { error: `I couldn't find "${match[1]}" to select.` };
+      }
+      return this.single({ action: 'select', objectIds: targets.objectIds }, targets);
+    }
+
+    // Rename: "rename the birds to Sparrows", "call that one Sunset Trees"
+    match = clause.match(/^(?:rename|call|name|title)\s+(.+?)\s+(?:to|as)\s+(.+)$/) ||
+      clause.match(/^(?:call|name)\s+(it|them|that one|this one|these|those)\s+(.+)$/);
+    if (match) {
+      const targets = this.resolveTargets(match[1], refs);
+      if (!targets || targets.animationIds.length === 0) {
+        return { error: `I couldn't find "${match[1]}" to rename.` };
+      }
+      const title = match[2].split(' ').map(capitalize).join(' ');
+      return this.single({ action: 'modify', targets: targets.animationIds, parameters: { title } }, targets);
+    }
+
+    // Interactions: "make the birds avoid the trees", "the bee orbits the flower"
+    let interaction = findWord(clause, interactionWords);
+    let sides = interaction && this.resolveInteraction(clause, interaction, refs);
+    if (sides && !sides.found && shapeVerbs.includes(interaction.word) && !objectAfterVerb.test(sides.after)) {
+      interaction = findWord(clause, verbOnlyInteractionWords);
+      sides = interaction && this.resolveInteraction(clause, interaction, refs);
+    }
+    if (interaction) {
+      const { before, after, sources, targets } = sides;
+
+      if (!sources || sources.animationIds.length === 0) {
+        return { error: `I couldn't find animations matching "${before}". Only animated objects can ${interaction.key}.` };
+      }
+      if (!targets || targets.animationIds.length === 0) {
+        return { error: `I couldn't find animations matching "${after}".` };
+      }
+
+      return this.single({
+        action: 'interact',
+        type: interaction.key,
+        sourceAnimIds: sources.animationIds,
+        targetAnimIds: targets.animationIds,
+        parameters: { type: interaction.key }
+      }, sources);
+    }
+
+    // Modifications: "make the birds faster", "turn that one red", "make them sway less"
+    const modification = this.parseModification(clause);
+    if (modification) {
+      const targets = this.resolveTargets(modification.phrase || 'them', refs);
+      if (!targets || targets.animationIds.length === 0) {
+        return { error: `I couldn't find animations matching "${modification.phrase}" to change.` };
+      }
+      const parameters = schedule ? { ...modification.parameters, schedule } : modification.parameters;
+      return this.single({ action: 'modify', targets: targets.animationIds, parameters }, targets);
+    }
+
+    // Creation: "make these hop", "animate the selection as birds", "make the red trees sway"
+    return this.parseCreation(clause, refs, stepOffset, schedule);
+  }
+
+  /**
+   * Split a clause around its interaction verb and find the animations either side
+   * @param {string} clause - One normalized instruction
+   * @param {Object} interaction - The verb found by findWord
+   * @param {Object} refs - What "it" and "them" refer to
+   * @returns {Object} - { before, after, sources, targets, found } where found means both sides have animations
+   */
+  resolveInteraction(clause, interaction, refs) {
+    const before = clause.slice(0, interaction.index).replace(/^(?:please\s+)?(?:make|let|have|get)\s+/, '').trim();
+    const after = clause.slice(interaction.index + interaction.word.length).replace(/^\s*(?:around\s+)?/, '').trim();
+
+    const sources = this.resolveTargets(before || 'these', refs);
+    const targets = this.resolveTargets(after, refs);
+    const found = Boolean(sources?.animationIds.length && targets?.animationIds.length);
+
+    return { before, after, sources, targets, found };
+  }
+
+  /**
+   * Look for speed, amplitude or color changes in a clause
+   * @param {string} clause - One normalized instruction
+   * @returns {Object|null} - { phrase, parameters } or null if it is not a modification
+   */
+  parseModification(clause) {
+    const parameters = {};
+    let phrase = clause.replace(/^(?:please\s+)?(?:make|let|have|turn|set|change|color|colour|paint|get)\s+/, '');
+
+    const speed = speedWords.find(s => s.pattern.test(phrase));
+    if (speed) {
+      parameters.speedFactor = speed.factor;
+      phrase = phrase.replace(speed.pattern, ' ');
+    }
+
+    const amplitude = amplitudeWords.find(a => a.pattern.test(phrase));
+    if (amplitude) {
+      parameters.amplitudeFactor = amplitude.factor;
+      phrase = phrase.replace(amplitude.pattern, ' ');
+    }
+
+    // A color at the end is the new color ("turn the birds red"),
+    // a color earlier on describes the target ("make the red birds faster")
+    const colorMatch = phrase.match(new RegExp(`\\b(?:to|into|in)?\\s*(${Object.keys(colorWords).join('|')})\\s*$`));
+    if (colorMatch && /^(?:please\s+)?(?:make|turn|color|colour|paint|change|set)\b/.test(clause)) {
+      parameters.color = colorWords[colorMatch[1]];
+      phrase = phrase.slice(0, colorMatch.index);
+    }
+
+    if (Object.keys(parameters).length === 0) return null;
+
+    // Drop the animation verb ("make them sway less") so only the description is left
+    phrase = phrase
+      .replace(/\b(go|move|animate|animation|speed|color|colour)\b/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const verbs = Object.values(animationWords).flat().filter(w => !['bird', 'birds', 'flock', 'fish', 'school'].includes(w));
+    const trailingVerb = new RegExp(`\\s+(${verbs.map(escapeRegExp).join('|')})$`);
+    phrase = phrase.replace(trailingVerb, '').trim();
+
+    return { phrase, parameters };
+  }
+
+  /**
+   * Parse a clause that creates an animation
+   * @param {string} clause - One normalized instruction
+   * @param {Object} refs - Objects and animations "them" refers to
+   * @param {number} stepOffset - How many plan steps come before this clause
+   * @param {Object|null} schedule - When the animation should run, from parseTiming
+   * @returns {Object} - { steps, output } or { error }
+   */
+  parseCreation(clause, refs, stepOffset, schedule = null) {
+    const words = {};
+    this.animationTypes.forEach(type => {
+      if (animationWords[type]) words[type] = animationWords[type];
+    });
+
+    // The last animation word is the one being asked for ("make these birds fly" -> birds).
+    // After "the" it names objects instead ("circle the birds"), so it is skipped
+    let found = null;
+    Object.entries(words).forEach(([type, list]) => {
+      list.forEach(word => {
+        const regex = new RegExp(`\\b${escapeRegExp(word)}\\b`, 'g');
+        let m;
+        while ((m = regex.exec(clause))) {
+          if (/\bthe\s+$/.test(clause.slice(0, m.index))) continue;
+          if (!found || m.index > found.index) found = { type, word, index: m.index };
+        }
+      });
+    });
+
+    if (!found) {
+      return {
+        error: 'I couldn\'t understand that command. Try something like "make these birds fly", "make the red trees sway" or "make the birds avoid the trees".'
+      };
+    }
+
+    const animationType = found.type;
+    const fullPhrase = clause.slice(0, found.index)
+      .trim()
+      .replace(/^(?:please\s+)?(?:animate|make|let|have|turn|get|set)\s+/, '')
+      .replace(/\s+(?:as|into|like|to|with)(?:\s+an?)?$/, '')
+      .replace(/(?:^|\s+)(?:move|moves|travel|travels|go|goes|ride|rides)$/, '');
+    let phrase = fullPhrase.replace(/\b(?:bird|birds|flock|fish|school)\b/g, ' ');
+
+    // "make my drawing fly" flies the selected strokes themselves
+    const keepDrawing = animationType === 'birds' && drawnBodyWords.test(clause);
+    if (keepDrawing) {
+      phrase = phrase.replace(/\b(?:my|own|drawn|drawing|drawings|sketch|sketches)\b/g, ' ');
+    }
+    phrase = phrase.replace(/\s+/g, ' ').trim();
+
+    const steps = [];
+    let objectIds = this.selectedObjectIds;
+    let targets = null;
+
+    // "make the red trees sway" selects the trees first, since create works on the selection
+    if (phrase && !selectionReferences.test(phrase)) {
+      // "the birds fly" means the objects that are birds already, not new birds
+      targets = this.resolveTargets(phrase, refs) || this.resolveTargets(fullPhrase, refs);
+      if (!targets || targets.objectIds.length === 0) {
+        return { error: `I couldn't find "${phrase}" to animate.` };
+      }
+      objectIds = targets.objectIds;
+
+      // Objects picked by the previous step are already selected
+      const alreadySelected = refs.selectStep && recentReferences.test(phrase);
+      if (!alreadySelected) {
+        steps.push({ action: 'select', objectIds });
+      }
+    }
+
+    // "make the rabbits hop for 5 seconds" when they already hop only changes when they run
+    if (schedule) {
+      const current = targets || this.withAnimations(objectIds, []);
+      const alreadyAnimated = current.objectIds.length > 0 &&
+        current.objectIds.every(id => this.animationByObject.get(id)?.type === animationType);
+      if (alreadyAnimated) {
+        return this.single({ action: 'modify', targets: current.animationIds, parameters: { schedule } }, current);
+      }
+    }
+
+    // "animate the selection as hopping rabbits" names the things after the animation word
+    const noun = this.describeNoun(phrase) || this.describeNoun(clause.slice(found.index + found.word.length).trim());
+    const titles = animationTitles[animationType];
+    const title = noun && titles
+      ? `${titles.adjective} ${capitalize(noun)}`
+      : titles?.title || `${capitalize(animationType)} Animation`;
+
+    steps.push({
+      action: 'create',
+      animationType,
+      targets: ['selected'],
+      title,
+      parameters: { ...wordParameters[found.word], ...(keepDrawing && { body: 'drawing' }) },
+      ...(schedule && { schedule })
+    });
+
+    return {
+      steps,
+      output: {
+        objectIds,
+        animationIds: [`$step${stepOffset + steps.length}`]
+      }
+    };
+  }
+
+  /**
+   * Wrap a single-step command and what it affected
+   * @param {Object} command - The command
+   * @param {Object} targets - The objects and animations it acts on
+   * @returns {Object} - { steps, output }
+   */
+  single(command, targets) {
+    return {
+      steps: [command],
+      output: { ...targets, selectStep: command.action === 'select' }
+    };
+  }
+
+  /**
+   * IDs "it" and "them" refer to when there is no earlier clause:
+   * the result of the last command, falling back to the selection
+   * @returns {Object} - { objectIds, animationIds }
+   */
+  getRecentReferences() {
+    if (this.recent && (this.recent.animationIds?.length || this.recent.objectIds?.length)) {
+      return this.withAnimations(this.recent.objectIds || [], this.recent.animationIds || []);
+    }
+    return this.withAnimations(this.selectedObjectIds, []);
+  }
+
+  /**
+   * Fill in the animations of a set of objects (and the objects of the animations)
+   * @param {Array} objectIds - Object IDs
+   * @param {Array<string>} animationIds - Animation IDs
+   * @returns {Object} - { objectIds, animationIds }
+   */
+  withAnimations(objectIds, animationIds) {
+    const animIds = new Set(animationIds);
+    const objIds = new Set(objectIds);
+
+    objectIds.forEach(id => {
+      const anim = this.animationByObject.get(id);
+      if (anim) animIds.add(anim.id);
+    });
+
+    animationIds.forEach(id => {
+      const anim = this.animations.find(a => a.id === id);
+      (anim?.objectIds || []).forEach(objId => objIds.add(objId));
+    });
+
+    return { objectIds: [...objIds], animationIds: [...animIds] };
+  }
+
+  /**
+   * Every object and animation on the canvas
+   * @returns {Object} - { objectIds, animationIds }
+   */
+  allTargets() {
+    return this.withAnimations(this.objects.map(o => o.id).filter(id => id !== null), []);
+  }
+
+  /**
+   * The nouns in a description, without colors, types and filler words
+   * @param {string} phrase - A description like "the two red trees on the left"
+   * @returns {Array<string>} - Singular nouns
+   */
+  getNouns(phrase) {
+    const typeWords = new Set(Object.values(animationWords).flat());
+
+    return phrase
+      .replace(spatialWords, ' ')
+      .split(/[\s,]+/)
+      .filter(word => word && !stopWords.has(word) && !colorWords[word] && !typeWords.has(word) && !/^\d+$/.test(word))
+      .map(singular);
+  }
+
+  /**
+   * A noun for a generated title ("the red trees" -> "trees")
+   * @param {string} phrase - The description
+   * @returns {string|null} - The last noun, in its original form
+   */
+  describeNoun(phrase) {
+    if (!phrase || selectionReferences.test(phrase) || recentReferences.test(phrase)) return null;
+    const nouns = this.getNouns(phrase);
+    if (nouns.length === 0) return null;
+
+    const last = nouns[nouns.length - 1];
+    const original = phrase.split(/\s+/).reverse().find(word => singular(word) === last);
+    return original || last;
+  }
+
+  /**
+   * Find the objects and animations a description refers to
+   * @param {string} phrase - e.g. "the red birds", "the leftmost tree", "them"
+   * @param {Object} refs - What "them" and "it" refer to
+   * @returns {Object|null} - { objectIds, animationIds }, or null if nothing in the phrase could be used
+   */
+  resolveTargets(phrase, refs) {
+    const text = (phrase || '').trim();
+
+    if (recentReferences.test(text)) {
+      if (!refs || (!refs.objectIds.length && !refs.animationIds.length)) return null;
+
+      // "$stepN" stands for an animation an earlier step of this plan will create
+      const placeholders = refs.animationIds.filter(id => String(id).startsWith('$'));
+      const resolved = this.withAnimations(refs.objectIds, refs.animationIds.filter(id => !placeholders.includes(id)));
+      return {
+        objectIds: resolved.objectIds,
+        animationIds: placeholders.length ? placeholders : resolved.animationIds
+      };
+    }
+
+    if (!text || selectionReferences.test(text)) {
+      return this.selectedObjectIds.length ? this.withAnimations(this.selectedObjectIds, []) : null;
+    }
+
+    let candidates = this.objects.filter(o => o.id !== null && o.id !== undefined);
+    let filtered = false;
+
+    // Animation type ("the birds", "the swaying ones", "the animated ones")
+    const type = findWord(text, animationWords);
+    if (type) {
+      candidates = candidates.filter(o => this.animationByObject.get(o.id)?.type === type.key);
+      filtered = true;
+    } else if (/\b(animated|moving)\b/.test(text)) {
+      candidates = candidates.filter(o => this.animationByObject.has(o.id));
+      filtered = true;
+    } else if (/\b(unanimated|not animated|plain)\b/.test(text)) {
+      candidates = candidates.filter(o => !this.animationByObject.has(o.id));
+      filtered = true;
+    }
+
+    // Color ("the red ones")
+    const colorWord = text.split(/\s+/).find(word => colorWords[word]);
+    if (colorWord) {
+      const wanted = colorWords[colorWord];
+      candidates = candidates.filter(o =>
+        colorName(o.color) === wanted || colorName(this.animationByObject.get(o.id)?.color) === wanted
+      );
+      filtered = true;
+    }
+
+    // Titles and names ("the apples" matches "Swinging Apples")
+    const nouns = this.getNouns(text);
+    if (nouns.length > 0) {
+      const byTitle = candidates.filter(o => {
+        const names = [o.title, o.label, this.animationByObject.get(o.id)?.title]
+          .filter(Boolean)
+          .join(' ')
+          .toLowerCase()
+          .split(/\s+/)
+          .map(singular);
+        return nouns.some(noun => names.includes(noun));
+      });
+
+      // Nouns that match no titles ("the trees" when nothing is titled) are ignored
+      // as long as something else narrowed the search down
+      if (byTitle.length > 0 || !filtered) {
+        candidates = byTitle;
+        filtered = true;
+      }
+    }
+
+    // Regions ("on the left", "at the top")
+    spatialRegions.forEach(region => {
+      if (region.pattern.test(text) && !spatialExtremes.some(e => e.pattern.test(text))) {
+        candidates = candidates.filter(o => {
+          const value = o.position?.[region.axis] || 0;
+          return region.side === 'low' ? value < this.center[region.axis] : value >= this.center[region.axis];
+        });
+        filtered = true;
+      }
+    });
+
+    // Extremes ("the leftmost one", "the highest bird")
+    const extreme = spatialExtremes.find(e => e.pattern.test(text));
+    if (extreme && candidates.length > 0) {
+      const value = o => o.position?.[extreme.axis] || 0;
+      const best = candidates.reduce((a, b) => (extreme.pick === 'min' ? value(b) < value(a) : value(b) > value(a)) ? b : a);
+      candidates = [best];
+      filtered = true;
+    }
+
+    if (!filtered) {
+      return /\b(all|everything|every)\b/.test(text) ? this.allTargets() : null;
+    }
+
+    return this.withAnimations(candidates.map(o => o.id), []);
+  }
+}
+
+/**
+ * Parse a prompt into a command without an LLM
+ * @param {string} prompt - What the user typed or said
+ * @param {Object} context - Canvas context from LLMController.getCanvasContext
+ * @param {Object} options - { recent, selectedObjectIds, canvasWidth, canvasHeight, animationTypes }
+ * @returns {Object} - A command in the LLM formats, a { steps } plan, or { error }
+ */
+export function parseCommand(prompt, context, options = {}) {
+  if (!prompt || !prompt.trim()) {
+    return { error: 'Please say what you would like to do.' };
+  }
+
+  return new CommandParser(context, options).parse(prompt);
+}
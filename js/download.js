@@ -0,0 +1,19 @@
+// download.js - Saves generated files through the browser's download mechanism
+
+/**
+ * Saves a blob as a download
+ * @param {Blob} blob - The file contents
+ * @param {string} filename - The download name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the download a moment to start before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,84 @@
+// exportMenu.js - The Export dialog that lists the available export formats
+
+import { showGifExportDialog } from './gifExport.js';
+import { showHtmlExportDialog } from './htmlExport.js';
+import { showSvgExportDialog } from './svgExport.js';
+import { showLottieExportDialog } from './lottieExport.js';
+import { showSpriteExportDialog } from './spriteExport.js';
+
+// Each format opens its own dialog with the options for that format
+const exportFormats = [
+  {
+    id: 'gif',
+    label: 'Animated GIF',
+    description: 'A looping image for chat and slides',
+    open: showGifExportDialog
+  },
+  {
+    id: 'html',
+    label: 'Web Page',
+    description: 'A single HTML file that plays the scene, for embedding on a website',
+    open: showHtmlExportDialog
+  },
+  {
+    id: 'svg',
+    label: 'Animated SVG',
+    description: 'Vector strokes with CSS keyframes for sway and hop',
+    open: showSvgExportDialog
+  },
+  {
+    id: 'lottie',
+    label: 'Lottie',
+    description: 'Lottie JSON with baked motion, for the mobile apps',
+    open: showLottieExportDialog
+  },
+  {
+    id: 'sprites',
+    label: 'PNG Frames / Sprite Sheet',
+    description: 'Numbered PNG frames or a sprite sheet with a JSON atlas, for game prototypes',
+    open: showSpriteExportDialog
+  }
+];
+
+/**
+ * Shows the list of export formats
+ * @param {fabric.Canvas} canvas - The canvas to export
+ */
+export function showExportMenu(canvas) {
+  document.getElementById('exportMenuModal')?.remove();
+
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'exportMenuModal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content';
+
+  modalContent.innerHTML = `
+    <h3>Export</h3>
+    <div class="export-formats">
+      ${exportFormats.map(format => `
+        <button class="export-format-btn" data-format="${format.id}">
+          <span class="export-format-label">${format.label}</span>
+          <span class="export-format-description">${format.description}</span>
+        </button>
+      `).join('')}
+    </div>
+    <div class="modal-buttons">
+      <button id="closeExportMenuBtn">Close</button>
+    </div>
+  `;
+
+  modal.appendChild(modalContent);
+  document.body.appendChild(modal);
+
+  modalContent.querySelectorAll('.export-format-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const format = exportFormats.find(f => f.id === btn.dataset.format);
+      modal.remove();
+      format.open(canvas);
+    });
+  });
+
+  document.getElementById('closeExportMenuBtn').addEventListener('click', () => modal.remove());
+}
@@ -0,0 +1,304 @@
+// gifEncoder.js - Animated GIF encoder with median-cut palette quantization and LZW compression
+
+/**
+ * Growable byte buffer
+ */
+class ByteWriter {
+  constructor(size = 1 << 16) {
+    this.bytes = new Uint8Array(size);
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const bytes = new Uint8Array(size);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+  }
+
+  byte(value) {
+    this.ensure(1);
+    this.bytes[this.length++] = value & 0xff;
+  }
+
+  short(value) {
+    this.byte(value);
+    this.byte(value >> 8);
+  }
+
+  string(text) {
+    for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+  }
+
+  array(values) {
+    this.ensure(values.length);
+    this.bytes.set(values, this.length);
+    this.length += values.length;
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Reduces an RGBA image to at most maxColors colors with median cut.
+ * Colors are first bucketed to 5 bits per channel, which keeps it fast
+ * enough to run on every frame.
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @param {number} maxColors - Palette size (up to 256)
+ * @returns {Object} - { palette: Uint8Array of RGB triples, indices: Uint8Array per pixel }
+ */
+export function quantize(pixels, maxColors = 256) {
+  const histogram = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3); // Exact color totals per bucket, for accurate averages
+  const pixelCount = pixels.length / 4;
+  const keys = new Uint16Array(pixelCount);
+
+  for (let i = 0, p = 0; i < pixelCount; i++, p += 4) {
+    const key = ((pixels[p] >> 3) << 10) | ((pixels[p + 1] >> 3) << 5) | (pixels[p + 2] >> 3);
+    keys[i] = key;
+    histogram[key]++;
+    sums[key * 3] += pixels[p];
+    sums[key * 3 + 1] += pixels[p + 1];
+    sums[key * 3 + 2] += pixels[p + 2];
+  }
+
+  const used = [];
+  for (let key = 0; key < 32768; key++) {
+    if (histogram[key]) used.push(key);
+  }
+
+  const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+
+  // Each box is a list of histogram keys; split the one with the widest channel range
+  const describe = (box) => {
+    const min = [31, 31, 31];
+    const max = [0, 0, 0];
+    let count = 0;
+    box.forEach(key => {
+      for (let c = 0; c < 3; c++) {
+        const v = channel(key, c);
+        if (v < min[c]) min[c] = v;
+        if (v > max[c]) max[c] = v;
+      }
+      count += histogram[key];
+    });
+    const ranges = max.map((v, c) => v - min[c]);
+    const axis = ranges.indexOf(Math.max(...ranges));
+    return { box, count, axis, range: ranges[axis] };
+  };
+
+  const boxes = [describe(used)];
+
+  while (boxes.length < maxColors) {
+    // Prefer big boxes that still cover several colors
+    let best = -1;
+    let bestScore = 0;
+    boxes.forEach((b, i) => {
+      const score = b.range > 0 ? b.count * b.range : 0;
+      if (score > bestScore) {
+        bestScore = score;
+        best = i;
+      }
+    });
+    if (best === -1) break;
+
+    const { box, axis, count } = boxes[best];
+    box.sort((a, b) => channel(a, axis) - channel(b, axis));
+
+    // Split at the median pixel, keeping at least one key on each side
+    let seen = 0;
+    let split = 1;
+    for (let i = 0; i < box.length - 1; i++) {
+      seen += histogram[box[i]];
+      if (seen >= count / 2) {
+        split = i + 1;
+        break;
+      }
+      split = i + 1;
+    }
+
+    boxes.splice(best, 1, describe(box.slice(0, split)), describe(box.slice(split)));
+  }
+
+  // Average each box into a palette entry and remember which entry every key maps to
+  const palette = new Uint8Array(boxes.length * 3);
+  const lookup = new Uint8Array(32768);
+
+  boxes.forEach(({ box, count }, index) => {
+    let r = 0, g = 0, b = 0;
+    box.forEach(key => {
+      r += sums[key * 3];
+      g += sums[key * 3 + 1];
+      b += sums[key * 3 + 2];
+      lookup[key] = index;
+    });
+    palette[index * 3] = Math.round(r / count);
+    palette[index * 3 + 1] = Math.round(g / count);
+    palette[index * 3 + 2] = Math.round(b / count);
+  });
+
+  const indices = new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) indices[i] = lookup[keys[i]];
+
+  return { palette, indices };
+}
+
+/**
+ * LZW-compresses color indices the way GIF image data expects
+ * @param {Uint8Array} indices - One palette index per pixel
+ * @param {number} minCodeSize - Bits per index (2-8)
+ * @param {ByteWriter} out - Where to write the sub-blocks
+ */
+function writeLZW(indices, minCodeSize, out) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+
+  // Bits are packed least significant first, then split into 255-byte sub-blocks
+  const block = new Uint8Array(255);
+  let blockLength = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const flushBlock = () => {
+    if (blockLength === 0) return;
+    out.byte(blockLength);
+    out.array(block.subarray(0, blockLength));
+    blockLength = 0;
+  };
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block[blockLength++] = bitBuffer & 0xff;
+      if (blockLength === 255) flushBlock();
+      bitBuffer >>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  out.byte(minCodeSize);
+  emit(clearCode);
+
+  let prefix = indices[0];
+
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const existing = dictionary.get(key);
+
+    if (existing !== undefined) {
+      prefix = existing;
+      continue;
+    }
+
+    emit(prefix);
+
+    if (nextCode < 4096) {
+      dictionary.set(key, nextCode);
+      if (nextCode === (1 << codeSize) && codeSize < 12) codeSize++;
+      nextCode++;
+    } else {
+      // Table is full: start over
+      emit(clearCode);
+      dictionary = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+
+    prefix = k;
+  }
+
+  emit(prefix);
+  emit(endCode);
+
+  if (bitCount > 0) {
+    block[blockLength++] = bitBuffer & 0xff;
+    if (blockLength === 255) flushBlock();
+  }
+  flushBlock();
+  out.byte(0); // Block terminator
+}
+
+/**
+ * Animated GIF encoder. Each frame gets its own quantized palette.
+ */
+export class GIFEncoder {
+  /**
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {Object} options - { loop: number of repeats, 0 for forever }
+   */
+  constructor(width, height, { loop = 0 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.out = new ByteWriter();
+
+    // Header and logical screen descriptor without a global color table
+    this.out.string('GIF89a');
+    this.out.short(width);
+    this.out.short(height);
+    this.out.byte(0x70); // No global table, 8-bit color resolution
+    this.out.byte(0); // Background color index
+    this.out.byte(0); // Square pixels
+
+    // NETSCAPE2.0 extension so the animation loops
+    if (loop !== null) {
+      this.out.array([0x21, 0xff, 0x0b]);
+      this.out.string('NETSCAPE2.0');
+      this.out.array([0x03, 0x01]);
+      this.out.short(loop);
+      this.out.byte(0);
+    }
+  }
+
+  /**
+   * Adds a frame
+   * @param {ImageData} imageData - The frame's pixels, same size as the GIF
+   * @param {number} delay - How long to show the frame, in milliseconds
+   */
+  addFrame(imageData, delay) {
+    const { palette, indices } = quantize(imageData.data, 256);
+
+    // The color table size must be a power of two (at least 2 entries)
+    let bits = 1;
+    while ((1 << bits) < palette.length / 3) bits++;
+    const tableSize = 1 << bits;
+
+    // Graphic control extension: frame delay in hundredths of a second
+    this.out.array([0x21, 0xf9, 0x04, 0x04]); // Disposal: leave in place
+    this.out.short(Math.max(2, Math.round(delay / 10)));
+    this.out.array([0x00, 0x00]);
+
+    // Image descriptor with a local color table
+    this.out.byte(0x2c);
+    this.out.short(0);
+    this.out.short(0);
+    this.out.short(this.width);
+    this.out.short(this.height);
+    this.out.byte(0x80 | (bits - 1));
+
+    const table = new Uint8Array(tableSize * 3);
+    table.set(palette);
+    this.out.array(table);
+
+    writeLZW(indices, Math.max(2, bits), this.out);
+  }
+
+  /**
+   * Finishes the file
+   * @returns {Uint8Array} - The GIF bytes
+   */
+  finish() {
+    this.out.byte(0x3b);
+    return this.out.result();
+  }
+}
@@ -0,0 +1,175 @@
+// gifExport.js - Records the live canvas animations into an animated GIF
+
+import { GIFEncoder } from './gifEncoder.js';
+import { getLoopDuration } from './animations.js';
+import { downloadBlob } from './download.js';
+
+// Lets the browser update the progress display between heavy steps
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Most pixels (frames × width × height) one GIF may hold, so a long full-size export can't exhaust memory
+const MAX_GIF_PIXELS = 200 * 1000 * 1000;
+
+/**
+ * Records the running animations and encodes them as a GIF
+ * @param {fabric.Canvas} canvas - The canvas to record
+ * @param {Object} options - { duration: seconds, fps, scale: 0-1, background, onProgress }
+ *   where onProgress is called with (done, total) after each frame is encoded
+ * @returns {Promise<Blob>} - The GIF file
+ */
+export async function exportGif(canvas, { duration = 3, fps = 15, scale = 1, background = '#ffffff', onProgress = () => {} } = {}) {
+  const source = canvas.getElement();
+  const width = Math.max(1, Math.round(canvas.getWidth() * scale));
+  const height = Math.max(1, Math.round(canvas.getHeight() * scale));
+
+  // The last frame is one step before the end, so a full-cycle duration loops without a repeated frame
+  const frameCount = Math.max(1, Math.round(duration * fps));
+  const frameDelay = 1000 / fps;
+  if (frameCount * width * height > MAX_GIF_PIXELS) {
+    throw new Error(`${frameCount} frames at ${width}×${height} is too large; make it shorter, slower or smaller`);
+  }
+
+  const frameCanvas = document.createElement('canvas');
+  frameCanvas.width = width;
+  frameCanvas.height = height;
+  const ctx = frameCanvas.getContext('2d', { willReadFrequently: true });
+
+  const encoder = new GIFEncoder(width, height, { loop: 0 });
+
+  // Each frame is encoded as soon as it is captured, so only one frame's pixels are held at a time.
+  // Frames are stepped on the master clock, so they are evenly spaced even if encoding is slow.
+  await canvas.clock.stepFrames({
+    frameCount,
+    fps,
+    onFrame: async (i) => {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, width, height);
+      ctx.drawImage(source, 0, 0, width, height);
+      encoder.addFrame(ctx.getImageData(0, 0, width, height), frameDelay);
+
+      onProgress(i + 1, frameCount);
+      await nextTick();
+    }
+  });
+
+  return new Blob([encoder.finish()], { type: 'image/gif' });
+}
+
+/**
+ * Shows the GIF export dialog with duration, frame rate, size and progress
+ * @param {fabric.Canvas} canvas - The canvas to record
+ */
+export function showGifExportDialog(canvas) {
+  document.getElementById('gifExportModal')?.remove();
+
+  const loop = getLoopDuration(canvas.activeAnimations || []);
+  const loopHint = loop.duration
+    ? `${loop.duration.toFixed(2)} s${loop.seamless ? '' : ' (birds and long loops may not line up exactly)'}`
+    : 'No looping animations';
+
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'gifExportModal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content';
+
+  modalContent.innerHTML = `
+    <h3>Export GIF</h3>
+    <div class="input-group">
+      <label for="gifDurationInput">Duration (seconds):</label>
+      <input id="gifDurationInput" type="number" min="0.5" max="30" step="0.1" value="${loop.duration && loop.duration <= 10 ? loop.duration : 3}" />
+    </div>
+    <div class="input-group">
+      <label>
+        <input id="gifMatchLoopInput" type="checkbox" ${loop.duration ? 'checked' : 'disabled'} />
+        Match the animation loop
+      </label>
+      <span class="export-hint">${loopHint}</span>
+    </div>
+    <div class="input-group">
+      <label for="gifFpsSelect">Frame rate:</label>
+      <select id="gifFpsSelect">
+        <option value="10">10 fps</option>
+        <option value="15" selected>15 fps</option>
+        <option value="20">20 fps</option>
+        <option value="25">25 fps</option>
+      </select>
+    </div>
+    <div class="input-group">
+      <label for="gifScaleSelect">Size:</label>
+      <select id="gifScaleSelect">
+        <option value="1">Full size</option>
+        <option value="0.75">75%</option>
+        <option value="0.5" selected>50%</option>
+        <option value="0.25">25%</option>
+      </select>
+    </div>
+    <div class="export-progress hidden" id="gifExportProgress">
+      <progress id="gifProgressBar" max="1" value="0"></progress>
+      <span id="gifProgressText"></span>
+    </div>
+    <div class="modal-buttons">
+      <button id="startGifExportBtn">Export</button>
+      <button id="cancelGifExportBtn">Cancel</button>
+    </div>
+  `;
+
+  modal.appendChild(modalContent);
+  document.body.appendChild(modal);
+
+  const durationInput = document.getElementById('gifDurationInput');
+  const matchLoopInput = document.getElementById('gifMatchLoopInput');
+  const progress = document.getElementById('gifExportProgress');
+  const progressBar = document.getElementById('gifProgressBar');
+  const progressText = document.getElementById('gifProgressText');
+  const startBtn = document.getElementById('startGifExportBtn');
+  const cancelBtn = document.getElementById('cancelGifExportBtn');
+
+  // Typing a duration turns off loop matching; ticking it puts the loop length back
+  durationInput.addEventListener('input', () => { matchLoopInput.checked = false; });
+  matchLoopInput.addEventListener('change', () => {
+    if (matchLoopInput.checked && loop.duration) durationInput.value = loop.duration;
+  });
+
+  let cancelled = false;
+
+  cancelBtn.addEventListener('click', () => {
+    cancelled = true;
+    modal.remove();
+  });
+
+  startBtn.addEventListener('click', async () => {
+    const duration = Math.min(30, Math.max(0.5, parseFloat(durationInput.value) || 3));
+    const fps = parseInt(document.getElementById('gifFpsSelect').value, 10);
+    const scale = parseFloat(document.getElementById('gifScaleSelect').value);
+
+    startBtn.disabled = true;
+    progress.classList.remove('hidden');
+
+    // Selection outlines shouldn't end up in the GIF
+    canvas.discardActiveObject();
+    canvas.requestRenderAll();
+
+    try {
+      const blob = await exportGif(canvas, {
+        duration,
+        fps,
+        scale,
+        onProgress: (done, total) => {
+          if (cancelled) throw new Error('cancelled');
+          progressBar.value = done / total;
+          progressText.textContent = `Recording frame ${done} of ${total}...`;
+        }
+      });
+
+      downloadBlob(blob, 'animation.gif');
+      modal.remove();
+    } catch (error) {
+      if (cancelled) return;
+      console.error('GIF export failed:', error);
+      progressText.textContent = `Export failed: ${error.message}`;
+      startBtn.disabled = false;
+    }
+  });
+}
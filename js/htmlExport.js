@@ -0,0 +1,139 @@
+// htmlExport.js - Exports the scene as a single HTML page that plays it without the editor
+
+import { animationDefaults } from './animations.js';
+import { playScene } from './playerRuntime.js';
+import { downloadBlob } from './download.js';
+
+// Same library builds as index.html, so the exported page draws exactly like the editor
+const FABRIC_URL = 'https://cdn.jsdelivr.net/npm/fabric@6.4.3/dist/index.js';
+const GSAP_URL = 'https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.2/gsap.min.js';
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - The text to escape
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Collects everything the player needs to show the current scene
+ * @param {fabric.Canvas} canvas - The canvas to export
+ * @returns {Object} - { width, height, canvasJSON, animations, interactions, defaults, duration }
+ */
+export function createScene(canvas) {
+  const state = canvas.history.captureState();
+
+  return {
+    width: canvas.getWidth(),
+    height: canvas.getHeight(),
+    canvasJSON: state.canvasJSON,
+    animations: state.animations,
+    interactions: state.interactions,
+    defaults: animationDefaults,
+    duration: canvas.clock.duration
+  };
+}
+
+/**
+ * Builds the standalone HTML page for the current scene
+ * @param {fabric.Canvas} canvas - The canvas to export
+ * @param {Object} options - { title, background, fitWidth: scale down on narrow screens }
+ * @returns {string} - The HTML document
+ */
+export function createStandaloneHtml(canvas, { title = 'AniMuse animation', background = '#ffffff', fitWidth = true } = {}) {
+  // "<" is escaped so nothing in the data can close the script tag early
+  const sceneJSON = JSON.stringify(createScene(canvas)).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    html, body { margin: 0; background: ${escapeHtml(background)}; }
+    body { display: flex; align-items: center; justify-content: center; min-height: 100vh; }
+    canvas { display: block; }${fitWidth ? `
+    canvas { max-width: 100%; height: auto !important; }` : ''}
+  </style>
+</head>
+<body>
+  <canvas id="animuse-player"></canvas>
+  <script type="application/json" id="animuse-scene">${sceneJSON}</script>
+  <script src="${FABRIC_URL}"></script>
+  <script src="${GSAP_URL}"></script>
+  <script>
+${playScene.toString()}
+
+playScene(
+  document.getElementById('animuse-player'),
+  JSON.parse(document.getElementById('animuse-scene').textContent)
+).catch(error => console.error('Could not play the scene:', error));
+  </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Shows the HTML export dialog
+ * @param {fabric.Canvas} canvas - The canvas to export
+ */
+export function showHtmlExportDialog(canvas) {
+  document.getElementById('htmlExportModal')?.remove();
+
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'htmlExportModal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content';
+
+  modalContent.innerHTML = `
+    <h3>Export Web Page</h3>
+    <div class="input-group">
+      <label for="htmlTitleInput">Page title:</label>
+      <input id="htmlTitleInput" type="text" value="AniMuse animation" />
+    </div>
+    <div class="input-group">
+      <label for="htmlBackgroundInput">Background:</label>
+      <input id="htmlBackgroundInput" type="color" value="#ffffff" />
+    </div>
+    <div class="input-group">
+      <label>
+        <input id="htmlFitWidthInput" type="checkbox" checked />
+        Shrink to fit narrow pages
+      </label>
+      <span class="export-hint">Plays without the editor; needs internet access for the drawing libraries.</span>
+    </div>
+    <div class="modal-buttons">
+      <button id="startHtmlExportBtn">Export</button>
+      <button id="cancelHtmlExportBtn">Cancel</button>
+    </div>
+  `;
+
+  modal.appendChild(modalContent);
+  document.body.appendChild(modal);
+
+  document.getElementById('startHtmlExportBtn').addEventListener('click', () => {
+    const title = document.getElementById('htmlTitleInput').value.trim() || 'AniMuse animation';
+    const html = createStandaloneHtml(canvas, {
+      title,
+      background: document.getElementById('htmlBackgroundInput').value,
+      fitWidth: document.getElementById('htmlFitWidthInput').checked
+    });
+
+    const filename = `${title.replace(/[\\/:*?"<>|]+/g, '_')}.html`;
+    downloadBlob(new Blob([html], { type: 'text/html' }), filename);
+    console.log('Exported standalone HTML:', filename);
+    modal.remove();
+  });
+
+  document.getElementById('cancelHtmlExportBtn').addEventListener('click', () => modal.remove());
+}
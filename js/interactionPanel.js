@@ -736,8 +736,12 @@ export function createInteraction(sourceId, targetId, type, canvas) {
     }
   }
   
+  // Keep IDs unique when several interactions are created at once
+  let stamp = Date.now();
+  while ((canvas.animationInteractions || []).some(i => i.id === `interaction_${stamp}`)) stamp++;
+  
   const newInteraction = {
-    id: `interaction_${Date.now()}`,
+    id: `interaction_${stamp}`,
     sourceId,
     targetId,
     type,
@@ -757,4 +761,6 @@ export function createInteraction(sourceId, targetId, type, canvas) {
   // Save state and refresh the panel
   setTimeout(() => canvas.history.saveState(), 20);
   renderInteractionPanel(canvas);
+  
+  return newInteraction;
 }
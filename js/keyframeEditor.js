@@ -0,0 +1,274 @@
+// keyframeEditor.js - Keyframe tracks under the timeline: a row of diamonds per keyframed object
+
+import { easeFamilies, setKeyframe, removeKeyframe, updateKeyframes, getKeyframeTime } from './animations.js';
+
+// Inspector fields for the selected keyframe; scale and opacity are shown as percentages
+const keyFields = [
+  { key: 'time', label: 'Time (s)', step: 0.01 },
+  { key: 'left', label: 'X', step: 1 },
+  { key: 'top', label: 'Y', step: 1 },
+  { key: 'angle', label: 'Rotation', step: 1 },
+  { key: 'scaleX', label: 'Scale X %', step: 1, percent: true },
+  { key: 'scaleY', label: 'Scale Y %', step: 1, percent: true },
+  { key: 'opacity', label: 'Opacity %', step: 1, percent: true, min: 0, max: 100 }
+];
+
+export class KeyframeEditor {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.clock = canvas.clock;
+    this.selected = null; // { target, key }
+    this.dragging = null;
+    this.setup();
+  }
+
+  setup() {
+    const { canvas, clock, get = id => document.getElementById(id) } = this;
+
+    this.container = get('keyframeEditor');
+    this.tracks = get('keyframeTracks');
+    this.inspector = get('keyframeInspector');
+
+    canvas.history.onChange(() => this.render());
+    clock.onChange(() => this.updatePlayheads());
+
+    // Keys are dragged along the track under the pointer
+    document.addEventListener('mousemove', (e) => this.dragKey(e));
+    document.addEventListener('mouseup', () => this.dropKey());
+
+    this.render();
+  }
+
+  // Objects animated with the keyframe handler
+  getTargets() {
+    return this.canvas.getObjects().filter(obj => obj.animationType === 'keyframe' && obj.keyframes);
+  }
+
+  /**
+   * Names a keyframed object after its animation, numbering objects that share one
+   * @param {fabric.Object} target - The keyframed object
+   * @returns {string}
+   */
+  getLabel(target) {
+    const anim = (this.canvas.activeAnimations || []).find(a => a.data.some(d => d.id === target.id));
+    if (!anim) return `Object ${target.id}`;
+
+    const title = anim.title || anim.prompt || 'Keyframes';
+    if (anim.data.length < 2) return title;
+    return `${title} ${anim.data.findIndex(d => d.id === target.id) + 1}`;
+  }
+
+  /**
+   * Converts a position on a track to a scene time
+   * @param {HTMLElement} track - The track element
+   * @param {number} clientX - Pointer position
+   * @returns {number} - Seconds, rounded to hundredths
+   */
+  getTrackTime(track, clientX) {
+    const rect = track.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+    return Math.round(fraction * this.clock.duration * 100) / 100;
+  }
+
+  // Percentage along the track for a time; keys after the end sit at the end
+  getTrackPosition(time) {
+    return Math.min(100, time / this.clock.duration * 100);
+  }
+
+  // Scene time of a key; keys of scheduled animations count from the start of the current run
+  getKeySceneTime(target, key) {
+    return (target.tween?.startTime?.() || 0) + key.time;
+  }
+
+  render() {
+    const targets = this.getTargets();
+    this.container.classList.toggle('hidden', targets.length === 0);
+
+    // Forget a selected key whose object or key has gone, e.g. after undo
+    if (this.selected && (!targets.includes(this.selected.target) || !this.selected.target.keyframes.includes(this.selected.key))) {
+      this.selected = null;
+    }
+
+    this.tracks.innerHTML = '';
+    targets.forEach(target => this.tracks.appendChild(this.createRow(target)));
+
+    this.updatePlayheads();
+    this.renderInspector();
+  }
+
+  /**
+   * Builds the track row for a keyframed object
+   * @param {fabric.Object} target - The keyframed object
+   * @returns {HTMLElement}
+   */
+  createRow(target) {
+    const row = document.createElement('div');
+    row.className = 'keyframe-row';
+
+    const label = document.createElement('span');
+    label.className = 'keyframe-row-label';
+    label.textContent = this.getLabel(target);
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'keyframe-add-btn';
+    addBtn.textContent = '+ Key';
+    addBtn.title = 'Key the current pose at the playhead';
+    addBtn.addEventListener('click', () => {
+      const key = setKeyframe(this.canvas, target, getKeyframeTime(target, this.clock.time));
+      this.selected = { target, key };
+    });
+
+    const track = document.createElement('div');
+    track.className = 'keyframe-track';
+    track.title = 'Double-click to add a key';
+
+    // Double-clicking the track keys the pose the object has at that time
+    track.addEventListener('dblclick', (e) => {
+      if (e.target !== track) return;
+      const time = this.getTrackTime(track, e.clientX);
+      this.clock.pause();
+      this.clock.seek(time);
+      const key = setKeyframe(this.canvas, target, getKeyframeTime(target, time));
+      this.selected = { target, key };
+    });
+
+    target.keyframes.forEach(key => {
+      const diamond = document.createElement('div');
+      diamond.className = 'keyframe-diamond';
+      diamond.classList.toggle('selected', this.selected?.key === key);
+      diamond.style.left = `${this.getTrackPosition(this.getKeySceneTime(target, key))}%`;
+      diamond.title = `${key.time.toFixed(2)} s`;
+
+      // Pressing a key selects it and shows its pose; dragging it changes its time
+      diamond.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this.selected = { target, key };
+        this.dragging = { target, key, track, diamond, startTime: key.time };
+        this.clock.pause();
+        this.clock.seek(this.getKeySceneTime(target, key));
+        this.tracks.querySelectorAll('.keyframe-diamond.selected').forEach(d => d.classList.remove('selected'));
+        diamond.classList.add('selected');
+        this.renderInspector();
+      });
+
+      track.appendChild(diamond);
+    });
+
+    const playhead = document.createElement('div');
+    playhead.className = 'keyframe-playhead';
+    track.appendChild(playhead);
+
+    row.append(label, addBtn, track);
+    return row;
+  }
+
+  dragKey(e) {
+    if (!this.dragging) return;
+    const { target, key, track, diamond } = this.dragging;
+
+    key.time = Math.round(getKeyframeTime(target, this.getTrackTime(track, e.clientX)) * 100) / 100;
+    diamond.style.left = `${this.getTrackPosition(this.getKeySceneTime(target, key))}%`;
+    diamond.title = `${key.time.toFixed(2)} s`;
+  }
+
+  dropKey() {
+    if (!this.dragging) return;
+    const { target, key, startTime } = this.dragging;
+    this.dragging = null;
+
+    if (key.time === startTime) return;
+    this.applyKeyTime(target, key);
+  }
+
+  /**
+   * Applies a changed key time; a key dropped onto another one replaces it
+   * @param {fabric.Object} target - The keyframed object
+   * @param {Object} key - The moved keyframe
+   */
+  applyKeyTime(target, key) {
+    for (let i = target.keyframes.length - 1; i >= 0; i--) {
+      const other = target.keyframes[i];
+      if (other !== key && Math.abs(other.time - key.time) < 0.005) target.keyframes.splice(i, 1);
+    }
+    updateKeyframes(this.canvas, target);
+    this.clock.seek(this.getKeySceneTime(target, key));
+  }
+
+  updatePlayheads() {
+    if (this.container.classList.contains('hidden')) return;
+
+    const position = `${this.getTrackPosition(this.clock.time)}%`;
+    this.tracks.querySelectorAll('.keyframe-playhead').forEach(playhead => {
+      playhead.style.left = position;
+    });
+  }
+
+  // Shows the values of the selected keyframe so they can be typed in
+  renderInspector() {
+    this.inspector.innerHTML = '';
+    if (!this.selected) {
+      this.inspector.innerHTML = '<span class="keyframe-hint">Select a key to edit it. Moving a keyframed object sets a key at the playhead.</span>';
+      return;
+    }
+
+    const { target, key } = this.selected;
+    const isFirst = target.keyframes[0] === key;
+
+    this.inspector.innerHTML = `
+      ${keyFields.map(field => `
+        <label class="keyframe-field">${field.label}
+          <input type="number" data-key="${field.key}" step="${field.step}"
+                 ${field.min !== undefined ? `min="${field.min}"` : ''} ${field.max !== undefined ? `max="${field.max}"` : ''}
+                 value="${parseFloat((field.percent ? key[field.key] * 100 : key[field.key]).toFixed(2))}" />
+        </label>
+      `).join('')}
+      <label class="keyframe-field" title="Ease of the segment that ends at this key">Ease in
+        <select data-key="ease" ${isFirst ? 'disabled' : ''}>
+          ${easeFamilies.map(family => `<option value="${family}" ${family === key.ease ? 'selected' : ''}>${family}</option>`).join('')}
+        </select>
+      </label>
+      <button class="keyframe-delete-btn" ${target.keyframes.length < 2 ? 'disabled' : ''}>Delete key</button>
+    `;
+
+    this.inspector.querySelectorAll('[data-key]').forEach(input => {
+      input.addEventListener('change', () => this.applyField(input.dataset.key, input.value));
+    });
+
+    this.inspector.querySelector('.keyframe-delete-btn').addEventListener('click', () => {
+      if (removeKeyframe(this.canvas, target, key)) this.selected = null;
+    });
+  }
+
+  /**
+   * Applies a value typed into the inspector to the selected keyframe
+   * @param {string} field - The keyframe property
+   * @param {string} value - The input's value
+   */
+  applyField(field, value) {
+    const { target, key } = this.selected;
+
+    if (field === 'ease') {
+      key.ease = value;
+      updateKeyframes(this.canvas, target);
+      return;
+    }
+
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) {
+      this.renderInspector();
+      return;
+    }
+
+    const fieldInfo = keyFields.find(f => f.key === field);
+    if (field === 'time') {
+      key.time = Math.max(0, Math.round(number * 100) / 100);
+      this.applyKeyTime(target, key);
+    } else if (fieldInfo.percent) {
+      key[field] = field === 'opacity' ? Math.min(1, Math.max(0, number / 100)) : number / 100;
+      updateKeyframes(this.canvas, target);
+    } else {
+      key[field] = number;
+      updateKeyframes(this.canvas, target);
+    }
+  }
+}
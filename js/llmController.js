@@ -1,6 +1,12 @@
 // llmController.js - Handles LLM interaction for prompt parsing and animation creation
 
-import { createInteraction } from './interactionPanel.js';
+import { createInteraction, renderInteractionPanel } from './interactionPanel.js';
+import { renderAnimationPanel } from './animationPanel.js';
+import { animate, updateAnimationParameters, scaleAnimationParameters, setAnimationColor } from './animations.js';
+import { setAnimationSchedule } from './animationSchedule.js';
+import { providerTypes, createProvider, loadProviderSettings, saveProviderSettings } from './llmProviders.js';
+import { getCommandTools, normalizeCommand, toolCallsToCommand, validateCommand } from './llmTools.js';
+import { parseCommand } from './commandParser.js';
 
 /**
  * LLM Controller for parsing animation commands
@@ -9,13 +15,22 @@ import { createInteraction } from './interactionPanel.js';
 export class LLMController {
   constructor(canvas) {
     this.canvas = canvas;
-    this.apiEndpoint = 'https://api.openai.com/v1/chat/completions';
-    this.apiKey = '<add api key here>'; // This will be set by the user
     this.isProcessing = false;
-    this.model = 'gpt-4o';
+    
+    // The backend is chosen in the settings dialog and saved in this browser
+    this.settings = loadProviderSettings();
+    this.provider = createProvider(this.settings);
+    
+    // Recent prompts, the commands they produced and what those commands affected,
+    // so follow-ups like "make that one blue" can be resolved
+    this.conversation = [];
+    this.maxConversationTurns = 8;
+    
+    // How many times an invalid reply is sent back to the model with the errors before giving up
+    this.maxRepairAttempts = 2;
     
     // Animation types supported by the system
-    this.supportedAnimations = ['birds', 'sway', 'hop', 'fix'];
+    this.supportedAnimations = ['birds', 'swim', 'sway', 'float', 'spin', 'pulse', 'emit', 'hop', 'fix', 'keyframe', 'path'];
     
     // Interaction types supported by the system
     this.supportedInteractions = ['avoid', 'orbit'];
@@ -25,10 +40,17 @@ export class LLMController {
 Your job is to interpret user prompts and convert them into specific animation commands.
 
 The system supports these animation types:
-- birds: Animated birds that flock together
+- birds: Animated birds that flock together. By default the selection is replaced with simple birds; with the "body" parameter set to "drawing" the user's own strokes flock instead, each group of strokes as one bird
+- swim: The user's own drawings swim as a school of fish inside a stroke drawn around them as the water; of the selected objects, the stroke that encloses the others becomes the water
 - sway: Objects that sway gently side to side
+- float: Objects that drift slowly around where they are with a gentle bob, like clouds, balloons or leaves
+- spin: Objects that turn round and round, like wheels, fans or windmills
+- pulse: Objects that grow and fade rhythmically, like a beating heart or a glowing light
+- emit: The selected stroke becomes a particle that keeps falling in many copies, like rain, snow, falling leaves or confetti
 - hop: Objects that hop up and down while moving horizontally
 - fix: Static objects that don't animate but can be part of interactions
+- keyframe: Objects that move between poses the user sets at times on the timeline (the user adds the keys afterwards in the keyframe editor)
+- path: Objects that travel along a line the user drew; of the selected objects, the stroke drawn last becomes the path and the others follow it
 
 The system also supports these interaction types:
 - avoid: One animation avoids another
@@ -36,15 +58,18 @@ The system also supports these interaction types:
 
 The system provides you with context information about all objects on the canvas. Use this context to identify specific objects when the user refers to them by their properties (color, animation type, title, etc.).
 
+Earlier prompts and your replies are included as conversation history. Each new prompt may start with the result of the previous command, listing the animation IDs and object IDs it affected. When the user says "that one", "them", "those", "it" or "the ones I just made", use those IDs (checking they still exist in the context).
+
 For any user input, respond ONLY with a valid JSON object matching one of these formats:
 
 1. For creating animations (objects are already selected):
 {
   "action": "create",
-  "animationType": "birds|sway|hop|fix",
+  "animationType": "birds|swim|sway|float|spin|pulse|emit|hop|fix|keyframe|path",
   "targets": ["selected"],
   "title": "A short and relevant title based on the user's prompt",
-  "parameters": {}
+  "parameters": {},
+  "schedule": {}
 }
 
 2. For interactions between animations:
@@ -70,11 +95,55 @@ For any user input, respond ONLY with a valid JSON object matching one of these
   "objectIds": ["id1", "id2", "id3"]
 }
 
-5. If the command can't be understood:
+5. For modifying existing animations:
+{
+  "action": "modify",
+  "targets": ["animId1", "animId2"],
+  "parameters": {
+    "color": "red or #ff0000 (optional)",
+    "speedFactor": 1.5,
+    "amplitudeFactor": 0.5,
+    "title": "New title (optional)",
+    "schedule": { "duration": 5 }
+  }
+}
+
+6. For requests that need several actions in order:
+{
+  "steps": [
+    { "action": "select", "objectIds": ["id1", "id2"] },
+    { "action": "create", "animationType": "sway", "targets": ["selected"], "title": "Swaying Trees", "parameters": {} },
+    { "action": "interact", "type": "avoid", "sourceAnimIds": ["animId1"], "targetAnimIds": ["$step2"], "parameters": { "type": "avoid" } }
+  ]
+}
+Each step uses one of formats 1-5. A "create" step makes a new animation whose ID is not known yet; later steps refer to it as "$stepN", where N is the number of that step counting from 1. If any step fails, the whole plan is undone.
+
+7. If the command can't be understood:
 {
   "error": "Explanation of the issue"
 }
 
+The "parameters" object for animations is optional. Leave it empty to use the defaults, or include any of these keys when the user asks for a particular feel:
+- birds: neighborRadius (default 60), maxSpeed (2.5), alignWeight (0.05), cohesionWeight (0.02), separationWeight (0.1), body ("bird" or "drawing" to keep the user's drawing, default "bird"; use "drawing" when the user asks to fly their own drawing or characters), flap ("skew", "scale" or "none", how the left and right halves of a drawn group flap, default "skew"), flapStrength (0 to 1, default 0.5), facing ("right" or "left", the way the drawing faces, default "right")
+- swim: neighborRadius (default 80), maxSpeed (1.5), alignWeight (0.05), cohesionWeight (0.01), separationWeight (0.1), wiggle (degrees the tail swings, 10), facing ("right" or "left", the way the fish were drawn facing, default "right")
+- sway: drift (pixels, default 10), rock (degrees, 8), duration (seconds per sway, 1.2)
+- float: radius (pixels wandered, default 30), speed (direction changes per second, 0.25)
+- spin: speed (degrees per second, default 90), direction ("clockwise" or "counterclockwise"), pivot ("center", or "top", "bottom", "left" or "right" to turn around the middle of that edge)
+- pulse: grow (fraction bigger at the peak, default 0.15), fade (fraction of opacity lost at the peak, 0.3), duration (seconds per breath, 1.2)
+- emit: rate (particles per second, default 8), lifetime (seconds, 5), gravity (pixels per second squared, 60; about 600 for rain, negative to rise), wind (sideways pixels per second, 10), fade (part of the life spent fading out, 0.2), tumble (degrees per second, 0; about 90 for leaves or confetti), region ("top", "canvas" or "stroke" for around the drawn stroke)
+- hop: height (pixels, default 40), speed (pixels per frame, 4), duration (seconds per hop, 0.5)
+- fix: no parameters
+- keyframe: ease (ease family given to new keys, default "sine")
+- path: speed (pixels per second, default 120), mode ("loop" to start over at the end or "pingpong" to turn back, default "loop"), orient (true to face along the path, default true), showPath (true to keep the path visible, default false)
+
+The "schedule" object is optional too. Leave it out and the animation runs all the time. Include it when the user says when or for how long something should move, with only the keys needed:
+- start: seconds to wait before the first run (default 0), counted from the start of the timeline, or from the end of "after"
+- after: ID of an animation that has to finish first; use "$stepN" for one created earlier in the same plan. The other animation needs a duration, otherwise it never finishes
+- duration: seconds per run (default: keeps going). Keyframed animations always run for as long as their keys
+- repeat: runs after the first one (default 0), -1 to repeat forever
+- delay: seconds of rest between runs (default 0)
+Between runs the objects hold still. For example "birds take off after 2 seconds" is { "start": 2 }, "apples sway for 5 seconds" is { "duration": 5 } and "after the rabbits hop, the birds fly away" gives the rabbits' animation a duration (modify it if it has none) and the birds { "after": "<rabbit animation ID>" }. The current schedule of each animation is in the context.
+
 The "title" field for animations is very important - it should be:
 - Based on the user's prompt intent (short and relevant)
 
@@ -93,6 +162,13 @@ Special command patterns to handle:
 
 4. "Make X orbit/avoid Y" - Create an interaction between objects matching X and Y.
 
+5. "Make X faster/slower/bigger/smaller", "Make X sway less" or "Turn X red" - Find the animations matching X and respond with a "modify" action.
+   - "targets" must contain animation IDs (not object IDs) from the context.
+   - Use "speedFactor" for speed changes (e.g. 1.5 for faster, 0.6 for slower) and "amplitudeFactor" for how far things move (e.g. 0.5 for "less", 1.5 for "more").
+   - Only include the keys that should change. Exact parameter values (e.g. "maxSpeed": 4) may also be given using the parameter names listed above.
+
+6. "Select the X, make them Y, then make Z avoid them" - Use a "steps" plan (format #6). Select before creating, since "create" animates the current selection.
+
 When handling selection, deletion, or interaction commands:
 - Use the context to find objects matching user descriptions
 - Include the exact IDs of objects for selection and deletion.
@@ -101,14 +177,127 @@ When handling selection, deletion, or interaction commands:
 - For interactions, make sure to identify which objects are sources and which are targets
 
 Do not include any text outside the JSON. Only respond with valid JSON. Do not even add triple backticks!!`;
+    
+    // Used instead of the JSON instructions above when the provider supports tool calling
+    this.toolInstructions = `
+When tools are available, answer by calling exactly one tool instead of writing JSON. The tool arguments use the same fields as the JSON formats above, without "action". Use run_plan for several actions in order, and report_error if the command can't be understood.`;
   }
 
   /**
-   * Set the API key for OpenAI
-   * @param {string} apiKey - The OpenAI API key
+   * Set the API key for the current provider
+   * @param {string} apiKey - The provider's API key
    */
   setApiKey(apiKey) {
-    this.apiKey = apiKey;
+    this.updateSettings({
+      providers: {
+        ...this.settings.providers,
+        [this.settings.provider]: { ...this.settings.providers[this.settings.provider], apiKey }
+      }
+    });
+  }
+
+  /**
+   * Update and persist the provider settings, then switch to the selected provider
+   * @param {Object} changes - Settings to merge (provider and/or providers)
+   */
+  updateSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+    saveProviderSettings(this.settings);
+    this.provider = createProvider(this.settings);
+  }
+
+  /**
+   * Show the dialog for choosing and configuring the LLM provider
+   */
+  showSettingsDialog() {
+    // Only one settings dialog at a time
+    document.getElementById('llmSettingsModal')?.remove();
+    
+    const draft = JSON.parse(JSON.stringify(this.settings));
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'llmSettingsModal';
+    
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+    
+    modalContent.innerHTML = `
+      <h3>AI Settings</h3>
+      <div class="input-group">
+        <label for="llmProviderSelect">Provider:</label>
+        <select id="llmProviderSelect">
+          ${Object.entries(providerTypes).map(([type, info]) => `
+            <option value="${type}">${info.label}</option>
+          `).join('')}
+        </select>
+      </div>
+      <div class="input-group">
+        <label for="llmEndpointInput">Endpoint:</label>
+        <input id="llmEndpointInput" type="text" />
+      </div>
+      <div class="input-group">
+        <label for="llmModelInput">Model:</label>
+        <input id="llmModelInput" type="text" />
+      </div>
+      <div class="input-group">
+        <label for="llmApiKeyInput">API Key:</label>
+        <input id="llmApiKeyInput" type="password" autocomplete="off" />
+      </div>
+      <p class="llm-settings-note">Settings are stored only in this browser.</p>
+      <div class="modal-buttons">
+        <button id="saveLlmSettingsBtn">Save</button>
+        <button id="cancelLlmSettingsBtn">Cancel</button>
+      </div>
+    `;
+    
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+    
+    const providerSelect = document.getElementById('llmProviderSelect');
+    const endpointInput = document.getElementById('llmEndpointInput');
+    const modelInput = document.getElementById('llmModelInput');
+    const apiKeyInput = document.getElementById('llmApiKeyInput');
+    
+    // Show the draft settings for the chosen provider
+    const fillInputs = () => {
+      const type = providerSelect.value;
+      const providerSettings = draft.providers[type];
+      endpointInput.value = providerSettings.endpoint;
+      modelInput.value = providerSettings.model;
+      apiKeyInput.value = providerSettings.apiKey;
+      apiKeyInput.placeholder = providerTypes[type].requiresKey ? 'Required' : 'Optional';
+    };
+    
+    // Keep edits in the draft so switching providers doesn't lose them
+    let shownType = draft.provider;
+    const storeInputs = () => {
+      draft.providers[shownType] = {
+        endpoint: endpointInput.value.trim(),
+        model: modelInput.value.trim(),
+        apiKey: apiKeyInput.value.trim()
+      };
+    };
+    
+    providerSelect.value = draft.provider;
+    fillInputs();
+    
+    providerSelect.addEventListener('change', () => {
+      storeInputs();
+      shownType = providerSelect.value;
+      fillInputs();
+    });
+    
+    document.getElementById('saveLlmSettingsBtn').addEventListener('click', () => {
+      storeInputs();
+      draft.provider = providerSelect.value;
+      this.updateSettings(draft);
+      document.body.removeChild(modal);
+    });
+    
+    document.getElementById('cancelLlmSettingsBtn').addEventListener('click', () => {
+      document.body.removeChild(modal);
+    });
   }
 
   /**
@@ -121,74 +310,54 @@ Do not include any text outside the JSON. Only respond with valid JSON. Do not e
       return { error: 'Already processing a request' };
     }
 
-    if (!this.apiKey) {
-      // Fall back to mock responses if no API key is set
-      console.warn('No API key set for LLM. Using mock responses.');
-      return this.mockLLMResponse(userPrompt);
+    if (!this.provider.isConfigured()) {
+      // Fall back to the rule-based parser if the provider is not set up
+      console.warn('No LLM provider configured. Using the offline parser.');
+      const offlineCommand = this.parseOffline(userPrompt);
+      this.rememberCommand(userPrompt, offlineCommand);
+      return offlineCommand;
     }
 
     try {
       this.isProcessing = true;
 
       const context = this.getCanvasContext();
+      const messages = this.getConversationMessages(
+        `Prompt: ${userPrompt}\n\n Context:\n${JSON.stringify(context, null, 2)}`
+      );
       
-      // Prepare the request to the OpenAI API
-      const response = await fetch(this.apiEndpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify({
-          model: this.model, // Using GPT-4-Nano
-          messages: [
-            {
-              role: 'system',
-              content: this.systemPrompt
-            },
-            {
-              role: 'user',
-              content: `Prompt: ${userPrompt}\n\n Context:\n${JSON.stringify(context, null, 2)}`
-            }
-          ],
-          temperature: 0.3, // Lower temperature for more predictable responses
-          max_tokens: 500
-        })
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        console.error('API Error:', errorData);
-        return { error: `API Error: ${errorData.error?.message || 'Unknown error'}` };
-      }
-
-      const responseData = await response.json();
-      
-      // Extract the content from the response
-      const rawContent = responseData.choices[0]?.message?.content;
-      
-      if (!rawContent) {
-        return { error: 'No response from API' };
-      }
-
-      // Try to parse the JSON response
-      try {
-        const content = stripMarkdown(rawContent);
-        const parsedCommand = JSON.parse(content);
+      // Ask for a command, sending any validation errors back to the model to repair
+      for (let attempt = 0; attempt <= this.maxRepairAttempts; attempt++) {
+        const { command, reply, errors } = await this.requestCommand(messages);
         
-        // Validate the response
-        if (this.validateResponse(parsedCommand)) {
-          return parsedCommand;
-        } else {
-          console.error('Invalid response from API:', parsedCommand);
-          return { error: 'Invalid response format from AI' };
+        if (errors.length === 0) {
+          this.rememberCommand(userPrompt, command);
+          return command;
         }
-      } catch (parseError) {
-        console.error('Failed to parse API response as JSON:', content, parseError);
-        return { error: 'Failed to parse AI response' };
+        
+        console.warn(`Invalid LLM reply (attempt ${attempt + 1}):`, errors, reply);
+        
+        messages.push(
+          { role: 'assistant', content: reply || '(empty reply)' },
+          {
+            role: 'user',
+            content: `That reply was not valid:\n- ${errors.join('\n- ')}\n\nPlease answer the same prompt again, fixing these problems.`
+          }
+        );
       }
+      
+      return { error: 'Invalid response format from AI' };
     } catch (error) {
       console.error('Error processing prompt with LLM:', error);
+      
+      // The provider is unreachable (e.g. offline), so try the rule-based parser
+      const offlineCommand = this.parseOffline(userPrompt);
+      if (!offlineCommand.error) {
+        console.warn('Using the offline parser instead.');
+        this.rememberCommand(userPrompt, offlineCommand);
+        return offlineCommand;
+      }
+      
       return { error: 'Failed to process prompt: ' + error.message };
     } finally {
       this.isProcessing = false;
@@ -196,81 +365,210 @@ Do not include any text outside the JSON. Only respond with valid JSON. Do not e
   }
 
   /**
-   * Validate the response from the LLM
-   * @param {Object} response - The parsed response from the LLM
-   * @returns {Boolean} - Whether the response is valid
+   * Build the message list for a request: earlier turns as user/assistant pairs,
+   * then the current prompt. The result of each command is put at the start of
+   * the user message that follows it, so roles keep alternating for every provider.
+   * @param {string} currentContent - The content of the current user message
+   * @returns {Array<Object>} - Messages in { role, content } form
    */
-  validateResponse(response) {
-    // Check for error response format
-    if (response.error) {
-      return true;
-    }
+  getConversationMessages(currentContent) {
+    const messages = [];
+    let previousResult = null;
+    
+    const withResult = (content) => previousResult
+      ? `Result of the previous command: ${JSON.stringify(previousResult)}\n\n${content}`
+      : content;
+    
+    this.conversation.forEach(turn => {
+      messages.push({ role: 'user', content: withResult(`Prompt: ${turn.prompt}`) });
+      messages.push({ role: 'assistant', content: JSON.stringify(turn.command) });
+      previousResult = turn.result || { success: false, message: 'Not executed' };
+    });
+    
+    messages.push({ role: 'user', content: withResult(currentContent) });
+    return messages;
+  }
 
-    // Check for create animation format
-    if (
-      response.action === 'create' &&
-      this.supportedAnimations.includes(response.animationType) &&
-      Array.isArray(response.targets) &&
-      typeof response.parameters === 'object'
-    ) {
-      return true;
+  /**
+   * Add a prompt and the command it produced to the conversation history.
+   * Its result is filled in by rememberResult once the command has run.
+   * @param {string} prompt - What the user typed or said
+   * @param {Object} command - The parsed command
+   */
+  rememberCommand(prompt, command) {
+    // Unparseable replies would only confuse later requests
+    if (!command || command.error) return;
+    
+    this.conversation.push({ prompt, command, result: null });
+    
+    if (this.conversation.length > this.maxConversationTurns) {
+      this.conversation.shift();
     }
+  }
+
+  /**
+   * Record the result of the most recent command in the conversation history,
+   * keeping the animation and object IDs it affected
+   * @param {Object} result - Result returned by executeCommand
+   */
+  rememberResult(result) {
+    const turn = [...this.conversation].reverse().find(t => !t.result);
+    if (!turn || !result) return;
+    
+    // Plans report each step separately; collect the IDs from all of them
+    const results = Array.isArray(result.results) ? result.results : [result];
+    const animationIds = new Set();
+    const objectIds = new Set();
+    
+    results.forEach(r => {
+      if (r.animationId) animationIds.add(r.animationId);
+      (r.animationIds || []).forEach(id => animationIds.add(id));
+      (r.objectIds || []).forEach(id => objectIds.add(id));
+    });
+    
+    turn.result = {
+      success: Boolean(result.success),
+      message: result.message,
+      animationIds: [...animationIds],
+      objectIds: [...objectIds]
+    };
+  }
+
+  /**
+   * Forget the conversation history
+   */
+  clearConversation() {
+    this.conversation = [];
+  }
 
-    // Check for interaction format
-    if (
-      response.action === 'interact' &&
-      this.supportedInteractions.includes(response.type) &&
-      Array.isArray(response.sourceAnimIds) &&
-      Array.isArray(response.targetAnimIds) &&
-      typeof response.parameters === 'object' &&
-      this.supportedInteractions.includes(response.parameters.type)
-    ) {
-      return true;
+  /**
+   * Send one request to the provider and turn the reply into a command.
+   * Uses tool calling when the provider supports it, plain JSON text otherwise.
+   * @param {Array<Object>} messages - The conversation so far
+   * @returns {Promise<Object>} - { command, reply, errors }, where reply is the
+   *   text to send back to the model if the command needs repairing
+   */
+  async requestCommand(messages) {
+    const request = {
+      system: this.systemPrompt,
+      messages,
+      temperature: 0.3, // Lower temperature for more predictable responses
+      maxTokens: 800
+    };
+    
+    if (this.provider.supportsTools) {
+      const { text, toolCalls } = await this.provider.completeWithTools({
+        ...request,
+        system: this.systemPrompt + this.toolInstructions,
+        tools: getCommandTools(this.getCommandOptions())
+      });
+      
+      // Some models still answer in text; fall back to parsing it
+      if (toolCalls.length === 0) {
+        return this.parseResponse(text);
+      }
+      
+      const command = normalizeCommand(toolCallsToCommand(toolCalls));
+      return { command, reply: JSON.stringify(command), errors: this.getValidationErrors(command) };
     }
     
-    // Check for selection format
-    if (
-      response.action === 'select' &&
-      Array.isArray(response.objectIds)
-    ) {
-      return true;
+    return this.parseResponse(await this.provider.complete(request));
+  }
+
+  /**
+   * Parse and validate the raw text of an LLM reply
+   * @param {string} rawContent - The reply text from the provider
+   * @returns {Object} - { command, reply, errors }
+   */
+  parseResponse(rawContent) {
+    if (!rawContent) {
+      return { command: null, reply: '', errors: ['The reply was empty'] };
     }
     
-    // Check for deletion format
-    if (
-      response.action === 'delete' &&
-      Array.isArray(response.objectIds)
-    ) {
-      return true;
+    const content = stripMarkdown(rawContent);
+    
+    try {
+      const command = normalizeCommand(JSON.parse(content));
+      return { command, reply: rawContent, errors: this.getValidationErrors(command) };
+    } catch (parseError) {
+      console.error('Failed to parse API response as JSON:', content, parseError);
+      return { command: null, reply: rawContent, errors: [`The reply is not valid JSON (${parseError.message})`] };
     }
+  }
 
-    return false;
+  /**
+   * The animation and interaction types the command schemas accept
+   * @returns {Object} - { animationTypes, interactionTypes }
+   */
+  getCommandOptions() {
+    return {
+      animationTypes: this.supportedAnimations,
+      interactionTypes: this.supportedInteractions
+    };
   }
 
   /**
-   * Execute an animation command based on parsed LLM response
+   * Check a parsed command against the command schemas
+   * @param {Object} response - The parsed response from the LLM
+   * @returns {Array<string>} - Problems found, empty when the command is valid
+   */
+  getValidationErrors(response) {
+    return validateCommand(response, this.getCommandOptions());
+  }
+
+  /**
+   * Validate the response from the LLM
+   * @param {Object} response - The parsed response from the LLM
+   * @returns {Boolean} - Whether the response is valid
+   */
+  validateResponse(response) {
+    return this.getValidationErrors(response).length === 0;
+  }
+
+  /**
+   * Execute an animation command based on parsed LLM response and remember
+   * what it did for follow-up prompts
    * @param {Object} parsedCommand - The parsed command structure from the LLM
    * @returns {Object} - Result of the command execution
    */
   executeCommand(parsedCommand) {
+    const result = this.runCommand(parsedCommand);
+    this.rememberResult(result);
+    return result;
+  }
+
+  /**
+   * Run a single command or plan without touching the conversation history
+   * @param {Object} parsedCommand - The parsed command structure from the LLM
+   * @returns {Object} - Result of the command execution
+   */
+  runCommand(parsedCommand) {
     // Validate the command first
     if (!parsedCommand || parsedCommand.error) {
       return { success: false, message: parsedCommand.error || 'Invalid command' };
     }
 
+    // Multi-step plans run each step through this same method
+    if (Array.isArray(parsedCommand.steps)) {
+      return this.executePlan(parsedCommand.steps);
+    }
+
     try {
       const { action } = parsedCommand;
       
       // Handle different command actions
       switch (action) {
         case 'create':
-          const { animationType, targets, parameters, title } = parsedCommand;
+          const { animationType, targets, parameters, title, schedule } = parsedCommand;
           // Make sure to pass the title from the top level of parsedCommand
           const animationParams = { ...parameters };
           // Only set the title if it exists in the parsed command
           if (title) {
             animationParams.title = title;
           }
+          if (schedule) {
+            animationParams.schedule = schedule;
+          }
           return this.createAnimation(animationType, targets, animationParams);
         
         case 'modify':
@@ -298,11 +596,89 @@ Do not include any text outside the JSON. Only respond with valid JSON. Do not e
     }
   }
 
+  /**
+   * Execute a multi-step plan in order. A step can use the animation created by
+   * an earlier step by writing "$stepN" in place of an ID (N counts from 1).
+   * If any step fails, the canvas is rolled back to how it was before the plan.
+   * @param {Array<Object>} steps - Commands in the single-action formats
+   * @returns {Object} - Result of the plan execution, with each step's result
+   */
+  executePlan(steps) {
+    const history = this.canvas.history;
+    const initialState = history ? JSON.stringify(history.captureState()) : null;
+    const results = [];
+    
+    for (let i = 0; i < steps.length; i++) {
+      let result;
+      
+      try {
+        const step = this.resolveStepReferences(steps[i], results);
+        result = step.steps
+          ? { success: false, message: 'Plans cannot contain other plans' }
+          : this.runCommand(step);
+      } catch (error) {
+        result = { success: false, message: error.message };
+      }
+      
+      console.log(`Plan step ${i + 1}/${steps.length}:`, result);
+      results.push(result);
+      
+      if (!result.success) {
+        // Undo whatever ran so the plan applies all or nothing; even a failed first step may have changed things
+        if (initialState) {
+          history.restore(initialState);
+        }
+        
+        return {
+          success: false,
+          message: `Step ${i + 1} failed: ${result.message}. No changes were kept.`,
+          results
+        };
+      }
+    }
+    
+    return {
+      success: true,
+      message: results.map(result => result.message).join('. '),
+      results
+    };
+  }
+
+  /**
+   * Replace "$stepN" references in a plan step with the animation IDs
+   * created by the earlier steps
+   * @param {*} value - The step, or a value inside it
+   * @param {Array<Object>} results - Results of the steps that already ran
+   * @returns {*} - A copy of the value with references replaced
+   */
+  resolveStepReferences(value, results) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolveStepReferences(item, results));
+    }
+    
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.resolveStepReferences(item, results)])
+      );
+    }
+    
+    const match = typeof value === 'string' && value.match(/^\$step(\d+)$/i);
+    if (match) {
+      const referenced = results[parseInt(match[1], 10) - 1];
+      if (!referenced || !referenced.animationId) {
+        throw new Error(`${value} does not refer to an animation created earlier in the plan`);
+      }
+      return referenced.animationId;
+    }
+    
+    return value;
+  }
+
   /**
    * Create a new animation based on command
    * @param {string} animationType - Type of animation to create
    * @param {Array} targets - Target objects to animate
-   * @param {Object} parameters - Animation parameters
+   * @param {Object} parameters - Animation parameters, with the title and schedule
    * @returns {Object} - Result of the animation creation
    */
   createAnimation(animationType, targets, parameters = {}) {
@@ -322,18 +698,25 @@ Do not include any text outside the JSON. Only respond with valid JSON. Do not e
     }
 
     try {
-        // Import animation function dynamically
-        import('./animations.js').then(module => {
-          // Call the animate function with the parsed parameters
-          module.animate(animationType, this.canvas, selectedObjects, {
-            ...parameters,
-            title: parameters.title
-          });
+        // Separate the title and schedule from the motion parameters for the animation
+        const { title, schedule, ...animationParameters } = parameters;
+        
+        // Call the animate function with the parsed parameters
+        const animationEntry = animate(animationType, this.canvas, selectedObjects, {
+          title,
+          schedule,
+          parameters: animationParameters
         });
+        
+        if (!animationEntry || animationEntry.error) {
+          return { success: false, message: animationEntry?.error || `Could not create ${animationType} animation` };
+        }
       
       return { 
         success: true, 
-        message: `Created ${animationType} animation for ${selectedObjects.length} objects` 
+        message: `Created ${animationType} animation for ${selectedObjects.length} objects`,
+        animationId: animationEntry.id,
+        objectIds: animationEntry.data.map(d => d.id)
       };
     } catch (error) {
       console.error('Error creating animation:', error);
@@ -343,14 +726,76 @@ Do not include any text outside the JSON. Only respond with valid JSON. Do not e
 
   /**
    * Modify existing animations
-   * @param {Array} targets - Target animations to modify
-   * @param {Object} parameters - New parameters to apply
+   * @param {Array<string>} targets - IDs of the animations to modify
+   * @param {Object} parameters - Changes to apply: color, title, speedFactor,
+   *   amplitudeFactor, schedule and/or explicit animation parameters
    * @returns {Object} - Result of the modification
    */
   modifyAnimation(targets, parameters = {}) {
-    // This would be implemented to change color, speed, or other properties
-    // of existing animations
-    return { success: false, message: 'Animation modification not yet implemented' };
+    if (!Array.isArray(targets) || targets.length === 0) {
+      return { success: false, message: 'No animations provided to modify' };
+    }
+    
+    const animations = (this.canvas.activeAnimations || []).filter(anim => targets.includes(anim.id));
+    
+    if (animations.length === 0) {
+      return { success: false, message: 'No animations found with the provided IDs' };
+    }
+    
+    const { color, title, speedFactor, amplitudeFactor, schedule, ...explicitParameters } = parameters;
+    const speed = Number(speedFactor) > 0 ? Number(speedFactor) : 1;
+    const amplitude = amplitudeFactor != null && Number(amplitudeFactor) >= 0 ? Number(amplitudeFactor) : 1;
+    
+    try {
+      animations.forEach(anim => {
+        // Motion changes: scale the current values, then apply any exact values
+        if (speed !== 1 || amplitude !== 1 || Object.keys(explicitParameters).length > 0) {
+          const scaled = scaleAnimationParameters(anim.type, anim.parameters, { speed, amplitude });
+          updateAnimationParameters(this.canvas, anim, { ...scaled, ...explicitParameters });
+        }
+        
+        if (color) {
+          setAnimationColor(this.canvas, anim, color);
+        }
+        
+        if (title) {
+          anim.title = title;
+          anim._titleCustomized = true;
+        }
+        
+        if (schedule) {
+          setAnimationSchedule(this.canvas, anim, schedule);
+        }
+        
+        anim.updatedAt = Date.now();
+      });
+      
+      renderAnimationPanel(this.canvas);
+      renderInteractionPanel(this.canvas);
+      
+      // Update history
+      if (this.canvas.history && typeof this.canvas.history.saveState === 'function') {
+        setTimeout(() => this.canvas.history.saveState(), 20);
+      }
+      
+      const changed = [
+        color && 'color',
+        title && 'title',
+        schedule && 'schedule',
+        speed !== 1 && 'speed',
+        amplitude !== 1 && 'amplitude',
+        ...Object.keys(explicitParameters)
+      ].filter(Boolean);
+      
+      return { 
+        success: true, 
+        message: `Updated ${changed.join(', ') || 'nothing'} for ${animations.length} animation(s)`,
+        animationIds: animations.map(anim => anim.id)
+      };
+    } catch (error) {
+      console.error('Error modifying animation:', error);
+      return { success: false, message: 'Failed to modify animation: ' + error.message };
+    }
   }
   
   /**
@@ -385,16 +830,24 @@ Do not include any text outside the JSON. Only respond with valid JSON. Do not e
     }
 
     try {
+      let createdCount = 0;
 
       validSourceIds.forEach(sourceId => {
         validTargetIds.forEach(targetId => {
-          createInteraction(sourceId, targetId, type, this.canvas);
+          if (createInteraction(sourceId, targetId, type, this.canvas)) {
+            createdCount++;
+          }
         });
       });
+      
+      if (createdCount === 0) {
+        return { success: false, message: `No ${type} interaction could be created between those animations` };
+      }
         
         return { 
           success: true, 
-          message: `Created ${type} interaction between ${sourceIds.length} source animation(s) and ${targetIds.length} target animation(s)` 
+          message: `Created ${type} interaction between ${sourceIds.length} source animation(s) and ${targetIds.length} target animation(s)`,
+          animationIds: [...validSourceIds, ...validTargetIds]
         };
       }
       
@@ -406,7 +859,7 @@ Do not include any text outside the JSON. Only respond with valid JSON. Do not e
   
   /**
    * Select objects with the specified IDs
-   * @param {Array<string>} objectIds - IDs of objects to select
+   * @param {Array<number|string>} objectIds - IDs of objects to select
    * @returns {Object} - Result of the selection
    */
   selectObjects(objectIds) {
@@ -447,7 +900,8 @@ Do not include any text outside the JSON. Only respond with valid JSON. Do not e
       
       return { 
         success: true, 
-        message: `Selected ${objectsToSelect.length} object(s)` 
+        message: `Selected ${objectsToSelect.length} object(s)`,
+        objectIds: objectsToSelect.map(obj => obj.id)
       };
     } catch (error) {
       console.error('Error selecting objects:', error);
@@ -457,7 +911,7 @@ Do not include any text outside the JSON. Only respond with valid JSON. Do not e
   
   /**
    * Delete objects with the specified IDs
-   * @param {Array<string>} objectIds - IDs of objects to delete
+   * @param {Array<number|string>} objectIds - IDs of objects to delete
    * @returns {Object} - Result of the deletion
    */
   deleteObjects(objectIds) {
@@ -509,7 +963,8 @@ Do not include any text outside the JSON. Only respond with valid JSON. Do not e
       
       return { 
         success: true, 
-        message: `Deleted ${objectsToDelete.length} object(s)` 
+        message: `Deleted ${objectsToDelete.length} object(s)`,
+        objectIds: objectsToDelete.map(obj => obj.id)
       };
     } catch (error) {
       console.error('Error deleting objects:', error);
@@ -605,6 +1060,9 @@ Do not include any text outside the JSON. Only respond with valid JSON. Do not e
             id: anim.id || null,
             type: anim.type || null,
             title: anim.title || null,
+            color: anim.data?.find(d => d.color)?.color || null,
+            parameters: anim.parameters || {},
+            schedule: anim.schedule || null,
             objectIds: Array.isArray(anim.data) 
               ? anim.data.map(d => d.id).filter(Boolean) 
               : []
@@ -634,137 +1092,49 @@ Do not include any text outside the JSON. Only respond with valid JSON. Do not e
   }
 
   /**
-   * Mock LLM response for initial development or when API key is not available
-   * @param {string} userPrompt - The user's text prompt
-   * @returns {Promise<Object>} - Promise that resolves with a mock parsed command
+   * Parse a prompt with the rule-based parser, without calling an LLM.
+   * Used when no provider is configured or it can't be reached, and by the
+   * speech controller for commands the LLM couldn't handle.
+   * @param {string} userPrompt - The user's prompt
+   * @returns {Object} - A command in the same formats as the LLM replies, or { error }
    */
-  async mockLLMResponse(userPrompt) {
-    // Simulate network delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    const prompt = userPrompt.toLowerCase();
-    
-    // Check for "animate the current selection as" or "make the selection" pattern
-    const currentSelectionPattern = /animate\s+(the\s+)?(current\s+)?selection\s+(as|into|with|like)\s+/i;
-    const makeSelectionPattern = /make\s+(the\s+)?(current\s+)?selection\s+/i;
-    
-    if (currentSelectionPattern.test(prompt) || makeSelectionPattern.test(prompt)) {
-      // Determine the animation type from what follows
-      let animationType = null;
-      
-      if (prompt.includes('bird') || prompt.includes('fly')) {
-        animationType = 'birds';
-      } else if (prompt.includes('sway') || prompt.includes('swing')) {
-        animationType = 'sway';
-      } else if (prompt.includes('hop') || prompt.includes('jump') || prompt.includes('bounce')) {
-        animationType = 'hop';
-      } else if (prompt.includes('fix') || prompt.includes('static') || prompt.includes('still')) {
-        animationType = 'fix';
-      }
-      
-      // If we could determine an animation type
-      if (animationType) {
-        // Generate a creative title based on the animation type
-        let title;
-        switch (animationType) {
-          case 'birds':
-            title = "Fluttering Flock";
-            break;
-          case 'sway':
-            title = "Gentle Pendulum";
-            break;
-          case 'hop':
-            title = "Bouncy Movement";
-            break;
-          case 'fix':
-            title = "Stationary Object";
-            break;
-          default:
-            title = `${animationType.charAt(0).toUpperCase() + animationType.slice(1)} Animation`;
-        }
-        
-        return {
-          action: 'create',
-          animationType: animationType,
-          targets: ['selected'],
-          title: title,
-          parameters: {}
-        };
-      }
-    }
+  parseOffline(userPrompt) {
+    const context = this.getCanvasContext();
     
-    // Simple pattern matching to simulate LLM understanding for other patterns
-    if (prompt.includes('bird') || prompt.includes('fly')) {
-      return {
-        action: 'create',
-        animationType: 'birds',
-        targets: ['selected'],
-        title: "Soaring Birds",
-        parameters: {}
-      };
-    } else if (prompt.includes('apple') || prompt.includes('sway')) {
-      return {
-        action: 'create',
-        animationType: 'sway',
-        targets: ['selected'],
-        title: "Swaying Rhythm",
-        parameters: {}
-      };
-    } else if (prompt.includes('hop') || prompt.includes('jump') || prompt.includes('bounce')) {
-      return {
-        action: 'create',
-        animationType: 'hop',
-        targets: ['selected'],
-        title: "Joyful Jumpers",
-        parameters: {}
-      };
-    } else if (prompt.includes('fix') || prompt.includes('static') || prompt.includes('still')) {
-      return {
-        action: 'create',
-        animationType: 'fix',
-        targets: ['selected'],
-        title: "Fixed Position",
-        parameters: {}
-      };
-    } else if (prompt.includes('avoid') && (prompt.includes('make') || prompt.includes('create'))) {
-      return {
-        action: 'interact',
-        type: 'avoid',
-        sourceIds: [],
-        targetIds: [],
-        parameters: {
-          type: 'avoid'
-        }
-      };
-    } else if (prompt.includes('orbit') && (prompt.includes('make') || prompt.includes('create'))) {
-      return {
-        action: 'interact',
-        type: 'orbit',
-        sourceIds: [],
-        targetIds: [],
-        parameters: {
-          type: 'orbit'
-        }
-      };
-    } else {
-      // Default to trying to extract an animation type
-      for (const type of this.supportedAnimations) {
-        if (prompt.includes(type)) {
-          return {
-            action: 'create',
-            animationType: type,
-            targets: ['selected'],
-            title: `${type.charAt(0).toUpperCase() + type.slice(1)} Animation`,
-            parameters: {}
-          };
-        }
-      }
-      
-      // If no recognized pattern
-      return {
-        error: 'I couldn\'t understand that command. Try something like "make these birds fly" or "animate the selection as hopping rabbits".'
-      };
-    }
+    // getCanvasContext only reports bird colors; the parser needs every object's
+    context.objects.forEach(obj => {
+      obj.color ||= this.getObjectColor(obj.id);
+    });
+    
+    // "that one" refers to whatever the last successful command affected
+    const recent = [...this.conversation].reverse().find(turn => turn.result?.success)?.result;
+    
+    const command = parseCommand(userPrompt, context, {
+      recent,
+      selectedObjectIds: this.canvas.getActiveObjects().map(obj => obj.id),
+      canvasWidth: this.canvas.getWidth(),
+      canvasHeight: this.canvas.getHeight(),
+      animationTypes: this.supportedAnimations
+    });
+    
+    console.log('Offline parser result:', command);
+    return command;
+  }
+
+  /**
+   * Get the drawn color of a canvas object
+   * @param {number} id - The object ID
+   * @returns {string|null} - The stroke (or fill) color, looking inside groups
+   */
+  getObjectColor(id) {
+    const obj = this.canvas.getObjects().find(o => o.id === id);
+    if (!obj) return null;
+    
+    const colored = [obj, ...(obj.type === 'group' ? obj.getObjects() : [])]
+      .find(o => (o.stroke && o.stroke !== 'transparent') || (o.fill && typeof o.fill === 'string' && o.fill !== 'transparent' && o.fill !== 'rgba(0,0,0,0)'));
+    
+    if (!colored) return null;
+    return colored.stroke && colored.stroke !== 'transparent' ? colored.stroke : colored.fill;
   }
 }
 
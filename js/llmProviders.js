@@ -0,0 +1,286 @@
+// llmProviders.js - Backends that send chat requests to different LLM services
+
+// Key used to persist the provider settings in the browser
+const SETTINGS_STORAGE_KEY = 'animuse.llmSettings';
+
+/**
+ * Provider types that can be chosen in the settings dialog, with their defaults
+ */
+export const providerTypes = {
+  openai: {
+    label: 'OpenAI-compatible',
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    model: 'gpt-4o',
+    requiresKey: true,
+    supportsTools: true
+  },
+  anthropic: {
+    label: 'Anthropic Messages',
+    endpoint: 'https://api.anthropic.com/v1/messages',
+    model: 'claude-3-5-sonnet-latest',
+    requiresKey: true,
+    supportsTools: true
+  },
+  local: {
+    label: 'Local (Ollama / llama.cpp)',
+    endpoint: 'http://localhost:11434/v1/chat/completions',
+    model: 'llama3.1',
+    requiresKey: false,
+    supportsTools: false // Many local models ignore tools, so ask for plain JSON instead
+  }
+};
+
+/**
+ * Base provider. Every provider takes a system prompt and a list of
+ * { role, content } messages and resolves with the raw text of the reply,
+ * so the controller can run the same parsing and validation on every backend.
+ */
+class LLMProvider {
+  constructor(type, { endpoint, model, apiKey } = {}) {
+    const defaults = providerTypes[type];
+    this.type = type;
+    this.endpoint = endpoint || defaults.endpoint;
+    this.model = model || defaults.model;
+    this.apiKey = apiKey || '';
+    this.requiresKey = defaults.requiresKey;
+    this.supportsTools = defaults.supportsTools;
+  }
+
+  /**
+   * Whether the provider has everything it needs to send requests
+   * @returns {Boolean}
+   */
+  isConfigured() {
+    return Boolean(this.endpoint && this.model && (!this.requiresKey || this.apiKey));
+  }
+
+  /**
+   * Sends a chat request and returns the text of the reply
+   * @param {Object} request - { system, messages, temperature, maxTokens }
+   * @returns {Promise<string>} - The raw reply text
+   */
+  async complete(request) {
+    throw new Error(`complete() is not implemented for ${this.type}`);
+  }
+
+  /**
+   * Sends a chat request that must be answered by calling one of the tools
+   * @param {Object} request - { system, messages, tools, temperature, maxTokens },
+   *   where tools are { name, description, parameters } with a JSON schema
+   * @returns {Promise<Object>} - { text, toolCalls: [{ name, arguments }] }
+   */
+  async completeWithTools(request) {
+    throw new Error(`Tool calling is not implemented for ${this.type}`);
+  }
+
+  /**
+   * Posts a JSON body and returns the parsed JSON reply, throwing on HTTP errors
+   * @param {Object} headers - Request headers
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} - The parsed response
+   */
+  async postJSON(headers, body) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      console.error('API Error:', errorData);
+      throw new Error(`API Error: ${errorData.error?.message || response.statusText || 'Unknown error'}`);
+    }
+
+    return response.json();
+  }
+}
+
+/**
+ * Provider for OpenAI chat completions and compatible APIs
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor(settings, type = 'openai') {
+    super(type, settings);
+  }
+
+  async complete({ system, messages, temperature = 0.3, maxTokens = 500 }) {
+    const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+
+    const responseData = await this.postJSON(headers, {
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        ...messages
+      ],
+      temperature, // Lower temperature for more predictable responses
+      max_tokens: maxTokens
+    });
+
+    return responseData.choices?.[0]?.message?.content || '';
+  }
+
+  async completeWithTools({ system, messages, tools, temperature = 0.3, maxTokens = 500 }) {
+    const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+
+    const responseData = await this.postJSON(headers, {
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        ...messages
+      ],
+      tools: tools.map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters }
+      })),
+      tool_choice: 'required',
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    const message = responseData.choices?.[0]?.message || {};
+
+    return {
+      text: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        name: call.function?.name,
+        arguments: parseToolArguments(call.function?.arguments)
+      }))
+    };
+  }
+}
+
+/**
+ * Provider for a local OpenAI-compatible server such as Ollama or llama.cpp
+ */
+class LocalProvider extends OpenAIProvider {
+  constructor(settings) {
+    super(settings, 'local');
+  }
+}
+
+/**
+ * Provider for the Anthropic Messages API
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor(settings) {
+    super('anthropic', settings);
+  }
+
+  async complete({ system, messages, temperature = 0.3, maxTokens = 500 }) {
+    const responseData = await this.postJSON({
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    }, {
+      model: this.model,
+      system,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    const textBlock = (responseData.content || []).find(block => block.type === 'text');
+    return textBlock?.text || '';
+  }
+
+  async completeWithTools({ system, messages, tools, temperature = 0.3, maxTokens = 500 }) {
+    const responseData = await this.postJSON({
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    }, {
+      model: this.model,
+      system,
+      messages,
+      tools: tools.map(({ name, description, parameters }) => ({
+        name,
+        description,
+        input_schema: parameters
+      })),
+      tool_choice: { type: 'any' },
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    const blocks = responseData.content || [];
+
+    return {
+      text: blocks.filter(block => block.type === 'text').map(block => block.text).join('\n'),
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ name: block.name, arguments: block.input }))
+    };
+  }
+}
+
+/**
+ * Parses the JSON arguments string of an OpenAI tool call
+ * @param {string} raw - The arguments string
+ * @returns {Object} - The arguments, or { invalidArguments } if they are not valid JSON
+ */
+function parseToolArguments(raw) {
+  try {
+    return JSON.parse(raw || '{}');
+  } catch (error) {
+    return { invalidArguments: raw };
+  }
+}
+
+const providerClasses = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  local: LocalProvider
+};
+
+/**
+ * Creates the provider selected in the settings
+ * @param {Object} settings - Settings as returned by loadProviderSettings
+ * @returns {LLMProvider} - The provider instance
+ */
+export function createProvider(settings) {
+  const type = providerClasses[settings.provider] ? settings.provider : 'openai';
+  return new providerClasses[type](settings.providers?.[type] || {});
+}
+
+/**
+ * Loads the provider settings saved in this browser
+ * @returns {Object} - { provider, providers: { [type]: { endpoint, model, apiKey } } }
+ */
+export function loadProviderSettings() {
+  const settings = { provider: 'openai', providers: {} };
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+    if (saved) {
+      settings.provider = saved.provider || settings.provider;
+      settings.providers = saved.providers || {};
+    }
+  } catch (error) {
+    console.error('Failed to load LLM settings:', error);
+  }
+
+  // Fill in defaults for any provider that has not been configured yet
+  Object.entries(providerTypes).forEach(([type, defaults]) => {
+    settings.providers[type] = {
+      endpoint: defaults.endpoint,
+      model: defaults.model,
+      apiKey: '',
+      ...settings.providers[type]
+    };
+  });
+
+  return settings;
+}
+
+/**
+ * Saves the provider settings in this browser
+ * @param {Object} settings - Settings as returned by loadProviderSettings
+ */
+export function saveProviderSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Failed to save LLM settings:', error);
+  }
+}
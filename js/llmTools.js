@@ -0,0 +1,277 @@
+// llmTools.js - JSON schemas for LLM commands, the matching tool definitions and validation
+
+// Tool names offered to the model and the command action each one produces
+const toolActions = {
+  create_animation: 'create',
+  create_interaction: 'interact',
+  select_objects: 'select',
+  delete_objects: 'delete',
+  modify_animations: 'modify',
+  run_plan: 'plan',
+  report_error: 'error'
+};
+
+const idList = (description) => ({
+  type: 'array',
+  items: { type: 'string' },
+  description
+});
+
+// Canvas object IDs are numbers, but models often quote them
+const objectIdList = (description) => ({
+  type: 'array',
+  items: { type: ['number', 'string'] },
+  description
+});
+
+// When an animation runs on the timeline; every field is optional
+const scheduleSchema = {
+  type: 'object',
+  description: 'When the animation runs. Leave it out to run all the time',
+  properties: {
+    start: { type: 'number', description: 'Seconds to wait, from the start of the timeline or from the end of "after"' },
+    after: { type: 'string', description: 'Animation ID (or "$stepN") that has to finish first' },
+    duration: { type: 'number', description: 'Seconds per run; leave out to keep going' },
+    repeat: { type: 'number', description: 'Runs after the first one; -1 repeats forever' },
+    delay: { type: 'number', description: 'Seconds of rest between runs' }
+  }
+};
+
+/**
+ * Builds the JSON schema of every command format
+ * @param {Object} options - { animationTypes, interactionTypes } supported by the controller
+ * @returns {Object} - Schemas keyed by action ('create', 'interact', ..., 'plan', 'error')
+ */
+export function getCommandSchemas({ animationTypes, interactionTypes }) {
+  const schemas = {
+    create: {
+      type: 'object',
+      description: 'Animate the currently selected objects',
+      properties: {
+        animationType: { type: 'string', enum: animationTypes },
+        targets: idList('Always ["selected"]'),
+        title: { type: 'string', description: 'A short and relevant title based on the prompt' },
+        parameters: { type: 'object', description: 'Optional motion parameters for the animation type' },
+        schedule: scheduleSchema
+      },
+      required: ['animationType', 'targets']
+    },
+    interact: {
+      type: 'object',
+      description: 'Create an interaction between animations',
+      properties: {
+        type: { type: 'string', enum: interactionTypes },
+        sourceAnimIds: idList('Animation IDs that avoid or orbit'),
+        targetAnimIds: idList('Animation IDs that are avoided or orbited'),
+        parameters: { type: 'object' }
+      },
+      required: ['type', 'sourceAnimIds', 'targetAnimIds']
+    },
+    select: {
+      type: 'object',
+      description: 'Select objects on the canvas',
+      properties: {
+        objectIds: objectIdList('Object IDs to select')
+      },
+      required: ['objectIds']
+    },
+    delete: {
+      type: 'object',
+      description: 'Delete objects from the canvas',
+      properties: {
+        objectIds: objectIdList('Object IDs to delete')
+      },
+      required: ['objectIds']
+    },
+    modify: {
+      type: 'object',
+      description: 'Change the color, speed, amplitude, title, schedule or parameters of existing animations',
+      properties: {
+        targets: idList('Animation IDs to modify'),
+        parameters: {
+          type: 'object',
+          properties: {
+            color: { type: 'string' },
+            speedFactor: { type: 'number' },
+            amplitudeFactor: { type: 'number' },
+            title: { type: 'string' },
+            schedule: scheduleSchema
+          }
+        }
+      },
+      required: ['targets', 'parameters']
+    },
+    error: {
+      type: 'object',
+      description: 'Explain why the prompt cannot be carried out',
+      properties: {
+        error: { type: 'string' }
+      },
+      required: ['error']
+    }
+  };
+
+  // Plan steps use the single-action formats, each with its "action" field
+  schemas.plan = {
+    type: 'object',
+    description: 'Run several actions in order. Later steps can use "$stepN" for the animation created by step N',
+    properties: {
+      steps: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: {
+            action: { type: 'string', enum: ['create', 'interact', 'select', 'delete', 'modify'] }
+          },
+          required: ['action']
+        }
+      }
+    },
+    required: ['steps']
+  };
+
+  return schemas;
+}
+
+/**
+ * Builds the tool definitions passed to providers that support function calling
+ * @param {Object} options - { animationTypes, interactionTypes }
+ * @returns {Array<Object>} - Tools as { name, description, parameters }
+ */
+export function getCommandTools(options) {
+  const schemas = getCommandSchemas(options);
+
+  return Object.entries(toolActions).map(([name, action]) => {
+    const { description, ...parameters } = schemas[action];
+    return { name, description, parameters };
+  });
+}
+
+/**
+ * Turns tool calls from the model into a command in the usual JSON format.
+ * Several calls in one reply become a plan.
+ * @param {Array<Object>} toolCalls - Calls as { name, arguments }
+ * @returns {Object} - The command
+ */
+export function toolCallsToCommand(toolCalls) {
+  const commands = toolCalls.map(call => {
+    const action = toolActions[call.name];
+    const args = call.arguments || {};
+
+    if (!action) return { action: call.name, ...args };
+    if (action === 'error' || action === 'plan') return args;
+
+    const command = { action, ...args };
+
+    // Interactions repeat their type inside the parameters
+    if (action === 'interact') {
+      command.parameters = { ...command.parameters, type: command.type };
+    }
+
+    return command;
+  });
+
+  return commands.length === 1 ? commands[0] : { steps: commands };
+}
+
+/**
+ * Checks a value against a (small subset of) JSON schema
+ * @param {*} value - The value to check
+ * @param {Object} schema - Schema using type (one or a list), enum, properties, required, items and minItems
+ * @param {string} path - Where the value is, for the messages
+ * @returns {Array<string>} - Problems found, empty when the value is valid
+ */
+function validateSchema(value, schema, path) {
+  const errors = [];
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  const types = schema.type ? [].concat(schema.type) : [];
+  if (types.length && !types.includes(actualType)) {
+    return [`${path} should be ${types.map(type => type === 'array' ? 'an array' : `a ${type}`).join(' or ')}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (actualType === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path} needs at least ${schema.minItems} item(s)`);
+    }
+
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a command against the command schemas
+ * @param {Object} command - The parsed command
+ * @param {Object} options - { animationTypes, interactionTypes }
+ * @returns {Array<string>} - Problems found, empty when the command is valid
+ */
+export function validateCommand(command, options) {
+  const schemas = getCommandSchemas(options);
+
+  if (!command || typeof command !== 'object' || Array.isArray(command)) {
+    return ['The reply must be a JSON object'];
+  }
+
+  if (command.error !== undefined) {
+    return validateSchema(command, schemas.error, 'reply');
+  }
+
+  if (command.steps !== undefined) {
+    const errors = validateSchema(command, schemas.plan, 'reply');
+    if (errors.length) return errors;
+
+    // Each step must be a valid single action
+    return command.steps.flatMap((step, i) => {
+      if (step.steps !== undefined) return [`reply.steps[${i}] cannot be a plan`];
+      return validateCommand(step, options).map(error => error.replace(/^reply/, `reply.steps[${i}]`));
+    });
+  }
+
+  const schema = schemas[command.action];
+  if (!schema || command.action === 'plan' || command.action === 'error') {
+    return [`reply.action must be one of: create, interact, select, delete, modify`];
+  }
+
+  return validateSchema(command, schema, 'reply');
+}
+
+/**
+ * Turns quoted object IDs in select and delete commands into numbers, the way
+ * they are stored on the canvas. Plans are normalized step by step.
+ * @param {Object} command - The parsed command
+ * @returns {Object} - The same command, normalized in place
+ */
+export function normalizeCommand(command) {
+  if (!command || typeof command !== 'object') return command;
+
+  if (Array.isArray(command.steps)) {
+    command.steps.forEach(normalizeCommand);
+  } else if ((command.action === 'select' || command.action === 'delete') && Array.isArray(command.objectIds)) {
+    command.objectIds = command.objectIds.map(id =>
+      typeof id === 'string' && id.trim() !== '' && !isNaN(id) ? Number(id) : id
+    );
+  }
+
+  return command;
+}
@@ -0,0 +1,499 @@
+// lottieExport.js - Exports the scene as Lottie JSON for the mobile apps
+
+import { getLoopDuration } from './animations.js';
+import { sampleMotion } from './motionSampler.js';
+import { downloadBlob } from './download.js';
+
+const LOTTIE_VERSION = '5.7.4';
+
+// Bird precomps are drawn in a 40x40 box, the size of the bird's padding rect
+const BIRD_SIZE = 40;
+
+// The bird wing flap from animateBirds: rock 40 degrees every 0.3 s, second wing 0.05 s behind
+const WING_FLAP = { swing: 40, duration: 0.3, stagger: 0.05 };
+
+// sine.inOut as Lottie bezier handles
+const SINE_IN_OUT = { o: { x: [0.37], y: [0] }, i: { x: [0.63], y: [1] } };
+
+const lineCaps = { butt: 1, round: 2, square: 3 };
+const lineJoins = { miter: 1, round: 2, bevel: 3 };
+
+// Rounds for compact output
+const num = (value) => +Number(value).toFixed(3);
+
+/**
+ * A property that doesn't change
+ * @param {*} value - The value
+ * @returns {Object}
+ */
+const fixed = (value) => ({ a: 0, k: value });
+
+/**
+ * Converts a CSS color to Lottie's 0-1 RGBA
+ * @param {String} color - Any CSS color
+ * @returns {Array<number>|null} - [r, g, b, a], or null for no color
+ */
+function toLottieColor(color) {
+  if (!color || color === 'transparent' || typeof color !== 'string') return null;
+  const [r, g, b, a] = new fabric.Color(color).getSource();
+  if (a === 0) return null;
+  return [num(r / 255), num(g / 255), num(b / 255), num(a)];
+}
+
+/**
+ * Converts a fabric path command list into a Lottie bezier shape centered on pathOffset.
+ * Quadratic segments from the PencilBrush become cubic tangents.
+ * @param {Array} commands - fabric path commands with absolute coordinates
+ * @param {Object} offset - The object's pathOffset
+ * @returns {Array<Object>} - One shape per subpath, { i, o, v, c }
+ */
+function pathToShapes(commands, offset) {
+  const shapes = [];
+  let shape = null;
+  let last = null;
+
+  const point = (x, y) => [num(x - offset.x), num(y - offset.y)];
+  const startShape = (x, y) => {
+    shape = { i: [[0, 0]], o: [[0, 0]], v: [point(x, y)], c: false };
+    shapes.push(shape);
+    last = { x, y };
+  };
+  const addVertex = (x, y, outTangent, inTangent) => {
+    shape.o[shape.o.length - 1] = outTangent.map(num);
+    shape.v.push(point(x, y));
+    shape.i.push(inTangent.map(num));
+    shape.o.push([0, 0]);
+    last = { x, y };
+  };
+
+  commands.forEach(([command, ...args]) => {
+    switch (command) {
+      case 'M':
+        startShape(args[0], args[1]);
+        break;
+      case 'L':
+        if (!shape) startShape(args[0], args[1]);
+        else addVertex(args[0], args[1], [0, 0], [0, 0]);
+        break;
+      case 'Q': {
+        const [cx, cy, x, y] = args;
+        if (!shape) startShape(last?.x ?? cx, last?.y ?? cy);
+        addVertex(x, y,
+          [(cx - last.x) * 2 / 3, (cy - last.y) * 2 / 3],
+          [(cx - x) * 2 / 3, (cy - y) * 2 / 3]);
+        break;
+      }
+      case 'C': {
+        const [c1x, c1y, c2x, c2y, x, y] = args;
+        if (!shape) startShape(last?.x ?? c1x, last?.y ?? c1y);
+        addVertex(x, y, [c1x - last.x, c1y - last.y], [c2x - x, c2y - y]);
+        break;
+      }
+      case 'Z':
+      case 'z':
+        if (shape) shape.c = true;
+        break;
+      default:
+        console.warn('Lottie export: unsupported path command', command);
+    }
+  });
+
+  return shapes;
+}
+
+/**
+ * Converts a fabric object's geometry into Lottie shape items, centered on the object
+ * @param {fabric.Object} obj - The object
+ * @returns {Array<Object>} - Shape items (without style or transform), empty if unsupported
+ */
+function geometryToItems(obj) {
+  const bezier = (shape) => ({ ty: 'sh', ks: fixed(shape) });
+
+  switch (obj.type) {
+    case 'path':
+      return pathToShapes(obj.path, obj.pathOffset).map(bezier);
+    case 'polygon':
+    case 'polyline': {
+      const shape = {
+        i: obj.points.map(() => [0, 0]),
+        o: obj.points.map(() => [0, 0]),
+        v: obj.points.map(p => [num(p.x - obj.pathOffset.x), num(p.y - obj.pathOffset.y)]),
+        c: obj.type === 'polygon'
+      };
+      return [bezier(shape)];
+    }
+    case 'triangle': {
+      const w = obj.width / 2;
+      const h = obj.height / 2;
+      return [bezier({ i: [[0, 0], [0, 0], [0, 0]], o: [[0, 0], [0, 0], [0, 0]], v: [[-w, h], [0, -h], [w, h]], c: true })];
+    }
+    case 'rect':
+      return [{ ty: 'rc', p: fixed([0, 0]), s: fixed([obj.width, obj.height]), r: fixed(obj.rx || 0) }];
+    case 'circle':
+      return [{ ty: 'el', p: fixed([0, 0]), s: fixed([obj.radius * 2, obj.radius * 2]) }];
+    case 'ellipse':
+      return [{ ty: 'el', p: fixed([0, 0]), s: fixed([obj.rx * 2, obj.ry * 2]) }];
+    default:
+      console.warn('Lottie export: skipping unsupported object type', obj.type);
+      return [];
+  }
+}
+
+/**
+ * A Lottie group transform from a fabric object's own matrix
+ * @param {fabric.Object} obj - The object (its matrix is relative to its parent group, if any)
+ * @returns {Object}
+ */
+function groupTransform(obj) {
+  const { translateX, translateY, angle, scaleX, scaleY, skewX } = fabric.util.qrDecompose(obj.calcOwnMatrix());
+
+  return {
+    ty: 'tr',
+    p: fixed([num(translateX), num(translateY)]),
+    a: fixed([0, 0]),
+    s: fixed([num(scaleX * 100), num(scaleY * 100)]),
+    r: fixed(num(angle)),
+    o: fixed(num((obj.opacity ?? 1) * 100)),
+    sk: fixed(num(skewX)),
+    sa: fixed(0)
+  };
+}
+
+/**
+ * Converts an object into a Lottie shape group with its stroke and fill.
+ * Groups become nested shape groups, each member keeping its transform within the group.
+ * @param {fabric.Object} obj - The object
+ * @param {Object} transform - The group transform to use
+ * @returns {Object|null} - The shape group, or null if nothing could be converted
+ */
+function objectToShapeGroup(obj, transform) {
+  let items;
+
+  if (obj.type === 'group') {
+    items = obj.getObjects()
+      .map(member => objectToShapeGroup(member, groupTransform(member)))
+      .filter(Boolean);
+  } else {
+    items = geometryToItems(obj);
+    if (items.length === 0) return null;
+
+    const stroke = toLottieColor(obj.stroke);
+    if (stroke && obj.strokeWidth > 0) {
+      items.push({
+        ty: 'st',
+        c: fixed(stroke.slice(0, 3).concat(1)),
+        o: fixed(num(stroke[3] * 100)),
+        w: fixed(obj.strokeWidth),
+        lc: lineCaps[obj.strokeLineCap] || 2,
+        lj: lineJoins[obj.strokeLineJoin] || 2,
+        ml: obj.strokeMiterLimit || 4
+      });
+    }
+
+    const fill = toLottieColor(obj.fill);
+    if (fill) {
+      items.push({ ty: 'fl', c: fixed(fill.slice(0, 3).concat(1)), o: fixed(num(fill[3] * 100)), r: 1 });
+    }
+  }
+
+  if (items.length === 0) return null;
+
+  return { ty: 'gr', nm: String(obj.id ?? obj.type), it: [...items, transform] };
+}
+
+/**
+ * Linear keyframes for one property from per-frame values
+ * @param {Array<Object>} frames - [{ t: frame number, s: value array }]
+ * @param {Boolean} spatial - Position keyframes use scalar handles
+ * @returns {Object} - An animated property, or a fixed one if the value never changes
+ */
+function keyframes(frames, spatial = false) {
+  const same = frames.every(f => f.s.every((v, i) => v === frames[0].s[i]));
+  if (same) return fixed(frames[0].s.length === 1 ? frames[0].s[0] : frames[0].s);
+
+  const dims = frames[0].s.length;
+  const handle = (v) => spatial ? v : new Array(dims).fill(v);
+
+  return {
+    a: 1,
+    k: frames.map((f, index) => index === frames.length - 1
+      ? { t: f.t, s: f.s }
+      : { t: f.t, s: f.s, o: { x: handle(0), y: handle(0) }, i: { x: handle(1), y: handle(1) } })
+  };
+}
+
+/**
+ * Bakes sampled motion into a layer transform
+ * @param {Array<Object>} samples - From sampleMotion
+ * @param {number} fps - Lottie frame rate
+ * @param {Object} anchor - [x, y] anchor point inside the layer
+ * @param {number} opacity - 0-1, used where a sample has no opacity
+ * @returns {Object} - The layer's ks
+ */
+function bakeTransform(samples, fps, anchor, opacity) {
+  // One keyframe per Lottie frame
+  const frames = [];
+  samples.forEach(sample => {
+    const t = Math.round(sample.t * fps);
+    if (frames.length && frames[frames.length - 1].t === t) return;
+    frames.push({ t, sample });
+  });
+
+  // Unwrap the rotation so a bird turning past 180 degrees doesn't spin the long way round
+  let previous = null;
+  const angles = frames.map(({ sample }) => {
+    let angle = sample.angle;
+    if (previous !== null) {
+      while (angle - previous > 180) angle -= 360;
+      while (angle - previous < -180) angle += 360;
+    }
+    previous = angle;
+    return angle;
+  });
+
+  return {
+    o: keyframes(frames.map(f => ({ t: f.t, s: [num((f.sample.opacity ?? opacity) * 100)] }))),
+    r: keyframes(frames.map((f, i) => ({ t: f.t, s: [num(angles[i])] }))),
+    p: keyframes(frames.map(f => ({ t: f.t, s: [num(f.sample.x), num(f.sample.y), 0] })), true),
+    a: fixed([anchor[0], anchor[1], 0]),
+    s: keyframes(frames.map(f => ({ t: f.t, s: [num((f.sample.flipX ? -1 : 1) * f.sample.scaleX * 100), num(f.sample.scaleY * 100), 100] })))
+  };
+}
+
+/**
+ * A layer transform for an object that doesn't move
+ * @param {fabric.Object} obj - The object
+ * @param {Object} anchor - [x, y] anchor point inside the layer
+ * @returns {Object} - The layer's ks
+ */
+function staticTransform(obj, anchor) {
+  const center = obj.getCenterPoint();
+  return {
+    o: fixed(num((obj.opacity ?? 1) * 100)),
+    r: fixed(num(obj.angle || 0)),
+    p: fixed([num(center.x), num(center.y), 0]),
+    a: fixed([anchor[0], anchor[1], 0]),
+    s: fixed([num((obj.flipX ? -1 : 1) * obj.scaleX * 100), num((obj.flipY ? -1 : 1) * obj.scaleY * 100), 100])
+  };
+}
+
+/**
+ * A layer transform that just places the layer
+ * @param {Array<number>} position - [x, y]
+ * @returns {Object} - The layer's ks
+ */
+function placedTransform([x, y]) {
+  return { o: fixed(100), r: fixed(0), p: fixed([x, y, 0]), a: fixed([0, 0, 0]), s: fixed([100, 100, 100]) };
+}
+
+/**
+ * Builds the bird precomp: a body and two wings rocking like the GSAP yoyo tween
+ * @param {String} id - Asset id
+ * @param {Array<number>} color - Lottie color
+ * @param {number} fps - Frame rate
+ * @param {number} frameCount - Length in frames
+ * @returns {Object} - The asset
+ */
+function createBirdAsset(id, color, fps, frameCount) {
+  const center = BIRD_SIZE / 2;
+  const fill = { ty: 'fl', c: fixed(color.slice(0, 3).concat(1)), o: fixed(num(color[3] * 100)), r: 1 };
+  const identity = { ty: 'tr', p: fixed([0, 0]), a: fixed([0, 0]), s: fixed([100, 100]), r: fixed(0), o: fixed(100), sk: fixed(0), sa: fixed(0) };
+
+  const layer = (ind, nm, shape, ks) => ({
+    ddd: 0, ind, ty: 4, nm, sr: 1, ks, ao: 0,
+    shapes: [{ ty: 'gr', nm, it: [{ ty: 'sh', ks: fixed(shape) }, fill, identity] }],
+    ip: 0, op: frameCount, st: 0, bm: 0
+  });
+
+  const body = { i: [[0, 0], [0, 0], [0, 0], [0, 0]], o: [[0, 0], [0, 0], [0, 0], [0, 0]], v: [[0, -6], [8, 0], [0, 6], [-8, 0]], c: true };
+  const wing = { i: [[0, 0], [0, 0], [0, 0]], o: [[0, 0], [0, 0], [0, 0]], v: [[-7, 3], [0, -3], [7, 3]], c: true };
+
+  // Rotation keyframes swinging between the rest angle and rest + 40 for the whole length
+  const flap = (restAngle, delay) => {
+    const k = [];
+    const step = WING_FLAP.duration * fps;
+    let t = delay * fps;
+    let up = true;
+
+    if (t > 0) k.push({ t: 0, s: [restAngle], h: 1 });
+    while (t < frameCount) {
+      k.push({ t: num(t), s: [up ? restAngle : restAngle + WING_FLAP.swing], ...SINE_IN_OUT });
+      t += step;
+      up = !up;
+    }
+    k.push({ t: num(t), s: [up ? restAngle : restAngle + WING_FLAP.swing] });
+
+    return { a: 1, k };
+  };
+
+  const wingTransform = (x, restAngle, delay) => ({
+    o: fixed(100),
+    r: flap(restAngle, delay),
+    p: fixed([center + x, center, 0]),
+    a: fixed([0, 0, 0]),
+    s: fixed([100, 100, 100])
+  });
+
+  return {
+    id,
+    nm: 'Bird',
+    layers: [
+      layer(1, 'Left wing', wing, wingTransform(-4, -20, 0)),
+      layer(2, 'Right wing', wing, wingTransform(4, 200, WING_FLAP.stagger)),
+      layer(3, 'Body', body, placedTransform([center, center]))
+    ]
+  };
+}
+
+/**
+ * Builds the Lottie animation
+ * @param {fabric.Canvas} canvas - The canvas to export
+ * @param {Object} options - { fps, duration: seconds, samples: Map from sampleMotion for the animated objects }
+ * @returns {Object} - Lottie JSON
+ */
+export function createLottie(canvas, { fps = 30, duration = 5, samples = new Map() } = {}) {
+  const frameCount = Math.max(1, Math.round(duration * fps));
+  const assets = [];
+  const birdAssets = new Map(); // color -> asset id
+  const layers = [];
+
+  canvas.getObjects().forEach((obj, index) => {
+    // Hidden objects, such as motion paths, aren't drawn, and particles can't be
+    if (!obj.visible || obj.animationType === 'emit') return;
+
+    const motion = samples.get(obj);
+    const opacity = obj.opacity ?? 1;
+    const common = { ddd: 0, ind: index + 1, sr: 1, ao: 0, ip: 0, op: frameCount, st: 0, bm: 0 };
+
+    if (obj.animationType === 'bird') {
+      const color = toLottieColor(obj.getObjects().find(part => part.type === 'polygon')?.fill) || [0.13, 0.13, 0.13, 1];
+      const key = color.join(',');
+
+      if (!birdAssets.has(key)) {
+        const id = `bird_${birdAssets.size}`;
+        birdAssets.set(key, id);
+        assets.push(createBirdAsset(id, color, fps, frameCount));
+      }
+
+      const anchor = [BIRD_SIZE / 2, BIRD_SIZE / 2];
+      layers.push({
+        ...common,
+        ty: 0,
+        nm: `Bird ${obj.id}`,
+        refId: birdAssets.get(key),
+        w: BIRD_SIZE,
+        h: BIRD_SIZE,
+        ks: motion ? bakeTransform(motion, fps, anchor, opacity) : staticTransform(obj, anchor)
+      });
+      return;
+    }
+
+    // The layer transform places the object; the shapes inside are centered on it
+    const shapeGroup = objectToShapeGroup(obj, {
+      ty: 'tr', p: fixed([0, 0]), a: fixed([0, 0]), s: fixed([100, 100]), r: fixed(0), o: fixed(100), sk: fixed(0), sa: fixed(0)
+    });
+    if (!shapeGroup) return;
+
+    layers.push({
+      ...common,
+      ty: 4,
+      nm: `${obj.type} ${obj.id ?? index}`,
+      ks: motion ? bakeTransform(motion, fps, [0, 0], opacity) : staticTransform(obj, [0, 0]),
+      shapes: [shapeGroup]
+    });
+  });
+
+  return {
+    v: LOTTIE_VERSION,
+    fr: fps,
+    ip: 0,
+    op: frameCount,
+    w: canvas.getWidth(),
+    h: canvas.getHeight(),
+    nm: 'AniMuse animation',
+    ddd: 0,
+    assets,
+    // Lottie draws the first layer on top; the canvas lists the bottom object first
+    layers: layers.reverse()
+  };
+}
+
+/**
+ * Shows the Lottie export dialog
+ * @param {fabric.Canvas} canvas - The canvas to export
+ */
+export function showLottieExportDialog(canvas) {
+  document.getElementById('lottieExportModal')?.remove();
+
+  const loop = getLoopDuration(canvas.activeAnimations || []);
+
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'lottieExportModal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content';
+
+  modalContent.innerHTML = `
+    <h3>Export Lottie</h3>
+    <div class="input-group">
+      <label for="lottieDurationInput">Duration (seconds):</label>
+      <input id="lottieDurationInput" type="number" min="0.5" max="30" step="0.1" value="${loop.duration && loop.duration <= 10 ? loop.duration : 5}" />
+      <span class="export-hint">The motion is played through for this long and baked into keyframes.</span>
+    </div>
+    <div class="input-group">
+      <label for="lottieFpsSelect">Frame rate:</label>
+      <select id="lottieFpsSelect">
+        <option value="24">24 fps</option>
+        <option value="30" selected>30 fps</option>
+        <option value="60">60 fps</option>
+      </select>
+    </div>
+    <div class="export-progress hidden" id="lottieExportProgress">
+      <progress id="lottieProgressBar" max="1" value="0"></progress>
+      <span id="lottieProgressText"></span>
+    </div>
+    <div class="modal-buttons">
+      <button id="startLottieExportBtn">Export</button>
+      <button id="cancelLottieExportBtn">Cancel</button>
+    </div>
+  `;
+
+  modal.appendChild(modalContent);
+  document.body.appendChild(modal);
+
+  const startBtn = document.getElementById('startLottieExportBtn');
+  let cancelled = false;
+
+  document.getElementById('cancelLottieExportBtn').addEventListener('click', () => {
+    cancelled = true;
+    modal.remove();
+  });
+
+  startBtn.addEventListener('click', async () => {
+    const duration = Math.min(30, Math.max(0.5, parseFloat(document.getElementById('lottieDurationInput').value) || 5));
+    const fps = parseInt(document.getElementById('lottieFpsSelect').value, 10);
+    const progressBar = document.getElementById('lottieProgressBar');
+    const progressText = document.getElementById('lottieProgressText');
+
+    startBtn.disabled = true;
+    document.getElementById('lottieExportProgress').classList.remove('hidden');
+
+    const animated = canvas.getObjects().filter(obj => obj.isAnimated && obj.animationType !== 'emit');
+    const samples = await sampleMotion(canvas, animated, {
+      duration,
+      fps,
+      onProgress: (done, total) => {
+        progressBar.value = done / total;
+        progressText.textContent = `Recording motion... ${done.toFixed(1)} of ${total} s`;
+      }
+    });
+
+    if (cancelled) return;
+
+    const lottie = createLottie(canvas, { fps, duration, samples });
+    downloadBlob(new Blob([JSON.stringify(lottie)], { type: 'application/json' }), 'animation.lottie.json');
+    console.log('Exported Lottie with', lottie.layers.length, 'layers and', lottie.assets.length, 'bird precomps');
+    modal.remove();
+  });
+}
@@ -1,9 +1,13 @@
 import { setupCanvas } from './canvasSetup.js';
 import { Toolbar, deleteSel } from './toolbar.js';
+import { TimelineBar } from './timeline.js';
+import { KeyframeEditor } from './keyframeEditor.js';
 import { enableGestures } from './gestures.js';
 import { renderInteractionPanel } from './interactionPanel.js';
 import { SpeechController } from './speechRecognition.js';
 import { LLMController } from './llmController.js';
+import { offerRestore, enableAutosave } from './autosave.js';
+import { trackTickerListeners } from './masterClock.js';
 
 fabric.Object.prototype.toObject = (function(toObject) {
     return function(propertiesToInclude) {
@@ -16,6 +20,9 @@ fabric.Object.prototype.toObject = (function(toObject) {
   
 fabric.Object.__uidCounter = 1;
 
+// The master clock runs the ticker handlers itself, so they are routed to it from the start
+trackTickerListeners();
+
 // Make deleteSel function available globally
 window.deleteSel = deleteSel;
 
@@ -25,16 +32,29 @@ window.addEventListener('load', () => {
   const toolbar = new Toolbar(canvas);
   // Expose the toolbar for group button updates
   window.toolbar = toolbar;
+  new TimelineBar(canvas);
+  new KeyframeEditor(canvas);
   enableGestures(canvas);
   
   // Initialize the interaction panel
   renderInteractionPanel(canvas);
   
+  // Offer to bring back the last session, then keep autosaving.
+  // Autosave starts afterwards so the saved session isn't overwritten before the user decides.
+  offerRestore(canvas)
+    .catch(error => console.error('Session restore failed:', error))
+    .finally(() => enableAutosave(canvas));
+  
   // Initialize LLM controller
   const llmController = new LLMController(canvas);
   // Expose LLM controller for debugging
   window.llmController = llmController;
   
+  // Open the provider settings from the toolbar
+  document.getElementById('llmSettingsBtn').addEventListener('click', () => {
+    llmController.showSettingsDialog();
+  });
+  
   // Initialize speech recognition
   const speechController = new SpeechController(canvas);
   // Expose speech controller for debugging
@@ -0,0 +1,305 @@
+// masterClock.js - A single clock that drives every animation, so the scene can be paused, scrubbed and replayed
+
+import { applySchedules } from './animationSchedule.js';
+
+// The handlers that run on the GSAP ticker move a fixed amount per tick and are tuned
+// for GSAP's default of 60 ticks per second
+export const TICKS_PER_SECOND = 60;
+const TICK = 1 / TICKS_PER_SECOND;
+
+// How often the state of the per-tick handlers is saved, so seeking only has to replay a short stretch
+const CHECKPOINT_TICKS = TICKS_PER_SECOND;
+
+// Longest real frame that is caught up on, so a background tab doesn't fast-forward the scene
+const MAX_FRAME_TIME = 0.25;
+
+// Object properties moved by the per-tick handlers (birds, swim, hop, orbit) rather than by tweens
+const simulatedProperties = [
+  'left', 'top', 'angle', 'scaleX', 'scaleY', 'flipX', 'skewY', 'originalLeft', 'originalTop',
+  'originalOrbitLeft', 'originalOrbitTop', 'moveDirection', '_randomState', '_swimPhase'
+];
+const simulatedObjects = ['_velocity', '_flockingVelocity', '_orbitData'];
+
+// Animations whose per-tick handlers wander rather than repeat. They carry on from where
+// they are when the timeline loops, where jumping back to the start would make them snap.
+const freeRunningTypes = new Set(['bird', 'drawnBird', 'hop', 'swim', 'fix']);
+
+// Functions the handlers have added to the GSAP ticker; the clock calls them once per tick
+const tickHandlers = new Set();
+let addToTicker = null;
+
+/**
+ * Routes the functions added to the GSAP ticker through the master clock, so they only run
+ * while it plays and can be replayed tick by tick. Must run before anything adds a ticker listener.
+ */
+export function trackTickerListeners() {
+  const ticker = gsap.ticker;
+  if (addToTicker) return;
+
+  addToTicker = ticker.add.bind(ticker);
+  const remove = ticker.remove.bind(ticker);
+
+  ticker.add = (callback, once, prioritize) => {
+    // One-off listeners remove themselves inside GSAP, so they are left to it
+    if (once) return addToTicker(callback, once, prioritize);
+    tickHandlers.add(callback);
+    return callback;
+  };
+  ticker.remove = (callback) => {
+    tickHandlers.delete(callback);
+    return remove(callback);
+  };
+}
+
+export class MasterClock {
+  /**
+   * Takes over the GSAP global timeline and ticker handlers for a canvas
+   * @param {fabric.Canvas} canvas - The canvas whose animations the clock drives
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.tick = 0;
+    this.duration = 10;
+    this.playing = true;
+    this.needsReset = false;
+    this.accumulator = 0;
+    this.checkpoints = new Map();
+    this.changeListeners = [];
+
+    // Tweens only move when the clock sets the global timeline's time
+    gsap.globalTimeline.pause();
+    this.origin = gsap.globalTimeline.time();
+
+    // Tweens placed at fixed scene times, e.g. keyframes. The clock plays it itself, so it
+    // starts over at every reset and isn't dropped from the global timeline once it ends.
+    this.timeline = gsap.timeline({ paused: true });
+    this.checkpoints.set(0, this.captureState());
+
+    trackTickerListeners();
+    addToTicker((time, deltaTime) => this.onFrame(deltaTime));
+  }
+
+  // Current scene time in seconds
+  get time() {
+    return this.tick * TICK;
+  }
+
+  /**
+   * Register a function to call whenever the time or play state changes
+   * @param {Function} listener - Called with the clock
+   */
+  onChange(listener) {
+    this.changeListeners.push(listener);
+  }
+
+  notifyChange() {
+    this.changeListeners.forEach(listener => {
+      try {
+        listener(this);
+      } catch (error) {
+        console.error('Clock change listener failed:', error);
+      }
+    });
+  }
+
+  play() {
+    if (this.playing) return;
+    this.playing = true;
+    this.accumulator = 0;
+    // Playing from the end starts over
+    if (this.tick >= this.getDurationTicks()) this.seek(0);
+    this.notifyChange();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    this.notifyChange();
+  }
+
+  toggle() {
+    this.playing ? this.pause() : this.play();
+  }
+
+  /**
+   * Sets the length of the timeline
+   * @param {number} seconds - The new length
+   */
+  setDuration(seconds) {
+    this.duration = Math.max(TICK, seconds);
+    this.notifyChange();
+  }
+
+  getDurationTicks() {
+    return Math.round(this.duration * TICKS_PER_SECOND);
+  }
+
+  /**
+   * Marks the recorded states as stale, e.g. after an edit. The current scene becomes the
+   * start of the timeline on the next frame, once everything the edit creates is on the canvas.
+   */
+  invalidate() {
+    this.needsReset = true;
+  }
+
+  // Makes the scene as it is now the start of the timeline. While paused the playhead
+  // stays where it was, so edits made at some point in time (such as keyframes) stay in view.
+  reset() {
+    const keepTick = this.playing ? 0 : this.tick;
+    this.needsReset = false;
+    this.origin = gsap.globalTimeline.time();
+    this.tick = 0;
+    this.accumulator = 0;
+    applySchedules(this.canvas, 0);
+    this.timeline.totalTime(0);
+    this.checkpoints = new Map([[0, this.captureState()]]);
+
+    while (this.tick < keepTick) this.advance();
+    console.log('Master clock reset');
+    this.notifyChange();
+  }
+
+  /**
+   * Called on every real frame; advances the scene by the elapsed time in fixed ticks
+   * @param {number} deltaTime - Milliseconds since the last frame
+   */
+  onFrame(deltaTime) {
+    if (this.needsReset) this.reset();
+    if (!this.playing) return;
+
+    this.accumulator += Math.min(deltaTime / 1000, MAX_FRAME_TIME);
+    if (this.accumulator < TICK) return;
+
+    while (this.accumulator >= TICK) {
+      this.accumulator -= TICK;
+      if (this.tick >= this.getDurationTicks()) {
+        this.loop();
+      } else {
+        this.advance();
+      }
+    }
+
+    this.canvas.requestRenderAll();
+    this.notifyChange();
+  }
+
+  // Starts the timeline over. Tweens replay the same motion from the start, while
+  // free-running animations keep going from where they are. The old checkpoints hold
+  // them where they were on the last pass, so seeking starts again from this one.
+  loop() {
+    const carryOver = this.captureState().filter(({ obj }) => freeRunningTypes.has(obj.animationType));
+    this.seekTick(0);
+    this.restoreState(carryOver);
+    this.checkpoints = new Map([[0, this.captureState()]]);
+  }
+
+  // Moves the scene forward by one tick
+  advance() {
+    this.tick++;
+    applySchedules(this.canvas, this.time);
+    gsap.globalTimeline.totalTime(this.origin + this.time);
+    this.timeline.totalTime(this.time);
+    [...tickHandlers].forEach(handler => handler(this.time, TICK * 1000, this.tick));
+
+    if (this.tick % CHECKPOINT_TICKS === 0 && !this.checkpoints.has(this.tick)) {
+      this.checkpoints.set(this.tick, this.captureState());
+    }
+  }
+
+  /**
+   * Moves the scene to a point in time by replaying from the nearest earlier checkpoint
+   * @param {number} seconds - Scene time to go to
+   */
+  seek(seconds) {
+    // Selected objects are held still, which would make the replay diverge
+    this.canvas.discardActiveObject();
+    if (this.needsReset) this.reset();
+    this.seekTick(Math.max(0, Math.round(seconds * TICKS_PER_SECOND)));
+    this.canvas.requestRenderAll();
+    this.notifyChange();
+  }
+
+  seekTick(target) {
+    let start = 0;
+    this.checkpoints.forEach((state, tick) => {
+      if (tick <= target && tick > start) start = tick;
+    });
+
+    // Going forward from the current time is quicker unless a later checkpoint is closer
+    if (target < this.tick || start > this.tick) {
+      this.restoreState(this.checkpoints.get(start));
+      this.tick = start;
+      applySchedules(this.canvas, this.time);
+      gsap.globalTimeline.totalTime(this.origin + this.time);
+      this.timeline.totalTime(this.time);
+    }
+
+    while (this.tick < target) this.advance();
+    this.accumulator = 0;
+  }
+
+  /**
+   * Renders evenly spaced frames while the clock is held, so the frames are 1/fps seconds
+   * of scene time apart no matter how long rendering each one takes
+   * @param {Object} options - { frameCount, fps, onFrame } where onFrame(index) is called after each
+   *   frame is rendered and may return a promise; the first frame is the scene as it is now
+   * @returns {Promise}
+   */
+  async stepFrames({ frameCount, fps, onFrame }) {
+    const wasPlaying = this.playing;
+    this.pause();
+    this.canvas.discardActiveObject();
+    if (this.needsReset) this.reset();
+    const start = this.tick;
+    console.log(`Stepping ${frameCount} frames at ${fps} fps from ${this.time.toFixed(2)} s`);
+
+    try {
+      for (let i = 0; i < frameCount; i++) {
+        // Frames land on the nearest tick, so the handlers move just as they do when playing
+        const target = start + Math.round(i * TICKS_PER_SECOND / fps);
+        while (this.tick < target) this.advance();
+
+        this.canvas.renderAll();
+        await onFrame(i);
+      }
+    } finally {
+      this.notifyChange();
+      if (wasPlaying) this.play();
+    }
+  }
+
+  // Saves what the per-tick handlers have moved; tweens follow from the time alone
+  captureState() {
+    return this.canvas.getObjects()
+      .filter(obj => obj.isAnimated)
+      .map(obj => {
+        const state = {};
+        simulatedProperties.forEach(key => {
+          if (obj[key] !== undefined) state[key] = obj[key];
+        });
+        simulatedObjects.forEach(key => {
+          state[key] = obj[key] ? { ...obj[key] } : undefined;
+        });
+        return { obj, state };
+      });
+  }
+
+  restoreState(states) {
+    states.forEach(({ obj, state }) => {
+      simulatedProperties.forEach(key => {
+        if (key in state) obj[key] = state[key];
+      });
+      simulatedObjects.forEach(key => {
+        if (!state[key]) {
+          delete obj[key];
+        } else if (obj[key] && key === '_velocity') {
+          // The flocking handler keeps a reference to the velocity object
+          Object.assign(obj[key], state[key]);
+        } else {
+          obj[key] = { ...state[key] };
+        }
+      });
+      obj.setCoords();
+    });
+  }
+}
@@ -0,0 +1,45 @@
+// motionSampler.js - Records how objects move while the animations run, for the exporters
+
+/**
+ * Records where objects are while the animations run. The scene is stepped on the
+ * master clock, so sampling doesn't take real time and every sample is evenly spaced.
+ * @param {fabric.Canvas} canvas - The canvas the objects are on
+ * @param {Array<fabric.Object>} objects - The objects to follow
+ * @param {Object} options - { duration: seconds, fps: samples per second, onProgress }
+ * @returns {Promise<Map>} - Object -> [{ t, left, top, x, y, angle, scaleX, scaleY, flipX, skewY, opacity }]
+ *   where x and y are the object's center
+ */
+export async function sampleMotion(canvas, objects, { duration = 5, fps = 20, onProgress = () => {} } = {}) {
+  const samples = new Map(objects.map(obj => [obj, []]));
+
+  await canvas.clock.stepFrames({
+    frameCount: Math.round(duration * fps) + 1,
+    fps,
+    onFrame: async (i) => {
+      const t = Math.min(i / fps, duration);
+
+      objects.forEach(obj => {
+        const center = obj.getCenterPoint();
+        samples.get(obj).push({
+          t,
+          left: obj.left,
+          top: obj.top,
+          x: center.x,
+          y: center.y,
+          angle: obj.angle || 0,
+          scaleX: obj.scaleX ?? 1,
+          scaleY: obj.scaleY ?? 1,
+          flipX: Boolean(obj.flipX),
+          skewY: obj.skewY || 0,
+          opacity: obj.opacity ?? 1
+        });
+      });
+      onProgress(t, duration);
+
+      // Let the progress bar repaint
+      await new Promise(resolve => setTimeout(resolve));
+    }
+  });
+
+  return samples;
+}
@@ -0,0 +1,775 @@
+// playerRuntime.js - Read-only player for exported scenes (no editor, panels, LLM or speech)
+//
+// playScene is copied into exported HTML files with Function.prototype.toString,
+// so it must stay self-contained: it may only use its arguments and the fabric
+// and gsap globals, never anything else from this module or its imports.
+
+/**
+ * Loads a scene into a canvas element and plays its animations and interactions
+ * @param {HTMLCanvasElement} canvasElement - The canvas to draw into
+ * @param {Object} scene - { width, height, canvasJSON, animations, interactions, defaults, duration }
+ *   where defaults holds the default parameters for each animation type and duration is the
+ *   length of the editor's timeline in seconds
+ * @returns {Promise<Object>} - { canvas, play, pause }
+ */
+export function playScene(canvasElement, scene) {
+  const { width, height, canvasJSON, animations = [], interactions = [], defaults = {}, duration = 10 } = scene;
+
+  const canvas = new fabric.StaticCanvas(canvasElement, {
+    width,
+    height,
+    renderOnAddRemove: false
+  });
+
+  const byId = new Map();
+  const updaters = [];
+  const tweens = [];
+
+  const getEase = (family, direction) => (!family || family === 'linear') ? 'none' : `${family}.${direction}`;
+  const getParameters = (anim) => ({ ...(defaults[anim.type] || {}), ...(anim.parameters || {}) });
+  const getObjects = (anim) => (anim?.data || []).map(d => byId.get(d.id)).filter(Boolean);
+  const findAnimation = (id) => animations.find(a => a.id === id);
+  const inAnimation = (obj, anim) => Boolean(anim?.data?.some(d => d.id === obj.id));
+
+  // Animations with a schedule only move during their runs, counted in scene time that loops
+  // with the editor's timeline. Same rules as animationSchedule.js.
+  const scheduled = [];
+  let sceneTime = 0;
+
+  const getScheduleTimes = (anim, visiting = new Set()) => {
+    const { start = 0, after = null, duration: runFor = null, repeat = 0, delay = 0 } = anim.schedule || {};
+    const runDuration = anim.type === 'keyframe'
+      ? Math.max(0, ...(anim.data || []).flatMap(d => (d.keyframes || []).map(key => key.time)))
+      : runFor;
+
+    let first = start;
+    const previous = after && findAnimation(after);
+    if (previous && !visiting.has(anim.id)) {
+      visiting.add(anim.id);
+      first += getScheduleTimes(previous, visiting).end;
+    }
+
+    const runs = repeat + 1;
+    const end = runDuration === null || repeat < 0 ? Infinity : first + runs * runDuration + (runs - 1) * delay;
+    return { start: first, runDuration, repeat, delay, end };
+  };
+
+  const applySchedules = () => {
+    scheduled.forEach(({ anim, objs, animTweens }) => {
+      const { start, runDuration, repeat, delay } = getScheduleTimes(anim);
+      const period = runDuration + delay;
+
+      let runStart = start;
+      if (runDuration !== null && sceneTime > start && period > 0) {
+        const run = Math.floor((sceneTime - start) / period);
+        runStart = start + (repeat >= 0 ? Math.min(run, repeat) : run) * period;
+      }
+      const running = sceneTime >= start && (runDuration === null || sceneTime - runStart < runDuration);
+
+      objs.forEach(obj => { obj.scheduleIdle = !running; });
+
+      // Keyframes hold their first and last keys outside the runs, other tweens their resting pose
+      const local = sceneTime >= start && (anim.type === 'keyframe' || running) ? sceneTime - runStart : 0;
+      animTweens.forEach(tween => tween.totalTime(local));
+    });
+  };
+
+  const getBox = (obj) => {
+    const rect = obj.getBoundingRect();
+    return { left: rect.left, top: rect.top, right: rect.left + rect.width, bottom: rect.top + rect.height };
+  };
+
+  const getCenter = (objs) => ({
+    x: objs.reduce((sum, o) => sum + o.left, 0) / objs.length,
+    y: objs.reduce((sum, o) => sum + o.top, 0) / objs.length
+  });
+
+  // Avoid: birds bounce off the other animation's bounding boxes, hoppers turn around
+  const avoid = (obj, velocity) => {
+    interactions.filter(i => i.type === 'avoid').forEach(({ sourceId, targetId, parameters }) => {
+      const sourceAnim = findAnimation(sourceId);
+      const targetAnim = findAnimation(targetId);
+      if (!sourceAnim || !targetAnim) return;
+
+      const inSource = inAnimation(obj, sourceAnim);
+      if (!inSource && !inAnimation(obj, targetAnim)) return;
+
+      const distance = parameters?.boundaryDistance || 30;
+      const strength = parameters?.hopStrength || 1.0;
+      const halfWidth = obj.getScaledWidth() / 2;
+      const halfHeight = obj.getScaledHeight() / 2;
+
+      getObjects(inSource ? targetAnim : sourceAnim).forEach(other => {
+        const box = getBox(other);
+        box.left -= distance;
+        box.top -= distance;
+        box.right += distance;
+        box.bottom += distance;
+
+        if ((obj.animationType === 'bird' || obj.animationType === 'drawnBird') && velocity) {
+          const x = obj.left + velocity.x * 3;
+          const y = obj.top + velocity.y * 3;
+          if (x < box.left || x > box.right || y < box.top || y > box.bottom) return;
+
+          // Reflect off the nearest edge
+          const edges = [
+            { d: Math.abs(x - box.left), nx: -1, ny: 0 },
+            { d: Math.abs(x - box.right), nx: 1, ny: 0 },
+            { d: Math.abs(y - box.top), nx: 0, ny: -1 },
+            { d: Math.abs(y - box.bottom), nx: 0, ny: 1 }
+          ];
+          const { nx, ny } = edges.reduce((a, b) => (b.d < a.d ? b : a));
+          const dot = velocity.x * nx + velocity.y * ny;
+
+          if (dot < 0) {
+            const jitter = Math.random() * Math.PI * 2;
+            velocity.x -= 2 * dot * strength * nx - Math.cos(jitter) * 0.1;
+            velocity.y -= 2 * dot * strength * ny - Math.sin(jitter) * 0.1;
+            obj.left += nx * 3;
+            obj.top += ny * 3;
+          }
+        } else if (obj.animationType === 'hop') {
+          const overlapsVertically = obj.top + halfHeight >= box.top && obj.top - halfHeight <= box.bottom;
+          if (!overlapsVertically) return;
+
+          const x = obj.left + (obj.animationParameters.speed * obj.moveDirection * 3);
+          if (obj.moveDirection > 0 && x + halfWidth >= box.left && obj.left + halfWidth < box.left) {
+            obj.moveDirection = -1;
+            obj.left = box.left - halfWidth - 2;
+          } else if (obj.moveDirection < 0 && x - halfWidth <= box.right && obj.left - halfWidth > box.right) {
+            obj.moveDirection = 1;
+            obj.left = box.right + halfWidth + 2;
+          }
+        }
+      });
+    });
+  };
+
+  // Orbit: circle a fixed point or the center of another animation; returns whether the object orbited
+  const orbit = (obj) => {
+    let orbited = false;
+
+    interactions
+      .filter(i => i.type === 'orbit' && inAnimation(obj, findAnimation(i.sourceId)))
+      .forEach(({ parameters }) => {
+        if (!obj._orbitData) {
+          const targets = getObjects(findAnimation(parameters?.orbitTarget));
+          const center = targets.length
+            ? getCenter(targets)
+            : {
+              x: parameters?.centerX !== undefined ? parameters.centerX : width / 2,
+              y: parameters?.centerY !== undefined ? parameters.centerY : height / 2
+            };
+          const dx = obj.left - center.x;
+          const dy = obj.top - center.y;
+
+          obj._orbitData = {
+            angle: Math.atan2(dy, dx),
+            radius: parameters?.orbitRadius || Math.hypot(dx, dy),
+            centerX: center.x,
+            centerY: center.y,
+            speed: parameters?.orbitSpeed || 0.5,
+            originalAngle: obj.angle || 0,
+            targets: parameters?.trackTarget ? targets : []
+          };
+        }
+
+        const orbitData = obj._orbitData;
+        orbitData.angle += orbitData.speed * Math.PI / 180;
+
+        if (orbitData.targets.length > 0) {
+          const center = getCenter(orbitData.targets);
+          orbitData.centerX = center.x;
+          orbitData.centerY = center.y;
+        }
+
+        obj.left = orbitData.centerX + Math.cos(orbitData.angle) * orbitData.radius;
+        obj.top = orbitData.centerY + Math.sin(orbitData.angle) * orbitData.radius;
+
+        if (obj.animationType === 'bird') {
+          obj.angle = (orbitData.angle + Math.PI / 2) * 180 / Math.PI;
+        } else if (obj.type === 'group') {
+          obj.angle = orbitData.originalAngle;
+        }
+
+        orbited = true;
+      });
+
+    return orbited;
+  };
+
+  const setups = {
+    birds(anim, birds, parameters) {
+      const velocities = birds.map(() => ({ x: Math.random() * 2 - 1, y: Math.random() * 2 - 1 }));
+      const drawn = parameters.body === 'drawing';
+      const drawnLeft = parameters.facing === 'left';
+
+      // Drawn groups flap the strokes either side of the middle the way animateBirds does
+      if (drawn) {
+        birds.filter(bird => bird.type === 'group').forEach(bird => {
+          const halfWidth = bird.width / 2;
+          const strength = Math.max(0, Math.min(1, parameters.flapStrength));
+          bird.flapLevel = 0;
+          bird.objectCaching = false;
+
+          bird.getObjects().forEach(member => {
+            const { x } = member.getRelativeCenterPoint();
+            if (Math.abs(x) < halfWidth * 0.15) return;
+            const side = x < 0 ? -1 : 1;
+            const render = Object.getPrototypeOf(member).render;
+
+            member.render = function(ctx) {
+              const level = bird.flapLevel * strength;
+              ctx.save();
+              if (parameters.flap === 'skew') {
+                ctx.transform(1, -side * Math.tan(level * 40 * Math.PI / 180), 0, 1, 0, 0);
+              } else if (parameters.flap === 'scale') {
+                ctx.scale(1 - level * 0.6, 1);
+              }
+              render.call(this, ctx);
+              ctx.restore();
+            };
+          });
+
+          tweens.push(gsap.to(bird, { flapLevel: 1, duration: 0.3, yoyo: true, repeat: -1, ease: 'sine.inOut' }));
+        });
+      } else {
+        birds.forEach(bird => {
+          const wings = bird.getObjects().filter(part => part.type === 'triangle');
+          tweens.push(gsap.to(wings, {
+            angle: '+=40',
+            duration: 0.3,
+            yoyo: true,
+            repeat: -1,
+            ease: 'sine.inOut',
+            stagger: { each: 0.05 }
+          }));
+        });
+      }
+
+      updaters.push(() => {
+        birds.forEach((b, i) => {
+          if (b.scheduleIdle) return;
+          const vel = velocities[i];
+          let ax = 0, ay = 0, cx = 0, cy = 0, sx = 0, sy = 0, count = 0;
+
+          birds.forEach((o, j) => {
+            if (i === j) return;
+            const dx = o.left - b.left;
+            const dy = o.top - b.top;
+            const d = Math.hypot(dx, dy);
+            if (d < parameters.neighborRadius && d > 0) {
+              ax += velocities[j].x;
+              ay += velocities[j].y;
+              cx += o.left;
+              cy += o.top;
+              sx -= dx / d;
+              sy -= dy / d;
+              count++;
+            }
+          });
+
+          if (count) {
+            ax /= count;
+            ay /= count;
+            cx = cx / count - b.left;
+            cy = cy / count - b.top;
+          }
+
+          vel.x += ax * parameters.alignWeight + cx * parameters.cohesionWeight + sx * parameters.separationWeight;
+          vel.y += ay * parameters.alignWeight + cy * parameters.cohesionWeight + sy * parameters.separationWeight;
+
+          avoid(b, vel);
+          orbit(b);
+
+          const speed = Math.hypot(vel.x, vel.y);
+          if (speed > parameters.maxSpeed) {
+            vel.x = vel.x / speed * parameters.maxSpeed;
+            vel.y = vel.y / speed * parameters.maxSpeed;
+          }
+
+          b.left += vel.x;
+          b.top += vel.y;
+          if (b.left < 0 || b.left > width) {
+            vel.x *= -1;
+            b.left = Math.max(0, Math.min(width, b.left));
+          }
+          if (b.top < 0 || b.top > height) {
+            vel.y *= -1;
+            b.top = Math.max(0, Math.min(height, b.top));
+          }
+
+          if (drawn) {
+            // Drawings stay upright, mirrored to face the way they fly
+            const speed = Math.hypot(vel.x, vel.y);
+            if (Math.abs(vel.x) > speed * 0.2) b.flipX = (vel.x < 0) !== drawnLeft;
+            const tilt = Math.max(-45, Math.min(45, Math.atan2(vel.y, Math.abs(vel.x)) * 180 / Math.PI));
+            b.angle = b.flipX !== drawnLeft ? -tilt : tilt;
+          } else {
+            b.angle = Math.atan2(vel.y, vel.x) * 180 / Math.PI;
+          }
+          b.dirty = true; // The wings flap inside the cached group
+        });
+      });
+    },
+
+    // Same school as swimObjects: the drawings flock inside the water stroke, mirror to face
+    // the way they swim and wiggle their tails
+    swim(anim, objs, parameters) {
+      const water = byId.get(anim.data.find(d => d.isWater)?.id);
+      if (!water) return;
+
+      const infos = fabric.util.getPathSegmentsInfo(water.path);
+      const total = infos[infos.length - 1].length;
+      const count = Math.min(2000, Math.max(2, Math.ceil(total / 4)));
+      const matrix = water.calcTransformMatrix();
+      const points = [];
+      for (let i = 0; i <= count; i++) {
+        const p = fabric.util.getPointOnPath(water.path, total * i / count, infos);
+        points.push(fabric.util.transformPoint(new fabric.Point(p.x - water.pathOffset.x, p.y - water.pathOffset.y), matrix));
+      }
+      const center = {
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+      };
+      const inside = (x, y) => {
+        let result = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+          const a = points[i];
+          const b = points[j];
+          if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) result = !result;
+        }
+        return result;
+      };
+
+      const fish = objs.filter(obj => obj !== water);
+      const maxSpeed = parameters.maxSpeed;
+      const drawnLeft = parameters.facing === 'left';
+      const velocities = fish.map(() => ({ x: (Math.random() * 2 - 1) * maxSpeed, y: (Math.random() - 0.5) * maxSpeed }));
+      const phases = fish.map(() => Math.random() * Math.PI * 2);
+
+      updaters.push(() => {
+        fish.forEach((f, i) => {
+          if (f.scheduleIdle) return;
+          const vel = velocities[i];
+          let ax = 0, ay = 0, cx = 0, cy = 0, sx = 0, sy = 0, n = 0;
+
+          fish.forEach((o, j) => {
+            if (i === j) return;
+            const dx = o.left - f.left;
+            const dy = o.top - f.top;
+            const d = Math.hypot(dx, dy);
+            if (d < parameters.neighborRadius && d > 0) {
+              ax += velocities[j].x;
+              ay += velocities[j].y;
+              cx += o.left;
+              cy += o.top;
+              sx -= dx / d;
+              sy -= dy / d;
+              n++;
+            }
+          });
+
+          if (n) {
+            ax /= n;
+            ay /= n;
+            cx = cx / n - f.left;
+            cy = cy / n - f.top;
+          }
+
+          vel.x += ax * parameters.alignWeight + cx * parameters.cohesionWeight + sx * parameters.separationWeight + (Math.random() - 0.5) * 0.1 * maxSpeed;
+          vel.y += ay * parameters.alignWeight + cy * parameters.cohesionWeight + sy * parameters.separationWeight + (Math.random() - 0.5) * 0.1 * maxSpeed;
+
+          const toCenter = { x: center.x - f.left, y: center.y - f.top };
+          const toCenterLength = Math.hypot(toCenter.x, toCenter.y) || 1;
+          if (!inside(f.left + vel.x * 30, f.top + vel.y * 30)) {
+            vel.x += toCenter.x / toCenterLength * 0.15 * maxSpeed;
+            vel.y += toCenter.y / toCenterLength * 0.15 * maxSpeed;
+          }
+
+          let speed = Math.hypot(vel.x, vel.y);
+          const clamped = Math.min(maxSpeed, Math.max(maxSpeed * 0.5, speed));
+          if (speed > 0) {
+            vel.x = vel.x / speed * clamped;
+            vel.y = vel.y / speed * clamped;
+            speed = clamped;
+          }
+
+          if (inside(f.left, f.top) && !inside(f.left + vel.x, f.top + vel.y)) {
+            vel.x = toCenter.x / toCenterLength * speed;
+            vel.y = toCenter.y / toCenterLength * speed;
+          } else {
+            f.left += vel.x;
+            f.top += vel.y;
+          }
+
+          if (Math.abs(vel.x) > speed * 0.2) f.flipX = (vel.x < 0) !== drawnLeft;
+          const tilt = Math.max(-45, Math.min(45, Math.atan2(vel.y, Math.abs(vel.x)) * 180 / Math.PI));
+          f.angle = f.flipX !== drawnLeft ? -tilt : tilt;
+          phases[i] = (phases[i] + 0.12 + 0.2 * (maxSpeed > 0 ? Math.min(1, speed / maxSpeed) : 0)) % (Math.PI * 2);
+          f.skewY = parameters.wiggle * Math.sin(phases[i]);
+        });
+      });
+    },
+
+    sway(anim, objs, parameters) {
+      objs.forEach(obj => {
+        obj.originalLeft ??= obj.left;
+        obj.swayX = 0;
+        obj.swayAngle = 0;
+
+        tweens.push(gsap.to(obj, {
+          swayX: parameters.drift,
+          swayAngle: parameters.rock,
+          duration: parameters.duration,
+          yoyo: true,
+          repeat: -1,
+          ease: getEase(parameters.ease, 'inOut')
+        }));
+
+        updaters.push(() => {
+          obj.left = obj.originalLeft + obj.swayX;
+          obj.angle = obj.swayAngle;
+        });
+      });
+    },
+
+    // Same looping seeded noise as floatObjects, so objects drift the way they did in the editor
+    float(anim, objs, parameters) {
+      const points = 16;
+      const createNoise = (seed) => {
+        let state = seed | 0;
+        const random = () => {
+          let t = state = (state + 0x6D2B79F5) | 0;
+          t = Math.imul(t ^ (t >>> 15), t | 1);
+          t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+          return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        const values = [0];
+        for (let i = 1; i < points; i++) values.push(random() * 2 - 1);
+
+        return (t) => {
+          const wrapped = ((t % points) + points) % points;
+          const i = Math.floor(wrapped);
+          const f = wrapped - i;
+          return values[i] + (values[(i + 1) % points] - values[i]) * f * f * (3 - 2 * f);
+        };
+      };
+
+      objs.forEach(obj => {
+        const { noiseIndex = 0, baseAngle = obj.angle } = anim.data.find(d => d.id === obj.id) || {};
+        const base = parameters.seed * 1000 + noiseIndex * 3;
+        const noise = { x: createNoise(base), y: createNoise(base + 1), angle: createNoise(base + 2) };
+        obj.originalLeft ??= obj.left;
+        obj.originalTop ??= obj.top;
+
+        const tween = gsap.to(obj, { duration: 1, repeat: -1, ease: 'none' });
+        tweens.push(tween);
+
+        updaters.push(() => {
+          const t = tween.totalTime() * parameters.speed;
+          let x = noise.x(t);
+          let y = noise.y(t);
+          const distance = Math.hypot(x, y);
+          if (distance > 1) {
+            x /= distance;
+            y /= distance;
+          }
+
+          obj.left = obj.originalLeft + x * parameters.radius;
+          obj.top = obj.originalTop + y * parameters.radius + Math.sin(t * Math.PI * 4) * parameters.radius * 0.15;
+          obj.angle = baseAngle + noise.angle(t) * 6;
+        });
+      });
+    },
+
+    // Turn around the center or the middle of an edge, which stays put, like spinObjects
+    spin(anim, objs, parameters) {
+      const rotate = (v, degrees) => {
+        const radians = degrees * Math.PI / 180;
+        return { x: v.x * Math.cos(radians) - v.y * Math.sin(radians), y: v.x * Math.sin(radians) + v.y * Math.cos(radians) };
+      };
+
+      objs.forEach(obj => {
+        const { baseAngle = obj.angle } = anim.data.find(d => d.id === obj.id) || {};
+        const halfWidth = obj.width * obj.scaleX / 2;
+        const halfHeight = obj.height * obj.scaleY / 2;
+        const pivot = {
+          top: { x: 0, y: -halfHeight },
+          bottom: { x: 0, y: halfHeight },
+          left: { x: -halfWidth, y: 0 },
+          right: { x: halfWidth, y: 0 }
+        }[parameters.pivot] || { x: 0, y: 0 };
+        obj.originalLeft ??= obj.left;
+        obj.originalTop ??= obj.top;
+
+        const tween = gsap.to(obj, { duration: 1, repeat: -1, ease: 'none' });
+        tweens.push(tween);
+
+        updaters.push(() => {
+          const turn = tween.totalTime() * parameters.speed * (parameters.direction === 'counterclockwise' ? -1 : 1);
+          const atRest = rotate(pivot, baseAngle);
+          const now = rotate(pivot, baseAngle + turn);
+          obj.left = obj.originalLeft + atRest.x - now.x;
+          obj.top = obj.originalTop + atRest.y - now.y;
+          obj.angle = baseAngle + turn;
+        });
+      });
+    },
+
+    // Grow and fade, then settle back, like pulseObjects
+    pulse(anim, objs, parameters) {
+      const ease = gsap.parseEase(getEase(parameters.ease, 'inOut'));
+      const fade = Math.min(1, Math.max(0, parameters.fade));
+
+      objs.forEach(obj => {
+        const entry = anim.data.find(d => d.id === obj.id) || {};
+        const base = {
+          scaleX: entry.baseScaleX ?? obj.scaleX,
+          scaleY: entry.baseScaleY ?? obj.scaleY,
+          opacity: entry.baseOpacity ?? obj.opacity
+        };
+
+        const tween = gsap.to(obj, { duration: 1, repeat: -1, ease: 'none' });
+        tweens.push(tween);
+
+        updaters.push(() => {
+          const phase = parameters.duration > 0 ? (tween.totalTime() / parameters.duration) % 1 : 0;
+          const level = ease(1 - Math.abs(1 - 2 * phase));
+          obj.scaleX = base.scaleX * (1 + parameters.grow * level);
+          obj.scaleY = base.scaleY * (1 + parameters.grow * level);
+          obj.opacity = base.opacity * (1 - fade * level);
+        });
+      });
+    },
+
+    // The stroke draws the particles alive at each time instead of itself, like emitObjects
+    emit(anim, objs, parameters) {
+      const { rate, lifetime, gravity, wind, fade, tumble, region: regionName, seed } = parameters;
+      const random = (holder) => {
+        let t = holder.state = (holder.state + 0x6D2B79F5) | 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+
+      objs.forEach(obj => {
+        const { emitIndex = 0 } = anim.data.find(d => d.id === obj.id) || {};
+        const size = Math.max(obj.getScaledWidth(), obj.getScaledHeight());
+        const center = obj.getCenterPoint();
+        const region = regionName === 'canvas'
+          ? { left: 0, top: 0, width, height }
+          : regionName === 'stroke'
+            ? { left: center.x - size / 2 - 40, top: center.y, width: size + 80, height: 0 }
+            : { left: -size, top: -size, width: width + 2 * size, height: 0 };
+
+        const tween = gsap.to(obj, { duration: 1, repeat: -1, ease: 'none' });
+        tweens.push(tween);
+
+        const render = obj.render;
+        obj.render = function(ctx) {
+          if (!(rate > 0 && lifetime > 0)) return;
+          const time = tween.totalTime();
+          const pose = { left: this.left, top: this.top, angle: this.angle, opacity: this.opacity };
+          const newest = Math.floor(time * rate);
+          const oldest = Math.max(0, Math.ceil((time - lifetime) * rate), newest - 399);
+
+          for (let k = oldest; k <= newest; k++) {
+            const age = time - k / rate;
+            if (age < 0 || age >= lifetime) continue;
+
+            const holder = { state: (seed * 100003 + emitIndex * 7919 + k * 31) | 0 };
+            const x = region.left + random(holder) * region.width;
+            const y = region.top + random(holder) * region.height;
+            const vx = wind + (random(holder) - 0.5) * 40;
+            const vy = random(holder) * 30;
+            const startAngle = tumble > 0 ? random(holder) * 360 : 0;
+            const spin = (random(holder) * 2 - 1) * tumble;
+
+            this.left = x + vx * age;
+            this.top = y + vy * age + 0.5 * gravity * age * age;
+            this.angle = pose.angle + startAngle + spin * age;
+            this.opacity = pose.opacity * (fade > 0 ? Math.min(1, (lifetime - age) / (fade * lifetime)) : 1);
+            render.call(this, ctx);
+          }
+          Object.assign(this, pose);
+        };
+      });
+    },
+
+    hop(anim, objs, parameters) {
+      objs.forEach(obj => {
+        obj.originalTop ??= obj.top;
+        obj.hopOffset = 0;
+        obj.moveDirection = 1;
+        obj.animationParameters = parameters;
+
+        const timeline = gsap.timeline({ repeat: -1 });
+        timeline.to(obj, { hopOffset: parameters.height, duration: parameters.duration / 2, ease: getEase(parameters.ease, 'out') });
+        timeline.to(obj, { hopOffset: 0, duration: parameters.duration / 2, ease: getEase(parameters.ease, 'in') });
+        tweens.push(timeline);
+
+        updaters.push(() => {
+          obj.top = obj.originalTop - obj.hopOffset;
+          if (obj.scheduleIdle) return;
+
+          avoid(obj);
+          if (orbit(obj)) return;
+
+          const halfWidth = obj.getScaledWidth() / 2;
+          const leftBound = halfWidth + parameters.boundaryPadding;
+          const rightBound = width - halfWidth - parameters.boundaryPadding;
+          const left = obj.left + parameters.speed * obj.moveDirection;
+
+          if (left <= leftBound) {
+            obj.left = leftBound;
+            obj.moveDirection = 1;
+          } else if (left >= rightBound) {
+            obj.left = rightBound;
+            obj.moveDirection = -1;
+          } else {
+            obj.left = left;
+          }
+        });
+      });
+    },
+
+    // Fixed objects stay put unless they orbit something
+    fix(anim, objs) {
+      objs.forEach(obj => updaters.push(() => obj.scheduleIdle || orbit(obj)));
+    },
+
+    // Keyframed objects move through their keys and loop with the timeline, like in the editor
+    keyframe(anim, objs) {
+      const pose = (key) => ({
+        left: key.left, top: key.top, angle: key.angle,
+        scaleX: key.scaleX, scaleY: key.scaleY, opacity: key.opacity
+      });
+
+      objs.forEach(obj => {
+        const keys = anim.data.find(d => d.id === obj.id)?.keyframes || [];
+        if (!keys.length) return;
+
+        const timeline = gsap.timeline({ repeat: -1 });
+        timeline.set(obj, pose(keys[0]), 0);
+        keys.slice(1).forEach((key, i) => {
+          timeline.fromTo(obj, pose(keys[i]), {
+            ...pose(key),
+            duration: key.time - keys[i].time,
+            ease: getEase(key.ease, 'inOut'),
+            immediateRender: false
+          }, keys[i].time);
+        });
+
+        // Hold the last pose until the timeline starts over
+        timeline.set({}, {}, Math.max(duration, keys[keys.length - 1].time));
+        tweens.push(timeline);
+      });
+    },
+
+    // Followers travel along the drawn path at a set speed, spread out the way they were in the editor
+    path(anim, objs, parameters) {
+      const path = byId.get(anim.data.find(d => d.isPath)?.id);
+      if (!path) return;
+
+      // Sample the stroke into canvas points with the distance along it to each
+      const infos = fabric.util.getPathSegmentsInfo(path.path);
+      const total = infos[infos.length - 1].length;
+      const count = Math.min(2000, Math.max(2, Math.ceil(total / 4)));
+      const matrix = path.calcTransformMatrix();
+      const points = [];
+      const distances = [];
+      for (let i = 0; i <= count; i++) {
+        const p = fabric.util.getPointOnPath(path.path, total * i / count, infos);
+        const point = fabric.util.transformPoint(new fabric.Point(p.x - path.pathOffset.x, p.y - path.pathOffset.y), matrix);
+        distances.push(i ? distances[i - 1] + Math.hypot(point.x - points[i - 1].x, point.y - points[i - 1].y) : 0);
+        points.push(point);
+      }
+
+      const length = distances[count];
+      if (!(length > 0) || !(parameters.speed > 0)) return;
+      const pingpong = parameters.mode === 'pingpong';
+
+      objs.filter(obj => obj !== path).forEach(obj => {
+        const { start = 0, baseAngle = obj.angle } = anim.data.find(d => d.id === obj.id) || {};
+        const tween = gsap.to(obj, { duration: 1, repeat: -1, ease: 'none' });
+        tweens.push(tween);
+
+        updaters.push(() => {
+          const phase = ((tween.totalTime() * parameters.speed / ((pingpong ? 2 : 1) * length) + start) % 1 + 1) % 1;
+          const distance = (pingpong ? 1 - Math.abs(1 - 2 * phase) : phase) * length;
+
+          let i = 1;
+          while (i < count && distances[i] < distance) i++;
+          const a = points[i - 1];
+          const b = points[i];
+          const span = distances[i] - distances[i - 1];
+          const t = span > 0 ? Math.min(1, (distance - distances[i - 1]) / span) : 0;
+
+          obj.left = a.x + (b.x - a.x) * t;
+          obj.top = a.y + (b.y - a.y) * t;
+          obj.angle = baseAngle + (parameters.orient
+            ? Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI + (pingpong && phase > 0.5 ? 180 : 0)
+            : 0);
+        });
+      });
+    }
+  };
+
+  const tick = () => {
+    if (scheduled.length) {
+      sceneTime = (sceneTime + gsap.ticker.deltaRatio(60) / 60) % duration;
+      applySchedules();
+    }
+    updaters.forEach(update => update());
+    canvas.getObjects().forEach(obj => obj.setCoords());
+    canvas.renderAll();
+  };
+
+  let playing = false;
+
+  const play = () => {
+    if (playing) return;
+    playing = true;
+    tweens.forEach(tween => tween.resume());
+    gsap.ticker.add(tick);
+  };
+
+  const pause = () => {
+    if (!playing) return;
+    playing = false;
+    tweens.forEach(tween => tween.pause());
+    gsap.ticker.remove(tick);
+  };
+
+  return canvas.loadFromJSON(canvasJSON).then(() => {
+    canvas.getObjects().forEach(obj => {
+      if (obj.id !== undefined && obj.id !== null) byId.set(obj.id, obj);
+    });
+
+    // Same stacking as the editor: z-index, then creation order
+    canvas._objects.sort((a, b) =>
+      (a.zIndex !== undefined ? a.zIndex : (a._creationOrder || 0)) -
+      (b.zIndex !== undefined ? b.zIndex : (b._creationOrder || 0))
+    );
+
+    animations.forEach(anim => {
+      const setup = setups[anim.type];
+      if (!setup) return;
+
+      const firstTween = tweens.length;
+      setup(anim, getObjects(anim), getParameters(anim));
+
+      // Scheduled tweens are moved to the scene time on every tick rather than playing freely
+      if (anim.schedule) {
+        const animTweens = tweens.splice(firstTween);
+        animTweens.forEach(tween => tween.pause());
+        scheduled.push({ anim, objs: getObjects(anim), animTweens });
+      }
+    });
+    if (scheduled.length) applySchedules();
+
+    play();
+    return { canvas, play, pause };
+  });
+}
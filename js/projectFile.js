@@ -0,0 +1,159 @@
+// projectFile.js - Saves and opens AniMuse project files (.animuse.json)
+
+import { downloadBlob } from './download.js';
+
+// Bump this when the file layout changes, and add a migration from the old version below
+export const PROJECT_VERSION = 1;
+
+const PROJECT_FORMAT = 'animuse-project';
+const PROJECT_EXTENSION = '.animuse.json';
+
+/**
+ * Migrations that upgrade a project file by one version, keyed by the version
+ * they upgrade from. Each takes the parsed file and returns it at the next version.
+ */
+export const projectMigrations = {
+  // Version 0: a bare captureState snapshot without the file wrapper
+  0: (project) => ({
+    format: PROJECT_FORMAT,
+    version: 1,
+    savedAt: null,
+    state: {
+      canvasJSON: project.canvasJSON,
+      animations: project.animations || [],
+      interactions: project.interactions || []
+    }
+  })
+};
+
+/**
+ * Builds the project file contents for a canvas
+ * @param {fabric.Canvas} canvas - The canvas with its history
+ * @returns {Object} - { format, version, savedAt, state } where state is exactly what captureState captures
+ */
+export function createProject(canvas) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    state: canvas.history.captureState()
+  };
+}
+
+/**
+ * Upgrades a parsed project file to the current version
+ * @param {Object} project - The parsed file
+ * @returns {Object} - The project at PROJECT_VERSION
+ */
+export function migrateProject(project) {
+  let migrated = project;
+
+  // Files without a version are treated as bare snapshots (version 0)
+  let version = typeof migrated.version === 'number' ? migrated.version : 0;
+
+  if (version > PROJECT_VERSION) {
+    throw new Error(`This project was saved by a newer version of AniMuse (file version ${version}).`);
+  }
+
+  while (version < PROJECT_VERSION) {
+    const migrate = projectMigrations[version];
+    if (!migrate) {
+      throw new Error(`Don't know how to open project file version ${version}.`);
+    }
+
+    migrated = migrate(migrated);
+    console.log(`Migrated project file from version ${version} to ${migrated.version}`);
+    version = migrated.version;
+  }
+
+  return migrated;
+}
+
+/**
+ * Parses and validates the text of a project file
+ * @param {string} text - The file contents
+ * @returns {Object} - The project at PROJECT_VERSION
+ */
+export function parseProject(text) {
+  let project;
+
+  try {
+    project = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (!project || typeof project !== 'object') {
+    throw new Error('The file is not an AniMuse project.');
+  }
+
+  if (project.format !== undefined && project.format !== PROJECT_FORMAT) {
+    throw new Error('The file is not an AniMuse project.');
+  }
+
+  project = migrateProject(project);
+
+  if (!project.state || !project.state.canvasJSON) {
+    throw new Error('The project file has no canvas data.');
+  }
+
+  return project;
+}
+
+/**
+ * Downloads the current canvas as a project file
+ * @param {fabric.Canvas} canvas - The canvas to save
+ * @param {string} name - File name without the extension
+ */
+export function saveProject(canvas, name = 'animation') {
+  const project = createProject(canvas);
+  const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `${name.replace(/[\\/:*?"<>|]+/g, '_') || 'animation'}${PROJECT_EXTENSION}`);
+}
+
+/**
+ * Lets the user pick a project file and loads it into the canvas.
+ * The loaded state goes through StateHistory, so animations are rebuilt by replayAnimations.
+ * @param {fabric.Canvas} canvas - The canvas to load into
+ * @returns {Promise<boolean>} - Whether a project was opened
+ */
+export function openProject(canvas) {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = `${PROJECT_EXTENSION},.json,application/json`;
+
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return resolve(false);
+
+      try {
+        const project = parseProject(await file.text());
+
+        // Opening replaces everything, so check before throwing away the current drawing
+        if (canvas.getObjects().length > 0 &&
+            !confirm('Opening a project replaces the current canvas. Continue?')) {
+          return resolve(false);
+        }
+
+        await canvas.history.replaceState(project.state);
+        resolve(true);
+      } catch (error) {
+        console.error('Failed to open project:', error);
+        alert(`Could not open "${file.name}": ${error.message}`);
+        resolve(false);
+      }
+    });
+
+    // Closing the picker without a file fires 'cancel' in current browsers. Older ones only give
+    // the window its focus back, sometimes just before the 'change' for a chosen file.
+    input.addEventListener('cancel', () => resolve(false));
+    window.addEventListener('focus', () => {
+      setTimeout(() => {
+        if (input.files.length === 0) resolve(false);
+      }, 500);
+    }, { once: true });
+
+    input.click();
+  });
+}
@@ -248,8 +248,8 @@ export class SpeechController {
         if (parsedCommand.error) {
           // If LLM couldn't understand the command, fall back to basic command handling
           console.log('LLM error, falling back to basic commands:', parsedCommand.error);
-          this.handleBasicCommands(command);
           this.showCommandFeedback(`I didn't fully understand that. Trying basic command processing...`);
+          this.handleBasicCommands(command);
         } else {
           // Execute the parsed command
           const result = window.llmController.executeCommand(parsedCommand);
@@ -326,6 +326,30 @@ export class SpeechController {
     this.commandFeedbackElement.classList.add('hidden');
   }
 
+  /**
+   * Parse a command with the shared rule-based parser and run it
+   * @param {string} command - The command to process
+   * @returns {boolean} - Whether the parser understood the command
+   */
+  runOfflineCommand(command) {
+    const llmController = window.llmController;
+    if (!llmController) return false;
+    
+    const parsedCommand = llmController.parseOffline(command);
+    if (parsedCommand.error) return false;
+    
+    llmController.rememberCommand(command, parsedCommand);
+    const result = llmController.executeCommand(parsedCommand);
+    console.log('Offline command result:', result);
+    
+    if (result.success) {
+      this.showCommandFeedback(result.message);
+    } else {
+      this.showCommandFeedback(`Sorry, I couldn't complete that: ${result.message}`);
+    }
+    return true;
+  }
+
   /**
    * Basic command processing without LLM
    * @param {string} command - The command to process
@@ -350,7 +374,10 @@ export class SpeechController {
     }
     // Delete commands
     else if (commandLower.includes('delete') || commandLower.includes('remove')) {
-      this.deleteSelectedItems();
+      // "delete the red birds" names what to delete; a plain "delete" uses the selection
+      if (!this.runOfflineCommand(command)) {
+        this.deleteSelectedItems();
+      }
       commandRecognized = true;
     }
     // Select all command
@@ -380,6 +407,10 @@ export class SpeechController {
       this.showCommandFeedback('Redoing last action');
       commandRecognized = true;
     }
+    // Anything else (create, select, interact, modify) goes through the offline parser
+    else {
+      commandRecognized = this.runOfflineCommand(command);
+    }
     
     // If no command was recognized
     if (!commandRecognized) {
@@ -497,27 +528,7 @@ export class SpeechController {
    */
   pauseAnimations() {
     if (!this.canvas) return;
-    
-    // Find all animated objects on the canvas
-    const animatedObjects = this.canvas.getObjects().filter(obj => obj.isAnimated && obj.tween);
-    
-    // Pause each animation's tween
-    animatedObjects.forEach(obj => {
-      if (obj.tween && typeof obj.tween.pause === 'function') {
-        // Use custom pause if available
-        if (typeof obj.tween.customPause === 'function') {
-          obj.tween.customPause();
-        } else {
-          obj.tween.pause();
-        }
-      }
-    });
-    
-    // Update UI if we have a pause button
-    const pauseBtn = document.getElementById('pauseBtn');
-    if (pauseBtn) {
-      pauseBtn.textContent = 'Resume';
-    }
+    this.canvas.clock.pause();
   }
   
   /**
@@ -525,27 +536,7 @@ export class SpeechController {
    */
   resumeAnimations() {
     if (!this.canvas) return;
-    
-    // Find all animated objects on the canvas
-    const animatedObjects = this.canvas.getObjects().filter(obj => obj.isAnimated && obj.tween);
-    
-    // Resume each animation's tween
-    animatedObjects.forEach(obj => {
-      if (obj.tween && typeof obj.tween.resume === 'function') {
-        // Use custom resume if available
-        if (typeof obj.tween.customResume === 'function') {
-          obj.tween.customResume();
-        } else {
-          obj.tween.resume();
-        }
-      }
-    });
-    
-    // Update UI if we have a pause button
-    const pauseBtn = document.getElementById('pauseBtn');
-    if (pauseBtn) {
-      pauseBtn.textContent = 'Pause';
-    }
+    this.canvas.clock.play();
   }
   
   /**
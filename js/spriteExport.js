@@ -0,0 +1,267 @@
+// spriteExport.js - Exports evenly spaced frames as a zipped PNG sequence or a sprite sheet with a JSON atlas
+
+import { getLoopDuration } from './animations.js';
+import { createZip } from './zipWriter.js';
+import { downloadBlob } from './download.js';
+
+// Largest canvas side most browsers can draw into
+const MAX_SHEET_SIZE = 16384;
+
+/**
+ * Encodes a canvas as PNG bytes
+ * @param {HTMLCanvasElement} canvas - The canvas to encode
+ * @returns {Promise<Uint8Array>}
+ */
+function toPngBytes(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (!blob) return reject(new Error('Could not encode a frame as PNG.'));
+      blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+    }, 'image/png');
+  });
+}
+
+/**
+ * Builds a TexturePacker-style JSON hash atlas (read by Phaser, PixiJS and most engines)
+ * @param {Array<string>} names - Frame names in order
+ * @param {Object} layout - { width, height, columns, sheetWidth, sheetHeight }
+ * @param {number} fps - Frame rate
+ * @param {string} image - The sprite sheet file name
+ * @returns {Object}
+ */
+function createAtlas(names, { width, height, columns, sheetWidth, sheetHeight }, fps, image) {
+  const frames = {};
+
+  names.forEach((name, i) => {
+    frames[name] = {
+      frame: { x: (i % columns) * width, y: Math.floor(i / columns) * height, w: width, h: height },
+      rotated: false,
+      trimmed: false,
+      spriteSourceSize: { x: 0, y: 0, w: width, h: height },
+      sourceSize: { w: width, h: height },
+      duration: Math.round(1000 / fps)
+    };
+  });
+
+  return {
+    frames,
+    animations: { animation: names },
+    meta: {
+      app: 'AniMuse',
+      version: '1',
+      image,
+      format: 'RGBA8888',
+      size: { w: sheetWidth, h: sheetHeight },
+      scale: '1',
+      frameRate: fps
+    }
+  };
+}
+
+/**
+ * Renders evenly spaced frames of the running scene
+ * @param {fabric.Canvas} canvas - The canvas to render
+ * @param {Object} options - { frameCount, fps, scale: 0-1, background: CSS color or null for
+ *   transparent, format: 'zip' or 'sheet', name: base file name, onProgress(done, total) }
+ * @returns {Promise<Array<Object>>} - The files to download, { name, blob }
+ */
+export async function exportFrames(canvas, { frameCount = 24, fps = 24, scale = 1, background = null, format = 'zip', name = 'animation', onProgress = () => {} } = {}) {
+  const source = canvas.getElement();
+  const width = Math.max(1, Math.round(canvas.getWidth() * scale));
+  const height = Math.max(1, Math.round(canvas.getHeight() * scale));
+  const digits = String(frameCount - 1).length;
+  const names = Array.from({ length: frameCount }, (_, i) => `${name}_${String(i).padStart(digits, '0')}`);
+
+  // Lay the sheet out as close to square as possible
+  const columns = Math.ceil(Math.sqrt(frameCount));
+  const rows = Math.ceil(frameCount / columns);
+  const layout = { width, height, columns, sheetWidth: columns * width, sheetHeight: rows * height };
+
+  if (format === 'sheet' && Math.max(layout.sheetWidth, layout.sheetHeight) > MAX_SHEET_SIZE) {
+    throw new Error(`The sprite sheet would be ${layout.sheetWidth}x${layout.sheetHeight} px, more than browsers can draw. Use fewer frames or a smaller size.`);
+  }
+
+  const frameCanvas = document.createElement('canvas');
+  frameCanvas.width = width;
+  frameCanvas.height = height;
+  const frameCtx = frameCanvas.getContext('2d');
+
+  let sheetCtx = null;
+  if (format === 'sheet') {
+    const sheet = document.createElement('canvas');
+    sheet.width = layout.sheetWidth;
+    sheet.height = layout.sheetHeight;
+    sheetCtx = sheet.getContext('2d');
+  }
+
+  const pngs = [];
+
+  await canvas.clock.stepFrames({
+    frameCount,
+    fps,
+    onFrame: async (i) => {
+      if (sheetCtx) {
+        const x = (i % columns) * width;
+        const y = Math.floor(i / columns) * height;
+        if (background) {
+          sheetCtx.fillStyle = background;
+          sheetCtx.fillRect(x, y, width, height);
+        }
+        sheetCtx.drawImage(source, x, y, width, height);
+      } else {
+        frameCtx.clearRect(0, 0, width, height);
+        if (background) {
+          frameCtx.fillStyle = background;
+          frameCtx.fillRect(0, 0, width, height);
+        }
+        frameCtx.drawImage(source, 0, 0, width, height);
+        pngs.push({ name: `${names[i]}.png`, data: await toPngBytes(frameCtx.canvas) });
+      }
+
+      onProgress(i + 1, frameCount);
+    }
+  });
+
+  if (sheetCtx) {
+    const image = `${name}_sheet.png`;
+    const atlas = createAtlas(names, layout, fps, image);
+    return [
+      { name: image, blob: new Blob([await toPngBytes(sheetCtx.canvas)], { type: 'image/png' }) },
+      { name: `${name}_sheet.json`, blob: new Blob([JSON.stringify(atlas, null, 2)], { type: 'application/json' }) }
+    ];
+  }
+
+  return [{ name: `${name}_frames.zip`, blob: new Blob([createZip(pngs)], { type: 'application/zip' }) }];
+}
+
+/**
+ * Shows the frame export dialog
+ * @param {fabric.Canvas} canvas - The canvas to export
+ */
+export function showSpriteExportDialog(canvas) {
+  document.getElementById('spriteExportModal')?.remove();
+
+  const loop = getLoopDuration(canvas.activeAnimations || []);
+
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'spriteExportModal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content';
+
+  modalContent.innerHTML = `
+    <h3>Export Frames</h3>
+    <div class="input-group">
+      <label for="spriteFormatSelect">Format:</label>
+      <select id="spriteFormatSelect">
+        <option value="zip">PNG sequence (zip)</option>
+        <option value="sheet">Sprite sheet + JSON atlas</option>
+      </select>
+    </div>
+    <div class="input-group">
+      <label for="spriteFpsSelect">Frame rate:</label>
+      <select id="spriteFpsSelect">
+        <option value="12">12 fps</option>
+        <option value="24" selected>24 fps</option>
+        <option value="30">30 fps</option>
+        <option value="60">60 fps</option>
+      </select>
+    </div>
+    <div class="input-group">
+      <label for="spriteFrameCountInput">Frames:</label>
+      <input id="spriteFrameCountInput" type="number" min="1" max="600" step="1" value="24" />
+      <span class="export-hint" id="spriteDurationHint"></span>
+    </div>
+    <div class="input-group">
+      <label for="spriteScaleSelect">Size:</label>
+      <select id="spriteScaleSelect">
+        <option value="1">Full size</option>
+        <option value="0.5" selected>50%</option>
+        <option value="0.25">25%</option>
+      </select>
+    </div>
+    <div class="input-group">
+      <label>
+        <input id="spriteTransparentInput" type="checkbox" checked />
+        Transparent background
+      </label>
+    </div>
+    <div class="export-progress hidden" id="spriteExportProgress">
+      <progress id="spriteProgressBar" max="1" value="0"></progress>
+      <span id="spriteProgressText"></span>
+    </div>
+    <div class="modal-buttons">
+      <button id="startSpriteExportBtn">Export</button>
+      <button id="cancelSpriteExportBtn">Cancel</button>
+    </div>
+  `;
+
+  modal.appendChild(modalContent);
+  document.body.appendChild(modal);
+
+  const fpsSelect = document.getElementById('spriteFpsSelect');
+  const frameCountInput = document.getElementById('spriteFrameCountInput');
+  const durationHint = document.getElementById('spriteDurationHint');
+  const startBtn = document.getElementById('startSpriteExportBtn');
+  const progressText = document.getElementById('spriteProgressText');
+
+  // Default to one full loop when the animations have one
+  const matchLoop = () => {
+    if (loop.duration) {
+      frameCountInput.value = Math.min(600, Math.max(1, Math.round(loop.duration * parseInt(fpsSelect.value, 10))));
+    }
+    updateHint();
+  };
+  const updateHint = () => {
+    const seconds = (parseInt(frameCountInput.value, 10) || 0) / parseInt(fpsSelect.value, 10);
+    durationHint.textContent = `${seconds.toFixed(2)} s${loop.duration && loop.seamless ? `, loop is ${loop.duration.toFixed(2)} s` : ''}`;
+  };
+
+  fpsSelect.addEventListener('change', matchLoop);
+  frameCountInput.addEventListener('input', updateHint);
+  matchLoop();
+
+  let cancelled = false;
+
+  document.getElementById('cancelSpriteExportBtn').addEventListener('click', () => {
+    cancelled = true;
+    modal.remove();
+  });
+
+  startBtn.addEventListener('click', async () => {
+    const progressBar = document.getElementById('spriteProgressBar');
+    const frameCount = Math.min(600, Math.max(1, parseInt(frameCountInput.value, 10) || 24));
+
+    startBtn.disabled = true;
+    document.getElementById('spriteExportProgress').classList.remove('hidden');
+
+    // Selection outlines shouldn't end up in the frames
+    canvas.discardActiveObject();
+
+    try {
+      const files = await exportFrames(canvas, {
+        frameCount,
+        fps: parseInt(fpsSelect.value, 10),
+        scale: parseFloat(document.getElementById('spriteScaleSelect').value),
+        background: document.getElementById('spriteTransparentInput').checked ? null : '#ffffff',
+        format: document.getElementById('spriteFormatSelect').value,
+        onProgress: (done, total) => {
+          progressBar.value = done / total;
+          progressText.textContent = `Rendering frame ${done} of ${total}...`;
+        }
+      });
+
+      if (cancelled) return;
+
+      files.forEach(file => downloadBlob(file.blob, file.name));
+      console.log('Exported frames:', files.map(file => file.name));
+      modal.remove();
+    } catch (error) {
+      if (cancelled) return;
+      console.error('Frame export failed:', error);
+      progressText.textContent = `Export failed: ${error.message}`;
+      startBtn.disabled = false;
+    }
+  });
+}
@@ -11,6 +11,26 @@ export class StateHistory {
         this.isBusy = false;
         this.previous = null;
         this.current = null;
+        this.changeListeners = [];
+    }
+
+    /**
+     * Register a function to call whenever the current state changes
+     * (save, undo, redo or a replaced document), e.g. for autosave
+     * @param {Function} listener - Called with the history instance
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    notifyChange() {
+        this.changeListeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('History change listener failed:', error);
+            }
+        });
     }
 
     initState() {
@@ -32,6 +52,7 @@ export class StateHistory {
         this.current = j;
         this.redoStack = [];
         this.updateButtons();
+        this.notifyChange();
     }
 
     undo() {
@@ -44,6 +65,7 @@ export class StateHistory {
         this.load(this.current);
         this.isBusy = false;
         this.updateButtons();
+        this.notifyChange();
     }
 
     redo() {
@@ -57,6 +79,57 @@ export class StateHistory {
         this.load(next);
         this.isBusy = false;
         this.updateButtons();
+        this.notifyChange();
+    }
+
+    /**
+     * Put the canvas back to a captured state without adding an undo entry,
+     * e.g. when a multi-step command fails partway through
+     * @param {string} state - JSON string from captureState
+     */
+    restore(state) {
+        console.log("Restoring state");
+        this.isBusy = true;
+        this.load(state).finally(() => {
+            // Saves scheduled by the abandoned changes fire up to 100ms later; skip them
+            setTimeout(() => {
+                this.isBusy = false;
+                this.updateButtons();
+            }, 150);
+        });
+    }
+
+    /**
+     * Replace the whole document with a captured state, e.g. when opening a
+     * project file. The loaded state becomes the new starting point for undo.
+     * @param {Object} state - State in the captureState format
+     * @returns {Promise} - Resolves once the canvas has been loaded
+     */
+    replaceState(state) {
+        console.log("Replacing state");
+        this.isBusy = true;
+        
+        return this.load(JSON.stringify(state))
+            .then(() => {
+                // New objects must not reuse the IDs of the loaded ones
+                const ids = [
+                    ...(state.canvasJSON.objects || []).map(o => o.id),
+                    ...(state.animations || []).flatMap(anim => (anim.data || []).map(d => d.id))
+                ].filter(id => typeof id === 'number');
+                
+                if (ids.length > 0) {
+                    fabric.Object.__uidCounter = Math.max(fabric.Object.__uidCounter, Math.max(...ids) + 1);
+                }
+                
+                this.undoStack = [];
+                this.redoStack = [];
+                this.isBusy = false;
+                this.initState();
+                this.notifyChange();
+            })
+            .finally(() => {
+                this.isBusy = false;
+            });
     }
 
     captureState() {
@@ -103,7 +176,7 @@ export class StateHistory {
         this.canvas.activeAnimations = []; // Clear old animations
         this.canvas.animationInteractions = []; // Clear old interactions
         
-        this.canvas.loadFromJSON(canvasState)
+        return this.canvas.loadFromJSON(canvasState)
             .then(() => {
                 // First collect all z-index values that should be applied
                 const zIndices = new Map(); // Map of object ID to z-index
@@ -141,6 +214,7 @@ export class StateHistory {
                 
                 // Restore interaction data with all parameters
                 this.canvas.animationInteractions = JSON.parse(JSON.stringify(interactions));
+                this.canvas.fire('history:loaded');
                 
                 // Compare the loaded objects with the original animation data
                 setTimeout(() => {
@@ -180,195 +254,210 @@ export class StateHistory {
         console.log("Replaying animations:", animations);
       
         animations.forEach(anim => {
-          // When replaying animations:
-          // 1. For group animations, we should find the animation object directly or reconstruct it
-          // 2. For regular animations, find the individual objects
+          // One entry that fails to replay mustn't stop the others from replaying
+          try {
+            this.replayAnimation(anim);
+          } catch (error) {
+            console.error(`Failed to replay animation ${anim.id}:`, error);
+          }
+        });
+    }
+
+    /**
+     * Recreates one saved animation on the objects loaded with the canvas
+     * @param {Object} anim - The saved animation entry
+     */
+    replayAnimation(anim) {
+        // When replaying animations:
+        // 1. For group animations, we should find the animation object directly or reconstruct it
+        // 2. For regular animations, find the individual objects
+        
+        let objsToAnimate = [];
+        
+        // First, try to find animation objects directly by ID
+        const directMatches = this.canvas.getObjects().filter(o => 
+          anim.data.some(d => d.id === o.id)
+        );
+        
+        if (directMatches.length > 0) {
+          // We found the exact animated objects, use them directly
+          console.log(`Found ${directMatches.length} direct matches for animation ${anim.id}`);
+          objsToAnimate = directMatches;
           
-          let objsToAnimate = [];
+          // For each object, make sure it gets its correct z-index and color from the data
+          directMatches.forEach(obj => {
+            const dataItem = anim.data.find(d => d.id === obj.id);
+            if (dataItem) {
+              // Restore z-index if available
+              if (dataItem.zIndex !== undefined) {
+                obj.set('zIndex', dataItem.zIndex);
+              }
+              
+              // Restore color if available (for birds)
+              if (dataItem.color && obj.animationType === 'bird') {
+                // For birds, which are fabric groups, we need to update the fill of their parts
+                const body = obj.getObjects().find(o => o.type === 'polygon');
+                const wings = obj.getObjects().filter(o => o.type === 'triangle');
+                
+                if (body) body.set('fill', dataItem.color);
+                wings.forEach(wing => wing.set('fill', dataItem.color));
+              }
+            }
+          });
+        } else {
+          console.log(`No direct matches for animation ${anim.id}, looking for group members...`);
           
-          // First, try to find animation objects directly by ID
-          const directMatches = this.canvas.getObjects().filter(o => 
-            anim.data.some(d => d.id === o.id)
-          );
+          // Check for group members or recreate groups if needed
+          const groupData = anim.data.filter(d => d.isGroup && Array.isArray(d.memberIds));
+          const regularData = anim.data.filter(d => !d.isGroup || !Array.isArray(d.memberIds));
           
-          if (directMatches.length > 0) {
-            // We found the exact animated objects, use them directly
-            console.log(`Found ${directMatches.length} direct matches for animation ${anim.id}`);
-            objsToAnimate = directMatches;
-            
-            // For each object, make sure it gets its correct z-index and color from the data
-            directMatches.forEach(obj => {
-              const dataItem = anim.data.find(d => d.id === obj.id);
-              if (dataItem) {
-                // Restore z-index if available
-                if (dataItem.zIndex !== undefined) {
-                  obj.set('zIndex', dataItem.zIndex);
+          // Add non-group objects
+          const regularObjects = regularData
+            .map(entry => {
+              const obj = this.canvas.getObjects().find(o => o.id === entry.id);
+              if (obj) {
+                // Set the z-index if data has z-index
+                if (entry.zIndex !== undefined) {
+                  obj.set('zIndex', entry.zIndex);
                 }
                 
                 // Restore color if available (for birds)
-                if (dataItem.color && obj.animationType === 'bird') {
+                if (entry.color && obj.animationType === 'bird') {
                   // For birds, which are fabric groups, we need to update the fill of their parts
                   const body = obj.getObjects().find(o => o.type === 'polygon');
                   const wings = obj.getObjects().filter(o => o.type === 'triangle');
                   
-                  if (body) body.set('fill', dataItem.color);
-                  wings.forEach(wing => wing.set('fill', dataItem.color));
+                  if (body) body.set('fill', entry.color);
+                  wings.forEach(wing => wing.set('fill', entry.color));
                 }
               }
-            });
-          } else {
-            console.log(`No direct matches for animation ${anim.id}, looking for group members...`);
+              return obj;
+            })
+            .filter(Boolean);
             
-            // Check for group members or recreate groups if needed
-            const groupData = anim.data.filter(d => d.isGroup && Array.isArray(d.memberIds));
-            const regularData = anim.data.filter(d => !d.isGroup || !Array.isArray(d.memberIds));
+          objsToAnimate.push(...regularObjects);
+          
+          // Handle groups
+          for (const groupEntry of groupData) {
+            // Try to find the object that represents this group
+            const groupObj = this.canvas.getObjects().find(o => 
+              o.id === groupEntry.id || 
+              (o.groupId === groupEntry.groupId && o.isGroupRepresentative)
+            );
             
-            // Add non-group objects
-            const regularObjects = regularData
-              .map(entry => {
-                const obj = this.canvas.getObjects().find(o => o.id === entry.id);
-                if (obj) {
-                  // Set the z-index if data has z-index
-                  if (entry.zIndex !== undefined) {
-                    obj.set('zIndex', entry.zIndex);
-                  }
-                  
-                  // Restore color if available (for birds)
-                  if (entry.color && obj.animationType === 'bird') {
-                    // For birds, which are fabric groups, we need to update the fill of their parts
-                    const body = obj.getObjects().find(o => o.type === 'polygon');
-                    const wings = obj.getObjects().filter(o => o.type === 'triangle');
-                    
-                    if (body) body.set('fill', entry.color);
-                    wings.forEach(wing => wing.set('fill', entry.color));
-                  }
-                }
-                return obj;
-              })
-              .filter(Boolean);
+            if (groupObj) {
+              // The group object already exists
+              if (groupEntry.zIndex !== undefined) {
+                groupObj.set('zIndex', groupEntry.zIndex);
+              }
               
-            objsToAnimate.push(...regularObjects);
-            
-            // Handle groups
-            for (const groupEntry of groupData) {
-              // Try to find the object that represents this group
-              const groupObj = this.canvas.getObjects().find(o => 
-                o.id === groupEntry.id || 
-                (o.groupId === groupEntry.groupId && o.isGroupRepresentative)
-              );
+              // Restore color for group if available (for bird groups)
+              if (groupEntry.color && groupObj.animationType === 'bird') {
+                // For birds, which are fabric groups, we need to update the fill of their parts
+                const body = groupObj.getObjects().find(o => o.type === 'polygon');
+                const wings = groupObj.getObjects().filter(o => o.type === 'triangle');
+                
+                if (body) body.set('fill', groupEntry.color);
+                wings.forEach(wing => wing.set('fill', groupEntry.color));
+              }
               
-              if (groupObj) {
-                // The group object already exists
-                if (groupEntry.zIndex !== undefined) {
-                  groupObj.set('zIndex', groupEntry.zIndex);
-                }
+              objsToAnimate.push(groupObj);
+            } else if (groupEntry.memberIds && groupEntry.memberIds.length > 0) {
+              // Try to find the member objects to recreate the group
+              const memberObjs = groupEntry.memberIds
+                .map(id => this.canvas.getObjects().find(o => o.id === id))
+                .filter(Boolean);
                 
-                // Restore color for group if available (for bird groups)
-                if (groupEntry.color && groupObj.animationType === 'bird') {
-                  // For birds, which are fabric groups, we need to update the fill of their parts
-                  const body = groupObj.getObjects().find(o => o.type === 'polygon');
-                  const wings = groupObj.getObjects().filter(o => o.type === 'triangle');
-                  
-                  if (body) body.set('fill', groupEntry.color);
-                  wings.forEach(wing => wing.set('fill', groupEntry.color));
-                }
+              if (memberObjs.length > 0) {
+                // Group these objects together first, then animate them
+                memberObjs.forEach(obj => {
+                  obj.groupId = groupEntry.groupId || `group_${Date.now()}`;
+                });
                 
-                objsToAnimate.push(groupObj);
-              } else if (groupEntry.memberIds && groupEntry.memberIds.length > 0) {
-                // Try to find the member objects to recreate the group
-                const memberObjs = groupEntry.memberIds
-                  .map(id => this.canvas.getObjects().find(o => o.id === id))
-                  .filter(Boolean);
-                  
-                if (memberObjs.length > 0) {
-                  // Group these objects together first, then animate them
-                  memberObjs.forEach(obj => {
-                    obj.groupId = groupEntry.groupId || `group_${Date.now()}`;
-                  });
-                  
-                  // Set all group members to the same z-index from the groupEntry
-                  if (groupEntry.zIndex !== undefined) {
-                    setObjectsToSameZIndex(memberObjs, groupEntry.zIndex);
-                  }
-                  
-                  objsToAnimate.push(...memberObjs);
+                // Set all group members to the same z-index from the groupEntry
+                if (groupEntry.zIndex !== undefined) {
+                  setObjectsToSameZIndex(memberObjs, groupEntry.zIndex);
                 }
+                
+                objsToAnimate.push(...memberObjs);
               }
             }
           }
+        }
+        
+        console.log(`Found total ${objsToAnimate.length} objects to animate for ${anim.id}`);
+        
+        if (!objsToAnimate.length) {
+          console.warn(`No objects found to replay animation ${anim.id}`);
+          return;
+        }
+        
+        // Create a copy of the animation data for the replay
+        // to ensure color and z-index are preserved
+        const animationData = JSON.parse(JSON.stringify(anim.data));
+        
+        // Debug log for bird animation data
+        if (anim.type === 'birds') {
+          console.log("Animation data before replay:", animationData);
           
-          console.log(`Found total ${objsToAnimate.length} objects to animate for ${anim.id}`);
-          
-          if (!objsToAnimate.length) {
-            console.warn(`No objects found to replay animation ${anim.id}`);
-            return;
-          }
-          
-          // Create a copy of the animation data for the replay
-          // to ensure color and z-index are preserved
-          const animationData = JSON.parse(JSON.stringify(anim.data));
+          // Check if we have color and z-index in our data
+          const colorsPresent = animationData.filter(d => d.color !== undefined).length;
+          const zIndicesPresent = animationData.filter(d => d.zIndex !== undefined).length;
+          console.log(`Colors present: ${colorsPresent}/${animationData.length}, Z-indices present: ${zIndicesPresent}/${animationData.length}`);
           
-          // Debug log for bird animation data
-          if (anim.type === 'birds') {
-            console.log("Animation data before replay:", animationData);
-            
-            // Check if we have color and z-index in our data
-            const colorsPresent = animationData.filter(d => d.color !== undefined).length;
-            const zIndicesPresent = animationData.filter(d => d.zIndex !== undefined).length;
-            console.log(`Colors present: ${colorsPresent}/${animationData.length}, Z-indices present: ${zIndicesPresent}/${animationData.length}`);
-            
-            // Debug the objects we're about to animate
-            console.log("Objects to animate:", objsToAnimate);
-            objsToAnimate.forEach(obj => {
-              if (obj.animationType === 'bird') {
-                const body = obj.getObjects().find(o => o.type === 'polygon');
-                const wings = obj.getObjects().filter(o => o.type === 'triangle');
-                console.log("Bird BEFORE animation - Body:", body ? body.fill : 'none', 
-                          "Wings:", wings.map(w => w.fill), 
-                          "Z-index:", obj.get('zIndex'));
+          // Debug the objects we're about to animate
+          console.log("Objects to animate:", objsToAnimate);
+          objsToAnimate.forEach(obj => {
+            if (obj.animationType === 'bird') {
+              const body = obj.getObjects().find(o => o.type === 'polygon');
+              const wings = obj.getObjects().filter(o => o.type === 'triangle');
+              console.log("Bird BEFORE animation - Body:", body ? body.fill : 'none', 
+                        "Wings:", wings.map(w => w.fill), 
+                        "Z-index:", obj.get('zIndex'));
+            }
+          });
+        }
+        
+        // Ensure all animation properties are preserved during replay
+        const animOptions = { 
+          data: animationData,
+          id: anim.id,
+          title: anim.title,
+          _titleCustomized: anim._titleCustomized,
+          parameters: anim.parameters, // Restore per-animation motion settings
+          schedule: anim.schedule, // And when it runs on the timeline
+          // Include any other properties that need preserving
+          preserveZIndex: true,
+          preserveColor: true,
+          debugMode: true // Add debug flag
+        };
+        
+        // Replay the animation with the found objects
+        animate(anim.prompt || anim.type, this.canvas, objsToAnimate, animOptions, { save: false });
+        
+        // Debug log after animation replay
+        if (anim.type === 'birds') {
+          console.log("Animation complete, checking results...");
+          setTimeout(() => {
+            const birdObjects = this.canvas.getObjects().filter(o => o.animationType === 'bird');
+            birdObjects.forEach(obj => {
+              const body = obj.getObjects().find(o => o.type === 'polygon');
+              const wings = obj.getObjects().filter(o => o.type === 'triangle');
+              console.log("Bird AFTER animation - Body:", body ? body.fill : 'none', 
+                        "Wings:", wings.map(w => w.fill), 
+                        "Z-index:", obj.get('zIndex'));
+              
+              // Check if this bird has a corresponding data entry
+              const dataEntry = animationData.find(d => d.id === obj.id);
+              if (dataEntry) {
+                console.log("Data entry for this bird:", dataEntry);
+                console.log("Color match:", dataEntry.color === body?.fill);
+                console.log("Z-index match:", dataEntry.zIndex === obj.get('zIndex'));
               }
             });
-          }
-          
-          // Ensure all animation properties are preserved during replay
-          const animOptions = { 
-            data: animationData,
-            id: anim.id,
-            title: anim.title,
-            _titleCustomized: anim._titleCustomized,
-            // Include any other properties that need preserving
-            preserveZIndex: true,
-            preserveColor: true,
-            debugMode: true // Add debug flag
-          };
-          
-          // Replay the animation with the found objects
-          animate(anim.prompt || anim.type, this.canvas, objsToAnimate, animOptions, { save: false });
-          
-          // Debug log after animation replay
-          if (anim.type === 'birds') {
-            console.log("Animation complete, checking results...");
-            setTimeout(() => {
-              const birdObjects = this.canvas.getObjects().filter(o => o.animationType === 'bird');
-              birdObjects.forEach(obj => {
-                const body = obj.getObjects().find(o => o.type === 'polygon');
-                const wings = obj.getObjects().filter(o => o.type === 'triangle');
-                console.log("Bird AFTER animation - Body:", body ? body.fill : 'none', 
-                          "Wings:", wings.map(w => w.fill), 
-                          "Z-index:", obj.get('zIndex'));
-                
-                // Check if this bird has a corresponding data entry
-                const dataEntry = animationData.find(d => d.id === obj.id);
-                if (dataEntry) {
-                  console.log("Data entry for this bird:", dataEntry);
-                  console.log("Color match:", dataEntry.color === body?.fill);
-                  console.log("Z-index match:", dataEntry.zIndex === obj.get('zIndex'));
-                }
-              });
-            }, 100);
-          }
-        });
-      }
+          }, 100);
+        }
+    }
         
 
     updateButtons() {
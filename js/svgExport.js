@@ -0,0 +1,364 @@
+// svgExport.js - Exports the scene as an animated SVG with CSS keyframes
+
+import { resolveAnimationParameters, getLoopDuration } from './animations.js';
+import { sampleMotion } from './motionSampler.js';
+import { downloadBlob } from './download.js';
+import { TICKS_PER_SECOND } from './masterClock.js';
+
+// CSS cubic-bezier equivalents of the GSAP ease families
+const cssEases = {
+  sine: { in: [0.12, 0, 0.39, 0], out: [0.61, 1, 0.88, 1], inOut: [0.37, 0, 0.63, 1] },
+  power1: { in: [0.11, 0, 0.5, 0], out: [0.5, 1, 0.89, 1], inOut: [0.45, 0, 0.55, 1] },
+  power2: { in: [0.32, 0, 0.67, 0], out: [0.33, 1, 0.68, 1], inOut: [0.65, 0, 0.35, 1] },
+  power3: { in: [0.5, 0, 0.75, 0], out: [0.25, 1, 0.5, 1], inOut: [0.76, 0, 0.24, 1] },
+  circ: { in: [0.55, 0, 1, 0.45], out: [0, 0.55, 0.45, 1], inOut: [0.85, 0, 0.15, 1] },
+  back: { in: [0.36, 0, 0.66, -0.56], out: [0.34, 1.56, 0.64, 1], inOut: [0.68, -0.6, 0.32, 1.6] }
+};
+
+/**
+ * Gets the CSS timing function for an ease family and direction
+ * @param {String} family - Ease family such as 'sine' ('linear' for no easing)
+ * @param {String} direction - 'in', 'out' or 'inOut'
+ * @returns {String}
+ */
+function getCssEase(family, direction) {
+  const bezier = cssEases[family]?.[direction];
+  return bezier ? `cubic-bezier(${bezier.join(', ')})` : 'linear';
+}
+
+// Rounds for compact output
+const num = (value) => +Number(value).toFixed(2);
+
+/**
+ * Renders an object to SVG in a different pose, then puts it back
+ * @param {fabric.Object} obj - The object to render
+ * @param {Object} pose - Properties to use while rendering, e.g. { left, top, angle }
+ * @returns {string} - The object's SVG markup
+ */
+function toSVGInPose(obj, pose) {
+  const saved = {};
+  Object.keys(pose).forEach(key => { saved[key] = obj[key]; });
+  obj.set(pose);
+  const svg = obj.toSVG();
+  obj.set(saved);
+  return svg;
+}
+
+/**
+ * Whether an animation's motion has to be baked rather than written as CSS:
+ * the flocking of birds and fish, drifting floats, timeline keyframes, drawn paths or the avoid/orbit interactions
+ * @param {Object} anim - The animation entry
+ * @param {Array<Object>} interactions - canvas.animationInteractions
+ * @returns {String|null} - Why the animation can't be exported declaratively, or null if it can
+ */
+function getUnsupportedReason(anim, interactions) {
+  if (anim.type === 'birds') return 'Birds fly freely';
+  if (anim.type === 'swim') return 'Fish swim freely';
+  if (anim.type === 'float') return 'Drifts along noise';
+  if (anim.type === 'spin') return 'Spins on the timeline';
+  if (anim.type === 'pulse') return 'Pulses on the timeline';
+  if (anim.type === 'keyframe') return 'Keyframed on the timeline';
+  if (anim.type === 'path') return 'Follows a drawn path';
+  if (anim.schedule) return 'Scheduled on the timeline';
+
+  // Hops turn around at obstacles and can orbit; fixed objects can orbit; sways ignore interactions
+  const orbits = interactions.some(i => i.type === 'orbit' && i.sourceId === anim.id);
+  const avoids = interactions.some(i => i.type === 'avoid' && (i.sourceId === anim.id || i.targetId === anim.id));
+
+  if (anim.type === 'hop' && (orbits || avoids)) return orbits ? 'Orbits another animation' : 'Avoids another animation';
+  if (anim.type === 'fix' && orbits) return 'Orbits another animation';
+
+  return null;
+}
+
+/**
+ * Lists the animations that can't be expressed as CSS keyframes. Particles are left
+ * out of the export altogether, so they aren't listed.
+ * @param {fabric.Canvas} canvas - The canvas to export
+ * @returns {Array<Object>} - { anim, reason } for each one
+ */
+export function getUnsupportedAnimations(canvas) {
+  const interactions = canvas.animationInteractions || [];
+  return (canvas.activeAnimations || [])
+    .filter(anim => anim.type !== 'emit')
+    .map(anim => ({ anim, reason: getUnsupportedReason(anim, interactions) }))
+    .filter(entry => entry.reason);
+}
+
+/**
+ * Draws a bird with its own markup so the wings can flap with CSS
+ * @param {fabric.Group} bird - The bird group made by animateBirds
+ * @returns {string}
+ */
+function birdToSVG(bird) {
+  const color = bird.getObjects().find(part => part.type === 'polygon')?.fill || '#222';
+
+  // Same shapes as animateBirds: a diamond body and two triangle wings that rock by 40 degrees
+  const wing = (x, angle, delay) => `
+      <g transform="translate(${x} 0)">
+        <g class="wing-flap" style="animation-delay: ${delay}s">
+          <path d="M -7 3 L 0 -3 L 7 3 z" transform="rotate(${angle})" />
+        </g>
+      </g>`;
+
+  return `<g fill="${color}" transform="scale(${num(bird.scaleX || 1)} ${num(bird.scaleY || 1)})">
+      <polygon points="0,-6 8,0 0,6 -8,0" />${wing(-4, -20, 0)}${wing(4, 200, 0.05)}
+    </g>`;
+}
+
+/**
+ * Builds the animated SVG document
+ * @param {fabric.Canvas} canvas - The canvas to export
+ * @param {Object} options - { background, baked: Map of sampled motion from sampleMotion, bakedDuration }
+ * @returns {string} - The SVG document
+ */
+export function createAnimatedSvg(canvas, { background = '#ffffff', baked = null, bakedDuration = 0 } = {}) {
+  const width = canvas.getWidth();
+  const height = canvas.getHeight();
+  const animations = canvas.activeAnimations || [];
+  const interactions = canvas.animationInteractions || [];
+
+  // Which animation each object belongs to
+  const animationOf = new Map();
+  animations.forEach(anim => anim.data.forEach(d => animationOf.set(d.id, anim)));
+
+  const styles = [];
+  const elements = [];
+  let usesWings = false;
+
+  canvas.getObjects().forEach((obj, index) => {
+    // Particles can't be drawn in SVG, so emitters are left out
+    if (obj.animationType === 'emit') return;
+
+    const anim = animationOf.get(obj.id);
+    const name = `a${index}`;
+
+    // Sampled keyframes for birds and interaction-driven motion
+    if (baked && baked.has(obj)) {
+      const samples = baked.get(obj);
+      const isBird = obj.animationType === 'bird';
+
+      // The first sample is pinned to 0% so the object never starts from the SVG origin.
+      // Birds draw their own scale; other objects also bake their scale and opacity, e.g. for pulses,
+      // and the mirroring and skew of swimming fish.
+      const skews = !isBird && samples.some(s => s.skewY);
+      const frames = samples.map((s, i) => {
+        const scale = isBird ? '' : ` scale(${num(s.flipX ? -s.scaleX : s.scaleX)}, ${num(s.scaleY)})${skews ? ` skewY(${num(s.skewY)}deg)` : ''}`;
+        const opacity = isBird ? '' : ` opacity: ${num(s.opacity)};`;
+        return `${i === 0 ? 0 : num(s.t / bakedDuration * 100)}% { transform: translate(${num(s.left)}px, ${num(s.top)}px) rotate(${num(s.angle)}deg)${scale};${opacity} }`;
+      });
+
+      styles.push(`.${name} { animation: ${name} ${num(bakedDuration)}s linear infinite; }`);
+      styles.push(`@keyframes ${name} {\n  ${frames.join('\n  ')}\n}`);
+
+      let markup;
+      if (isBird) {
+        markup = birdToSVG(obj);
+        usesWings = true;
+      } else {
+        markup = toSVGInPose(obj, { left: 0, top: 0, angle: 0, scaleX: 1, scaleY: 1, flipX: false, skewY: 0, opacity: 1 });
+      }
+
+      elements.push(`<g class="${name}">${markup}</g>`);
+      return;
+    }
+
+    if (!anim || getUnsupportedReason(anim, interactions)) {
+      // Static objects, and unbaked birds/interactions frozen where they are now
+      elements.push(obj.toSVG());
+      return;
+    }
+
+    if (anim.type === 'sway') {
+      const p = resolveAnimationParameters('sway', anim.parameters);
+      const left = obj.originalLeft ?? obj.left;
+
+      styles.push(`.${name} { transform-origin: ${num(left)}px ${num(obj.top)}px; animation: ${name} ${num(p.duration)}s ${getCssEase(p.ease, 'inOut')} infinite alternate; }`);
+      styles.push(`@keyframes ${name} {
+  from { transform: translateX(0) rotate(0deg); }
+  to { transform: translateX(${num(p.drift)}px) rotate(${num(p.rock)}deg); }
+}`);
+
+      elements.push(`<g class="${name}">${toSVGInPose(obj, { left, angle: 0 })}</g>`);
+    } else if (anim.type === 'hop') {
+      const p = resolveAnimationParameters('hop', anim.parameters);
+      const top = obj.originalTop ?? obj.top;
+
+      // Rise with an ease-out and fall with an ease-in, like the hop timeline
+      styles.push(`.${name} { animation: ${name} ${num(p.duration)}s infinite; }`);
+      styles.push(`@keyframes ${name} {
+  0% { transform: translateY(0); animation-timing-function: ${getCssEase(p.ease, 'out')}; }
+  50% { transform: translateY(${num(-p.height)}px); animation-timing-function: ${getCssEase(p.ease, 'in')}; }
+  100% { transform: translateY(0); }
+}`);
+
+      let markup = `<g class="${name}">${toSVGInPose(obj, { top })}</g>`;
+
+      // Walk to one edge, across to the other, and back to the start
+      const halfWidth = obj.getScaledWidth() / 2;
+      const leftBound = halfWidth + p.boundaryPadding;
+      const rightBound = width - halfWidth - p.boundaryPadding;
+      const speed = p.speed * TICKS_PER_SECOND;
+
+      if (rightBound > leftBound && speed > 0) {
+        const start = Math.min(rightBound, Math.max(leftBound, obj.left));
+        const period = 2 * (rightBound - leftBound) / speed;
+
+        // Visit the edge it's heading for first, then the other one
+        const [firstEdge, secondEdge] = obj.moveDirection < 0 ? [leftBound, rightBound] : [rightBound, leftBound];
+        const toFirst = Math.abs(firstEdge - start) / speed / period * 100;
+        const toSecond = toFirst + (rightBound - leftBound) / speed / period * 100;
+
+        styles.push(`.${name}-walk { animation: ${name}-walk ${num(period)}s linear infinite; }`);
+        styles.push(`@keyframes ${name}-walk {
+  0% { transform: translateX(${num(start - obj.left)}px); }
+  ${num(toFirst)}% { transform: translateX(${num(firstEdge - obj.left)}px); }
+  ${num(toSecond)}% { transform: translateX(${num(secondEdge - obj.left)}px); }
+  100% { transform: translateX(${num(start - obj.left)}px); }
+}`);
+        markup = `<g class="${name}-walk">${markup}</g>`;
+      }
+
+      elements.push(markup);
+    } else {
+      elements.push(obj.toSVG());
+    }
+  });
+
+  if (usesWings) {
+    styles.push(`.wing-flap { animation: wing-flap 0.3s ${getCssEase('sine', 'inOut')} infinite alternate; }`);
+    styles.push('@keyframes wing-flap { from { transform: rotate(0deg); } to { transform: rotate(40deg); } }');
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <style>
+${styles.join('\n')}
+  </style>
+  <rect width="100%" height="100%" fill="${background}" />
+  ${elements.join('\n  ')}
+</svg>
+`;
+}
+
+/**
+ * Shows the SVG export dialog, listing what can't be exported as CSS and offering to bake it
+ * @param {fabric.Canvas} canvas - The canvas to export
+ */
+export function showSvgExportDialog(canvas) {
+  document.getElementById('svgExportModal')?.remove();
+
+  const unsupported = getUnsupportedAnimations(canvas);
+  const hasParticles = (canvas.activeAnimations || []).some(anim => anim.type === 'emit');
+  const loop = getLoopDuration(canvas.activeAnimations || []);
+
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'svgExportModal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content';
+
+  const unsupportedList = unsupported.length ? `
+    <div class="export-warning">
+      <p>These can't be written as CSS keyframes and will stay still unless baked:</p>
+      <ul id="svgUnsupportedList"></ul>
+    </div>
+    <div class="input-group">
+      <label>
+        <input id="svgBakeInput" type="checkbox" />
+        Bake them as sampled keyframes
+      </label>
+    </div>
+    <div class="input-group">
+      <label for="svgBakeDurationInput">Sample for (seconds):</label>
+      <input id="svgBakeDurationInput" type="number" min="1" max="30" step="0.5" value="${loop.duration && loop.duration <= 10 ? loop.duration : 5}" disabled />
+    </div>
+    <div class="input-group">
+      <label for="svgBakeFpsSelect">Samples per second:</label>
+      <select id="svgBakeFpsSelect" disabled>
+        <option value="10">10</option>
+        <option value="20" selected>20</option>
+        <option value="30">30</option>
+      </select>
+      <span class="export-hint">Baked motion repeats from the start, so it may jump at the loop point.</span>
+    </div>
+  ` : '';
+
+  modalContent.innerHTML = `
+    <h3>Export SVG</h3>
+    <p class="export-hint">Sway and hop play as CSS animations inside the SVG.</p>
+    ${hasParticles ? '<p class="export-hint">Particles (rain, snow, confetti) can\'t be exported and are left out, along with their strokes.</p>' : ''}
+    ${unsupportedList}
+    <div class="export-progress hidden" id="svgExportProgress">
+      <progress id="svgProgressBar" max="1" value="0"></progress>
+      <span id="svgProgressText"></span>
+    </div>
+    <div class="modal-buttons">
+      <button id="startSvgExportBtn">Export</button>
+      <button id="cancelSvgExportBtn">Cancel</button>
+    </div>
+  `;
+
+  modal.appendChild(modalContent);
+  document.body.appendChild(modal);
+
+  // Titles come from user prompts, so they're added as text
+  const list = document.getElementById('svgUnsupportedList');
+  unsupported.forEach(({ anim, reason }) => {
+    const item = document.createElement('li');
+    item.textContent = `${anim.title || anim.name}: ${reason}`;
+    list.appendChild(item);
+  });
+
+  const bakeInput = document.getElementById('svgBakeInput');
+  const durationInput = document.getElementById('svgBakeDurationInput');
+  const fpsSelect = document.getElementById('svgBakeFpsSelect');
+  const startBtn = document.getElementById('startSvgExportBtn');
+  let cancelled = false;
+
+  bakeInput?.addEventListener('change', () => {
+    durationInput.disabled = !bakeInput.checked;
+    fpsSelect.disabled = !bakeInput.checked;
+  });
+
+  document.getElementById('cancelSvgExportBtn').addEventListener('click', () => {
+    cancelled = true;
+    modal.remove();
+  });
+
+  startBtn.addEventListener('click', async () => {
+    startBtn.disabled = true;
+
+    let baked = null;
+    let bakedDuration = 0;
+
+    if (bakeInput?.checked) {
+      // A motion path or the water fish swim in stays where it is
+      const ids = new Set(unsupported.flatMap(({ anim }) => anim.data.filter(d => !d.isPath && !d.isWater).map(d => d.id)));
+      const objects = canvas.getObjects().filter(obj => ids.has(obj.id));
+      bakedDuration = Math.min(30, Math.max(1, parseFloat(durationInput.value) || 5));
+
+      const progress = document.getElementById('svgExportProgress');
+      const progressBar = document.getElementById('svgProgressBar');
+      const progressText = document.getElementById('svgProgressText');
+      progress.classList.remove('hidden');
+
+      baked = await sampleMotion(canvas, objects, {
+        duration: bakedDuration,
+        fps: parseInt(fpsSelect.value, 10),
+        onProgress: (done, total) => {
+          progressBar.value = done / total;
+          progressText.textContent = `Sampling motion... ${done.toFixed(1)} of ${total} s`;
+        }
+      });
+    }
+
+    if (cancelled) return;
+
+    const svg = createAnimatedSvg(canvas, { baked, bakedDuration });
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'animation.svg');
+    console.log('Exported SVG', baked ? `with ${baked.size} baked objects` : 'without baked motion');
+    modal.remove();
+  });
+}
@@ -0,0 +1,101 @@
+// timeline.js - The timeline bar under the canvas: play/pause, playhead and scrubber for the master clock
+
+import { getLoopDuration, getKeyframesEnd } from './animations.js';
+import { getSchedulesEnd } from './animationSchedule.js';
+
+// Timeline length when the animations have no common loop
+const DEFAULT_LENGTH = 10;
+
+/**
+ * Formats seconds as m:ss.s
+ * @param {number} seconds - The time to format
+ * @returns {string}
+ */
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${rest}`;
+}
+
+export class TimelineBar {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.clock = canvas.clock;
+    this.scrubbing = false;
+    this.resumeAfterScrub = false;
+    this.lengthCustomized = false;
+    this.setup();
+  }
+
+  setup() {
+    const { canvas, clock, get = id => document.getElementById(id) } = this;
+
+    this.playBtn = get('timelinePlayBtn');
+    this.timeLabel = get('timelineTime');
+    this.scrubber = get('timelineScrubber');
+    this.lengthInput = get('timelineLengthInput');
+
+    this.playBtn.addEventListener('click', () => clock.toggle());
+
+    // Hold the clock while dragging the playhead, then carry on if it was playing
+    this.scrubber.addEventListener('input', () => {
+      if (!this.scrubbing) {
+        this.scrubbing = true;
+        this.resumeAfterScrub = clock.playing;
+        clock.pause();
+      }
+      clock.seek(parseFloat(this.scrubber.value));
+    });
+    this.scrubber.addEventListener('change', () => {
+      this.scrubbing = false;
+      if (this.resumeAfterScrub) clock.play();
+    });
+
+    this.lengthInput.addEventListener('change', () => {
+      const length = parseFloat(this.lengthInput.value);
+      if (!(length > 0)) {
+        this.update();
+        return;
+      }
+      this.lengthCustomized = true;
+      clock.setDuration(Math.min(120, length));
+    });
+
+    clock.onChange(() => this.update());
+    canvas.history.onChange(() => this.matchLoopLength());
+
+    this.matchLoopLength();
+  }
+
+  // Make the timeline one full loop of the animations, and long enough for every keyframe
+  // and scheduled run, unless the user picked a length
+  matchLoopLength() {
+    if (this.lengthCustomized) return;
+
+    const animations = this.canvas.activeAnimations || [];
+    const { duration, seamless } = getLoopDuration(animations, 30);
+    const length = Math.min(120, Math.max(
+      duration && seamless ? duration : DEFAULT_LENGTH,
+      getKeyframesEnd(animations),
+      getSchedulesEnd(animations)
+    ));
+    if (length !== this.clock.duration) this.clock.setDuration(length);
+  }
+
+  update() {
+    const { clock } = this;
+    const time = Math.min(clock.time, clock.duration);
+
+    this.scrubber.max = clock.duration;
+    if (!this.scrubbing) this.scrubber.value = time;
+    this.timeLabel.textContent = `${formatTime(time)} / ${formatTime(clock.duration)}`;
+
+    const label = clock.playing ? 'Pause' : 'Play';
+    if (this.playBtn.textContent !== label) this.playBtn.textContent = label;
+    this.playBtn.classList.toggle('playing', clock.playing);
+
+    if (document.activeElement !== this.lengthInput) {
+      this.lengthInput.value = parseFloat(clock.duration.toFixed(2));
+    }
+  }
+}
@@ -1,11 +1,14 @@
 // toolbar.js
 import { animate } from './animations.js';
+import { saveProject, openProject } from './projectFile.js';
+import { showExportMenu } from './exportMenu.js';
+import { CanvasRecorder, showRecordDialog } from './videoRecorder.js';
 
 export class Toolbar {
   constructor(canvas) {
     this.canvas = canvas;
-    this.animationsPaused = false;
     this.pencil = new fabric.PencilBrush(canvas);
+    this.recorder = new CanvasRecorder(canvas);
     this.setup();
   }
 
@@ -24,6 +27,10 @@ export class Toolbar {
     this.undoBtn = get('undoBtn');
     this.redoBtn = get('redoBtn');
     this.pauseBtn = get('pauseBtn');
+    this.saveBtn = get('saveBtn');
+    this.openBtn = get('openBtn');
+    this.exportBtn = get('exportBtn');
+    this.recordBtn = get('recordBtn');
 
     this.clearActive = () => [this.drawBtn, this.selectBtn].forEach(b => b.classList.remove('active'));
 
@@ -33,6 +40,17 @@ export class Toolbar {
     this.undoBtn.addEventListener('click', () => canvas.history.undo());
     this.redoBtn.addEventListener('click', () => canvas.history.redo());
     this.pauseBtn.addEventListener('click', () => this.toggleAnimations());
+    canvas.clock.onChange(() => this.updatePauseButton());
+    this.saveBtn.addEventListener('click', () => {
+      const name = prompt('Save project as:', this.projectName || 'animation');
+      if (!name) return; // User cancelled
+      this.projectName = name;
+      saveProject(canvas, name);
+    });
+    this.openBtn.addEventListener('click', () => openProject(canvas));
+    this.exportBtn.addEventListener('click', () => showExportMenu(canvas));
+    this.recordBtn.addEventListener('click', () => this.toggleRecording());
+    this.recorder.onStateChange = () => this.updateRecordButton();
     
     // Initialize group button state
     this.updateGroupButton();
@@ -89,10 +107,19 @@ export class Toolbar {
             return;
           }
           
+          // Plans and commands that act on existing animations (e.g. modify) go straight to the controller
+          if (parsedCommand.steps || (parsedCommand.action && parsedCommand.action !== 'create')) {
+            const result = window.llmController.executeCommand(parsedCommand);
+            statusDiv.textContent = result.message;
+            setTimeout(() => document.body.removeChild(statusDiv), 2000);
+            return;
+          }
+          
           // If it's a create animation command, use the parsed animation type
           if (parsedCommand.action === 'create' && parsedCommand.animationType) {
             statusDiv.textContent = `Creating ${parsedCommand.animationType} animation...`;
             const title = parsedCommand.title
+            let animationEntry;
             // Handle reanimation case
             if (existingAnim) {
               const confirmMsg = `These objects are already animated with: "${existingAnim.prompt}"\n\nDo you want to reanimate them with ${parsedCommand.animationType}?`;
@@ -102,34 +129,53 @@ export class Toolbar {
                 return;
               }
               
-              animate(parsedCommand.animationType, canvas, sel, {
+              animationEntry = animate(parsedCommand.animationType, canvas, sel, {
                 update: true,
                 id: existingAnim.id,
                 data: existingAnim.data,
-                title: title
+                title: title,
+                parameters: parsedCommand.parameters,
+                schedule: parsedCommand.schedule
               }, { save: true });
             } else {
               // Create new animation
-              animate(parsedCommand.animationType, canvas, sel, {
-                title: title
+              animationEntry = animate(parsedCommand.animationType, canvas, sel, {
+                title: title,
+                parameters: parsedCommand.parameters,
+                schedule: parsedCommand.schedule
               });
             }
             
+            // e.g. a path animation without a path drawn; nothing was changed
+            if (animationEntry?.error) {
+              statusDiv.textContent = animationEntry.error;
+              window.llmController.rememberResult({ success: false, message: animationEntry.error });
+              setTimeout(() => document.body.removeChild(statusDiv), 3000);
+              return;
+            }
+            
             statusDiv.textContent = `Created ${parsedCommand.animationType} animation`;
+            
+            // Let the controller know what was made so "that one" works in the next prompt
+            window.llmController.rememberResult({
+              success: Boolean(animationEntry),
+              message: statusDiv.textContent,
+              animationId: animationEntry?.id,
+              objectIds: animationEntry?.data.map(d => d.id)
+            });
             setTimeout(() => document.body.removeChild(statusDiv), 2000);
           } else {
             // Fallback to using the raw prompt if we couldn't parse it
             statusDiv.textContent = `Using original prompt: ${rawPrompt}`;
             
-            if (existingAnim) {
-              animate(rawPrompt, canvas, sel, {
+            const result = existingAnim
+              ? animate(rawPrompt, canvas, sel, {
                 update: true,
                 id: existingAnim.id,
                 data: existingAnim.data
-              }, { save: true });
-            } else {
-              animate(rawPrompt, canvas, sel);
-            }
+              }, { save: true })
+              : animate(rawPrompt, canvas, sel);
+            if (result?.error) statusDiv.textContent = result.error;
             
             setTimeout(() => document.body.removeChild(statusDiv), 2000);
           }
@@ -137,15 +183,14 @@ export class Toolbar {
           // Fallback if LLM controller isn't available
           statusDiv.textContent = 'LLM not available, using direct animation';
           
-          if (existingAnim) {
-            animate(rawPrompt, canvas, sel, {
+          const result = existingAnim
+            ? animate(rawPrompt, canvas, sel, {
               update: true,
               id: existingAnim.id,
               data: existingAnim.data
-            }, { save: true });
-          } else {
-            animate(rawPrompt, canvas, sel);
-          }
+            }, { save: true })
+            : animate(rawPrompt, canvas, sel);
+          if (result?.error) statusDiv.textContent = result.error;
           
           setTimeout(() => document.body.removeChild(statusDiv), 2000);
         }
@@ -196,63 +241,55 @@ export class Toolbar {
     setTimeout(() => canvas.history.saveState(), 20);
   }
 
+  // Pause or play everything on the master clock
   toggleAnimations() {
-    const { canvas } = this;
-    // Toggle the global animation pause state
-    this.animationsPaused = !this.animationsPaused;
-    this.pauseBtn.textContent = this.animationsPaused ? 'Resume' : 'Pause';
-    
-    console.log('Global animation state toggled - paused:', this.animationsPaused);
-    
-    // First check if any object was manually moved while paused
-    const hasMoved = canvas.getObjects().some(o => 
-      o.isAnimated && o._pausedState && o._manuallyMoved
-    );
-    
-    // Debug log
-    console.log('Toggle animations - has moved objects:', hasMoved);
-    
-    canvas.getObjects().forEach(o => {
-      if (o.isAnimated && o.tween) {
-        if (this.animationsPaused) {
-          // PAUSING all animations
-          console.log('Pausing animation for:', o.id, o.animationType);
-          
-          // Use custom pause if available
-          if (o.tween.customPause) {
-            o.tween.customPause();
-          } else {
-            o.tween.pause();
-          }
-        } else {
-          // RESUMING all animations
-          console.log('Resuming animation for:', o.id, o.animationType, 
-                     'Manually moved:', o._manuallyMoved ? 'yes' : 'no');
-          
-          // Use custom resume if available
-          if (o.tween.customResume) {
-            o.tween.customResume();
-          } else {
-            o.tween.resume();
-          }
-          
-          // Special handling for apple animations to eliminate jumps
-          if (o.animationType === 'apple' && o._manuallyMoved) {
-            // Ensure the animation stays at the correct position
-            // This will be handled by the customResume function
-            console.log('Special handling for manually moved apple:', o.id);
-          }
-        }
-      }
-    });
-    
-    // Save state after toggling animations if objects have moved
-    if (!this.animationsPaused && hasMoved) {
-      console.log('Saving state after resuming with moved objects');
-      setTimeout(() => canvas.history.saveState(), 50);
-    }
+    this.canvas.clock.toggle();
+    console.log('Master clock playing:', this.canvas.clock.playing);
+  }
+  
+  // Keep the Pause button in step with the clock, which the timeline and voice commands also control
+  updatePauseButton() {
+    const label = this.canvas.clock.playing ? 'Pause' : 'Resume';
+    if (this.pauseBtn.textContent !== label) this.pauseBtn.textContent = label;
   }
   
+  toggleRecording() {
+    if (this.recorder.isStarting) return;
+    if (this.recorder.isRecording) {
+      this.recorder.stop();
+    } else {
+      showRecordDialog(this.recorder);
+    }
+  }
+
+  // Show the recording time on the Record button while recording
+  updateRecordButton() {
+    clearInterval(this.recordTimer);
+    this.recordBtn.disabled = this.recorder.isStarting;
+
+    if (this.recorder.isStarting) {
+      this.recordBtn.textContent = 'Starting...';
+      return;
+    }
+
+    if (!this.recorder.isRecording) {
+      this.recordBtn.textContent = 'Record';
+      this.recordBtn.classList.remove('recording');
+      return;
+    }
+
+    const update = () => {
+      const elapsed = Math.floor(this.recorder.getElapsed());
+      const minutes = Math.floor(elapsed / 60);
+      const seconds = String(elapsed % 60).padStart(2, '0');
+      this.recordBtn.textContent = `Stop ${minutes}:${seconds}`;
+    };
+
+    this.recordBtn.classList.add('recording');
+    update();
+    this.recordTimer = setInterval(update, 500);
+  }
+
   // Update the group button state based on the current selection
   updateGroupButton() {
     const { canvas } = this;
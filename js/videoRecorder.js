@@ -0,0 +1,252 @@
+// videoRecorder.js - Records the animated canvas (and optional narration) to a WebM video
+
+import { downloadBlob } from './download.js';
+
+// Preferred WebM codecs, best first
+const mimeTypes = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm'
+];
+
+/**
+ * Records the fabric canvas with MediaRecorder.
+ * The canvas is copied onto a white recording canvas every frame, because the
+ * drawing canvas is transparent and would come out black in the video.
+ */
+export class CanvasRecorder {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.isRecording = false;
+    this.isStarting = false;
+    this.mediaRecorder = null;
+    this.chunks = [];
+    this.micStream = null;
+    this.frameRequest = null;
+    this.startedAt = 0;
+    this.onStateChange = () => {};
+  }
+
+  /**
+   * Whether this browser can record the canvas
+   * @returns {Boolean}
+   */
+  static isSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+
+  /**
+   * Starts recording, after an optional countdown
+   * @param {Object} options - { fps, countdown: seconds, narration: include the microphone }
+   */
+  async start({ fps = 30, countdown = 3, narration = false } = {}) {
+    // Starting takes a while with the microphone prompt and countdown; a second click must not start twice
+    if (this.isRecording || this.isStarting) return;
+    this.isStarting = true;
+    this.onStateChange(this);
+
+    let stream = null;
+    try {
+      // Ask for the microphone before the countdown so the permission prompt doesn't eat into it
+      if (narration) {
+        try {
+          this.micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+          console.error('Microphone not available for narration:', error);
+          alert('Could not use the microphone, recording without narration.');
+          this.micStream = null;
+        }
+      }
+
+      if (countdown > 0) {
+        await showCountdown(countdown);
+      }
+
+      const source = this.canvas.getElement();
+      const recordingCanvas = document.createElement('canvas');
+      recordingCanvas.width = this.canvas.getWidth();
+      recordingCanvas.height = this.canvas.getHeight();
+      const ctx = recordingCanvas.getContext('2d');
+
+      const drawFrame = () => {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, recordingCanvas.width, recordingCanvas.height);
+        ctx.drawImage(source, 0, 0, recordingCanvas.width, recordingCanvas.height);
+        this.frameRequest = requestAnimationFrame(drawFrame);
+      };
+      drawFrame();
+
+      stream = recordingCanvas.captureStream(fps);
+      if (this.micStream) {
+        this.micStream.getAudioTracks().forEach(track => stream.addTrack(track));
+      }
+
+      const mimeType = mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || '';
+      this.chunks = [];
+      this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+
+      this.mediaRecorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) this.chunks.push(event.data);
+      };
+
+      this.mediaRecorder.onstop = () => {
+        cancelAnimationFrame(this.frameRequest);
+        stream.getVideoTracks().forEach(track => track.stop());
+        this.releaseMicrophone();
+
+        const blob = new Blob(this.chunks, { type: 'video/webm' });
+        this.chunks = [];
+        downloadBlob(blob, 'animation.webm');
+      };
+
+      // Collect data every second so a long recording isn't one huge chunk
+      this.mediaRecorder.start(1000);
+      this.isRecording = true;
+      this.startedAt = performance.now();
+
+      console.log('Recording started:', { fps, mimeType, narration: Boolean(this.micStream) });
+    } catch (error) {
+      // Stop copying frames and let go of the microphone, since nothing will stop them later
+      cancelAnimationFrame(this.frameRequest);
+      stream?.getVideoTracks().forEach(track => track.stop());
+      this.releaseMicrophone();
+      this.mediaRecorder = null;
+      throw error;
+    } finally {
+      this.isStarting = false;
+      this.onStateChange(this);
+    }
+  }
+
+  /**
+   * Stops recording and downloads the video
+   */
+  stop() {
+    if (!this.isRecording) return;
+
+    this.isRecording = false;
+    this.mediaRecorder.stop();
+    this.mediaRecorder = null;
+    this.onStateChange(this);
+
+    console.log('Recording stopped');
+  }
+
+  /**
+   * Seconds since recording started
+   * @returns {number}
+   */
+  getElapsed() {
+    return this.isRecording ? (performance.now() - this.startedAt) / 1000 : 0;
+  }
+
+  releaseMicrophone() {
+    if (this.micStream) {
+      this.micStream.getTracks().forEach(track => track.stop());
+      this.micStream = null;
+    }
+  }
+}
+
+/**
+ * Shows a full-screen countdown
+ * @param {number} seconds - Where to count down from
+ * @returns {Promise} - Resolves when the countdown reaches zero
+ */
+function showCountdown(seconds) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'recording-countdown';
+    document.body.appendChild(overlay);
+
+    let remaining = seconds;
+    const tick = () => {
+      if (remaining === 0) {
+        overlay.remove();
+        resolve();
+        return;
+      }
+      overlay.textContent = remaining;
+      remaining--;
+      setTimeout(tick, 1000);
+    };
+    tick();
+  });
+}
+
+/**
+ * Shows the recording options dialog and starts recording when confirmed
+ * @param {CanvasRecorder} recorder - The recorder to start
+ */
+export function showRecordDialog(recorder) {
+  document.getElementById('recordModal')?.remove();
+
+  if (!CanvasRecorder.isSupported()) {
+    alert('Recording video is not supported in this browser.');
+    return;
+  }
+
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'recordModal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'modal-content';
+
+  modalContent.innerHTML = `
+    <h3>Record Video</h3>
+    <div class="input-group">
+      <label for="recordFpsSelect">Frame rate:</label>
+      <select id="recordFpsSelect">
+        <option value="24">24 fps</option>
+        <option value="30" selected>30 fps</option>
+        <option value="60">60 fps</option>
+      </select>
+    </div>
+    <div class="input-group">
+      <label for="recordCountdownSelect">Countdown:</label>
+      <select id="recordCountdownSelect">
+        <option value="0">None</option>
+        <option value="3" selected>3 seconds</option>
+        <option value="5">5 seconds</option>
+      </select>
+    </div>
+    <div class="input-group">
+      <label>
+        <input id="recordNarrationInput" type="checkbox" />
+        Include narration from the microphone
+      </label>
+    </div>
+    <div class="modal-buttons">
+      <button id="startRecordingBtn">Start</button>
+      <button id="cancelRecordingBtn">Cancel</button>
+    </div>
+  `;
+
+  modal.appendChild(modalContent);
+  document.body.appendChild(modal);
+
+  document.getElementById('startRecordingBtn').addEventListener('click', () => {
+    const options = {
+      fps: parseInt(document.getElementById('recordFpsSelect').value, 10),
+      countdown: parseInt(document.getElementById('recordCountdownSelect').value, 10),
+      narration: document.getElementById('recordNarrationInput').checked
+    };
+
+    modal.remove();
+
+    // Selection outlines shouldn't end up in the video
+    recorder.canvas.discardActiveObject();
+    recorder.canvas.requestRenderAll();
+
+    recorder.start(options).catch(error => {
+      console.error('Recording failed to start:', error);
+      alert('Recording failed: ' + error.message);
+    });
+  });
+
+  document.getElementById('cancelRecordingBtn').addEventListener('click', () => modal.remove());
+}
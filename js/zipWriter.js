@@ -0,0 +1,101 @@
+// zipWriter.js - Minimal ZIP archive writer (stored, uncompressed entries)
+
+// CRC-32 lookup table for the ZIP checksums
+const crcTable = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of some bytes
+ * @param {Uint8Array} bytes - The data
+ * @returns {number}
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Packs files into a ZIP archive. Entries are stored without compression,
+ * which suits already compressed content such as PNG images.
+ * @param {Array<Object>} files - { name, data: Uint8Array }
+ * @param {Date} date - Modification time for every entry
+ * @returns {Uint8Array} - The archive bytes
+ */
+export function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const entries = files.map(file => ({
+    name: encoder.encode(file.name),
+    data: file.data,
+    crc: crc32(file.data)
+  }));
+
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+  let pos = 0;
+
+  const u16 = (value) => { view.setUint16(pos, value, true); pos += 2; };
+  const u32 = (value) => { view.setUint32(pos, value, true); pos += 4; };
+  const raw = (data) => { bytes.set(data, pos); pos += data.length; };
+
+  // Local file headers followed by the data
+  entries.forEach(entry => {
+    entry.offset = pos;
+    u32(0x04034b50);
+    u16(20); // Version needed to extract
+    u16(0x0800); // UTF-8 file names
+    u16(0); // Stored
+    u16(dosTime);
+    u16(dosDate);
+    u32(entry.crc);
+    u32(entry.data.length);
+    u32(entry.data.length);
+    u16(entry.name.length);
+    u16(0); // No extra field
+    raw(entry.name);
+    raw(entry.data);
+  });
+
+  // Central directory
+  const centralOffset = pos;
+  entries.forEach(entry => {
+    u32(0x02014b50);
+    u16(20); // Version made by
+    u16(20); // Version needed to extract
+    u16(0x0800);
+    u16(0);
+    u16(dosTime);
+    u16(dosDate);
+    u32(entry.crc);
+    u32(entry.data.length);
+    u32(entry.data.length);
+    u16(entry.name.length);
+    u16(0); // Extra field length
+    u16(0); // Comment length
+    u16(0); // Disk number
+    u16(0); // Internal attributes
+    u32(0); // External attributes
+    u32(entry.offset);
+    raw(entry.name);
+  });
+
+  // End of central directory record
+  u32(0x06054b50);
+  u16(0);
+  u16(0);
+  u16(entries.length);
+  u16(entries.length);
+  u32(centralSize);
+  u32(centralOffset);
+  u16(0);
+
+  return bytes;
+}